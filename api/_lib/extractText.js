@@ -0,0 +1,41 @@
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.js';
+import { DOMParser } from '@xmldom/xmldom';
+import { analyzePageLayout, layoutToText } from '../../src/utils/pdfLayout';
+import { extractDocxText, isWordFile } from '../../src/utils/docxExtractor';
+
+// Server-side counterpart of the browser extractors: same layout analysis,
+// same page markers, so the model sees identical input either way.
+
+const extractPdfText = async (bytes) => {
+  try {
+    const pdf = await pdfjsLib.getDocument({ data: bytes, isEvalSupported: false, useSystemFonts: false }).promise;
+
+    const pages = [];
+    let context = { clause: null, parentClause: null };
+    for (let i = 1; i <= pdf.numPages; i++) {
+      const page = await pdf.getPage(i);
+      const textContent = await page.getTextContent();
+      const layout = analyzePageLayout(textContent.items, context);
+      context = layout.context;
+      pages.push({ pageNumber: i, lines: layout.lines });
+    }
+    await pdf.destroy();
+
+    return layoutToText({ pages });
+  } catch (error) {
+    console.error('Error extracting PDF text:', error);
+    throw new Error('Failed to extract text from PDF. The file might be corrupted or password-protected.');
+  }
+};
+
+export async function extractDocumentText(file) {
+  const bytes = new Uint8Array(Buffer.from(file.data, 'base64'));
+
+  if (file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf')) {
+    return extractPdfText(bytes);
+  }
+  if (isWordFile(file)) {
+    return extractDocxText(bytes, DOMParser);
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
@@ -0,0 +1,27 @@
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+// Signed tokens that tie a part request to text this server extracted. The
+// extract step signs each part it planned; a part request must carry the
+// token for exactly that text, index and part count, so the route cannot be
+// used to send arbitrary text to the model.
+
+const TOKEN_TTL_MS = 30 * 60 * 1000;
+
+const signature = (secret, { index, total, text }, expiresAt) => {
+  const textHash = createHash('sha256').update(text).digest('hex');
+  return createHmac('sha256', secret).update(`${expiresAt}:${index}:${total}:${textHash}`).digest('base64url');
+};
+
+export function signPart(secret, part, now = Date.now()) {
+  const expiresAt = now + TOKEN_TTL_MS;
+  return `${expiresAt}.${signature(secret, part, expiresAt)}`;
+}
+
+export function verifyPart(secret, part, token, now = Date.now()) {
+  const [expires, given] = typeof token === 'string' ? token.split('.') : [];
+  const expiresAt = Number(expires);
+  if (!given || !Number.isInteger(expiresAt) || expiresAt <= now) return false;
+  const expected = Buffer.from(signature(secret, part, expiresAt));
+  const actual = Buffer.from(given);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
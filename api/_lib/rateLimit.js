@@ -0,0 +1,36 @@
+// Fixed-window per-IP rate limiter. State lives in the function instance, so
+// limits are per warm instance rather than global; that is enough to stop a
+// single client from burning through the model budget.
+
+const buckets = new Map();
+
+// The client can send its own X-Forwarded-For, so only the platform-set
+// X-Real-IP or the last hop (appended by our proxy) identifies it
+export function clientIp(req) {
+  if (req.headers['x-real-ip']) return String(req.headers['x-real-ip']).trim();
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',').pop().trim();
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+export function checkRateLimit(key, { limit, windowMs }, now = Date.now()) {
+  // Drop expired windows so the map cannot grow without bound
+  if (buckets.size > 10000) {
+    for (const [bucketKey, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(bucketKey);
+    }
+  }
+
+  let bucket = buckets.get(key);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + windowMs };
+    buckets.set(key, bucket);
+  }
+
+  bucket.count += 1;
+  return {
+    allowed: bucket.count <= limit,
+    remaining: Math.max(0, limit - bucket.count),
+    retryAfterSeconds: Math.ceil((bucket.resetAt - now) / 1000)
+  };
+}
@@ -0,0 +1,173 @@
+import { checkRateLimit, clientIp } from './_lib/rateLimit';
+import { signPart, verifyPart } from './_lib/partToken';
+import { extractDocumentText } from './_lib/extractText';
+import { combineDocuments } from '../src/utils/analysisPrompt';
+import { PROVIDERS, DEFAULT_LLM_SETTINGS, requestCompletion } from '../src/utils/llmProviders';
+import { analyzeChunk, planChunks, MAX_CHUNKS, MAX_CHUNK_GROWTH } from '../src/utils/chunkedAnalysis';
+import { ANALYZE_LIMITS } from '../src/utils/serverAnalysis';
+
+// POST /api/analyze, in two steps so that no request outlives the function's
+// time limit however long the document is:
+//   { files: [{ name, type, data }] } with base64 file contents extracts the
+//   text and returns { documentContent, maxInputChars, partTokens }, with
+//   the part size and a signed token for each part the text splits into;
+//   { part: { index, text }, total, token } analyzes one of those parts with
+//   the server-held key and returns { analysis, report }. That is one model
+//   call plus at most one follow-up. The browser splits (the same way),
+//   schedules and merges.
+//
+// Only the extract step counts against ANALYZE_RATE_LIMIT: part requests
+// are paid for by the extract that signed them.
+
+// Positive whole number from the environment; unset or malformed values
+// fall back to the default rather than disabling the route
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const MAX_REQUEST_BYTES = 4.5 * 1024 * 1024;
+const RATE_LIMIT = {
+  limit: envNumber('ANALYZE_RATE_LIMIT', 10),
+  windowMs: 10 * 60 * 1000
+};
+
+// Backstop against replaying signed parts; each analysis sends one request
+// per part
+const PART_RATE_LIMIT = { ...RATE_LIMIT, limit: RATE_LIMIT.limit * MAX_CHUNKS };
+
+const serverSettings = () => {
+  const provider = PROVIDERS[process.env.LLM_PROVIDER] && !PROVIDERS[process.env.LLM_PROVIDER].serverSide
+    ? process.env.LLM_PROVIDER
+    : 'openai';
+
+  return {
+    ...DEFAULT_LLM_SETTINGS,
+    provider,
+    baseUrl: process.env.LLM_BASE_URL || PROVIDERS[provider].defaultBaseUrl,
+    model: process.env.LLM_MODEL || PROVIDERS[provider].defaultModel,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '',
+    // Signs part tokens; the model key is secret and shared by every instance
+    tokenSecret: process.env.ANALYZE_TOKEN_SECRET || process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '',
+    maxTokens: envNumber('LLM_MAX_TOKENS', DEFAULT_LLM_SETTINGS.maxTokens),
+    maxInputChars: envNumber('LLM_MAX_INPUT_CHARS', DEFAULT_LLM_SETTINGS.maxInputChars)
+  };
+};
+
+const validateFiles = (body) => {
+  const files = body?.files;
+  if (!Array.isArray(files) || files.length === 0) {
+    return 'Please upload at least one file';
+  }
+  if (files.length > ANALYZE_LIMITS.maxFiles) {
+    return `Please upload at most ${ANALYZE_LIMITS.maxFiles} files at a time.`;
+  }
+  const invalid = files.find(file => !file || typeof file.name !== 'string' || typeof file.data !== 'string');
+  if (invalid) {
+    return 'Invalid file upload.';
+  }
+  const totalBytes = files.reduce((sum, file) => sum + Math.floor(file.data.length * 3 / 4), 0);
+  if (totalBytes > ANALYZE_LIMITS.maxTotalBytes) {
+    return `Documents are too large. The combined upload limit is ${ANALYZE_LIMITS.maxTotalBytes / 1024 / 1024}MB.`;
+  }
+  return null;
+};
+
+const validatePart = (body, settings) => {
+  const { part, total } = body;
+  if (!Number.isInteger(total) || total < 1 || total > MAX_CHUNKS ||
+    !Number.isInteger(part?.index) || part.index < 0 || part.index >= total || typeof part.text !== 'string' || !part.text.trim()) {
+    return 'Invalid document part.';
+  }
+  if (part.text.length > settings.maxInputChars * MAX_CHUNK_GROWTH) {
+    return 'Document part is too large.';
+  }
+  if (!verifyPart(settings.tokenSecret, { ...part, total }, body.token)) {
+    return 'Document part was not issued by this server or has expired. Please upload the documents again.';
+  }
+  return null;
+};
+
+const extract = async (req, res, settings) => {
+  const validationError = validateFiles(req.body);
+  if (validationError) {
+    const status = validationError.includes('too large') ? 413 : 400;
+    return res.status(status).json({ error: validationError });
+  }
+
+  const documents = [];
+  for (const file of req.body.files) {
+    try {
+      documents.push({ name: file.name, text: await extractDocumentText(file) });
+    } catch (extractError) {
+      return res.status(422).json({ error: `Failed to read ${file.name}: ${extractError.message}` });
+    }
+  }
+
+  const documentContent = combineDocuments(documents);
+  const { chunks } = planChunks(documentContent, settings.maxInputChars);
+  const total = chunks.length;
+  const partTokens = chunks.map(chunk => signPart(settings.tokenSecret, { index: chunk.index, total, text: chunk.text }));
+
+  res.setHeader('Cache-Control', 'no-store');
+  // The extracted text is split in the browser and backs the source viewer
+  return res.status(200).json({ documentContent, maxInputChars: settings.maxInputChars, partTokens });
+};
+
+const analyzePart = async (req, res, settings) => {
+  const validationError = validatePart(req.body, settings);
+  if (validationError) {
+    const status = validationError.includes('too large') ? 413 : validationError.includes('not issued') ? 403 : 400;
+    return res.status(status).json({ error: validationError });
+  }
+
+  try {
+    const { part, total } = req.body;
+    const { analysis, report } = await analyzeChunk(part, total, (prompt) => requestCompletion(settings, prompt));
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ analysis, report });
+  } catch (err) {
+    console.error('Analysis error:', err.message);
+    // Upstream rate limits keep their wording so the client retries with backoff
+    const status = err.message.includes('rate limit') ? 429 : 502;
+    const message = err.message.includes('API key')
+      ? 'The analysis service is not configured correctly. Please contact support.'
+      : err.message;
+    return res.status(status).json({ error: message });
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const contentLength = parseInt(req.headers['content-length'] || '0', 10);
+  if (contentLength > MAX_REQUEST_BYTES) {
+    return res.status(413).json({ error: 'Documents are too large for the analysis server.' });
+  }
+
+  const isPart = req.body?.part !== undefined;
+  const ip = clientIp(req);
+  const rate = isPart ? checkRateLimit(`${ip}:parts`, PART_RATE_LIMIT) : checkRateLimit(ip, RATE_LIMIT);
+  res.setHeader('X-RateLimit-Remaining', String(rate.remaining));
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', String(rate.retryAfterSeconds));
+    return res.status(429).json({
+      error: `Too many analyses from your network. Please wait ${Math.ceil(rate.retryAfterSeconds / 60)} minutes and try again.`
+    });
+  }
+
+  const settings = serverSettings();
+  if (PROVIDERS[settings.provider].requiresApiKey && !settings.apiKey) {
+    console.error('Analysis API is missing LLM_API_KEY / OPENAI_API_KEY');
+    return res.status(500).json({ error: 'The analysis service is not configured. Please contact support.' });
+  }
+  if (!settings.tokenSecret) {
+    console.error('Analysis API is missing ANALYZE_TOKEN_SECRET (needed when the provider has no key)');
+    return res.status(500).json({ error: 'The analysis service is not configured. Please contact support.' });
+  }
+
+  return isPart ? analyzePart(req, res, settings) : extract(req, res, settings);
+}
@@ -0,0 +1,105 @@
+import React from 'react';
+import { TrendingDown } from 'lucide-react';
+import { ANTI_DILUTION_TYPES } from '../utils/antiDilution';
+
+const inputClass = 'w-full px-3 py-2 border border-intrepid-gray/30 rounded-lg focus:outline-none focus:ring-2 focus:ring-intrepid-blue font-open-sans text-sm';
+const labelClass = 'block text-sm text-intrepid-dark/70 font-open-sans mb-1';
+
+const formatShares = (value) => Math.round(value).toLocaleString();
+
+const OWNERSHIP_ROWS = [
+  ['founders', 'Founders'],
+  ['common', 'All common (incl. founders & pool)'],
+  ['protectedSeries', 'This round (protected)'],
+  ['existingPreferred', 'Existing preferred'],
+  ['downRound', 'Down round investors']
+];
+
+// Down-round simulator for the anti-dilution protection in this term sheet.
+// The mechanism defaults to the extracted term (`extractedText`) and can be
+// overridden unless `readOnly`; `inputs` are owned by the parent.
+const AntiDilutionSimulator = ({ inputs, onChange, result, extractedText, extractedMechanism, readOnly = false }) => {
+  const update = (field, value) => onChange({ ...inputs, [field]: value });
+
+  return (
+    <fieldset disabled={readOnly} className="bg-white rounded-lg shadow-md p-6 min-w-0">
+      <h3 className="text-lg font-montserrat font-semibold mb-1 flex items-center text-intrepid-dark">
+        <TrendingDown className="mr-2 text-intrepid-blue" /> Down Round Anti-Dilution
+      </h3>
+      <p className="text-sm text-intrepid-dark/60 font-open-sans mb-4">
+        Term sheet: <span className="font-semibold text-intrepid-dark">{extractedText || 'not specified'}</span>
+        {inputs.mechanism !== extractedMechanism && <span className="ml-2 text-amber-700">(overridden)</span>}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+        <div>
+          <label className={labelClass}>Mechanism</label>
+          <select value={inputs.mechanism} onChange={(e) => update('mechanism', e.target.value)} className={inputClass}>
+            {Object.entries(ANTI_DILUTION_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Down Round Price / Share ($)</label>
+          <input type="number" step="0.01" value={inputs.newPrice} onChange={(e) => update('newPrice', parseFloat(e.target.value) || 0)} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Down Round Size ($)</label>
+          <input type="number" value={inputs.newInvestment} onChange={(e) => update('newInvestment', parseFloat(e.target.value) || 0)} className={inputClass} />
+        </div>
+      </div>
+
+      {result && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 font-open-sans text-sm">
+          <div className="space-y-2">
+            {!result.isDownRound && (
+              <p className="text-amber-700">The new price is not below ${result.originalPrice.toFixed(4)}, so no adjustment applies.</p>
+            )}
+            <div className="flex justify-between"><span className="text-intrepid-dark/70">Original conversion price</span><span>${result.originalPrice.toFixed(4)}</span></div>
+            <div className="flex justify-between">
+              <span className="text-intrepid-dark/70">Adjusted conversion price</span>
+              <span className="font-semibold text-intrepid-blue">${result.adjustedPrice.toFixed(4)}</span>
+            </div>
+            <div className="flex justify-between"><span className="text-intrepid-dark/70">Conversion shares</span><span>{formatShares(result.protectedShares)} → {formatShares(result.adjustedShares)}</span></div>
+            <div className="flex justify-between"><span className="text-intrepid-dark/70">Extra shares to this round</span><span className="font-semibold">{formatShares(result.extraShares)}</span></div>
+            <div className="flex justify-between"><span className="text-intrepid-dark/70">Down round shares issued</span><span>{formatShares(result.downRoundShares)}</span></div>
+            <div className="pt-2 border-t border-intrepid-gray/30 flex justify-between">
+              <span className="text-intrepid-dark/70">Extra founder dilution</span>
+              <span className="font-semibold text-red-600">{result.founderExtraDilution.toFixed(2)} pts</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-intrepid-dark/70">Extra common dilution</span>
+              <span className="font-semibold text-red-600">{result.commonExtraDilution.toFixed(2)} pts</span>
+            </div>
+          </div>
+
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-intrepid-dark/60 border-b border-intrepid-gray/30">
+                <th className="py-2">Ownership</th>
+                <th className="py-2 text-right">Today</th>
+                <th className="py-2 text-right">No protection</th>
+                <th className="py-2 text-right">{ANTI_DILUTION_TYPES[result.mechanism]}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {OWNERSHIP_ROWS
+                .filter(([key]) => result.withAdjustment[key] > 0)
+                .map(([key, label]) => (
+                  <tr key={key} className="border-b border-intrepid-gray/10">
+                    <td className="py-2 text-intrepid-dark/70">{label}</td>
+                    <td className="py-2 text-right">{result.before[key].toFixed(1)}%</td>
+                    <td className="py-2 text-right">{result.withoutAdjustment[key].toFixed(1)}%</td>
+                    <td className="py-2 text-right font-semibold">{result.withAdjustment[key].toFixed(1)}%</td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </fieldset>
+  );
+};
+
+export default AntiDilutionSimulator;
@@ -0,0 +1,173 @@
+import React from 'react';
+import { Users, Plus, Trash2, RefreshCw } from 'lucide-react';
+import { HOLDER_KINDS, createHolder } from '../utils/capTable';
+import { formatMoney } from '../utils/format';
+
+const inputClass = 'w-full px-2 py-1 border border-intrepid-gray/30 rounded focus:outline-none focus:ring-2 focus:ring-intrepid-blue font-open-sans text-sm';
+const labelClass = 'block text-sm text-intrepid-dark/70 font-open-sans mb-1';
+
+const formatShares = (value) => Math.round(value).toLocaleString();
+const parseNumber = (value) => (value === '' ? 0 : parseFloat(value) || 0);
+
+// Editable pro forma cap table. Every chart and calculator reads its
+// ownership from the `proForma` computed from this table. `readOnly`
+// disables editing, as in a shared view.
+const CapTableEditor = ({ capTable, proForma, onChange, onReset, readOnly = false }) => {
+  const updateRound = (field, value) => onChange({ ...capTable, round: { ...capTable.round, [field]: value } });
+  const updateHolder = (id, field, value) => onChange({
+    ...capTable,
+    holders: capTable.holders.map(holder => (holder.id === id ? { ...holder, [field]: value } : holder))
+  });
+  const addHolder = (kind) => onChange({ ...capTable, holders: [...capTable.holders, createHolder(kind)] });
+  const removeHolder = (id) => onChange({ ...capTable, holders: capTable.holders.filter(holder => holder.id !== id) });
+
+  const rowsById = Object.fromEntries((proForma?.rows || []).map(row => [row.id, row]));
+  const hasPreferred = capTable.holders.some(holder => holder.kind === 'preferred');
+
+  return (
+    <fieldset disabled={readOnly} className="bg-white rounded-lg shadow-md p-6 min-w-0">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-lg font-montserrat font-semibold flex items-center text-intrepid-dark">
+          <Users className="mr-2 text-intrepid-blue" /> Pro Forma Cap Table
+        </h3>
+        <button onClick={onReset} className="flex items-center text-sm text-intrepid-dark/60 hover:text-intrepid-blue font-open-sans">
+          <RefreshCw className="h-4 w-4 mr-1" /> Reset to extracted terms
+        </button>
+      </div>
+      <p className="text-sm text-intrepid-dark/60 font-open-sans mb-4">
+        Seeded from the term sheet with placeholder share counts. Enter your actual holdings; the waterfall and charts update from this table.
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+        <div>
+          <label className={labelClass}>Pre-Money ($)</label>
+          <input type="number" value={capTable.round.preMoney} onChange={(e) => updateRound('preMoney', parseNumber(e.target.value))} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>New Money ($)</label>
+          <input type="number" value={capTable.round.investment} onChange={(e) => updateRound('investment', parseNumber(e.target.value))} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Target Pool (% post)</label>
+          <input type="number" value={capTable.round.targetPoolPct} onChange={(e) => updateRound('targetPoolPct', parseNumber(e.target.value))} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Pool Top-Up</label>
+          <select value={capTable.round.poolExpandsPre ? 'pre' : 'post'} onChange={(e) => updateRound('poolExpandsPre', e.target.value === 'pre')} className={inputClass}>
+            <option value="pre">In pre-money</option>
+            <option value="post">In post-money</option>
+          </select>
+        </div>
+        {hasPreferred && (
+          <div>
+            <label className={labelClass}>New Round Preference</label>
+            <select value={capTable.round.seniority} onChange={(e) => updateRound('seniority', e.target.value)} className={inputClass}>
+              <option value="senior">Senior to existing</option>
+              <option value="pari-passu">Pari passu</option>
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm font-open-sans">
+          <thead>
+            <tr className="text-left text-intrepid-dark/60 border-b border-intrepid-gray/30">
+              <th className="py-2 pr-2">Holder</th>
+              <th className="py-2 pr-2">Class</th>
+              <th className="py-2 pr-2 text-right">Shares Before</th>
+              <th className="py-2 pr-2 text-right">Invested / Pref</th>
+              <th className="py-2 pr-2 text-right">% Before</th>
+              <th className="py-2 pr-2 text-right">Shares After</th>
+              <th className="py-2 pr-2 text-right">% After</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {capTable.holders.map(holder => {
+              const row = rowsById[holder.id];
+              return (
+                <tr key={holder.id} className="border-b border-intrepid-gray/10">
+                  <td className="py-1 pr-2">
+                    <input value={holder.name} onChange={(e) => updateHolder(holder.id, 'name', e.target.value)} className={inputClass} />
+                  </td>
+                  <td className="py-1 pr-2 text-intrepid-dark/70">{HOLDER_KINDS[holder.kind]}</td>
+                  <td className="py-1 pr-2">
+                    <input type="number" value={holder.shares} onChange={(e) => updateHolder(holder.id, 'shares', parseNumber(e.target.value))} className={`${inputClass} text-right`} />
+                  </td>
+                  <td className="py-1 pr-2">
+                    {holder.kind === 'preferred' && (
+                      <div className="flex gap-1">
+                        <input type="number" value={holder.investment} onChange={(e) => updateHolder(holder.id, 'investment', parseNumber(e.target.value))} className={`${inputClass} text-right`} aria-label="Amount invested" />
+                        <input type="number" step="0.1" value={holder.preferenceMultiple} onChange={(e) => updateHolder(holder.id, 'preferenceMultiple', parseNumber(e.target.value))} className={`${inputClass} w-16 text-right`} aria-label="Preference multiple" />
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-1 pr-2 text-right">{row ? `${row.pctBefore.toFixed(1)}%` : '—'}</td>
+                  <td className="py-1 pr-2 text-right">{row ? formatShares(row.sharesAfter) : '—'}</td>
+                  <td className="py-1 pr-2 text-right font-semibold">{row ? `${row.pctAfter.toFixed(1)}%` : '—'}</td>
+                  <td className="py-1 text-right">
+                    <button onClick={() => removeHolder(holder.id)} className="p-1 text-intrepid-dark/50 hover:text-red-600" aria-label={`Remove ${holder.name}`}>
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+            {proForma && proForma.rows
+              .filter(row => !capTable.holders.some(holder => holder.id === row.id))
+              .map(row => (
+                <tr key={row.id} className="border-b border-intrepid-gray/10 bg-intrepid-blue/5">
+                  <td className="py-2 pr-2 font-semibold text-intrepid-dark">{row.name}</td>
+                  <td className="py-2 pr-2 text-intrepid-dark/70">{row.kind === 'new-round' ? 'Preferred' : HOLDER_KINDS[row.kind]}</td>
+                  <td className="py-2 pr-2 text-right">—</td>
+                  <td className="py-2 pr-2 text-right">{row.investment ? formatMoney(row.investment, 2) : ''}</td>
+                  <td className="py-2 pr-2 text-right">—</td>
+                  <td className="py-2 pr-2 text-right">{formatShares(row.sharesAfter)}</td>
+                  <td className="py-2 pr-2 text-right font-semibold">{row.pctAfter.toFixed(1)}%</td>
+                  <td />
+                </tr>
+              ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-3">
+        {Object.entries(HOLDER_KINDS).map(([kind, label]) => (
+          <button key={kind} onClick={() => addHolder(kind)} className="flex items-center px-3 py-1 text-xs border border-intrepid-gray/30 rounded-full text-intrepid-dark hover:border-intrepid-blue font-open-sans">
+            <Plus className="h-3 w-3 mr-1" /> {label}
+          </button>
+        ))}
+      </div>
+
+      {proForma ? (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-6 pt-4 border-t border-intrepid-gray/30 font-open-sans">
+          <div>
+            <p className="text-xs text-intrepid-dark/60 uppercase tracking-wider">Price / Share</p>
+            <p className="text-lg font-montserrat font-bold text-intrepid-dark">${proForma.pricePerShare.toFixed(4)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-intrepid-dark/60 uppercase tracking-wider">FD Shares Before</p>
+            <p className="text-lg font-montserrat font-bold text-intrepid-dark">{formatShares(proForma.preRoundShares)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-intrepid-dark/60 uppercase tracking-wider">Pool Top-Up</p>
+            <p className="text-lg font-montserrat font-bold text-intrepid-dark">{formatShares(proForma.poolTopUp)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-intrepid-dark/60 uppercase tracking-wider">FD Shares After</p>
+            <p className="text-lg font-montserrat font-bold text-intrepid-dark">{formatShares(proForma.postRoundShares)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-intrepid-dark/60 uppercase tracking-wider">Post-Money</p>
+            <p className="text-lg font-montserrat font-bold text-intrepid-dark">{formatMoney(proForma.postMoney, 2)}</p>
+          </div>
+        </div>
+      ) : (
+        <p className="mt-4 text-sm text-amber-700 font-open-sans">Enter a pre-money valuation and at least one holder with shares to price the round.</p>
+      )}
+    </fieldset>
+  );
+};
+
+export default CapTableEditor;
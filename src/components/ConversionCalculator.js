@@ -0,0 +1,168 @@
+import React from 'react';
+import { Calculator, Plus, Trash2, AlertCircle } from 'lucide-react';
+import { INSTRUMENT_TYPES } from '../utils/conversion';
+import { formatMoney } from '../utils/format';
+
+const inputClass = 'w-full px-3 py-2 border border-intrepid-gray/30 rounded-lg focus:outline-none focus:ring-2 focus:ring-intrepid-blue font-open-sans text-sm';
+const labelClass = 'block text-sm text-intrepid-dark/70 font-open-sans mb-1';
+
+const formatShares = (value) => Math.round(value).toLocaleString();
+
+const METHOD_LABELS = {
+  cap: 'Valuation cap',
+  discount: 'Discount',
+  round: 'Round price'
+};
+
+const NumberField = ({ label, value, onChange, step = 'any' }) => (
+  <div>
+    <label className={labelClass}>{label}</label>
+    <input
+      type="number"
+      step={step}
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value === '' ? null : parseFloat(e.target.value))}
+      className={inputClass}
+    />
+  </div>
+);
+
+// Models the extracted SAFE or note converting into the next priced round.
+// `inputs` are owned by the parent so the waterfall can use the result;
+// `readOnly` disables editing them.
+const ConversionCalculator = ({ inputs, onChange, result, readOnly = false }) => {
+  const update = (field, value) => onChange({ ...inputs, [field]: value });
+  const updateOther = (index, field, value) => onChange({
+    ...inputs,
+    otherInstruments: inputs.otherInstruments.map((other, i) => (i === index ? { ...other, [field]: value } : other))
+  });
+  const addOther = () => onChange({
+    ...inputs,
+    otherInstruments: [
+      ...inputs.otherInstruments,
+      { name: `Other SAFE ${inputs.otherInstruments.length + 1}`, type: 'post-money-safe', principal: 500000, valuationCap: null, discountPct: null }
+    ]
+  });
+  const removeOther = (index) => onChange({ ...inputs, otherInstruments: inputs.otherInstruments.filter((_, i) => i !== index) });
+
+  const isNote = inputs.type === 'note';
+  const primary = result?.instruments[0];
+
+  return (
+    <fieldset disabled={readOnly} className="bg-white rounded-lg shadow-md p-6 min-w-0">
+      <h3 className="text-lg font-montserrat font-semibold mb-1 flex items-center text-intrepid-dark">
+        <Calculator className="mr-2 text-intrepid-blue" /> {isNote ? 'Note' : 'SAFE'} Conversion
+      </h3>
+      <p className="text-sm text-intrepid-dark/60 font-open-sans mb-4">
+        How this {isNote ? 'note' : 'SAFE'} converts into your next priced round and what it costs founders.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          <h4 className="font-montserrat font-semibold text-intrepid-dark">Instrument</h4>
+          <div>
+            <label className={labelClass}>Type</label>
+            <select value={inputs.type} onChange={(e) => update('type', e.target.value)} className={inputClass}>
+              {Object.entries(INSTRUMENT_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <NumberField label="Principal ($)" value={inputs.principal} onChange={(v) => update('principal', v)} />
+            <NumberField label="Valuation Cap ($)" value={inputs.valuationCap} onChange={(v) => update('valuationCap', v)} />
+            <NumberField label="Discount (%)" value={inputs.discountPct} onChange={(v) => update('discountPct', v)} />
+            {isNote && (
+              <NumberField label="Interest Rate (%)" value={inputs.interestRatePct} onChange={(v) => update('interestRatePct', v)} />
+            )}
+            {isNote && (
+              <NumberField label="Years Until Round" value={inputs.yearsOutstanding} onChange={(v) => update('yearsOutstanding', v)} />
+            )}
+            {isNote && (
+              <NumberField label="Maturity (years)" value={inputs.maturityYears} onChange={(v) => update('maturityYears', v)} />
+            )}
+          </div>
+          <label className="flex items-center text-sm font-open-sans text-intrepid-dark">
+            <input type="checkbox" checked={inputs.mfn} onChange={(e) => update('mfn', e.target.checked)} className="mr-2" />
+            Most-favored-nation (takes better terms given to the instruments below)
+          </label>
+
+          <div className="pt-3 border-t border-intrepid-gray/30">
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="font-montserrat font-semibold text-intrepid-dark text-sm">Other SAFEs & Notes</h4>
+              <button onClick={addOther} className="flex items-center text-sm text-intrepid-blue font-open-sans">
+                <Plus className="h-4 w-4 mr-1" /> Add
+              </button>
+            </div>
+            {inputs.otherInstruments.map((other, index) => (
+              <div key={index} className="grid grid-cols-5 gap-2 mb-2 items-end">
+                <input value={other.name} onChange={(e) => updateOther(index, 'name', e.target.value)} className={`${inputClass} col-span-2`} />
+                <input type="number" placeholder="Principal" value={other.principal ?? ''} onChange={(e) => updateOther(index, 'principal', parseFloat(e.target.value) || 0)} className={inputClass} />
+                <input type="number" placeholder="Cap" value={other.valuationCap ?? ''} onChange={(e) => updateOther(index, 'valuationCap', parseFloat(e.target.value) || null)} className={inputClass} />
+                <div className="flex items-center gap-1">
+                  <input type="number" placeholder="Disc %" value={other.discountPct ?? ''} onChange={(e) => updateOther(index, 'discountPct', parseFloat(e.target.value) || null)} className={inputClass} />
+                  <button onClick={() => removeOther(index)} className="p-1 text-intrepid-dark/50 hover:text-red-600" aria-label="Remove instrument">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <h4 className="font-montserrat font-semibold text-intrepid-dark">Next Priced Round</h4>
+          <div className="grid grid-cols-2 gap-3">
+            <NumberField label="Pre-Money Valuation ($)" value={inputs.nextRoundPreMoney} onChange={(v) => update('nextRoundPreMoney', v)} />
+            <NumberField label="New Money ($)" value={inputs.roundInvestment} onChange={(v) => update('roundInvestment', v)} />
+            <NumberField label="Fully Diluted Shares Today" value={inputs.preRoundShares} onChange={(v) => update('preRoundShares', v)} step="1" />
+            <NumberField label="Founder Shares" value={inputs.founderShares} onChange={(v) => update('founderShares', v)} step="1" />
+          </div>
+
+          {result && primary && (
+            <div className="mt-4 space-y-2 font-open-sans text-sm">
+              <div className="flex justify-between"><span className="text-intrepid-dark/70">Round price per share</span><span className="font-semibold">${result.roundPrice.toFixed(4)}</span></div>
+              <div className="flex justify-between"><span className="text-intrepid-dark/70">Cap price</span><span>{primary.capPrice ? `$${primary.capPrice.toFixed(4)}` : '—'}</span></div>
+              <div className="flex justify-between"><span className="text-intrepid-dark/70">Discount price</span><span>{primary.discountPrice ? `$${primary.discountPrice.toFixed(4)}` : '—'}</span></div>
+              <div className="flex justify-between">
+                <span className="text-intrepid-dark/70">Conversion price</span>
+                <span className="font-semibold text-intrepid-blue">${primary.conversionPrice.toFixed(4)} ({METHOD_LABELS[primary.method]})</span>
+              </div>
+              {primary.interest > 0 && (
+                <div className="flex justify-between"><span className="text-intrepid-dark/70">Accrued interest</span><span>{formatMoney(primary.interest, 2)}</span></div>
+              )}
+              {primary.mfnSource && (
+                <div className="flex justify-between"><span className="text-intrepid-dark/70">MFN terms from</span><span>{primary.mfnSource}</span></div>
+              )}
+              <div className="flex justify-between"><span className="text-intrepid-dark/70">Shares issued</span><span className="font-semibold">{formatShares(primary.shares)} ({primary.ownershipPct.toFixed(2)}%)</span></div>
+              <div className="flex justify-between"><span className="text-intrepid-dark/70">All conversions</span><span>{formatShares(result.conversionShares)} shares</span></div>
+              <div className="flex justify-between"><span className="text-intrepid-dark/70">New investors</span><span>{formatShares(result.newInvestorShares)} ({result.newInvestorPct.toFixed(2)}%)</span></div>
+              <div className="pt-2 border-t border-intrepid-gray/30 flex justify-between">
+                <span className="text-intrepid-dark/70">Founder ownership</span>
+                <span className="font-semibold">
+                  {result.founder.ownershipBefore.toFixed(1)}% → <span className="text-intrepid-green">{result.founder.ownershipAfter.toFixed(1)}%</span>
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-intrepid-dark/70">Dilution from SAFEs & notes</span>
+                <span className="font-semibold text-red-600">{result.founder.dilutionFromConversions.toFixed(1)} pts</span>
+              </div>
+            </div>
+          )}
+
+          {result?.warnings.length > 0 && (
+            <ul className="mt-3 space-y-1">
+              {result.warnings.map(warning => (
+                <li key={warning} className="flex items-start text-sm text-amber-700 font-open-sans">
+                  <AlertCircle className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" /> {warning}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </fieldset>
+  );
+};
+
+export default ConversionCalculator;
@@ -0,0 +1,144 @@
+import React from 'react';
+import { Download, FileSignature, RotateCcw, Wand2 } from 'lucide-react';
+import { COUNTER_FIELDS, buildCounterTermSheet, editsFromPlaybook, setCounterEdit } from '../utils/counterTermSheet';
+import { IMPACT_SECTIONS } from '../utils/offerComparison';
+import { valueAt } from '../utils/paths';
+
+const inputClass = 'w-full px-2 py-1 border border-intrepid-gray/30 rounded focus:outline-none focus:ring-2 focus:ring-intrepid-blue font-open-sans text-sm';
+const buttonClass = 'flex items-center gap-2 px-4 py-2 bg-white rounded-lg hover:shadow-sm transition-all font-open-sans text-sm text-intrepid-dark border border-gray-200';
+
+const displayValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number') return value.toLocaleString('en-US');
+  return String(value);
+};
+
+// Counter-proposal editor: the extracted terms as a starting point, the
+// user's edits on top, and a redline preview of the provisions that change
+const CounterTermSheet = ({ analysis, edits, onChange, playbook, series, onDownload }) => {
+  const sheet = buildCounterTermSheet(analysis, edits, { series });
+  const changed = sheet.sections.flatMap(section => section.provisions).filter(provision => provision.changed);
+
+  const setEdit = (path, value) => onChange(setCounterEdit(analysis, edits, path, value));
+
+  const renderInput = (field) => {
+    const value = field.path in edits ? edits[field.path] : valueAt(analysis, field.path);
+    if (field.type === 'number') {
+      return (
+        <input
+          type="number"
+          min="0"
+          value={value ?? ''}
+          onChange={(e) => setEdit(field.path, e.target.value === '' ? null : parseFloat(e.target.value))}
+          className={inputClass}
+        />
+      );
+    }
+    if (field.type === 'boolean') {
+      return (
+        <select
+          value={value === true ? 'yes' : value === false ? 'no' : ''}
+          onChange={(e) => setEdit(field.path, e.target.value === '' ? null : e.target.value === 'yes')}
+          className={inputClass}
+        >
+          <option value="">Not stated</option>
+          <option value="yes">Yes</option>
+          <option value="no">No</option>
+        </select>
+      );
+    }
+    if (field.type === 'select') {
+      return (
+        <select value={value || ''} onChange={(e) => setEdit(field.path, e.target.value || null)} className={inputClass}>
+          <option value="">Not stated</option>
+          {Object.entries(field.options).map(([option, label]) => <option key={option} value={option}>{label}</option>)}
+        </select>
+      );
+    }
+    return <input type="text" value={value || ''} onChange={(e) => setEdit(field.path, e.target.value)} className={inputClass} />;
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-8 border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+        <h3 className="text-2xl font-montserrat font-bold text-intrepid-dark flex items-center">
+          <div className="h-10 w-10 bg-gradient-to-br from-intrepid-blue/10 to-intrepid-green/10 rounded-lg flex items-center justify-center mr-3">
+            <FileSignature className="h-5 w-5 text-intrepid-blue" />
+          </div>
+          Counter Term Sheet
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          {playbook.length > 0 && (
+            <button onClick={() => onChange({ ...edits, ...editsFromPlaybook(playbook) })} className={buttonClass}>
+              <Wand2 className="h-4 w-4 text-intrepid-blue" />
+              Use Playbook Asks
+            </button>
+          )}
+          {Object.keys(edits).length > 0 && (
+            <button onClick={() => onChange({})} className={buttonClass}>
+              <RotateCcw className="h-4 w-4 text-intrepid-dark/60" />
+              Reset
+            </button>
+          )}
+          <button onClick={() => onDownload(sheet, 'docx')} className={buttonClass}>
+            <Download className="h-4 w-4 text-intrepid-green" />
+            DOCX
+          </button>
+          <button onClick={() => onDownload(sheet, 'md')} className={buttonClass}>
+            <Download className="h-4 w-4 text-intrepid-green" />
+            Markdown
+          </button>
+        </div>
+      </div>
+      <p className="text-sm font-open-sans text-intrepid-dark/60 mb-6">
+        Edit the terms to counter with. The download fills an NVCA-style {series} summary of terms and marks every changed provision; the DOCX uses tracked changes.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        {Object.entries(COUNTER_FIELDS).map(([section, fields]) => (
+          <div key={section}>
+            <h4 className="font-montserrat font-semibold text-intrepid-dark mb-2">{IMPACT_SECTIONS[section]}</h4>
+            <div className="space-y-2">
+              {fields.map(field => (
+                <div key={field.path} className="grid grid-cols-5 gap-2 items-center">
+                  <label className="col-span-2 text-sm font-open-sans text-intrepid-dark/70">{field.label}</label>
+                  <div className={`col-span-3 ${field.path in edits ? 'ring-2 ring-intrepid-green/40 rounded' : ''}`}>
+                    {renderInput(field)}
+                  </div>
+                  {field.path in edits && (
+                    <p className="col-span-3 col-start-3 text-xs font-open-sans text-intrepid-dark/50">
+                      Was: {displayValue(valueAt(analysis, field.path))}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <h4 className="font-montserrat font-semibold text-intrepid-dark mb-2">Changed Provisions ({changed.length})</h4>
+      {changed.length > 0 ? (
+        <div className="space-y-3 text-sm font-open-sans text-intrepid-dark">
+          {changed.map(provision => (
+            <div key={provision.id} className="p-3 rounded border-l-4 border-intrepid-blue bg-intrepid-blue/5">
+              <p className="font-semibold mb-1">{provision.title}</p>
+              <p>
+                {provision.parts.map((part, index) => {
+                  if (part.type === 'added') return <ins key={index} className="bg-intrepid-green/20 no-underline">{part.text}</ins>;
+                  if (part.type === 'removed') return <del key={index} className="bg-red-100 text-red-800">{part.text}</del>;
+                  return <span key={index}>{part.text}</span>;
+                })}
+              </p>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm font-open-sans text-intrepid-dark/60">No changes yet; the download would restate the terms as drafted.</p>
+      )}
+    </div>
+  );
+};
+
+export default CounterTermSheet;
@@ -0,0 +1,90 @@
+import React, { useEffect, useRef } from 'react';
+import { FileText, X, AlertCircle } from 'lucide-react';
+
+// Where to scroll for a citation whose quote was not found verbatim: the
+// page marker the model cited, if the document has one
+const fallbackRange = (documentText, citation) => {
+  if (!citation?.page) return null;
+  const marker = `--- Page ${citation.page} ---`;
+  const start = documentText.indexOf(marker);
+  return start === -1 ? null : { start, end: start + marker.length };
+};
+
+const DocumentViewer = ({ documentText, citations, activePath, onSelect, onClose }) => {
+  const containerRef = useRef(null);
+  const markRef = useRef(null);
+  const active = citations.find(citation => citation.path === activePath) || citations[0];
+
+  const range = active?.verified ? { start: active.start, end: active.end } : fallbackRange(documentText, active);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const mark = markRef.current;
+    if (container && mark) {
+      container.scrollTop = Math.max(0, mark.offsetTop - container.clientHeight / 3);
+    }
+  }, [active?.path, documentText]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 lg:sticky lg:top-4">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-montserrat font-semibold text-intrepid-dark flex items-center">
+          <FileText className="mr-2 h-5 w-5 text-intrepid-blue" /> Source Document
+        </h3>
+        <button onClick={onClose} className="p-1 text-intrepid-dark/50 hover:text-intrepid-dark" aria-label="Close source viewer">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {citations.map(citation => (
+          <button
+            key={citation.path}
+            onClick={() => onSelect(citation.path)}
+            className={`px-3 py-1 rounded-full text-xs font-open-sans border transition-colors ${
+              citation.path === active?.path
+                ? 'bg-intrepid-blue text-white border-intrepid-blue'
+                : 'bg-white text-intrepid-dark border-intrepid-gray/40 hover:border-intrepid-blue'
+            }`}
+          >
+            {citation.label}{citation.page ? ` · p. ${citation.page}` : ''}
+          </button>
+        ))}
+      </div>
+
+      {active && (
+        <div className="mb-4 text-sm font-open-sans">
+          <p className="text-intrepid-dark/70">
+            {active.file ? `${active.file}` : 'Document'}{active.page ? `, page ${active.page}` : ''}
+          </p>
+          {!active.verified && (
+            <div className="mt-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-amber-800 flex items-start">
+              <AlertCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+              <span>
+                This quote could not be found word for word in the document{active.page ? `; showing page ${active.page} as cited` : ''}:
+                <span className="block mt-1 italic">"{active.quote}"</span>
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div
+        ref={containerRef}
+        className="relative max-h-[70vh] overflow-y-auto whitespace-pre-wrap font-mono text-xs leading-relaxed text-intrepid-dark/80 bg-intrepid-gray/10 rounded-lg p-4"
+      >
+        {range ? (
+          <>
+            {documentText.slice(0, range.start)}
+            <mark ref={markRef} className={active.verified ? 'bg-yellow-200 text-intrepid-dark rounded px-0.5' : 'bg-intrepid-gray/40 rounded px-0.5'}>
+              {documentText.slice(range.start, range.end)}
+            </mark>
+            {documentText.slice(range.end)}
+          </>
+        ) : documentText}
+      </div>
+    </div>
+  );
+};
+
+export default DocumentViewer;
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { FileDiff } from 'lucide-react';
+import { diffDrafts } from '../utils/draftDiff';
+
+const selectClass = 'px-2 py-1 border border-intrepid-gray/30 rounded focus:outline-none focus:ring-2 focus:ring-intrepid-blue font-open-sans text-sm';
+
+const CLAUSE_STYLES = {
+  added: 'border-l-4 border-intrepid-green bg-intrepid-green/5',
+  removed: 'border-l-4 border-red-400 bg-red-50',
+  modified: 'border-l-4 border-intrepid-blue bg-intrepid-blue/5'
+};
+
+const Words = ({ words }) => (
+  <p className="whitespace-pre-wrap">
+    {words.map((part, index) => {
+      if (part.type === 'added') return <ins key={index} className="bg-intrepid-green/20 no-underline">{part.text}</ins>;
+      if (part.type === 'removed') return <del key={index} className="bg-red-100 text-red-800">{part.text}</del>;
+      return <span key={index}>{part.text}</span>;
+    })}
+  </p>
+);
+
+// Redline between two separately analyzed drafts (oldest first): extracted
+// field changes and clause changes, each rated for founders
+const DraftRedline = ({ drafts, renderImpactBadge, onSelect }) => {
+  const [fromIndex, setFromIndex] = useState(Math.max(0, drafts.length - 2));
+  const [toIndex, setToIndex] = useState(drafts.length - 1);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  const redline = diffDrafts(drafts[fromIndex], drafts[toIndex]);
+  const clauseChanges = redline.clauses.filter(clause => showUnchanged || clause.type !== 'unchanged');
+  const changedCount = redline.clauses.filter(clause => clause.type !== 'unchanged').length;
+
+  const draftSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(parseInt(e.target.value, 10))} className={selectClass}>
+      {drafts.map((draft, index) => (
+        <option key={draft.name} value={index}>{`Draft ${index + 1}: ${draft.name}`}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-8 border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <h3 className="text-2xl font-montserrat font-bold text-intrepid-dark flex items-center">
+          <div className="h-10 w-10 bg-gradient-to-br from-intrepid-blue/10 to-intrepid-green/10 rounded-lg flex items-center justify-center mr-3">
+            <FileDiff className="h-5 w-5 text-intrepid-blue" />
+          </div>
+          Draft Redline
+        </h3>
+        <div className="flex flex-wrap items-center gap-2 text-sm font-open-sans text-intrepid-dark/70">
+          {draftSelect(fromIndex, setFromIndex)}
+          <span>→</span>
+          {draftSelect(toIndex, setToIndex)}
+          <button onClick={() => onSelect(toIndex)} className="text-intrepid-blue">Open in detail</button>
+        </div>
+      </div>
+
+      <h4 className="font-montserrat font-semibold text-intrepid-dark mb-2">Term Changes</h4>
+      {redline.fields.length > 0 ? (
+        <table className="w-full text-sm font-open-sans mb-8">
+          <thead>
+            <tr className="text-left border-b border-intrepid-gray/20">
+              <th className="py-2 font-montserrat font-semibold text-intrepid-dark">Term</th>
+              <th className="py-2 font-montserrat font-semibold text-intrepid-dark">Previous</th>
+              <th className="py-2 font-montserrat font-semibold text-intrepid-dark">New</th>
+              <th className="py-2 font-montserrat font-semibold text-intrepid-dark text-right">For Founders</th>
+            </tr>
+          </thead>
+          <tbody>
+            {redline.fields.map(change => (
+              <tr key={change.path} className="border-b border-intrepid-gray/10">
+                <td className="py-2 text-intrepid-dark/70">{change.label}</td>
+                <td className="py-2 text-red-800 line-through">{change.from}</td>
+                <td className="py-2 text-intrepid-dark font-semibold">{change.to}</td>
+                <td className="py-2 text-right">{renderImpactBadge(change.impact)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-sm font-open-sans text-intrepid-dark/60 mb-8">No extracted terms changed.</p>
+      )}
+
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-montserrat font-semibold text-intrepid-dark">Clause Changes ({changedCount})</h4>
+        <label className="flex items-center text-xs font-open-sans text-intrepid-dark/60">
+          <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} className="mr-1" />
+          Show unchanged clauses
+        </label>
+      </div>
+      <div className="space-y-3 max-h-[40rem] overflow-y-auto text-sm font-open-sans text-intrepid-dark">
+        {clauseChanges.map((clause, index) => (
+          <div key={index} className={`p-3 rounded ${CLAUSE_STYLES[clause.type] || 'text-intrepid-dark/50'}`}>
+            {clause.type !== 'unchanged' && (
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-xs uppercase tracking-wider text-intrepid-dark/60">{clause.type}</span>
+                {clause.impact ? (
+                  <span title={clause.rating === 'rules' ? `Rated by: ${clause.rules.map(rule => rule.title).join(', ')}` : undefined}>
+                    {renderImpactBadge(clause.impact)}
+                  </span>
+                ) : (
+                  <span className="text-xs text-intrepid-dark/50">Unrated - review</span>
+                )}
+              </div>
+            )}
+            {clause.type === 'modified' && <Words words={clause.words} />}
+            {clause.type === 'added' && <p className="whitespace-pre-wrap">{clause.newText}</p>}
+            {clause.type === 'removed' && <p className="whitespace-pre-wrap line-through text-red-800">{clause.oldText}</p>}
+            {clause.type === 'unchanged' && <p className="whitespace-pre-wrap">{clause.newText}</p>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DraftRedline;
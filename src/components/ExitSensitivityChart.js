@@ -0,0 +1,78 @@
+import React from 'react';
+import { Activity } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { formatMoney } from '../utils/format';
+
+const BREAKPOINT_COLORS = {
+  'founders-paid': '#5AC278',
+  'cap-binds': '#f59e0b',
+  conversion: '#5093A6'
+};
+
+// Investor and founder proceeds across exit values, with the breakpoints
+// from sweepExits() marked
+const ExitSensitivityChart = ({ sweep, maxExit, onMaxExitChange, currentExit }) => {
+  const chartData = sweep.points.map(point => ({
+    exit: point.exitValue / 1000000,
+    investor: point.investorProceeds / 1000000,
+    founders: point.founderProceeds / 1000000,
+    founderPct: point.founderPct
+  }));
+
+  return (
+    <div className="mt-6 bg-white rounded-xl p-6 border border-gray-100" data-report-chart="Exit Sensitivity">
+      <div className="flex items-center justify-between mb-6">
+        <h4 className="text-lg font-montserrat font-semibold text-intrepid-dark flex items-center">
+          <Activity className="h-5 w-5 mr-2 text-intrepid-blue" /> Exit Sensitivity
+        </h4>
+        <label className="flex items-center text-sm font-open-sans text-intrepid-dark/70">
+          Sweep up to $
+          <input
+            type="number"
+            value={maxExit / 1000000}
+            onChange={(e) => onMaxExitChange((parseFloat(e.target.value) || 0) * 1000000)}
+            className="w-24 mx-1 px-2 py-1 border border-intrepid-gray/30 rounded focus:outline-none focus:ring-2 focus:ring-intrepid-blue"
+          />
+          M
+        </label>
+      </div>
+
+      <ResponsiveContainer width="100%" height={320}>
+        <LineChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e5e5" />
+          <XAxis dataKey="exit" type="number" domain={[0, maxExit / 1000000]} tickFormatter={(value) => `$${value}M`} tick={{ fontSize: 12 }} />
+          <YAxis yAxisId="money" tickFormatter={(value) => `$${value}M`} tick={{ fontSize: 12 }} />
+          <YAxis yAxisId="pct" orientation="right" domain={[0, 100]} tickFormatter={(value) => `${value}%`} tick={{ fontSize: 12 }} />
+          <Tooltip
+            labelFormatter={(value) => `Exit $${Number(value).toFixed(1)}M`}
+            formatter={(value, name) => (name === 'Founder %' ? `${value.toFixed(1)}%` : `$${value.toFixed(2)}M`)}
+          />
+          <Legend />
+          <Line yAxisId="money" type="linear" dataKey="investor" name="Investor proceeds" stroke="#5093A6" strokeWidth={2} dot={false} />
+          <Line yAxisId="money" type="linear" dataKey="founders" name="Founder proceeds" stroke="#5AC278" strokeWidth={2} dot={false} />
+          <Line yAxisId="pct" type="linear" dataKey="founderPct" name="Founder %" stroke="#1f2937" strokeDasharray="4 4" dot={false} />
+          {sweep.breakpoints.map(breakpoint => (
+            <ReferenceLine key={breakpoint.id} yAxisId="money" x={breakpoint.exitValue / 1000000} stroke={BREAKPOINT_COLORS[breakpoint.id]} strokeDasharray="3 3" />
+          ))}
+          {currentExit <= maxExit && (
+            <ReferenceLine yAxisId="money" x={currentExit / 1000000} stroke="#9ca3af" label={{ value: 'Selected', position: 'top', fontSize: 11 }} />
+          )}
+        </LineChart>
+      </ResponsiveContainer>
+
+      {sweep.breakpoints.length > 0 && (
+        <ul className="mt-4 space-y-1 text-sm font-open-sans">
+          {sweep.breakpoints.map(breakpoint => (
+            <li key={breakpoint.id} className="flex items-center">
+              <span className="h-3 w-3 rounded-full mr-2" style={{ backgroundColor: BREAKPOINT_COLORS[breakpoint.id] }} />
+              <span className="text-intrepid-dark/70">{breakpoint.label}</span>
+              <span className="ml-auto font-semibold text-intrepid-dark">{formatMoney(breakpoint.exitValue)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExitSensitivityChart;
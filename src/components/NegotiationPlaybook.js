@@ -0,0 +1,80 @@
+import React from 'react';
+import { Download, Handshake, Plus } from 'lucide-react';
+import { BENCHMARK_LABELS, formatPercentile } from '../utils/benchmarks';
+import { formatMoney } from '../utils/format';
+
+// Counter-proposals for every flagged term. Options the waterfall can price
+// show the founder gain at `exitValue` and can be added as a scenario.
+const NegotiationPlaybook = ({ playbook, exitValue, renderImpactBadge, onAddScenario, onExport }) => {
+  const option = (entry, itemTitle) => (
+    <span>
+      {entry.text}
+      {entry.savings !== null && (
+        <span className="ml-2 text-intrepid-green font-semibold">+{formatMoney(entry.savings)}</span>
+      )}
+      {entry.overrides && (
+        <button
+          onClick={() => onAddScenario(`${itemTitle}: ${entry.text}`, entry.overrides)}
+          className="ml-2 inline-flex items-center text-xs text-intrepid-blue hover:text-intrepid-blue/80"
+          title="Add as a scenario in the waterfall calculator"
+        >
+          <Plus className="h-3 w-3 mr-0.5" /> Scenario
+        </button>
+      )}
+    </span>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-8 border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+        <h3 className="text-2xl font-montserrat font-bold text-intrepid-dark flex items-center">
+          <div className="h-10 w-10 bg-gradient-to-br from-intrepid-blue/10 to-intrepid-green/10 rounded-lg flex items-center justify-center mr-3">
+            <Handshake className="h-5 w-5 text-intrepid-blue" />
+          </div>
+          Negotiation Playbook
+        </h3>
+        <button
+          onClick={onExport}
+          className="flex items-center gap-2 px-4 py-2 bg-white rounded-lg hover:shadow-sm transition-all font-open-sans text-sm text-intrepid-dark border border-gray-200"
+        >
+          <Download className="h-4 w-4 text-intrepid-green" />
+          One-Page Brief
+        </button>
+      </div>
+      <p className="text-sm font-open-sans text-intrepid-dark/60 mb-6">
+        Gains are founder proceeds at the {formatMoney(exitValue)} exit against the terms as drafted.
+      </p>
+
+      <div className="space-y-4">
+        {playbook.map(item => (
+          <div key={item.id} className="p-4 rounded-lg border border-intrepid-gray/20">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <div>
+                <span className="font-montserrat font-semibold text-intrepid-dark">{item.title}</span>
+                <span className="ml-2 text-sm font-open-sans text-intrepid-dark/60">Now: {item.current}</span>
+                {item.benchmark && (
+                  <span className="ml-2 text-xs font-open-sans text-intrepid-dark/50">
+                    {BENCHMARK_LABELS[item.benchmark.label]}{item.benchmark.percentile !== null ? `, ${formatPercentile(item.benchmark.percentile)}` : ''}
+                  </span>
+                )}
+              </div>
+              {renderImpactBadge(item.severity)}
+            </div>
+            {item.match && <p className="text-xs font-open-sans italic text-intrepid-dark/50 mb-2">"{item.match}"</p>}
+            <div className="text-sm font-open-sans text-intrepid-dark space-y-1">
+              <p><span className="font-semibold">Ask:</span> {option(item.ask, item.title)}</p>
+              {item.fallbacks.map((fallback, index) => (
+                <p key={index}><span className="font-semibold text-intrepid-dark/70">Fallback {index + 1}:</span> {option(fallback, item.title)}</p>
+              ))}
+            </div>
+            <ul className="mt-2 space-y-1 text-sm font-open-sans text-intrepid-dark/70 list-disc pl-5">
+              {item.talkingPoints.map((point, index) => <li key={index}>{point}</li>)}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default NegotiationPlaybook;
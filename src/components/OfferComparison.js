@@ -0,0 +1,105 @@
+import React from 'react';
+import { GitCompare, Trophy } from 'lucide-react';
+import {
+  IMPACT_SECTIONS, bestOfferByExit, compareTerms, offerWaterfallModel, outcomesAtExits
+} from '../utils/offerComparison';
+import { inferStage, scoreTerms, sectionImpact } from '../utils/benchmarks';
+import { formatMoney } from '../utils/format';
+
+const offerLabel = (index) => `Offer ${String.fromCharCode(65 + index)}`;
+
+// Side-by-side view of competing offers, each analysed on its own.
+// `exitValues` are the exits to compare at (the user's scenarios).
+const OfferComparison = ({ offers, activeOffer, onSelect, exitValues, renderImpactBadge }) => {
+  const analyses = offers.map(offer => offer.analysis);
+  const rows = compareTerms(analyses);
+  const models = analyses.map(analysis => offerWaterfallModel(analysis));
+  const outcomes = outcomesAtExits(models, exitValues);
+  const maxExit = Math.max(...exitValues, 1) * 1.5;
+  const ranges = bestOfferByExit(models, maxExit).filter(range => range.offer !== null);
+  const benchmarkScores = offers.map(offer => scoreTerms(offer.analysis, inferStage(offer.analysis, offer.documentContent)));
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-8 border border-gray-100">
+      <h3 className="text-2xl font-montserrat font-bold text-intrepid-dark flex items-center mb-6">
+        <div className="h-10 w-10 bg-gradient-to-br from-intrepid-blue/10 to-intrepid-green/10 rounded-lg flex items-center justify-center mr-3">
+          <GitCompare className="h-5 w-5 text-intrepid-blue" />
+        </div>
+        Compare Offers
+      </h3>
+
+      {/* Which offer is better at what exit */}
+      <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+        <p className="text-xs font-montserrat font-semibold text-intrepid-dark/60 uppercase tracking-wider mb-2 flex items-center">
+          <Trophy className="h-4 w-4 mr-1 text-intrepid-green" /> Best for founders by exit value
+        </p>
+        {ranges.length > 0 ? (
+          <ul className="space-y-1 text-sm font-open-sans text-intrepid-dark">
+            {ranges.map(range => (
+              <li key={`${range.offer}-${range.from}`}>
+                <span className="font-semibold">{offerLabel(range.offer)}</span> ({offers[range.offer].name}) from {formatMoney(range.from)} to {range.to >= maxExit ? `${formatMoney(range.to)}+` : formatMoney(range.to)}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm font-open-sans text-intrepid-dark/70">The offers pay founders the same across these exits.</p>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm font-open-sans">
+          <thead>
+            <tr className="border-b border-intrepid-gray/20">
+              <th className="text-left py-2 font-montserrat font-semibold text-intrepid-dark">Term</th>
+              {offers.map((offer, index) => (
+                <th key={offer.name} className="text-left py-2 px-3 font-montserrat font-semibold text-intrepid-dark">
+                  <button onClick={() => onSelect(index)} className={`text-left ${index === activeOffer ? 'text-intrepid-blue' : 'hover:text-intrepid-blue'}`}>
+                    {offerLabel(index)}
+                    <span className="block text-xs font-open-sans font-normal text-intrepid-dark/60 truncate max-w-[12rem]">{offer.name}</span>
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-b border-intrepid-gray/10">
+              <td className="py-2 text-intrepid-dark/70">Founder impact</td>
+              {analyses.map((analysis, index) => (
+                <td key={index} className="py-2 px-3">
+                  <div className="flex flex-wrap gap-1">
+                    {Object.entries(IMPACT_SECTIONS).map(([section, label]) => (
+                      <span key={section} title={label}>{renderImpactBadge(sectionImpact(analysis[section]?.founderImpact, benchmarkScores[index], section))}</span>
+                    ))}
+                  </div>
+                </td>
+              ))}
+            </tr>
+            {rows.filter(row => row.values.some(value => value !== null && value !== undefined)).map(row => (
+              <tr key={row.path} className={`border-b border-intrepid-gray/10 ${row.differs ? '' : 'text-intrepid-dark/50'}`}>
+                <td className="py-2 text-intrepid-dark/70">{row.label}</td>
+                {row.formatted.map((value, index) => (
+                  <td key={index} className={`py-2 px-3 ${row.best.includes(index) ? 'font-semibold text-intrepid-green' : ''}`}>{value}</td>
+                ))}
+              </tr>
+            ))}
+            {outcomes.map(outcome => (
+              <tr key={outcome.exitValue} className="border-b border-intrepid-gray/10 bg-intrepid-blue/5">
+                <td className="py-2 text-intrepid-dark/70">Founders at {formatMoney(outcome.exitValue)} exit</td>
+                {outcome.proceeds.map((value, index) => (
+                  <td key={index} className={`py-2 px-3 ${outcome.best.includes(index) && outcome.best.length < offers.length ? 'font-semibold text-intrepid-green' : ''}`}>
+                    {value === null ? '—' : formatMoney(value)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-3 text-xs font-open-sans text-intrepid-dark/50">
+        Green marks the more founder-friendly side. Proceeds use each offer's extracted terms with placeholder share counts; select an offer to model it in detail.
+      </p>
+    </div>
+  );
+};
+
+export default OfferComparison;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { FileDown, Loader2 } from 'lucide-react';
+import { REPORT_SECTIONS } from '../utils/pdfReport';
+
+// Export button with a section picker; `onGenerate(sectionIds)` builds and
+// downloads the report and may reject
+const PdfReportMenu = ({ onGenerate }) => {
+  const [open, setOpen] = useState(false);
+  const [selected, setSelected] = useState(REPORT_SECTIONS.map(section => section.id));
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggle = (id) => setSelected(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+
+  const generate = async () => {
+    setGenerating(true);
+    setError(null);
+    try {
+      await onGenerate(selected);
+      setOpen(false);
+    } catch (err) {
+      setError(`Could not build the report: ${err.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-2 px-4 py-2 bg-white rounded-lg hover:shadow-sm transition-all font-open-sans text-sm text-intrepid-dark border border-gray-200"
+      >
+        <FileDown className="h-4 w-4 text-intrepid-blue" />
+        PDF Report
+      </button>
+      {open && (
+        <div className="absolute right-0 bottom-full mb-2 z-10 w-60 p-4 bg-white rounded-lg shadow-md border border-gray-200">
+          <p className="text-xs font-montserrat font-semibold text-intrepid-dark/60 uppercase tracking-wider mb-2">Include</p>
+          <div className="space-y-1 mb-3">
+            {REPORT_SECTIONS.map(section => (
+              <label key={section.id} className="flex items-center gap-2 text-sm font-open-sans text-intrepid-dark">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(section.id)}
+                  onChange={() => toggle(section.id)}
+                  className="rounded text-intrepid-blue focus:ring-intrepid-blue"
+                />
+                {section.label}
+              </label>
+            ))}
+          </div>
+          {error && <p className="text-xs font-open-sans text-red-700 mb-2">{error}</p>}
+          <button
+            onClick={generate}
+            disabled={generating || selected.length === 0}
+            className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-intrepid-blue text-white rounded-lg hover:bg-intrepid-blue/90 transition-all font-open-sans text-sm disabled:opacity-50"
+          >
+            {generating ? <Loader2 className="h-4 w-4 animate-spin" /> : <FileDown className="h-4 w-4" />}
+            {generating ? 'Building…' : 'Download PDF'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PdfReportMenu;
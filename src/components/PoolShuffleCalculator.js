@@ -0,0 +1,120 @@
+import React from 'react';
+import { Shuffle } from 'lucide-react';
+import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer } from 'recharts';
+import { comparePoolStructures } from '../utils/poolShuffle';
+import { formatMoney } from '../utils/format';
+
+const inputClass = 'w-full px-3 py-2 border border-intrepid-gray/30 rounded-lg focus:outline-none focus:ring-2 focus:ring-intrepid-blue font-open-sans text-sm';
+const labelClass = 'block text-sm text-intrepid-dark/70 font-open-sans mb-1';
+
+const slicesFor = (proForma) => [
+  { name: 'New Round', value: proForma.ownership.newRound, fill: '#5093A6' },
+  { name: 'Founders', value: proForma.ownership.founders, fill: '#5AC278' },
+  { name: 'Option Pool & Employees', value: proForma.ownership.pool + proForma.ownership.employees, fill: '#f59e0b' },
+  { name: 'Existing Preferred', value: proForma.ownership.existingPreferred, fill: '#8b5cf6' }
+].filter(slice => slice.value > 0);
+
+const StructurePie = ({ title, proForma, active }) => (
+  <div className={`rounded-lg p-4 border ${active ? 'border-intrepid-blue bg-intrepid-blue/5' : 'border-intrepid-gray/30'}`}>
+    <div className="flex items-center justify-between">
+      <h4 className="font-montserrat font-semibold text-intrepid-dark">{title}</h4>
+      {active && <span className="text-xs font-open-sans text-intrepid-blue uppercase tracking-wider">This term sheet</span>}
+    </div>
+    <ResponsiveContainer width="100%" height={220}>
+      <PieChart>
+        <Pie data={slicesFor(proForma)} dataKey="value" cx="50%" cy="50%" outerRadius={80} labelLine={false} label={({ value }) => `${value.toFixed(1)}%`}>
+          {slicesFor(proForma).map(slice => (
+            <Cell key={slice.name} fill={slice.fill} />
+          ))}
+        </Pie>
+        <Tooltip formatter={(value) => `${value.toFixed(1)}%`} />
+      </PieChart>
+    </ResponsiveContainer>
+    <div className="space-y-1 text-sm font-open-sans">
+      <div className="flex justify-between"><span className="text-intrepid-dark/70">Founders</span><span className="font-semibold">{proForma.ownership.founders.toFixed(1)}%</span></div>
+      <div className="flex justify-between"><span className="text-intrepid-dark/70">Effective pre-money</span><span className="font-semibold">{formatMoney(proForma.effectivePreMoney, 2)}</span></div>
+      <div className="flex justify-between"><span className="text-intrepid-dark/70">Price per share</span><span>${proForma.pricePerShare.toFixed(4)}</span></div>
+    </div>
+  </div>
+);
+
+// Shows what the pre-money option pool top-up ("pool shuffle") costs the
+// existing holders. Edits go to the cap table round; `readOnly` disables them.
+const PoolShuffleCalculator = ({ capTable, onChange, readOnly = false }) => {
+  const updateRound = (field, value) => onChange({ ...capTable, round: { ...capTable.round, [field]: value } });
+  const comparison = comparePoolStructures(capTable);
+
+  return (
+    <fieldset disabled={readOnly} className="bg-white rounded-lg shadow-md p-6 min-w-0">
+      <h3 className="text-lg font-montserrat font-semibold mb-1 flex items-center text-intrepid-dark">
+        <Shuffle className="mr-2 text-intrepid-blue" /> Option Pool Shuffle
+      </h3>
+      <p className="text-sm text-intrepid-dark/60 font-open-sans mb-4">
+        A pool top-up in the pre-money is paid for entirely by existing holders, which lowers the valuation you actually receive.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+        <div>
+          <label className={labelClass}>Target Pool (% of post-money)</label>
+          <input
+            type="number"
+            value={capTable.round.targetPoolPct}
+            onChange={(e) => updateRound('targetPoolPct', parseFloat(e.target.value) || 0)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Pool Expansion</label>
+          <select value={capTable.round.poolExpandsPre ? 'pre' : 'post'} onChange={(e) => updateRound('poolExpandsPre', e.target.value === 'pre')} className={inputClass}>
+            <option value="pre">Pre-money (before the price is set)</option>
+            <option value="post">Post-money (shared with new investors)</option>
+          </select>
+        </div>
+      </div>
+
+      {comparison ? (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4 font-open-sans">
+            <div className="bg-intrepid-gray/10 rounded-lg p-4">
+              <p className="text-xs text-intrepid-dark/60 uppercase tracking-wider">Headline Pre-Money</p>
+              <p className="text-xl font-montserrat font-bold text-intrepid-dark">{formatMoney(comparison.headlinePreMoney, 2)}</p>
+            </div>
+            <div className="bg-intrepid-gray/10 rounded-lg p-4">
+              <p className="text-xs text-intrepid-dark/60 uppercase tracking-wider">Effective Pre-Money</p>
+              <p className="text-xl font-montserrat font-bold text-intrepid-dark">
+                {formatMoney(capTable.round.poolExpandsPre ? comparison.preMoneyPool.effectivePreMoney : comparison.postMoneyPool.effectivePreMoney, 2)}
+              </p>
+              {capTable.round.poolExpandsPre && comparison.valuationShortfall > 0 && (
+                <p className="text-xs text-red-600">{formatMoney(comparison.valuationShortfall, 2)} below headline</p>
+              )}
+            </div>
+            <div className="bg-intrepid-gray/10 rounded-lg p-4">
+              <p className="text-xs text-intrepid-dark/60 uppercase tracking-wider">Extra Founder Dilution</p>
+              <p className={`text-xl font-montserrat font-bold ${comparison.extraFounderDilution > 0.05 ? 'text-red-600' : 'text-intrepid-dark'}`}>
+                {comparison.extraFounderDilution.toFixed(2)} pts
+              </p>
+              <p className="text-xs text-intrepid-dark/60">Pre-money pool vs post-money pool</p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <StructurePie
+              title="Pool in Pre-Money"
+              proForma={comparison.preMoneyPool}
+              active={capTable.round.poolExpandsPre}
+            />
+            <StructurePie
+              title="Pool in Post-Money"
+              proForma={comparison.postMoneyPool}
+              active={!capTable.round.poolExpandsPre}
+            />
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-amber-700 font-open-sans">Complete the cap table to compare pool structures.</p>
+      )}
+    </fieldset>
+  );
+};
+
+export default PoolShuffleCalculator;
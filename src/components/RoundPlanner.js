@@ -0,0 +1,124 @@
+import React from 'react';
+import { Layers, Plus, Trash2 } from 'lucide-react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { createFutureRound } from '../utils/roundPlanner';
+import { formatMoney } from '../utils/format';
+
+const inputClass = 'w-full px-2 py-1 border border-intrepid-gray/30 rounded focus:outline-none focus:ring-2 focus:ring-intrepid-blue font-open-sans text-sm';
+
+// Round-by-round dilution planner. `rounds` are the hypothetical future
+// rounds (owned by the parent); `stages` come from projectRounds().
+// `readOnly` disables editing the rounds.
+const RoundPlanner = ({ rounds, onChange, stages, exitValue, readOnly = false }) => {
+  const updateRound = (id, field, value) => onChange(rounds.map(round => (round.id === id ? { ...round, [field]: value } : round)));
+  const addRound = () => onChange([...rounds, createFutureRound(stages[stages.length - 1]?.postMoney || 0, rounds.length)]);
+  const removeRound = (id) => onChange(rounds.filter(round => round.id !== id));
+
+  const chartData = stages.map(stage => ({
+    name: stage.name,
+    founderPct: Number(stage.founderPct.toFixed(1)),
+    founderProceeds: stage.founderProceeds / 1000000,
+    totalPreference: stage.totalPreference / 1000000
+  }));
+
+  return (
+    <fieldset disabled={readOnly} className="bg-white rounded-lg shadow-md p-6 min-w-0" data-report-chart="Future Rounds">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-lg font-montserrat font-semibold flex items-center text-intrepid-dark">
+          <Layers className="mr-2 text-intrepid-blue" /> Future Rounds
+        </h3>
+        <button onClick={addRound} className="flex items-center text-sm text-intrepid-blue font-open-sans">
+          <Plus className="h-4 w-4 mr-1" /> Add round
+        </button>
+      </div>
+      <p className="text-sm text-intrepid-dark/60 font-open-sans mb-4">
+        Hypothetical later rounds carried through the cap table, with exit proceeds at {formatMoney(exitValue, 2)} after each round.
+      </p>
+
+      {rounds.length > 0 && (
+        <div className="overflow-x-auto mb-4">
+          <table className="w-full text-sm font-open-sans">
+            <thead>
+              <tr className="text-left text-intrepid-dark/60 border-b border-intrepid-gray/30">
+                <th className="py-2 pr-2">Round</th>
+                <th className="py-2 pr-2">Pre-Money ($)</th>
+                <th className="py-2 pr-2">Size ($)</th>
+                <th className="py-2 pr-2">Pool Refresh (% post)</th>
+                <th className="py-2 pr-2">Pref Multiple</th>
+                <th className="py-2 pr-2">Preference</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {rounds.map(round => (
+                <tr key={round.id} className="border-b border-intrepid-gray/10">
+                  <td className="py-1 pr-2"><input value={round.name} onChange={(e) => updateRound(round.id, 'name', e.target.value)} className={inputClass} /></td>
+                  <td className="py-1 pr-2"><input type="number" value={round.preMoney} onChange={(e) => updateRound(round.id, 'preMoney', parseFloat(e.target.value) || 0)} className={inputClass} /></td>
+                  <td className="py-1 pr-2"><input type="number" value={round.investment} onChange={(e) => updateRound(round.id, 'investment', parseFloat(e.target.value) || 0)} className={inputClass} /></td>
+                  <td className="py-1 pr-2"><input type="number" value={round.targetPoolPct} onChange={(e) => updateRound(round.id, 'targetPoolPct', parseFloat(e.target.value) || 0)} className={inputClass} /></td>
+                  <td className="py-1 pr-2"><input type="number" step="0.1" value={round.preferenceMultiple} onChange={(e) => updateRound(round.id, 'preferenceMultiple', parseFloat(e.target.value) || 0)} className={inputClass} /></td>
+                  <td className="py-1 pr-2">
+                    <select value={round.seniority} onChange={(e) => updateRound(round.id, 'seniority', e.target.value)} className={inputClass}>
+                      <option value="senior">Senior (stacked)</option>
+                      <option value="pari-passu">Pari passu</option>
+                    </select>
+                  </td>
+                  <td className="py-1 text-right">
+                    <button onClick={() => removeRound(round.id)} className="p-1 text-intrepid-dark/50 hover:text-red-600" aria-label={`Remove ${round.name}`}>
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <ResponsiveContainer width="100%" height={300}>
+        <ComposedChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e5e5" />
+          <XAxis dataKey="name" tick={{ fontSize: 12 }} />
+          <YAxis yAxisId="money" tickFormatter={(value) => `$${value}M`} tick={{ fontSize: 12 }} />
+          <YAxis yAxisId="pct" orientation="right" domain={[0, 100]} tickFormatter={(value) => `${value}%`} tick={{ fontSize: 12 }} />
+          <Tooltip formatter={(value, name) => (name === 'Founder ownership' ? `${value}%` : `$${value.toFixed(2)}M`)} />
+          <Legend />
+          <Bar yAxisId="money" dataKey="totalPreference" name="Preference stack" fill="#5093A6" radius={[4, 4, 0, 0]} />
+          <Bar yAxisId="money" dataKey="founderProceeds" name="Founder proceeds" fill="#5AC278" radius={[4, 4, 0, 0]} />
+          <Line yAxisId="pct" type="monotone" dataKey="founderPct" name="Founder ownership" stroke="#1f2937" strokeWidth={2} />
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <div className="overflow-x-auto mt-4">
+        <table className="w-full text-sm font-open-sans">
+          <thead>
+            <tr className="text-left text-intrepid-dark/60 border-b border-intrepid-gray/30">
+              <th className="py-2 pr-2">After</th>
+              <th className="py-2 pr-2 text-right">Post-Money</th>
+              <th className="py-2 pr-2 text-right">Price / Share</th>
+              <th className="py-2 pr-2 text-right">Founders</th>
+              <th className="py-2 pr-2 text-right">Preference Stack</th>
+              <th className="py-2 pr-2 text-right">Founder Proceeds</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stages.map(stage => (
+              <tr key={stage.stage} className="border-b border-intrepid-gray/10">
+                <td className="py-2 pr-2 font-semibold text-intrepid-dark">{stage.name}</td>
+                <td className="py-2 pr-2 text-right">{formatMoney(stage.postMoney, 2)}</td>
+                <td className="py-2 pr-2 text-right">${stage.pricePerShare.toFixed(4)}</td>
+                <td className="py-2 pr-2 text-right">{stage.founderPct.toFixed(1)}%</td>
+                <td className="py-2 pr-2 text-right" title={stage.preferenceStack.map(p => `${p.name}: ${formatMoney(p.amount, 2)} (rank ${p.seniority})`).join('\n')}>
+                  {formatMoney(stage.totalPreference, 2)}
+                </td>
+                <td className="py-2 pr-2 text-right font-semibold text-intrepid-green">{formatMoney(stage.founderProceeds, 2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </fieldset>
+  );
+};
+
+export default RoundPlanner;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { Plus, Copy, Trash2, Settings } from 'lucide-react';
+import { SCENARIO_TERMS, cleanExitFields, createScenario, duplicateScenario } from '../utils/scenarios';
+import { formatMoney } from '../utils/format';
+
+const inputClass = 'w-full px-2 py-1 border border-intrepid-gray/30 rounded focus:outline-none focus:ring-2 focus:ring-intrepid-blue font-open-sans text-sm';
+
+const OverrideInput = ({ path, value, onChange }) => {
+  const term = SCENARIO_TERMS[path];
+  if (term.type === 'select') {
+    return (
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+        {Object.entries(term.options).map(([option, label]) => (
+          <option key={option} value={option}>{label}</option>
+        ))}
+      </select>
+    );
+  }
+  return (
+    <input type="number" min={term.min} value={value} onChange={(e) => onChange(parseFloat(e.target.value) || 0)} className={inputClass} />
+  );
+};
+
+// Scenario chips plus an editor to create, rename, duplicate and delete
+// scenarios and override terms per scenario. `extractedValue(path)` gives
+// the starting value for a new override. Exit edits to the active scenario
+// go to `onExitChange` too, so the model follows them. `readOnly` leaves
+// only switching between scenarios.
+const ScenarioManager = ({ scenarios, onChange, onSelect, onExitChange, exitScenario, extractedValue, readOnly = false }) => {
+  const [editing, setEditing] = useState(false);
+
+  const update = (id, fields) => onChange(scenarios.map(s => (s.id === id ? { ...s, ...fields } : s)));
+  const updateExit = (scenario, fields) => {
+    const clean = cleanExitFields(fields);
+    update(scenario.id, clean);
+    if (scenario.active) onExitChange(clean);
+  };
+  const setOverride = (scenario, path, value) => update(scenario.id, { overrides: { ...scenario.overrides, [path]: value } });
+  const removeOverride = (scenario, path) => {
+    const { [path]: removed, ...rest } = scenario.overrides;
+    update(scenario.id, { overrides: rest });
+  };
+  const addScenario = () => onChange([...scenarios, createScenario({ name: `Scenario ${scenarios.length + 1}`, ...exitScenario })]);
+  const copyScenario = (scenario) => {
+    const index = scenarios.indexOf(scenario);
+    onChange([...scenarios.slice(0, index + 1), duplicateScenario(scenario), ...scenarios.slice(index + 1)]);
+  };
+  const deleteScenario = (id) => onChange(scenarios.filter(s => s.id !== id));
+
+  return (
+    <div className="mb-8 p-4 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-xs font-montserrat font-semibold text-intrepid-dark/60 uppercase tracking-wider">Scenarios</p>
+        {!readOnly && (
+          <button onClick={() => setEditing(!editing)} className="flex items-center text-xs font-open-sans text-intrepid-blue">
+            <Settings className="h-3 w-3 mr-1" /> {editing ? 'Done' : 'Manage'}
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {scenarios.map(scenario => (
+          <button
+            key={scenario.id}
+            onClick={() => onSelect(scenario)}
+            className={`px-5 py-2.5 rounded-full font-open-sans text-sm transition-all ${
+              scenario.active
+                ? 'bg-gradient-to-r from-intrepid-green to-intrepid-blue text-white shadow-sm'
+                : 'bg-white text-intrepid-dark hover:shadow-sm border border-gray-200'
+            }`}
+          >
+            {scenario.name}
+            <span className="ml-2 text-xs opacity-80">
+              {formatMoney(scenario.exitValuation, 0)}
+            </span>
+            {Object.keys(scenario.overrides || {}).length > 0 && <span className="ml-1 text-xs opacity-80">*</span>}
+          </button>
+        ))}
+        {!readOnly && (
+          <button onClick={addScenario} className="flex items-center px-4 py-2.5 rounded-full font-open-sans text-sm bg-white text-intrepid-blue border border-dashed border-intrepid-blue/40">
+            <Plus className="h-4 w-4 mr-1" /> New
+          </button>
+        )}
+      </div>
+
+      {editing && !readOnly && (
+        <div className="mt-4 space-y-3">
+          {scenarios.map(scenario => {
+            const unused = Object.keys(SCENARIO_TERMS).filter(path => !(path in scenario.overrides));
+            return (
+              <div key={scenario.id} className="bg-white rounded-lg p-3 border border-gray-200">
+                <div className="grid grid-cols-12 gap-2 items-center">
+                  <input value={scenario.name} onChange={(e) => update(scenario.id, { name: e.target.value })} className={`${inputClass} col-span-5`} aria-label="Scenario name" />
+                  <div className="col-span-3 flex items-center text-sm font-open-sans text-intrepid-dark/70">
+                    $<input type="number" value={scenario.exitValuation / 1000000} onChange={(e) => updateExit(scenario, { exitValuation: parseFloat(e.target.value) * 1000000 })} className={`${inputClass} mx-1`} aria-label="Exit value in millions" />M
+                  </div>
+                  <div className="col-span-2 flex items-center text-sm font-open-sans text-intrepid-dark/70">
+                    <input type="number" value={scenario.yearsToExit} onChange={(e) => updateExit(scenario, { yearsToExit: parseFloat(e.target.value) })} className={`${inputClass} mr-1`} aria-label="Years to exit" />yrs
+                  </div>
+                  <div className="col-span-2 flex justify-end gap-1">
+                    <button onClick={() => copyScenario(scenario)} className="p-1 text-intrepid-dark/50 hover:text-intrepid-blue" aria-label={`Duplicate ${scenario.name}`}>
+                      <Copy className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => deleteScenario(scenario.id)} disabled={scenarios.length === 1} className="p-1 text-intrepid-dark/50 hover:text-red-600 disabled:opacity-30" aria-label={`Delete ${scenario.name}`}>
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {Object.entries(scenario.overrides).map(([path, value]) => (
+                  <div key={path} className="grid grid-cols-12 gap-2 items-center mt-2">
+                    <span className="col-span-5 text-sm font-open-sans text-intrepid-dark/70 pl-2">{SCENARIO_TERMS[path].label}</span>
+                    <div className="col-span-5"><OverrideInput path={path} value={value} onChange={(next) => setOverride(scenario, path, next)} /></div>
+                    <button onClick={() => removeOverride(scenario, path)} className="col-span-2 text-xs text-intrepid-dark/50 hover:text-red-600 text-right font-open-sans">Remove</button>
+                  </div>
+                ))}
+                {unused.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && setOverride(scenario, e.target.value, extractedValue(e.target.value))}
+                    className="mt-2 text-xs font-open-sans text-intrepid-blue bg-transparent focus:outline-none"
+                  >
+                    <option value="">+ Override a term…</option>
+                    {unused.map(path => (
+                      <option key={path} value={path}>{SCENARIO_TERMS[path].label}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioManager;
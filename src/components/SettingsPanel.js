@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { Settings, X, Lock, AlertCircle } from 'lucide-react';
+import { PROVIDERS, DEFAULT_LLM_SETTINGS, saveLLMSettings, clearLLMSettings, loadLLMSettings } from '../utils/llmProviders';
+
+const inputClass = 'w-full px-3 py-2 border border-intrepid-gray/30 rounded-lg focus:outline-none focus:ring-2 focus:ring-intrepid-blue font-open-sans text-sm';
+const labelClass = 'block text-sm font-montserrat font-semibold text-intrepid-dark mb-1';
+
+const SettingsPanel = ({ settings, onSave, onClose }) => {
+  const [draft, setDraft] = useState(settings);
+  const provider = PROVIDERS[draft.provider];
+
+  const update = (field, value) => setDraft({ ...draft, [field]: value });
+
+  const changeProvider = (providerId) => {
+    const next = PROVIDERS[providerId];
+    setDraft({
+      ...draft,
+      provider: providerId,
+      baseUrl: next.defaultBaseUrl,
+      model: next.defaultModel,
+      apiKey: ''
+    });
+  };
+
+  const handleSave = () => {
+    const cleaned = {
+      ...draft,
+      baseUrl: draft.baseUrl.trim() || provider.defaultBaseUrl,
+      model: draft.model.trim() || provider.defaultModel,
+      apiKey: draft.apiKey.trim(),
+      maxTokens: parseInt(draft.maxTokens, 10) || DEFAULT_LLM_SETTINGS.maxTokens,
+      maxInputChars: parseInt(draft.maxInputChars, 10) || DEFAULT_LLM_SETTINGS.maxInputChars,
+      temperature: Number.isFinite(parseFloat(draft.temperature)) ? parseFloat(draft.temperature) : DEFAULT_LLM_SETTINGS.temperature
+    };
+    saveLLMSettings(cleaned);
+    onSave(cleaned);
+  };
+
+  const handleReset = () => {
+    clearLLMSettings();
+    setDraft(loadLLMSettings());
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-intrepid-dark/50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-100">
+          <h2 className="text-xl font-montserrat font-semibold flex items-center text-intrepid-dark">
+            <Settings className="mr-2 text-intrepid-green" /> Model Settings
+          </h2>
+          <button onClick={onClose} className="text-intrepid-gray hover:text-intrepid-dark transition-colors">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div>
+            <label className={labelClass}>Provider</label>
+            <select value={draft.provider} onChange={(e) => changeProvider(e.target.value)} className={inputClass}>
+              {Object.entries(PROVIDERS).map(([id, p]) => (
+                <option key={id} value={id}>{p.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {draft.provider === 'local' && (
+            <div className="p-3 bg-intrepid-green/5 rounded-lg border border-intrepid-green/20 flex items-start">
+              <Lock className="h-4 w-4 text-intrepid-green mr-2 mt-0.5 flex-shrink-0" />
+              <p className="text-xs text-intrepid-dark/70 font-open-sans">
+                Documents are sent only to the server below. Works with llama.cpp, Ollama, vLLM and other servers exposing
+                an OpenAI-compatible <code>/chat/completions</code> route. The server must allow requests from this origin (CORS).
+              </p>
+            </div>
+          )}
+
+          <div>
+            <label className={labelClass}>Base URL</label>
+            <input type="text" value={draft.baseUrl} onChange={(e) => update('baseUrl', e.target.value)} placeholder={provider.defaultBaseUrl} className={inputClass} />
+          </div>
+
+          {provider.serverSide ? (
+            <div className="p-3 bg-intrepid-green/5 rounded-lg border border-intrepid-green/20 flex items-start">
+              <Lock className="h-4 w-4 text-intrepid-green mr-2 mt-0.5 flex-shrink-0" />
+              <p className="text-xs text-intrepid-dark/70 font-open-sans">
+                Documents are analyzed by the Intrepid API route. The model and its API key are configured on the server and never reach the browser.
+              </p>
+            </div>
+          ) : (
+          <>
+          <div>
+            <label className={labelClass}>Model</label>
+            <input type="text" value={draft.model} onChange={(e) => update('model', e.target.value)} placeholder={provider.defaultModel} className={inputClass} />
+          </div>
+
+          <div>
+            <label className={labelClass}>API Key {!provider.requiresApiKey && <span className="font-normal text-intrepid-dark/50">(optional)</span>}</label>
+            <input type="password" value={draft.apiKey} onChange={(e) => update('apiKey', e.target.value)} autoComplete="off" className={inputClass} />
+            {draft.apiKey && (
+              <p className="mt-1 text-xs text-orange-700 font-open-sans flex items-center">
+                <AlertCircle className="h-3 w-3 mr-1" /> Saved in this browser's local storage only.
+              </p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className={labelClass}>Max Output Tokens</label>
+              <input type="number" min="256" value={draft.maxTokens} onChange={(e) => update('maxTokens', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className={labelClass}>Max Chars per Call</label>
+              <input type="number" min="1000" step="1000" value={draft.maxInputChars} onChange={(e) => update('maxInputChars', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className={labelClass}>Temperature</label>
+              <input type="number" min="0" max="2" step="0.1" value={draft.temperature} onChange={(e) => update('temperature', e.target.value)} className={inputClass} />
+            </div>
+          </div>
+          </>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between p-6 border-t border-gray-100">
+          <button onClick={handleReset} className="text-sm font-open-sans text-intrepid-dark/60 hover:text-intrepid-dark transition-colors">
+            Reset to defaults
+          </button>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="px-4 py-2 text-intrepid-dark border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors font-open-sans text-sm">
+              Cancel
+            </button>
+            <button onClick={handleSave} className="px-5 py-2 bg-intrepid-green text-white rounded-lg hover:bg-intrepid-green/90 transition-all font-open-sans text-sm shadow-sm">
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
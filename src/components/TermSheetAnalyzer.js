@@ -1,7 +1,44 @@
 import React, { useState, useEffect } from 'react';
-import { Upload, FileText, DollarSign, TrendingUp, AlertCircle, Calculator, PieChart, Target, Shield, Loader2, CheckCircle, XCircle, ArrowRight, Sparkles, Brain, Lock, Zap, ChevronDown, ChevronUp, RefreshCw, Download, Printer, Share2 } from 'lucide-react';
+import { Upload, FileText, DollarSign, TrendingUp, AlertCircle, Calculator, PieChart, Target, Shield, Loader2, CheckCircle, XCircle, ArrowRight, Sparkles, Brain, Lock, Zap, ChevronDown, ChevronUp, RefreshCw, Download, Share2, Eye, Settings, Quote } from 'lucide-react';
 import { BarChart, Bar, PieChart as RechartsPieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { extractTextFromPDF } from '../utils/pdfExtractor';
+import { extractTextFromDOCX, isWordFile } from '../utils/docxExtractor';
+import { combineDocuments } from '../utils/analysisPrompt';
+import { loadLLMSettings, requestCompletion, PROVIDERS } from '../utils/llmProviders';
+import { runChunkedAnalysis } from '../utils/chunkedAnalysis';
+import { analyzeOnServer } from '../utils/serverAnalysis';
+import SettingsPanel from './SettingsPanel';
+import DocumentViewer from './DocumentViewer';
+import { citationsForSection } from '../utils/sourceCitations';
+import { computeWaterfall } from '../utils/waterfall';
+import { accrueDividends, preferenceWithDividends } from '../utils/dividends';
+import { dealWaterfallModel, preferenceTermsFor } from '../utils/waterfallModel';
+import { defaultConversionInputs, convertFromInputs, isConvertibleAnalysis } from '../utils/conversion';
+import ConversionCalculator from './ConversionCalculator';
+import { capTableFromTerms, computeProForma } from '../utils/capTable';
+import CapTableEditor from './CapTableEditor';
+import PoolShuffleCalculator from './PoolShuffleCalculator';
+import { parseAntiDilution, simulateDownRound } from '../utils/antiDilution';
+import AntiDilutionSimulator from './AntiDilutionSimulator';
+import { projectRounds } from '../utils/roundPlanner';
+import RoundPlanner from './RoundPlanner';
+import { sweepExits } from '../utils/exitSensitivity';
+import ExitSensitivityChart from './ExitSensitivityChart';
+import { DEFAULT_SCENARIOS, analysisStorageKey, applyScenarioOverrides, cleanExitFields, createScenario, describeOverrides, extractedTermValue, loadScenarios, saveScenarios } from '../utils/scenarios';
+import ScenarioManager from './ScenarioManager';
+import OfferComparison from './OfferComparison';
+import DraftRedline from './DraftRedline';
+import { detectGotchas } from '../utils/gotchaRules';
+import { buildPlaybook, playbookBriefHtml } from '../utils/negotiation';
+import NegotiationPlaybook from './NegotiationPlaybook';
+import { counterTermSheetDocx, counterTermSheetMarkdown } from '../utils/counterTermSheet';
+import CounterTermSheet from './CounterTermSheet';
+import { buildPdfReport, loadReportLogo } from '../utils/pdfReport';
+import PdfReportMenu from './PdfReportMenu';
+import { analysisCsv, analysisJson, analysisWorkbook } from '../utils/dataExport';
+import { BENCHMARKS, BENCHMARK_LABELS, BENCHMARK_PROBLEMS, formatPercentile, inferStage, scoreTerms, sectionImpact } from '../utils/benchmarks';
+import { buildShareUrl, readSharedAnalysis } from '../utils/shareLink';
+import { formatMoney } from '../utils/format';
 
 // Retry function with exponential backoff for rate limits
 const retryWithBackoff = async (fn, maxRetries = 3, initialDelay = 1000) => {
@@ -28,10 +65,27 @@ const retryWithBackoff = async (fn, maxRetries = 3, initialDelay = 1000) => {
   throw lastError;
 };
 
+// Statuses from the schema validation report (see utils/analysisSchema)
+const VALIDATION_LABELS = {
+  coerced: 'Normalized',
+  derived: 'Calculated',
+  defaulted: 'Default',
+  repaired: 'Re-asked',
+  invalid: 'Invalid'
+};
+
+const GOTCHA_SEVERITY_COLORS = {
+  high: 'bg-red-200 text-red-900',
+  medium: 'bg-orange-100 text-orange-800',
+  low: 'bg-amber-50 text-amber-800'
+};
+
 const TermSheetAnalyzer = () => {
   const [files, setFiles] = useState([]);
   const [analysis, setAnalysis] = useState(null);
   const [loading, setLoading] = useState(false);
+  // Per-chunk status while a long document is analyzed in parts
+  const [chunkProgress, setChunkProgress] = useState([]);
   const [error, setError] = useState('');
   const [showLanding, setShowLanding] = useState(true);
   const [uploadCollapsed, setUploadCollapsed] = useState(false);
@@ -40,12 +94,109 @@ const TermSheetAnalyzer = () => {
     yearsToExit: 5
   });
   
-  // Multiple scenarios for comparison
-  const [scenarios, setScenarios] = useState([
-    { id: 1, name: 'Conservative', exitValuation: 50000000, yearsToExit: 3, active: false },
-    { id: 2, name: 'Base Case', exitValuation: 100000000, yearsToExit: 5, active: true },
-    { id: 3, name: 'Optimistic', exitValuation: 250000000, yearsToExit: 5, active: false }
-  ]);
+  // User overrides for how dividends accrue (compounding, frequency, cumulative, payment)
+  const [dividendOverrides, setDividendOverrides] = useState({});
+
+  // SAFE / note conversion calculator inputs edited by the user
+  const [conversionOverrides, setConversionOverrides] = useState({});
+
+  // Down-round simulator inputs edited by the user
+  const [antiDilutionOverrides, setAntiDilutionOverrides] = useState({});
+
+  // Hypothetical later rounds for the dilution planner
+  const [futureRounds, setFutureRounds] = useState([]);
+
+  // Upper end of the exit sensitivity sweep; null follows the selected exit
+  const [sensitivityMax, setSensitivityMax] = useState(null);
+
+  // Stage the terms are benchmarked against; null infers it from the deal
+  const [benchmarkStage, setBenchmarkStage] = useState(null);
+
+  // Counter-proposal edits to the extracted terms (dotted path -> value)
+  const [counterEdits, setCounterEdits] = useState({});
+
+  // Editable pro forma cap table, seeded from the extracted investment terms.
+  // SAFEs and notes have none; their ownership comes from the conversion model.
+  const [capTable, setCapTable] = useState(null);
+  useEffect(() => {
+    setCapTable(analysis && !isConvertibleAnalysis(analysis) ? capTableFromTerms(analysis.investmentTerms) : null);
+  }, [analysis]);
+  
+  // With several files: 'combined' analyzes them as one deal, 'offers' and
+  // 'drafts' analyze each file on its own (competing offers, or drafts of
+  // one deal in upload order). The detailed view shows the active result.
+  const [multiFileMode, setMultiFileMode] = useState('combined');
+  const [fileResults, setFileResults] = useState([]);
+  const [activeResult, setActiveResult] = useState(0);
+  const [fileProgress, setFileProgress] = useState(null);
+
+  // Multiple scenarios for comparison, saved in the browser per analysis
+  const [scenarios, setScenarios] = useState(DEFAULT_SCENARIOS);
+  const [scenarioKey, setScenarioKey] = useState(null);
+
+  // Model provider settings, editable at runtime from the settings panel
+  const [llmSettings, setLLMSettings] = useState(loadLLMSettings);
+  const [showSettings, setShowSettings] = useState(false);
+
+  // Extracted document text and the card whose source passage is shown
+  const [documentText, setDocumentText] = useState(null);
+  const [activeSource, setActiveSource] = useState(null);
+
+  // Read-only view restored from a ?data= share link
+  const [sharedView, setSharedView] = useState(null);
+
+  // Restore a shared analysis when the page is opened from a share link
+  useEffect(() => {
+    let shared;
+    try {
+      shared = readSharedAnalysis(window.location.search);
+    } catch (shareError) {
+      console.error('Invalid share link:', shareError);
+      setError(`${shareError.message}. Upload the term sheet to run a new analysis.`);
+      setShowLanding(false);
+      return;
+    }
+    if (!shared) return;
+
+    if (shared.scenarios.length > 0) {
+      setScenarios(shared.scenarios);
+    }
+    if (shared.exitScenario) {
+      setExitScenario(shared.exitScenario);
+    }
+    setSharedView({ omitted: shared.omitted });
+    setAnalysis(shared.analysis);
+    setShowLanding(false);
+  }, []);
+
+  // Shared links carry their own scenarios and are never saved
+  useEffect(() => {
+    if (!analysis || sharedView) {
+      setScenarioKey(null);
+      return;
+    }
+    const key = analysisStorageKey(analysis);
+    setScenarioKey(key);
+    setScenarios(loadScenarios(key));
+  }, [analysis, sharedView]);
+
+  useEffect(() => {
+    if (scenarioKey) saveScenarios(scenarioKey, scenarios);
+  }, [scenarioKey, scenarios]);
+
+  // Exit value or years typed into the calculator; the active scenario
+  // follows so its saved values match what the calculator shows
+  const changeExit = (fields) => {
+    const clean = cleanExitFields(fields);
+    setExitScenario({ ...exitScenario, ...clean });
+    setScenarios(scenarios.map(s => (s.active ? { ...s, ...clean } : s)));
+  };
+
+  const exitSharedView = () => {
+    if (!sharedView) return;
+    setSharedView(null);
+    window.history.replaceState(null, '', window.location.pathname);
+  };
 
   // Auto-collapse upload section and scroll to calculator after analysis
   useEffect(() => {
@@ -63,6 +214,76 @@ const TermSheetAnalyzer = () => {
     setError('');
   };
 
+  // Shows one of several separately analyzed files in the detailed view
+  const showFileResult = (index) => {
+    setActiveResult(index);
+    setAnalysis(fileResults[index].analysis);
+    setDocumentText(fileResults[index].documentContent);
+    setActiveSource(null);
+    setDividendOverrides({});
+    setConversionOverrides({});
+    setAntiDilutionOverrides({});
+    setFutureRounds([]);
+    setBenchmarkStage(null);
+    setCounterEdits({});
+  };
+
+  // Runs one analysis over `fileSet`; resolves to { analysis, documentContent },
+  // or null after reporting a file that could not be read
+  const analyzeFiles = async (fileSet) => {
+    if (llmSettings.provider === 'server') {
+      // Extraction, prompting and parsing all happen in the API route, one
+      // request per document part
+      console.log('Sending documents to the analysis server...');
+      return await analyzeOnServer(fileSet, llmSettings.baseUrl, { onProgress: setChunkProgress, retry: retryWithBackoff });
+    }
+
+    // Read file contents
+    const documents = [];
+    for (const file of fileSet) {
+      let text = '';
+      
+      try {
+        // Check if it's a PDF file
+        if (file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf')) {
+          console.log('PDF detected - extracting text...');
+          text = await extractTextFromPDF(file);
+        } else if (isWordFile(file)) {
+          console.log('Word document detected - extracting text...');
+          text = await extractTextFromDOCX(file);
+        } else {
+          // For text files, read directly
+          text = await file.text();
+        }
+      } catch (extractError) {
+        console.error('Error extracting file content:', extractError);
+        setError(`Failed to read ${file.name}: ${extractError.message}`);
+        return null;
+      }
+      
+      documents.push({ name: file.name, text });
+    }
+
+    const documentContent = combineDocuments(documents);
+    
+    console.log('Document content length:', documentContent.length);
+    console.log('First 200 chars:', documentContent.substring(0, 200));
+
+    // Long documents are split along section boundaries and analyzed part by part
+    const analysisData = await runChunkedAnalysis({
+      documentContent,
+      maxChars: llmSettings.maxInputChars,
+      onProgress: setChunkProgress,
+      complete: (prompt) => retryWithBackoff(async () => {
+        console.log(`Making API call to ${llmSettings.provider} (${llmSettings.model})...`);
+        return await requestCompletion(llmSettings, prompt);
+      })
+    });
+    
+    console.log('Parsed analysis data:', analysisData);
+    return { analysis: analysisData, documentContent };
+  };
+
   const analyzeTermSheet = async () => {
     console.log('Starting analysis...');
     if (files.length === 0) {
@@ -72,236 +293,56 @@ const TermSheetAnalyzer = () => {
 
     setLoading(true);
     setError('');
+    setChunkProgress([]);
+    setActiveSource(null);
+    setDividendOverrides({});
+    setConversionOverrides({});
+    setAntiDilutionOverrides({});
+    setFutureRounds([]);
+    setBenchmarkStage(null);
+    setCounterEdits({});
 
     try {
-      const apiKey = process.env.REACT_APP_OPENAI_API_KEY;
-      console.log('API Key exists:', !!apiKey);
-      
-      if (!apiKey) {
-        throw new Error('OpenAI API key not configured. Please contact support.');
-      }
-
-      // Read file contents
-      let documentContent = '';
-      for (const file of files) {
-        let text = '';
-        
-        try {
-          // Check if it's a PDF file
-          if (file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf')) {
-            console.log('PDF detected - extracting text...');
-            text = await extractTextFromPDF(file);
-          } else {
-            // For text files, read directly
-            text = await file.text();
-          }
-        } catch (extractError) {
-          console.error('Error extracting file content:', extractError);
-          setError(`Failed to read ${file.name}: ${extractError.message}`);
+      // Competing offers and drafts are analyzed one file at a time
+      const fileSets = multiFileMode !== 'combined' && files.length > 1 ? files.map(file => [file]) : [files];
+      const results = [];
+      for (const [index, fileSet] of fileSets.entries()) {
+        if (fileSets.length > 1) setFileProgress({ current: index + 1, total: fileSets.length });
+        const result = await analyzeFiles(fileSet);
+        if (!result) {
+          setFileProgress(null);
           setLoading(false);
           return;
         }
-        
-        documentContent += `\n\n--- ${file.name} ---\n${text}`;
+        results.push({ name: fileSet[0].name, mode: multiFileMode, ...result });
       }
-
-      // Truncate content if too long (API has token limits)
-      const maxLength = 30000; // Characters, not tokens, but gives us room
-      if (documentContent.length > maxLength) {
-        documentContent = documentContent.substring(0, maxLength) + '\n\n[Document truncated due to length]';
-      }
-      
-      console.log('Document content length:', documentContent.length);
-      console.log('First 200 chars:', documentContent.substring(0, 200));
-
-      // Analyze the document content directly
-      const analysisResult = await retryWithBackoff(async () => {
-        console.log('Making API call...');
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            model: 'gpt-4-turbo',
-            messages: [
-              {
-                role: 'system',
-                content: `You are an expert venture capital analyst. Analyze this investment document and extract ALL relevant terms, regardless of format or document type.
-
-DOCUMENT TYPES TO HANDLE:
-- Term sheets (Series A, B, C, etc.)
-- SAFE agreements (Simple Agreement for Future Equity)
-- Convertible notes
-- Investment agreements
-- LOIs (Letters of Intent)
-
-EXTRACTION INSTRUCTIONS:
-1. Work with whatever format the document uses - don't expect specific structure
-2. Common term variations to recognize:
-   - Investment: funding amount, capital commitment, purchase price, investment size
-   - Valuation: pre-money, post-money, cap, enterprise value, company valuation
-   - Ownership: equity %, shareholding, dilution, ownership percentage
-   - Liquidation: preference, waterfall, senior preference, return multiple
-3. If a field cannot be determined, set it to null
-4. If you can calculate missing values from available data, do so
-5. Include confidence scores (0-1) for each major section
-
-RETURN JSON FORMAT:
-{
-  "documentType": "term_sheet|safe|convertible_note|other",
-  "confidence": {
-    "overall": 0.95,
-    "investment": 0.9,
-    "liquidation": 0.8,
-    "control": 0.7,
-    "warnings": ["List any inconsistencies or concerns"]
-  },
-  "investmentTerms": {
-    "preMoney": null or number,
-    "postMoney": null or number,
-    "investment": null or number,
-    "valuationCap": null or number (for SAFEs/notes),
-    "discount": null or number (for SAFEs/notes),
-    "statedOwnershipPct": null or number,
-    "optionPoolPct": null or number,
-    "poolExpandsPre": null or boolean,
-    "plainEnglish": "Simple explanation of what this means",
-    "founderImpact": "positive|neutral|concerning|negative",
-    "whyItMatters": "Why founders should care"
-  },
-  "liquidation": {
-    "liqPrefMultiple": null or number,
-    "type": "non-participating|participating|capped-participating|none",
-    "participationCapMultiple": null or number,
-    "dividends": {
-      "ratePct": null or number,
-      "compounding": "simple|compound|none"
-    },
-    "plainEnglish": "explanation",
-    "founderImpact": "positive|neutral|concerning|negative",
-    "whyItMatters": "explanation"
-  },
-  "controlGovernance": {
-    "boardComposition": null or "description",
-    "votingRights": null or "description",
-    "protectiveProvisions": null or "description",
-    "dragAlong": null or boolean,
-    "tagAlong": null or boolean,
-    "plainEnglish": "explanation",
-    "founderImpact": "positive|neutral|concerning|negative",
-    "whyItMatters": "explanation"
-  },
-  "founderTerms": {
-    "vestingSchedule": null or "description",
-    "acceleration": null or "description",
-    "antiDilution": null or "description",
-    "proRata": null or boolean,
-    "plainEnglish": "explanation",
-    "founderImpact": "positive|neutral|concerning|negative",
-    "whyItMatters": "explanation"
-  },
-  "costOfCapital": {
-    "effectiveAPR": null or number,
-    "trueDilutionCost": null or number,
-    "breakEvenExitValue": null or number,
-    "explanation": "How we calculated the true cost"
-  },
-  "gotchas": ["Hidden terms or concerning provisions"],
-  "rawTerms": {
-    "description": "Any important terms that don't fit categories above"
-  },
-  "keyMetrics": {
-    "totalDilution": null or number,
-    "founderOwnership": null or number,
-    "optionPoolOwnership": null or number,
-    "investorOwnership": null or number
-  }
-}
-
-IMPORTANT: Extract whatever you can find. It's better to have partial data than to fail completely.`
-              },
-              {
-                role: 'user',
-                content: `Analyze the following term sheet document and extract all key VC terms:\n\n${documentContent}`
-              }
-            ],
-            max_tokens: 2000,
-            temperature: 0.1
-          })
-        });
-        
-        if (!response.ok) {
-          const errorBody = await response.text();
-          let errorMessage = `Analysis failed: ${response.statusText}`;
-          
-          if (response.status === 429) {
-            // Check if it's a quota issue or rate limit
-            if (errorBody.includes('insufficient_quota')) {
-              errorMessage = 'OpenAI API quota exceeded. Please check your billing details or add credits to your account.';
-            } else {
-              errorMessage = 'OpenAI API rate limit exceeded. Please wait a moment and try again.';
-            }
-          } else if (response.status === 401) {
-            errorMessage = 'Invalid OpenAI API key. Please check your API key and try again.';
-          } else if (response.status === 400) {
-            errorMessage = 'Invalid request. Please check your document and try again.';
-          } else if (response.status === 503) {
-            errorMessage = 'OpenAI service is temporarily unavailable. Please try again later.';
-          }
-          
-          console.error('API Error:', errorBody);
-          throw new Error(errorMessage);
-        }
-        
-        return await response.json();
-      });
-      
-      console.log('API Response received:', analysisResult);
-      
-      const analysisText = analysisResult.choices[0].message.content;
-      console.log('Analysis text:', analysisText.substring(0, 200));
-      
-      // Parse the JSON response
-      let analysisData;
-      try {
-        // Remove markdown code blocks if present
-        let cleanedText = analysisText;
-        if (analysisText.includes('```json')) {
-          cleanedText = analysisText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-        } else if (analysisText.includes('```')) {
-          cleanedText = analysisText.replace(/```\n?/g, '');
-        }
-        
-        analysisData = JSON.parse(cleanedText);
-        console.log('Parsed analysis data:', analysisData);
-      } catch (parseError) {
-        console.log('JSON parse error, trying to extract...', parseError);
-        // If parsing fails, try to extract JSON from the response
-        const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          analysisData = JSON.parse(jsonMatch[0]);
-        } else {
-          throw new Error('Failed to parse analysis results');
-        }
-      }
-
-      setAnalysis(analysisData);
+      setFileProgress(null);
+      setFileResults(results.length > 1 ? results : []);
+      // Drafts open on the latest one
+      const shown = multiFileMode === 'drafts' ? results.length - 1 : 0;
+      setActiveResult(shown);
+      setDocumentText(results[shown].documentContent);
+      setAnalysis(results[shown].analysis);
       setLoading(false);
       console.log('Analysis complete!');
 
     } catch (err) {
       console.error('Analysis error:', err);
+      setFileProgress(null);
       
       // Provide user-friendly error messages
+      const providerLabel = PROVIDERS[llmSettings.provider]?.label || 'model';
       let userMessage = err.message;
       if (err.message.includes('rate limit')) {
         userMessage = '⚠️ API rate limit reached. The system will automatically retry. If the issue persists, please wait a few minutes and try again.';
+      } else if (err.message.includes('not configured')) {
+        userMessage = `🔑 ${err.message}`;
       } else if (err.message.includes('API key')) {
-        userMessage = '🔑 API key issue detected. Please ensure your OpenAI API key is valid and has sufficient credits.';
+        userMessage = `🔑 API key issue detected. Please ensure your ${providerLabel} API key is valid and has sufficient credits.`;
       } else if (err.message.includes('Failed to fetch') || err.message.includes('CORS')) {
-        userMessage = '🔑 Unable to connect to OpenAI API. This usually means the API key is invalid, expired, or doesn\'t have proper permissions. Please check your API key.';
+        userMessage = llmSettings.provider === 'local'
+          ? `🔌 Unable to reach the local model at ${llmSettings.baseUrl}. Make sure the server is running and allows requests from this origin (CORS).`
+          : `🔑 Unable to connect to ${providerLabel} API. This usually means the API key is invalid, expired, or doesn't have proper permissions. Please check your API key.`;
       } else if (err.message.includes('network') || err.message.includes('fetch')) {
         userMessage = '🌐 Network error. Please check your internet connection and try again.';
       } else if (err.message.includes('timeout')) {
@@ -313,47 +354,81 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
     }
   };
 
+  // SAFEs and notes state no ownership; it comes from modeling their conversion
+  const conversionInputs = isConvertibleAnalysis(analysis)
+    ? { ...defaultConversionInputs(analysis), ...conversionOverrides }
+    : null;
+  const conversion = conversionInputs ? convertFromInputs(conversionInputs) : null;
+  const proForma = capTable ? computeProForma(capTable) : null;
+  // Ownership comes from the cap table for priced rounds, from the
+  // conversion model for SAFEs and notes
+  const investorOwnershipPct = proForma
+    ? proForma.ownership.newRound
+    : conversion ? conversion.instruments[0].ownershipPct : null;
+  // Down round priced at half this round's price unless the user says otherwise
+  const extractedAntiDilution = parseAntiDilution(analysis?.founderTerms?.antiDilution);
+  const antiDilutionInputs = proForma
+    ? {
+        mechanism: extractedAntiDilution || 'none',
+        newPrice: Number((proForma.pricePerShare / 2).toFixed(4)),
+        newInvestment: capTable.round.investment,
+        ...antiDilutionOverrides
+      }
+    : null;
+  const downRound = antiDilutionInputs ? simulateDownRound(proForma, antiDilutionInputs) : null;
+  const preferenceTerms = preferenceTermsFor(analysis?.liquidation);
+  const roundStages = proForma
+    ? projectRounds(capTable, preferenceTerms, futureRounds, exitScenario.exitValuation, {
+        dividendAccrual: accrueDividends(analysis.investmentTerms.investment || 0, analysis.liquidation?.dividends, exitScenario.yearsToExit, dividendOverrides)
+      })
+    : [];
+  const postMoneyValuation = proForma?.postMoney ?? conversion?.postMoney ?? analysis?.investmentTerms?.postMoney ?? null;
+
   const calculateCostOfCapital = (analysis, years = 5) => {
     if (!analysis || !analysis.investmentTerms || !analysis.liquidation) return null;
+    if (!analysis.investmentTerms.investment || !investorOwnershipPct) return null;
     
     const inv = analysis.investmentTerms;
     const liq = analysis.liquidation;
+    const ownershipPct = investorOwnershipPct;
     
     // Calculate effective cost considering liquidation preference
     const investment = inv.investment || 0;
-    const liqPref = investment * (liq.liqPrefMultiple || 1);
-    const dividendRate = (liq.dividends?.ratePct || 0) / 100;
-    
-    // Calculate cumulative cost over time
-    let totalCost = 0;
+    const dividendAccrual = accrueDividends(investment, liq.dividends, years, dividendOverrides);
     
-    // 1. Liquidation preference acts like debt that must be repaid
-    totalCost += liqPref;
+    // Liquidation preference acts like debt that must be repaid, and
+    // cumulative dividends add to it
+    const totalCost = preferenceWithDividends(investment, liq.liqPrefMultiple || 1, dividendAccrual);
     
-    // 2. Cumulative dividends add to the cost
-    if (liq.dividends?.compounding === 'compound') {
-      totalCost += investment * (Math.pow(1 + dividendRate, years) - 1);
-    } else {
-      totalCost += investment * dividendRate * years;
-    }
-    
-    // 3. Calculate effective APR
+    // Calculate effective APR
     // This treats the equity like a loan with the liquidation preference as principal
     const effectiveAPR = ((totalCost / investment) - 1) / years * 100;
     
-    // 4. Calculate break-even exit value
+    // Calculate break-even exit value
     // The exit value where founders start making money after all preferences
     let breakEvenExit = 0;
     if (liq.type === 'non-participating') {
       // Investor gets greater of liq pref or ownership %
-      breakEvenExit = Math.max(totalCost, totalCost / (inv.statedOwnershipPct / 100));
-    } else if (liq.type === 'participating') {
+      breakEvenExit = Math.max(totalCost, totalCost / (ownershipPct / 100));
+    } else if (liq.type === 'capped-participating' && liq.participationCapMultiple) {
+      // The cap makes payouts piecewise, so run the waterfall and take the
+      // exit where founder proceeds first turn positive
+      const model = buildWaterfallModel(years);
+      const capTotal = Math.max(totalCost, investment * liq.participationCapMultiple);
+      const foundersPaidExit = model && sweepExits(model.table, {
+        investorClass: model.investorClass,
+        isFounder: (payout) => model.kindOf(payout) === 'founder',
+        maxExit: (capTotal / (ownershipPct / 100)) * 2,
+        steps: 50
+      }).breakpoints.find(point => point.id === 'founders-paid')?.exitValue;
+      breakEvenExit = foundersPaidExit ?? null;
+    } else if (liq.type === 'participating' || liq.type === 'capped-participating') {
       // Investor gets liq pref PLUS ownership of remainder
-      breakEvenExit = totalCost / (1 - (inv.statedOwnershipPct / 100));
+      breakEvenExit = totalCost / (1 - (ownershipPct / 100));
     }
     
-    // 5. True dilution cost (opportunity cost of equity given up)
-    const equityValue = inv.postMoney * (inv.statedOwnershipPct / 100);
+    // True dilution cost (opportunity cost of equity given up)
+    const equityValue = (postMoneyValuation || 0) * (ownershipPct / 100);
     const trueDilutionCost = ((equityValue + totalCost) / investment - 1) * 100;
     
     return {
@@ -361,60 +436,66 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
       breakEvenExit: breakEvenExit,
       trueDilutionCost: trueDilutionCost.toFixed(2),
       totalPreferenceAmount: totalCost,
-      explanation: `With ${liq.liqPrefMultiple}x liquidation preference and ${(dividendRate * 100).toFixed(1)}% dividends, the effective cost of this capital is ${effectiveAPR.toFixed(2)}% APR over ${years} years.`
+      dividendAccrual,
+      explanation: `With ${liq.liqPrefMultiple || 1}x liquidation preference and ${dividendAccrual.terms.ratePct.toFixed(1)}% ${dividendAccrual.terms.cumulative ? 'cumulative' : 'non-cumulative'} dividends, the effective cost of this capital is ${effectiveAPR.toFixed(2)}% APR over ${years} years.`
     };
   };
 
-  const calculateWaterfall = (exitVal, years) => {
+  // Waterfall model with dividends accrued over `years` and a scenario's
+  // term overrides applied
+  const buildWaterfallModel = (years, overrides) => {
     if (!analysis || !analysis.liquidation || !analysis.investmentTerms) return null;
+    const scenario = applyScenarioOverrides(analysis, capTable, overrides);
+    return dealWaterfallModel(scenario.analysis, {
+      capTable: scenario.capTable,
+      proForma: scenario.capTable === capTable ? proForma : computeProForma(scenario.capTable),
+      ownershipPct: investorOwnershipPct,
+      years,
+      dividendOverrides
+    });
+  };
 
-    const liq = analysis.liquidation;
-    const inv = analysis.investmentTerms;
-    
-    // Calculate liquidation preference
-    const liqPref = inv.investment * (liq.liqPrefMultiple || 1);
-    
-    // Calculate cumulative dividends if any
-    const dividends = liq.dividends ? 
-      inv.investment * (liq.dividends.ratePct / 100) * years : 0;
-    
-    const totalLiqPref = liqPref + dividends;
-    
-    // Calculate distributions
-    let investorReturn = 0;
-    let founderReturn = 0;
-    
-    if (liq.type === 'non-participating') {
-      // Investor gets greater of liquidation preference or pro-rata share
-      const proRataShare = exitVal * (inv.statedOwnershipPct / 100);
-      investorReturn = Math.max(totalLiqPref, proRataShare);
-      founderReturn = exitVal - investorReturn;
-    } else if (liq.type === 'participating') {
-      // Investor gets liquidation preference PLUS pro-rata of remainder
-      investorReturn = totalLiqPref;
-      const remainder = exitVal - totalLiqPref;
-      if (remainder > 0) {
-        investorReturn += remainder * (inv.statedOwnershipPct / 100);
-        founderReturn = remainder * ((100 - inv.statedOwnershipPct) / 100);
-      }
-      
-      // Apply participation cap if exists
-      if (liq.participationCapMultiple) {
-        const cap = inv.investment * liq.participationCapMultiple;
-        investorReturn = Math.min(investorReturn, cap);
-        founderReturn = exitVal - investorReturn;
-      }
-    }
+  const calculateWaterfall = (exitVal, years, overrides) => {
+    const model = buildWaterfallModel(years, overrides);
+    if (!model) return null;
+    const result = computeWaterfall(model.table, exitVal);
+    const { kindOf } = model;
+    const payoutTo = (kinds) => result.classes
+      .filter(payout => kinds.includes(kindOf(payout)))
+      .reduce((sum, payout) => sum + payout.total, 0);
+    const investorReturn = payoutTo(['new-round']);
+    const founderReturn = payoutTo(['founder']);
     
     return {
       investorReturn,
       founderReturn,
-      investorMultiple: investorReturn / inv.investment,
+      // Only known when a cap table lists the pool and other holders
+      optionPoolReturn: model.hasCapTable ? payoutTo(['employee', 'options', 'pool']) : null,
+      existingPreferredReturn: model.hasCapTable ? payoutTo(['preferred']) : null,
+      investorMultiple: investorReturn / model.investment,
       founderPct: (founderReturn / exitVal) * 100
     };
   };
 
 
+  // "Show source" control on a Detailed Analysis card; hidden when the
+  // model gave no quotes or the document text is not available (share links)
+  const renderSourceButton = (section) => {
+    const citations = citationsForSection(analysis?.sources, section);
+    if (!documentText || citations.length === 0) return null;
+    const isOpen = activeSource?.section === section;
+
+    return (
+      <button
+        onClick={() => setActiveSource(isOpen ? null : { section, path: citations[0].path })}
+        className="flex items-center text-sm font-open-sans text-intrepid-blue hover:text-intrepid-blue/80"
+      >
+        <Quote className="h-4 w-4 mr-1" />
+        {isOpen ? 'Hide source' : 'Show source'}
+      </button>
+    );
+  };
+
   const getImpactBadge = (impact) => {
     const colors = {
       positive: 'bg-intrepid-green/10 text-intrepid-green border border-intrepid-green/20',
@@ -430,71 +511,277 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
     );
   };
 
-  const waterfall = calculateWaterfall(exitScenario.exitValuation, exitScenario.yearsToExit);
-  const costOfCapital = calculateCostOfCapital(analysis, exitScenario.yearsToExit);
-  
-  // Export to CSV function
-  const exportToCSV = () => {
-    if (!analysis || !waterfall) return;
-    
-    const csvData = [
-      ['Intrepid VC Term Sheet Analysis'],
-      [''],
-      ['Exit Scenario Analysis'],
-      ['Exit Valuation', `$${(exitScenario.exitValuation / 1000000).toFixed(1)}M`],
-      ['Years to Exit', exitScenario.yearsToExit],
-      [''],
-      ['Returns'],
-      ['Investor Return', `$${(waterfall.investorReturn / 1000000).toFixed(1)}M`],
-      ['Investor Multiple', `${waterfall.investorMultiple.toFixed(1)}x`],
-      ['Founder Return', `$${(waterfall.founderReturn / 1000000).toFixed(1)}M`],
-      ['Founder Percentage', `${waterfall.founderPct.toFixed(1)}%`],
-      [''],
-      ['Investment Terms'],
-      ['Pre-Money Valuation', `$${((analysis.investmentTerms?.preMoney || 0) / 1000000).toFixed(1)}M`],
-      ['Investment Amount', `$${((analysis.investmentTerms?.investment || 0) / 1000000).toFixed(1)}M`],
-      ['Ownership Percentage', `${analysis.investmentTerms?.statedOwnershipPct || 0}%`],
-      ['Liquidation Preference', `${analysis.liquidation?.liqPrefMultiple || 1}x`],
-      [''],
-      ['Scenario Comparison'],
-      ...scenarios.map(s => {
-        const w = calculateWaterfall(s.exitValuation, s.yearsToExit);
-        return [
-          s.name,
-          `$${(s.exitValuation / 1000000).toFixed(0)}M`,
-          `${s.yearsToExit}yr`,
-          w ? `$${(w.founderReturn / 1000000).toFixed(1)}M` : 'N/A'
-        ];
+  // Market benchmark labels for the extracted terms, and section badges
+  // that follow them
+  const stageId = benchmarkStage || inferStage(analysis, documentText || '');
+  const benchmarkScores = scoreTerms(analysis, stageId);
+  const sectionBadge = (section) => {
+    const modelImpact = analysis[section]?.founderImpact;
+    const impact = sectionImpact(modelImpact, benchmarkScores, section);
+    return (
+      <div className="flex flex-col items-end">
+        {getImpactBadge(impact)}
+        {impact !== modelImpact && modelImpact && (
+          <span className="text-xs font-open-sans text-intrepid-dark/50 mt-1">Model: {modelImpact}</span>
+        )}
+      </div>
+    );
+  };
+
+  const benchmarkNote = (path) => {
+    const score = benchmarkScores[path];
+    if (!score) return null;
+    return `${BENCHMARK_LABELS[score.label]}${score.percentile !== null ? ` · ${formatPercentile(score.percentile)}` : ''}`;
+  };
+
+  const renderBenchmark = (path) => {
+    const score = benchmarkScores[path];
+    if (!score) return null;
+    const colors = {
+      standard: 'bg-intrepid-green/10 text-intrepid-green',
+      'off-market': 'bg-orange-100 text-orange-800',
+      aggressive: 'bg-red-100 text-red-800'
+    };
+    return (
+      <span className={`ml-2 px-2 py-0.5 rounded text-xs font-open-sans font-normal whitespace-nowrap ${colors[score.label]}`}>
+        {benchmarkNote(path)}
+      </span>
+    );
+  };
+
+  // Rule hits next to the model's gotchas; like the model's, they are left
+  // out of shared views
+  const ruleGotchas = sharedView ? [] : detectGotchas(analysis, documentText);
+  const modelGotchas = analysis?.gotchas || [];
+
+  // The selected scenario's term overrides apply to the main calculator too
+  const activeOverrides = scenarios.find(s => s.active)?.overrides;
+  const waterfall = calculateWaterfall(exitScenario.exitValuation, exitScenario.yearsToExit, activeOverrides);
+
+  const sweepMax = sensitivityMax ?? exitScenario.exitValuation * 2;
+  const waterfallModel = waterfall ? buildWaterfallModel(exitScenario.yearsToExit, activeOverrides) : null;
+  const sensitivity = waterfallModel
+    ? sweepExits(waterfallModel.table, {
+        investorClass: waterfallModel.investorClass,
+        isFounder: (payout) => waterfallModel.kindOf(payout) === 'founder',
+        maxExit: sweepMax
       })
-    ];
-    
-    const csv = csvData.map(row => row.join(',')).join('\n');
-    const blob = new Blob([csv], { type: 'text/csv' });
+    : null;
+  const costOfCapital = calculateCostOfCapital(analysis, exitScenario.yearsToExit);
+
+  const downloadBlob = (blob, filename) => {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `term-sheet-analysis-${new Date().toISOString().split('T')[0]}.csv`;
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
   };
+
+  // Counter-proposals for flagged terms, priced against the extracted deal
+  const benchmarkStageInfo = BENCHMARKS.stages.find(stage => stage.id === stageId);
+  const playbook = buildPlaybook(analysis, {
+    scores: benchmarkScores,
+    stage: benchmarkStageInfo,
+    gotchas: ruleGotchas,
+    exitValue: exitScenario.exitValuation,
+    founderProceeds: (overrides) => calculateWaterfall(exitScenario.exitValuation, exitScenario.yearsToExit, overrides)?.founderReturn ?? null
+  });
+
+  const addPlaybookScenario = (name, overrides) => {
+    setScenarios([...scenarios, createScenario({ name, exitValuation: exitScenario.exitValuation, yearsToExit: exitScenario.yearsToExit, overrides })]);
+  };
+
+  const exportBrief = () => {
+    const html = playbookBriefHtml(playbook, {
+      stageLabel: benchmarkStageInfo?.label,
+      exitValue: exitScenario.exitValuation
+    });
+    downloadBlob(new Blob([html], { type: 'text/html' }), `negotiation-brief-${new Date().toISOString().split('T')[0]}.html`);
+  };
+
+  const counterSeries = stageId.startsWith('series-') && benchmarkStageInfo ? benchmarkStageInfo.label : 'Series Seed';
+  const downloadCounterTermSheet = (sheet, format) => {
+    const name = `counter-term-sheet-${new Date().toISOString().split('T')[0]}`;
+    if (format === 'docx') {
+      downloadBlob(new Blob([counterTermSheetDocx(sheet)], { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }), `${name}.docx`);
+    } else {
+      downloadBlob(new Blob([counterTermSheetMarkdown(sheet)], { type: 'text/markdown' }), `${name}.md`);
+    }
+  };
+
+  // Chart data read from the waterfall and the pro forma cap table
+  const payoutChartData = waterfall ? [
+    {
+      name: 'Liquidation\nPreference',
+      value: (analysis.investmentTerms?.investment || 0) * (analysis.liquidation?.liqPrefMultiple || 1) / 1000000,
+      fill: '#ef4444'
+    },
+    { name: 'Investor\nPayout', value: waterfall.investorReturn / 1000000, fill: '#5093A6' },
+    { name: 'Founder\nPayout', value: waterfall.founderReturn / 1000000, fill: '#5AC278' },
+    waterfall.optionPoolReturn !== null && { name: 'Option\nPool', value: waterfall.optionPoolReturn / 1000000, fill: '#f59e0b' },
+    waterfall.existingPreferredReturn > 0 && { name: 'Existing\nPreferred', value: waterfall.existingPreferredReturn / 1000000, fill: '#8b5cf6' }
+  ].filter(Boolean) : [];
+
+  const ownershipChartData = (proForma
+    ? [
+        { name: 'Investors', value: proForma.ownership.newRound, fill: '#5093A6' },
+        { name: 'Founders', value: proForma.ownership.founders, fill: '#5AC278' },
+        { name: 'Option Pool & Employees', value: proForma.ownership.pool + proForma.ownership.employees, fill: '#f59e0b' },
+        { name: 'Existing Preferred', value: proForma.ownership.existingPreferred, fill: '#8b5cf6' }
+      ]
+    : conversion
+      ? [
+          { name: 'SAFE & Note Holders', value: conversion.instruments.reduce((sum, i) => sum + i.ownershipPct, 0), fill: '#5093A6' },
+          { name: 'Founders', value: conversion.founder.ownershipAfter, fill: '#5AC278' },
+          { name: 'New Round', value: conversion.newInvestorPct, fill: '#8b5cf6' },
+          {
+            name: 'Other Holders',
+            value: 100 - conversion.founder.ownershipAfter - conversion.newInvestorPct - conversion.instruments.reduce((sum, i) => sum + i.ownershipPct, 0),
+            fill: '#f59e0b'
+          }
+        ]
+      : []
+  ).filter(slice => slice.value > 0.01);
   
+  // Raw figures behind the data exports (see utils/dataExport)
+  const exportData = () => ({
+    analysis,
+    documents: files.map(file => ({ name: file.name, size: file.size, type: file.type })),
+    stage: Object.keys(benchmarkScores).length > 0 ? { id: stageId, label: benchmarkStageInfo?.label } : null,
+    benchmarkScores,
+    ruleGotchas,
+    exitScenario,
+    capTable: proForma,
+    scenarios: scenarios.map(scenario => ({
+      ...scenario,
+      result: calculateWaterfall(scenario.exitValuation, scenario.yearsToExit, scenario.overrides)
+    })),
+    sensitivity,
+    costOfCapital
+  });
+
+  const exportFileName = (extension) => `term-sheet-analysis-${new Date().toISOString().split('T')[0]}.${extension}`;
+
+  const exportToCSV = () => {
+    if (!analysis) return;
+    downloadBlob(new Blob([analysisCsv(exportData())], { type: 'text/csv' }), exportFileName('csv'));
+  };
+
+  const exportToJSON = () => {
+    if (!analysis) return;
+    downloadBlob(new Blob([JSON.stringify(analysisJson(exportData()), null, 2)], { type: 'application/json' }), exportFileName('json'));
+  };
+
+  const exportToXLSX = () => {
+    if (!analysis) return;
+    downloadBlob(
+      new Blob([analysisWorkbook(exportData())], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+      exportFileName('xlsx')
+    );
+  };
+
+  // Branded PDF of the analysis on screen; charts are taken from the page as
+  // rendered, so only the ones currently shown are included
+  const generatePdfReport = async (sections) => {
+    const card = (section, title, rows) => ({
+      title,
+      impact: sectionImpact(analysis[section]?.founderImpact, benchmarkScores, section),
+      modelImpact: analysis[section]?.founderImpact,
+      rows,
+      plainEnglish: analysis[section]?.plainEnglish
+    });
+    const liquidation = analysis.liquidation || {};
+    const cards = [
+      card('investmentTerms', 'Investment Terms', [
+        { label: 'Pre-Money Valuation', value: formatMoney(analysis.investmentTerms?.preMoney || 0), note: benchmarkNote('investmentTerms.preMoney') },
+        { label: 'Option Pool', value: `${analysis.investmentTerms?.optionPoolPct || 0}%`, note: benchmarkNote('investmentTerms.optionPoolPct') }
+      ]),
+      card('liquidation', 'Liquidation Terms', [
+        { label: 'Preference Type', value: liquidation.type || 'non-participating', note: benchmarkNote('liquidation.type') },
+        { label: 'Liquidation Multiple', value: `${liquidation.liqPrefMultiple || 1}x`, note: benchmarkNote('liquidation.liqPrefMultiple') },
+        liquidation.type === 'capped-participating' && liquidation.participationCapMultiple && { label: 'Participation Cap', value: `${liquidation.participationCapMultiple}x`, note: benchmarkNote('liquidation.participationCapMultiple') },
+        liquidation.dividends && { label: 'Cumulative Dividends', value: `${liquidation.dividends.ratePct || 0}%`, note: benchmarkNote('liquidation.dividends.ratePct') }
+      ].filter(Boolean)),
+      // Left out of shared views, as on screen
+      ...(sharedView ? [] : [
+        card('controlGovernance', 'Control & Governance', [
+          { label: 'Board Composition', value: analysis.controlGovernance?.boardComposition || '—' },
+          { label: 'Voting Rights', value: analysis.controlGovernance?.votingRights || '—' }
+        ]),
+        card('founderTerms', 'Founder Terms', [
+          { label: 'Vesting Schedule', value: analysis.founderTerms?.vestingSchedule || '—' },
+          { label: 'Anti-Dilution', value: analysis.founderTerms?.antiDilution || '—' }
+        ])
+      ])
+    ];
+
+    const report = {
+      title: 'Term Sheet Analysis',
+      documentName: files.length > 1 ? `${files[0].name} and ${files.length - 1} more` : files[0]?.name,
+      date: new Date(),
+      stageLabel: Object.keys(benchmarkScores).length > 0 ? benchmarkStageInfo?.label : null,
+      metrics: {
+        investment: analysis.investmentTerms?.investment || 0,
+        investorPct: investorOwnershipPct || 0,
+        postMoney: postMoneyValuation || 0,
+        liqPrefMultiple: liquidation.liqPrefMultiple || 1,
+        preferenceType: liquidation.type
+      },
+      exit: waterfall && {
+        value: exitScenario.exitValuation,
+        years: exitScenario.yearsToExit,
+        founderReturn: waterfall.founderReturn,
+        founderPct: waterfall.founderPct,
+        investorMultiple: waterfall.investorMultiple
+      },
+      cards,
+      scenarios: scenarios.map(scenario => {
+        const w = calculateWaterfall(scenario.exitValuation, scenario.yearsToExit, scenario.overrides);
+        return {
+          name: scenario.name,
+          exitValue: scenario.exitValuation,
+          years: scenario.yearsToExit,
+          overrides: describeOverrides(scenario.overrides),
+          founderReturn: w ? w.founderReturn : null,
+          founderPct: w ? w.founderPct : null,
+          investorMultiple: w ? w.investorMultiple : null,
+          active: Boolean(scenario.active)
+        };
+      }),
+      gotchas: [
+        ...ruleGotchas.map(hit => ({ source: 'rule', ...hit })),
+        ...modelGotchas.map(gotcha => ({ source: 'model', title: gotcha }))
+      ],
+      costOfCapital
+    };
+
+    const charts = Array.from(document.querySelectorAll('[data-report-chart]'))
+      .map(node => ({ title: node.dataset.reportChart, svg: node.querySelector('svg.recharts-surface') }))
+      .filter(chart => chart.svg);
+    const logo = sections.includes('cover') ? await loadReportLogo() : null;
+
+    const doc = await buildPdfReport(report, { sections, charts, logo });
+    downloadBlob(doc.output('blob'), `term-sheet-report-${new Date().toISOString().split('T')[0]}.pdf`);
+  };
+
   // Share results function
   const shareResults = () => {
     if (!analysis) return;
     
-    const shareData = {
-      analysis: analysis.investmentTerms,
-      scenarios: scenarios,
-      exitScenario: exitScenario
-    };
-    
-    const encoded = btoa(JSON.stringify(shareData));
-    const shareUrl = `${window.location.origin}${window.location.pathname}?data=${encoded}`;
-    
-    navigator.clipboard.writeText(shareUrl).then(() => {
-      alert('Share link copied to clipboard!');
+    let share;
+    try {
+      share = buildShareUrl(analysis, scenarios, exitScenario, `${window.location.origin}${window.location.pathname}`);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    const trimmedNote = share.trimmed.length > 0 ? `\n\nLeft out to keep the link short: ${share.trimmed.join(', ')}.` : '';
+
+    navigator.clipboard.writeText(share.url).then(() => {
+      alert(`Share link copied to clipboard!${trimmedNote}`);
     }).catch(() => {
-      prompt('Copy this link to share:', shareUrl);
+      prompt(`Copy this link to share:${trimmedNote}`, share.url);
     });
   };
 
@@ -710,8 +997,12 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
           <div className="flex items-center justify-between">
             <div className="flex items-center gap-3">
               <div className="flex items-center cursor-pointer" onClick={() => {
+                  exitSharedView();
                   setShowLanding(true);
                   setAnalysis(null);
+                  setDocumentText(null);
+                  setFileResults([]);
+                  setActiveSource(null);
                   setFiles([]);
                   setUploadCollapsed(false);
                 }}>
@@ -724,11 +1015,23 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
               </div>
             </div>
             <div className="flex items-center gap-4">
+              <button
+                onClick={() => setShowSettings(true)}
+                className="flex items-center gap-2 px-3 py-2 text-intrepid-dark border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors font-open-sans text-sm"
+                title={`Model: ${PROVIDERS[llmSettings.provider]?.label}${llmSettings.model ? ` · ${llmSettings.model}` : ''}`}
+              >
+                <Settings className="h-4 w-4" />
+                <span className="hidden md:inline">{PROVIDERS[llmSettings.provider]?.label}</span>
+              </button>
               {analysis && (
                 <button
                   onClick={() => {
+                    exitSharedView();
                     setFiles([]);
                     setAnalysis(null);
+                    setDocumentText(null);
+                    setFileResults([]);
+                    setActiveSource(null);
                     setUploadCollapsed(false);
                     setError('');
                   }}
@@ -740,8 +1043,12 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
               )}
               <button
                 onClick={() => {
+                  exitSharedView();
                   setShowLanding(true);
                   setAnalysis(null);
+                  setDocumentText(null);
+                  setFileResults([]);
+                  setActiveSource(null);
                   setFiles([]);
                   setUploadCollapsed(false);
                 }}
@@ -774,8 +1081,46 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
           </div>
         </div>
 
-        {/* Upload Section - Collapsible */}
-        {uploadCollapsed && analysis ? (
+        {/* Shared View Banner - replaces the upload section for read-only links */}
+        {sharedView ? (
+          <div className="bg-white rounded-lg shadow-md p-6 border border-intrepid-blue/30">
+            <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+              <div className="flex items-start">
+                <Eye className="h-5 w-5 text-intrepid-blue mr-3 mt-0.5 flex-shrink-0" />
+                <div>
+                  <p className="font-montserrat font-semibold text-intrepid-dark">Shared View (Read-Only)</p>
+                  <p className="text-intrepid-dark/70 font-open-sans text-sm mt-1">
+                    This analysis was opened from a share link. You can switch scenarios and try other exit values, but the terms, cap table and scenarios cannot be edited. Only the deal economics were shared, so the following sections are not available:
+                  </p>
+                  <ul className="mt-2 space-y-1">
+                    {sharedView.omitted.map(section => (
+                      <li key={section.key} className="text-sm text-intrepid-dark/60 font-open-sans flex items-center">
+                        <XCircle className="h-4 w-4 text-intrepid-gray mr-2 flex-shrink-0" />
+                        {section.label}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+              <button
+                onClick={() => {
+                  exitSharedView();
+                  setFiles([]);
+                  setAnalysis(null);
+                  setDocumentText(null);
+                  setFileResults([]);
+                  setActiveSource(null);
+                  setUploadCollapsed(false);
+                  setError('');
+                }}
+                className="flex-shrink-0 flex items-center gap-2 px-4 py-2 bg-intrepid-green text-white rounded-lg hover:bg-intrepid-green/90 transition-all font-open-sans text-sm shadow-sm"
+              >
+                <Upload className="h-4 w-4" />
+                Analyze Your Own Term Sheet
+              </button>
+            </div>
+          </div>
+        ) : uploadCollapsed && analysis ? (
           // Collapsed state - show compact status bar
           <div className="bg-white rounded-lg shadow-md p-4 border border-intrepid-gray/20 flex items-center justify-between">
             <div className="flex items-center">
@@ -792,6 +1137,9 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                 onClick={() => {
                   setFiles([]);
                   setAnalysis(null);
+                  setDocumentText(null);
+                  setFileResults([]);
+                  setActiveSource(null);
                   setUploadCollapsed(false);
                   setError('');
                 }}
@@ -867,6 +1215,16 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                     </div>
                   ))}
                 </div>
+                {files.length > 1 && (
+                  <label className="mt-3 flex items-center text-sm font-open-sans text-intrepid-dark">
+                    These files are
+                    <select value={multiFileMode} onChange={(e) => setMultiFileMode(e.target.value)} className="ml-2 px-2 py-1 border border-intrepid-gray/30 rounded focus:outline-none focus:ring-2 focus:ring-intrepid-blue">
+                      <option value="combined">parts of one deal (analyze together)</option>
+                      <option value="offers">competing offers (compare side by side)</option>
+                      <option value="drafts">drafts of one deal, oldest first (redline)</option>
+                    </select>
+                  </label>
+                )}
               </div>
             )}
 
@@ -888,12 +1246,38 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
               {loading ? (
                 <>
                   <Loader2 className="animate-spin h-5 w-5 mr-2" />
-                  Analyzing Document...
+                  {fileProgress && `File ${fileProgress.current} of ${fileProgress.total}: `}
+                  {chunkProgress.length > 1
+                    ? `Analyzing Part ${Math.min(chunkProgress.filter(c => c.status === 'done' || c.status === 'failed').length + 1, chunkProgress.length)} of ${chunkProgress.length}...`
+                    : 'Analyzing Document...'}
                 </>
               ) : (
                 'Analyze Term Sheet'
               )}
             </button>
+
+            {/* Per-chunk progress for long documents */}
+            {loading && chunkProgress.length > 1 && (
+              <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+                <p className="text-xs font-montserrat font-semibold text-intrepid-dark/60 uppercase tracking-wider mb-3">
+                  Long document - analyzing in {chunkProgress.length} parts
+                </p>
+                <ul className="space-y-2">
+                  {chunkProgress.map(chunk => (
+                    <li key={chunk.index} className="flex items-center text-sm font-open-sans">
+                      {chunk.status === 'done' && <CheckCircle className="h-4 w-4 text-intrepid-green mr-2 flex-shrink-0" />}
+                      {chunk.status === 'running' && <Loader2 className="animate-spin h-4 w-4 text-intrepid-blue mr-2 flex-shrink-0" />}
+                      {chunk.status === 'failed' && <XCircle className="h-4 w-4 text-red-600 mr-2 flex-shrink-0" />}
+                      {chunk.status === 'pending' && <div className="h-4 w-4 rounded-full border-2 border-intrepid-gray mr-2 flex-shrink-0" />}
+                      <span className={chunk.status === 'pending' ? 'text-intrepid-dark/50' : 'text-intrepid-dark'}>
+                        Part {chunk.index + 1}: {chunk.label}
+                      </span>
+                      {chunk.status === 'failed' && <span className="ml-2 text-xs text-red-600">skipped</span>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
             
             {/* Alternative CTA when no analysis */}
             {!analysis && (
@@ -917,6 +1301,76 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
           </div>
         )}
 
+        {/* Competing Offers - one analysis per file */}
+        {fileResults.length > 1 && fileResults[0].mode === 'offers' && (
+          <OfferComparison
+            offers={fileResults}
+            activeOffer={activeResult}
+            onSelect={showFileResult}
+            exitValues={[...new Set(scenarios.map(s => s.exitValuation))].sort((a, b) => a - b)}
+            renderImpactBadge={getImpactBadge}
+          />
+        )}
+
+        {/* Draft Redline - what changed between drafts of one deal */}
+        {fileResults.length > 1 && fileResults[0].mode === 'drafts' && (
+          <DraftRedline
+            key={fileResults.map(result => result.name).join('|')}
+            drafts={fileResults}
+            onSelect={showFileResult}
+            renderImpactBadge={getImpactBadge}
+          />
+        )}
+
+        {/* SAFE / Note Conversion - sets the ownership the waterfall uses */}
+        {conversionInputs && (
+          <ConversionCalculator
+            inputs={conversionInputs}
+            onChange={(inputs) => setConversionOverrides(inputs)}
+            result={conversion}
+            readOnly={Boolean(sharedView)}
+          />
+        )}
+
+        {/* Pro Forma Cap Table - ownership source for the charts and waterfall */}
+        {capTable && (
+          <CapTableEditor
+            capTable={capTable}
+            proForma={proForma}
+            onChange={setCapTable}
+            onReset={() => setCapTable(capTableFromTerms(analysis.investmentTerms))}
+            readOnly={Boolean(sharedView)}
+          />
+        )}
+
+        {/* Option Pool Shuffle - pre- vs post-money pool top-up */}
+        {capTable && (
+          <PoolShuffleCalculator capTable={capTable} onChange={setCapTable} readOnly={Boolean(sharedView)} />
+        )}
+
+        {/* Anti-Dilution - down round adjustment of this round's conversion price */}
+        {antiDilutionInputs && (
+          <AntiDilutionSimulator
+            inputs={antiDilutionInputs}
+            onChange={setAntiDilutionOverrides}
+            result={downRound}
+            extractedText={analysis.founderTerms?.antiDilution}
+            extractedMechanism={extractedAntiDilution || 'none'}
+            readOnly={Boolean(sharedView)}
+          />
+        )}
+
+        {/* Future Rounds - dilution and stacked preferences through later financings */}
+        {roundStages.length > 0 && (
+          <RoundPlanner
+            rounds={futureRounds}
+            onChange={setFutureRounds}
+            stages={roundStages}
+            exitValue={exitScenario.exitValuation}
+            readOnly={Boolean(sharedView)}
+          />
+        )}
+
         {/* Exit Waterfall Calculator - MOVED TO TOP */}
         {analysis && analysis.investmentTerms && analysis.liquidation && (
           <div id="exit-calculator" className="bg-white rounded-xl shadow-sm hover:shadow-md transition-shadow p-8 border border-gray-100">
@@ -930,37 +1384,25 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
               <span className="text-xs font-open-sans text-intrepid-dark/50 uppercase tracking-wider">Interactive Model</span>
             </div>
             
-            {/* Scenario Quick Select */}
-            <div className="mb-8 p-4 bg-gray-50 rounded-lg">
-              <p className="text-xs font-montserrat font-semibold text-intrepid-dark/60 uppercase tracking-wider mb-3">Quick Scenarios</p>
-              <div className="flex flex-wrap gap-2">
-                {scenarios.map(scenario => (
-                  <button
-                    key={scenario.id}
-                    onClick={() => {
-                      setExitScenario({
-                        exitValuation: scenario.exitValuation,
-                        yearsToExit: scenario.yearsToExit
-                      });
-                      setScenarios(scenarios.map(s => ({
-                        ...s,
-                        active: s.id === scenario.id
-                      })));
-                    }}
-                    className={`px-5 py-2.5 rounded-full font-open-sans text-sm transition-all ${
-                      scenario.active 
-                        ? 'bg-gradient-to-r from-intrepid-green to-intrepid-blue text-white shadow-sm' 
-                        : 'bg-white text-intrepid-dark hover:shadow-sm border border-gray-200'
-                    }`}
-                  >
-                    {scenario.name}
-                    <span className="ml-2 text-xs opacity-80">
-                      ${(scenario.exitValuation / 1000000).toFixed(0)}M
-                    </span>
-                  </button>
-                ))}
-              </div>
-            </div>
+            {/* Scenarios */}
+            <ScenarioManager
+              scenarios={scenarios}
+              onChange={setScenarios}
+              onSelect={(scenario) => {
+                setExitScenario({
+                  exitValuation: scenario.exitValuation,
+                  yearsToExit: scenario.yearsToExit
+                });
+                setScenarios(scenarios.map(s => ({
+                  ...s,
+                  active: s.id === scenario.id
+                })));
+              }}
+              onExitChange={(fields) => setExitScenario({ ...exitScenario, ...fields })}
+              exitScenario={exitScenario}
+              extractedValue={(path) => extractedTermValue(analysis, path)}
+              readOnly={Boolean(sharedView)}
+            />
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
               <div>
@@ -973,10 +1415,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                     min="10"
                     max="500"
                     value={exitScenario.exitValuation / 1000000}
-                    onChange={(e) => setExitScenario({
-                      ...exitScenario,
-                      exitValuation: e.target.value * 1000000
-                    })}
+                    onChange={(e) => changeExit({ exitValuation: parseFloat(e.target.value) * 1000000 })}
                     className="w-full h-2 bg-intrepid-gray/30 rounded-lg appearance-none cursor-pointer slider"
                   />
                   <div className="flex items-center gap-2">
@@ -984,10 +1423,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                     <input
                       type="number"
                       value={exitScenario.exitValuation / 1000000}
-                      onChange={(e) => setExitScenario({
-                        ...exitScenario,
-                        exitValuation: e.target.value * 1000000
-                      })}
+                      onChange={(e) => changeExit({ exitValuation: parseFloat(e.target.value) * 1000000 })}
                       className="w-24 px-3 py-1 border border-intrepid-gray/30 rounded-lg focus:outline-none focus:ring-2 focus:ring-intrepid-blue font-open-sans"
                     />
                     <span className="text-sm text-intrepid-dark/60 font-open-sans">Million</span>
@@ -1004,20 +1440,14 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                     min="1"
                     max="10"
                     value={exitScenario.yearsToExit}
-                    onChange={(e) => setExitScenario({
-                      ...exitScenario,
-                      yearsToExit: parseInt(e.target.value)
-                    })}
+                    onChange={(e) => changeExit({ yearsToExit: parseInt(e.target.value, 10) })}
                     className="w-full h-2 bg-intrepid-gray/30 rounded-lg appearance-none cursor-pointer slider"
                   />
                   <div className="flex items-center gap-2">
                     <input
                       type="number"
                       value={exitScenario.yearsToExit}
-                      onChange={(e) => setExitScenario({
-                        ...exitScenario,
-                        yearsToExit: parseInt(e.target.value)
-                      })}
+                      onChange={(e) => changeExit({ yearsToExit: parseInt(e.target.value, 10) })}
                       className="w-24 px-3 py-1 border border-intrepid-gray/30 rounded-lg focus:outline-none focus:ring-2 focus:ring-intrepid-blue font-open-sans"
                       min="1"
                       max="10"
@@ -1038,7 +1468,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                     <span className="text-xs font-open-sans text-intrepid-dark/50 uppercase tracking-wider">Investor</span>
                   </div>
                   <p className="text-3xl font-montserrat font-bold text-intrepid-dark mb-1">
-                    ${(waterfall.investorReturn / 1000000).toFixed(1)}M
+                    {formatMoney(waterfall.investorReturn)}
                   </p>
                   <p className="text-sm text-intrepid-dark/60 font-open-sans">
                     <span className="font-semibold text-intrepid-blue">{waterfall.investorMultiple.toFixed(1)}x</span> multiple
@@ -1052,7 +1482,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                     <span className="text-xs font-open-sans text-intrepid-dark/50 uppercase tracking-wider">Founder</span>
                   </div>
                   <p className="text-3xl font-montserrat font-bold text-intrepid-dark mb-1">
-                    ${(waterfall.founderReturn / 1000000).toFixed(1)}M
+                    {formatMoney(waterfall.founderReturn)}
                   </p>
                   <p className="text-sm text-intrepid-dark/60 font-open-sans">
                     <span className="font-semibold text-intrepid-green">{waterfall.founderPct.toFixed(1)}%</span> of exit
@@ -1065,7 +1495,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
             {waterfall && analysis && (
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 {/* Payout Distribution Bar Chart */}
-                <div className="bg-white rounded-xl p-6 border border-gray-100">
+                <div className="bg-white rounded-xl p-6 border border-gray-100" data-report-chart="Payout Distribution">
                   <div className="flex items-center justify-between mb-6">
                     <h4 className="text-lg font-montserrat font-semibold text-intrepid-dark">
                       Payout Distribution
@@ -1076,28 +1506,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                   </div>
                   <ResponsiveContainer width="100%" height={300}>
                     <BarChart
-                      data={[
-                        {
-                          name: 'Liquidation\nPreference',
-                          value: (analysis.investmentTerms?.investment || 0) * (analysis.liquidation?.liqPrefMultiple || 1) / 1000000,
-                          fill: '#ef4444'
-                        },
-                        {
-                          name: 'Investor\nPayout',
-                          value: waterfall.investorReturn / 1000000,
-                          fill: '#5093A6'
-                        },
-                        {
-                          name: 'Founder\nPayout',
-                          value: waterfall.founderReturn / 1000000,
-                          fill: '#5AC278'
-                        },
-                        {
-                          name: 'Option\nPool',
-                          value: (exitScenario.exitValuation * ((analysis.investmentTerms?.optionPoolPct || 10) / 100)) / 1000000,
-                          fill: '#f59e0b'
-                        }
-                      ]}
+                      data={payoutChartData}
                       margin={{ top: 20, right: 30, left: 20, bottom: 60 }}
                     >
                       <CartesianGrid strokeDasharray="3 3" stroke="#e5e5e5" />
@@ -1115,12 +1524,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                         contentStyle={{ backgroundColor: '#fff', border: '1px solid #e5e5e5', borderRadius: '8px' }}
                       />
                       <Bar dataKey="value" radius={[8, 8, 0, 0]}>
-                        {[
-                          { fill: '#ef4444' },
-                          { fill: '#5093A6' },
-                          { fill: '#5AC278' },
-                          { fill: '#f59e0b' }
-                        ].map((entry, index) => (
+                        {payoutChartData.map((entry, index) => (
                           <Cell key={`cell-${index}`} fill={entry.fill} />
                         ))}
                       </Bar>
@@ -1129,7 +1533,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                 </div>
 
                 {/* Ownership Distribution Pie Chart */}
-                <div className="bg-white rounded-xl p-6 border border-gray-100">
+                <div className="bg-white rounded-xl p-6 border border-gray-100" data-report-chart="Post-Investment Ownership">
                   <div className="flex items-center justify-between mb-6">
                     <h4 className="text-lg font-montserrat font-semibold text-intrepid-dark">
                       Post-Investment Ownership
@@ -1141,23 +1545,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                   <ResponsiveContainer width="100%" height={300}>
                     <RechartsPieChart>
                       <Pie
-                        data={[
-                          { 
-                            name: 'Investors', 
-                            value: analysis.investmentTerms?.statedOwnershipPct || 25,
-                            fill: '#5093A6'
-                          },
-                          { 
-                            name: 'Founders', 
-                            value: 100 - (analysis.investmentTerms?.statedOwnershipPct || 25) - (analysis.investmentTerms?.optionPoolPct || 10),
-                            fill: '#5AC278'
-                          },
-                          { 
-                            name: 'Option Pool', 
-                            value: analysis.investmentTerms?.optionPoolPct || 10,
-                            fill: '#f59e0b'
-                          }
-                        ]}
+                        data={ownershipChartData}
                         cx="50%"
                         cy="50%"
                         labelLine={false}
@@ -1166,12 +1554,12 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                         fill="#8884d8"
                         dataKey="value"
                       >
-                        <Cell fill="#5093A6" />
-                        <Cell fill="#5AC278" />
-                        <Cell fill="#f59e0b" />
+                        {ownershipChartData.map((entry, index) => (
+                          <Cell key={`slice-${index}`} fill={entry.fill} />
+                        ))}
                       </Pie>
                       <Tooltip 
-                        formatter={(value) => `${value}%`}
+                        formatter={(value) => `${value.toFixed(1)}%`}
                         contentStyle={{ backgroundColor: '#fff', border: '1px solid #e5e5e5', borderRadius: '8px' }}
                       />
                       <Legend 
@@ -1189,6 +1577,16 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
               </div>
             )}
 
+            {/* Exit Sensitivity Curve */}
+            {sensitivity && (
+              <ExitSensitivityChart
+                sweep={sensitivity}
+                maxExit={sweepMax}
+                onMaxExitChange={setSensitivityMax}
+                currentExit={exitScenario.exitValuation}
+              />
+            )}
+
             {/* Scenario Comparison Table */}
             {waterfall && scenarios.length > 0 && (
               <div className="mt-6 bg-white rounded-xl p-6 border border-gray-100">
@@ -1204,13 +1602,16 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                       <tr className="border-b border-intrepid-gray/20">
                         <th className="text-left py-2 font-montserrat font-semibold text-intrepid-dark">Scenario</th>
                         <th className="text-right py-2 font-montserrat font-semibold text-intrepid-dark">Exit Value</th>
+                        <th className="text-right py-2 font-montserrat font-semibold text-intrepid-dark">Years</th>
+                        <th className="text-left py-2 pl-4 font-montserrat font-semibold text-intrepid-dark">Term Overrides</th>
                         <th className="text-right py-2 font-montserrat font-semibold text-intrepid-dark">Founder Return</th>
+                        <th className="text-right py-2 font-montserrat font-semibold text-intrepid-dark">Founder %</th>
                         <th className="text-right py-2 font-montserrat font-semibold text-intrepid-dark">Investor Multiple</th>
                       </tr>
                     </thead>
                     <tbody>
                       {scenarios.map(scenario => {
-                        const w = calculateWaterfall(scenario.exitValuation, scenario.yearsToExit);
+                        const w = calculateWaterfall(scenario.exitValuation, scenario.yearsToExit, scenario.overrides);
                         return (
                           <tr key={scenario.id} className="border-b border-intrepid-gray/10">
                             <td className="py-2 font-open-sans">
@@ -1218,10 +1619,17 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                               {scenario.active && <span className="ml-2 text-xs text-intrepid-green">(current)</span>}
                             </td>
                             <td className="text-right py-2 font-open-sans text-intrepid-dark/80">
-                              ${(scenario.exitValuation / 1000000).toFixed(0)}M
+                              {formatMoney(scenario.exitValuation, 0)}
+                            </td>
+                            <td className="text-right py-2 font-open-sans text-intrepid-dark/80">{scenario.yearsToExit}</td>
+                            <td className="py-2 pl-4 font-open-sans text-xs text-intrepid-dark/70">
+                              {describeOverrides(scenario.overrides) || '—'}
                             </td>
                             <td className="text-right py-2 font-open-sans font-semibold text-intrepid-green">
-                              ${w ? (w.founderReturn / 1000000).toFixed(1) : '0'}M
+                              {formatMoney(w ? w.founderReturn : 0)}
+                            </td>
+                            <td className="text-right py-2 font-open-sans text-intrepid-dark/80">
+                              {w ? w.founderPct.toFixed(1) : '0'}%
                             </td>
                             <td className="text-right py-2 font-open-sans text-intrepid-blue">
                               {w ? w.investorMultiple.toFixed(1) : '0'}x
@@ -1247,12 +1655,20 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                   CSV
                 </button>
                 <button
-                  onClick={() => window.print()}
+                  onClick={exportToXLSX}
+                  className="flex items-center gap-2 px-4 py-2 bg-white rounded-lg hover:shadow-sm transition-all font-open-sans text-sm text-intrepid-dark border border-gray-200"
+                >
+                  <Download className="h-4 w-4 text-intrepid-green" />
+                  XLSX
+                </button>
+                <button
+                  onClick={exportToJSON}
                   className="flex items-center gap-2 px-4 py-2 bg-white rounded-lg hover:shadow-sm transition-all font-open-sans text-sm text-intrepid-dark border border-gray-200"
                 >
-                  <Printer className="h-4 w-4 text-intrepid-blue" />
-                  Print
+                  <Download className="h-4 w-4 text-intrepid-green" />
+                  JSON
                 </button>
+                <PdfReportMenu onGenerate={generatePdfReport} />
                 <button
                   onClick={shareResults}
                   className="flex items-center gap-2 px-4 py-2 bg-white rounded-lg hover:shadow-sm transition-all font-open-sans text-sm text-intrepid-dark border border-gray-200"
@@ -1268,6 +1684,29 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
         {/* Results Section */}
         {analysis && analysis.investmentTerms && analysis.liquidation && (
           <>
+            {/* Stage the extracted terms are benchmarked against */}
+            {Object.keys(benchmarkScores).length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 text-sm font-open-sans text-intrepid-dark/70">
+                <span>Benchmarked against</span>
+                <select
+                  value={stageId}
+                  onChange={(e) => setBenchmarkStage(e.target.value)}
+                  className="px-2 py-1 border border-intrepid-gray/30 rounded focus:outline-none focus:ring-2 focus:ring-intrepid-blue text-sm"
+                >
+                  {BENCHMARKS.stages.map(stage => <option key={stage.id} value={stage.id}>{stage.label}</option>)}
+                </select>
+                <span>deals (illustrative market data v{BENCHMARKS.version})</span>
+              </div>
+            )}
+            {BENCHMARK_PROBLEMS.length > 0 && (
+              <div className="flex items-start gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm font-open-sans text-amber-800">
+                <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                <span>
+                  Market benchmarks are turned off: src/data/termBenchmarks.json has {BENCHMARK_PROBLEMS.length === 1 ? 'a problem' : `${BENCHMARK_PROBLEMS.length} problems`} ({BENCHMARK_PROBLEMS[0]}{BENCHMARK_PROBLEMS.length > 1 ? ', …' : ''}). Badges show the model's rating only.
+                </span>
+              </div>
+            )}
+
             {/* Key Metrics Dashboard */}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
               <div className="bg-white rounded-xl p-6 border border-gray-100 hover:shadow-sm transition-all">
@@ -1279,7 +1718,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                     <span className="text-xs font-open-sans text-intrepid-dark/50 uppercase tracking-wider">Investment</span>
                   </div>
                   <span className="text-2xl font-montserrat font-bold text-intrepid-dark">
-                    ${((analysis.investmentTerms?.investment || 0) / 1000000).toFixed(1)}M
+                    {formatMoney(analysis.investmentTerms?.investment || 0)}
                   </span>
                   <p className="text-sm text-intrepid-dark/60 font-open-sans mt-1">Total Funding</p>
                 </div>
@@ -1294,7 +1733,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                     <span className="text-xs font-open-sans text-intrepid-dark/50 uppercase tracking-wider">Equity</span>
                   </div>
                   <span className="text-2xl font-montserrat font-bold text-intrepid-dark">
-                    {analysis.investmentTerms?.statedOwnershipPct || 0}%
+                    {(investorOwnershipPct || 0).toFixed(1)}%
                   </span>
                   <p className="text-sm text-intrepid-dark/60 font-open-sans mt-1">Investor Share</p>
                 </div>
@@ -1309,7 +1748,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                     <span className="text-xs font-open-sans text-intrepid-dark/50 uppercase tracking-wider">Valuation</span>
                   </div>
                   <span className="text-2xl font-montserrat font-bold text-intrepid-dark">
-                    ${((analysis.investmentTerms?.postMoney || 0) / 1000000).toFixed(1)}M
+                    {formatMoney(postMoneyValuation || 0)}
                   </span>
                   <p className="text-sm text-intrepid-dark/60 font-open-sans mt-1">Post-Money</p>
                 </div>
@@ -1326,33 +1765,37 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                   <span className="text-2xl font-montserrat font-bold text-intrepid-dark">
                     {analysis.liquidation?.liqPrefMultiple || 1}x
                   </span>
-                  <p className="text-sm text-intrepid-dark/60 font-open-sans mt-1">Liquidation Multiple</p>
+                  <p className="text-sm text-intrepid-dark/60 font-open-sans mt-1">Liquidation Multiple{renderBenchmark('liquidation.liqPrefMultiple')}</p>
                 </div>
               </div>
             </div>
 
-            {/* Detailed Analysis */}
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Detailed Analysis, with the cited passages side by side when open */}
+            <div className={activeSource ? 'grid grid-cols-1 lg:grid-cols-2 gap-6 items-start' : ''}>
+            <div className={`grid grid-cols-1 ${activeSource ? '' : 'lg:grid-cols-2'} gap-6`}>
               {/* Investment Terms */}
-              <div className="bg-white rounded-lg shadow-md p-6">
-                <h3 className="text-lg font-montserrat font-semibold mb-4 text-intrepid-dark">Investment Terms</h3>
+              <div className={`bg-white rounded-lg shadow-md p-6 ${activeSource?.section === 'investmentTerms' ? 'ring-2 ring-intrepid-blue' : ''}`}>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-montserrat font-semibold text-intrepid-dark">Investment Terms</h3>
+                  {renderSourceButton('investmentTerms')}
+                </div>
               <div className="space-y-3">
                   <div>
                     <div className="flex justify-between items-center mb-1">
                       <span className="text-intrepid-dark/70 font-open-sans">Pre-Money Valuation</span>
-                      <span className="font-montserrat font-semibold text-intrepid-dark">${((analysis.investmentTerms?.preMoney || 0) / 1000000).toFixed(1)}M</span>
+                      <span className="font-montserrat font-semibold text-intrepid-dark">{formatMoney(analysis.investmentTerms?.preMoney || 0)}{renderBenchmark('investmentTerms.preMoney')}</span>
                   </div>
                 </div>
                   <div>
                     <div className="flex justify-between items-center mb-1">
                       <span className="text-intrepid-dark/70 font-open-sans">Option Pool</span>
-                      <span className="font-montserrat font-semibold text-intrepid-dark">{analysis.investmentTerms?.optionPoolPct || 0}%</span>
+                      <span className="font-montserrat font-semibold text-intrepid-dark">{analysis.investmentTerms?.optionPoolPct || 0}%{renderBenchmark('investmentTerms.optionPoolPct')}</span>
                   </div>
                 </div>
                   <div className="pt-3 border-t border-intrepid-gray/30">
                     <div className="flex items-start justify-between mb-2">
                       <span className="text-sm font-montserrat font-semibold text-intrepid-dark">Impact Assessment</span>
-                    {getImpactBadge(analysis.investmentTerms?.founderImpact)}
+                    {sectionBadge('investmentTerms')}
                     </div>
                     <p className="text-sm text-intrepid-dark/70 font-open-sans">{analysis.investmentTerms?.plainEnglish || ''}</p>
                 </div>
@@ -1360,36 +1803,59 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
             </div>
 
               {/* Liquidation Terms */}
-              <div className="bg-white rounded-lg shadow-md p-6">
-                <h3 className="text-lg font-montserrat font-semibold mb-4 text-intrepid-dark">Liquidation Terms</h3>
+              <div className={`bg-white rounded-lg shadow-md p-6 ${activeSource?.section === 'liquidation' ? 'ring-2 ring-intrepid-blue' : ''}`}>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-montserrat font-semibold text-intrepid-dark">Liquidation Terms</h3>
+                  {renderSourceButton('liquidation')}
+                </div>
               <div className="space-y-3">
                   <div>
                     <div className="flex justify-between items-center mb-1">
                       <span className="text-intrepid-dark/70 font-open-sans">Preference Type</span>
-                      <span className="font-montserrat font-semibold text-intrepid-dark capitalize">{analysis.liquidation?.type || 'non-participating'}</span>
+                      <span className="font-montserrat font-semibold text-intrepid-dark"><span className="capitalize">{analysis.liquidation?.type || 'non-participating'}</span>{renderBenchmark('liquidation.type')}</span>
                   </div>
                 </div>
+                  <div>
+                    <div className="flex justify-between items-center mb-1">
+                      <span className="text-intrepid-dark/70 font-open-sans">Liquidation Multiple</span>
+                      <span className="font-montserrat font-semibold text-intrepid-dark">{analysis.liquidation?.liqPrefMultiple || 1}x{renderBenchmark('liquidation.liqPrefMultiple')}</span>
+                  </div>
+                </div>
+                {analysis.liquidation?.type === 'capped-participating' && analysis.liquidation?.participationCapMultiple && (
+                  <div>
+                    <div className="flex justify-between items-center mb-1">
+                      <span className="text-intrepid-dark/70 font-open-sans">Participation Cap</span>
+                      <span className="font-montserrat font-semibold text-intrepid-dark">{analysis.liquidation.participationCapMultiple}x{renderBenchmark('liquidation.participationCapMultiple')}</span>
+                    </div>
+                  </div>
+                )}
                 {analysis.liquidation?.dividends && (
                   <div>
                     <div className="flex justify-between items-center mb-1">
                       <span className="text-gray-700">Cumulative Dividends</span>
-                        <span className="font-montserrat font-semibold text-intrepid-dark">{analysis.liquidation?.dividends?.ratePct || 0}%</span>
+                        <span className="font-montserrat font-semibold text-intrepid-dark">{analysis.liquidation?.dividends?.ratePct || 0}%{renderBenchmark('liquidation.dividends.ratePct')}</span>
                     </div>
                   </div>
                 )}
                   <div className="pt-3 border-t border-intrepid-gray/30">
                     <div className="flex items-start justify-between mb-2">
                       <span className="text-sm font-montserrat font-semibold text-intrepid-dark">Impact Assessment</span>
-                    {getImpactBadge(analysis.liquidation?.founderImpact)}
+                    {sectionBadge('liquidation')}
                     </div>
                     <p className="text-sm text-intrepid-dark/70 font-open-sans">{analysis.liquidation?.plainEnglish || ''}</p>
                 </div>
               </div>
             </div>
 
+              {/* Control & Governance and Founder Terms are never included in share links */}
+              {!sharedView && (
+              <>
               {/* Control & Governance */}
-              <div className="bg-white rounded-lg shadow-md p-6">
-                <h3 className="text-lg font-montserrat font-semibold mb-4 text-intrepid-dark">Control & Governance</h3>
+              <div className={`bg-white rounded-lg shadow-md p-6 ${activeSource?.section === 'controlGovernance' ? 'ring-2 ring-intrepid-blue' : ''}`}>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-montserrat font-semibold text-intrepid-dark">Control & Governance</h3>
+                  {renderSourceButton('controlGovernance')}
+                </div>
               <div className="space-y-3">
                 <div>
                     <p className="text-sm text-intrepid-dark/70 font-open-sans mb-1">Board Composition</p>
@@ -1402,7 +1868,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                   <div className="pt-3 border-t border-intrepid-gray/30">
                     <div className="flex items-start justify-between mb-2">
                       <span className="text-sm font-montserrat font-semibold text-intrepid-dark">Impact Assessment</span>
-                    {getImpactBadge(analysis.controlGovernance?.founderImpact)}
+                    {sectionBadge('controlGovernance')}
                     </div>
                     <p className="text-sm text-intrepid-dark/70 font-open-sans">{analysis.controlGovernance?.plainEnglish || ''}</p>
                 </div>
@@ -1410,8 +1876,11 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
             </div>
 
               {/* Founder Terms */}
-              <div className="bg-white rounded-lg shadow-md p-6">
-                <h3 className="text-lg font-montserrat font-semibold mb-4 text-intrepid-dark">Founder Terms</h3>
+              <div className={`bg-white rounded-lg shadow-md p-6 ${activeSource?.section === 'founderTerms' ? 'ring-2 ring-intrepid-blue' : ''}`}>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-montserrat font-semibold text-intrepid-dark">Founder Terms</h3>
+                  {renderSourceButton('founderTerms')}
+                </div>
               <div className="space-y-3">
                 <div>
                     <p className="text-sm text-intrepid-dark/70 font-open-sans mb-1">Vesting Schedule</p>
@@ -1424,13 +1893,25 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                   <div className="pt-3 border-t border-intrepid-gray/30">
                     <div className="flex items-start justify-between mb-2">
                       <span className="text-sm font-montserrat font-semibold text-intrepid-dark">Impact Assessment</span>
-                    {getImpactBadge(analysis.founderTerms?.founderImpact)}
+                    {sectionBadge('founderTerms')}
                     </div>
                     <p className="text-sm text-intrepid-dark/70 font-open-sans">{analysis.founderTerms?.plainEnglish || ''}</p>
                 </div>
               </div>
             </div>
+              </>
+              )}
           </div>
+            {activeSource && (
+              <DocumentViewer
+                documentText={documentText}
+                citations={citationsForSection(analysis.sources, activeSource.section)}
+                activePath={activeSource.path}
+                onSelect={(path) => setActiveSource({ ...activeSource, path })}
+                onClose={() => setActiveSource(null)}
+              />
+            )}
+            </div>
 
             {/* Confidence & Warnings */}
             {analysis?.confidence && (
@@ -1466,26 +1947,87 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                   </ul>
                 </div>
               )}
+              {analysis.validation && (
+                <details className="mt-4">
+                  <summary className="text-sm font-medium text-yellow-800 cursor-pointer">
+                    Data validation: {analysis.validation.fields.filter(field => field.status !== 'missing').length} fields checked
+                    {analysis.validation.summary.coerced ? ` · ${analysis.validation.summary.coerced} normalized` : ''}
+                    {analysis.validation.summary.derived ? ` · ${analysis.validation.summary.derived} calculated` : ''}
+                    {analysis.validation.summary.repaired ? ` · ${analysis.validation.summary.repaired} re-asked` : ''}
+                    {analysis.validation.summary.invalid ? ` · ${analysis.validation.summary.invalid} invalid` : ''}
+                  </summary>
+                  <ul className="mt-2 space-y-1">
+                    {analysis.validation.fields
+                      .filter(field => !['ok', 'missing'].includes(field.status))
+                      .map(field => (
+                        <li key={field.path} className="text-sm text-yellow-700 font-open-sans">
+                          <span className={`inline-block w-20 text-xs font-semibold uppercase ${field.status === 'invalid' ? 'text-red-700' : 'text-yellow-800'}`}>
+                            {VALIDATION_LABELS[field.status] || field.status}
+                          </span>
+                          <code className="text-xs">{field.path}</code>
+                          {field.message ? ` — ${field.message}` : ''}
+                        </li>
+                      ))}
+                  </ul>
+                </details>
+              )}
             </div>
           )}
 
             {/* Gotchas */}
-            {analysis?.gotchas && analysis.gotchas.length > 0 && (
+            {(ruleGotchas.length > 0 || modelGotchas.length > 0) && (
               <div className="bg-red-50 border border-red-200 rounded-lg p-6">
                 <h3 className="text-lg font-montserrat font-semibold mb-4 flex items-center text-red-800">
                   <AlertCircle className="mr-2" /> Potential Gotchas
                 </h3>
                 <ul className="space-y-2">
-                  {analysis.gotchas.map((gotcha, index) => (
+                  {ruleGotchas.map(hit => (
+                    <li key={hit.id} className="flex items-start">
+                      <span className="text-red-600 mr-2">•</span>
+                      <div className="flex-1 font-open-sans">
+                        <span className="text-red-700">{hit.title}</span>
+                        <span className={`ml-2 px-2 py-0.5 rounded text-xs uppercase tracking-wider ${GOTCHA_SEVERITY_COLORS[hit.severity]}`}>{hit.severity}</span>
+                        <span className="ml-2 text-xs text-red-800/60">Rule <code>{hit.id}</code></span>
+                        <p className="text-sm text-red-700/80 italic mt-0.5">"{hit.match}"</p>
+                      </div>
+                    </li>
+                  ))}
+                  {modelGotchas.map((gotcha, index) => (
                     <li key={index} className="flex items-start">
                       <span className="text-red-600 mr-2">•</span>
-                      <span className="text-red-700 font-open-sans">{gotcha}</span>
+                      <div className="flex-1 font-open-sans">
+                        <span className="text-red-700">{gotcha}</span>
+                        <span className="ml-2 text-xs text-red-800/60">AI model</span>
+                      </div>
                     </li>
                   ))}
                 </ul>
               </div>
             )}
 
+            {/* Negotiation Playbook */}
+            {playbook.length > 0 && (
+              <NegotiationPlaybook
+                playbook={playbook}
+                exitValue={exitScenario.exitValuation}
+                renderImpactBadge={getImpactBadge}
+                onAddScenario={addPlaybookScenario}
+                onExport={exportBrief}
+              />
+            )}
+
+            {/* Counter Term Sheet */}
+            {!sharedView && !isConvertibleAnalysis(analysis) && (
+              <CounterTermSheet
+                analysis={analysis}
+                edits={counterEdits}
+                onChange={setCounterEdits}
+                playbook={playbook}
+                series={counterSeries}
+                onDownload={downloadCounterTermSheet}
+              />
+            )}
+
             {/* Cost of Capital Analysis */}
             {costOfCapital && (
               <div className="bg-gradient-to-r from-intrepid-green/5 to-intrepid-blue/5 border border-intrepid-green/20 rounded-lg p-6">
@@ -1501,7 +2043,7 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                   <div className="bg-white rounded-lg p-4 border border-intrepid-gray/20">
                     <p className="text-sm text-intrepid-dark/70 font-open-sans mb-1">Break-Even Exit</p>
                     <p className="text-2xl font-montserrat font-bold text-intrepid-green">
-                    ${(costOfCapital.breakEvenExit / 1000000).toFixed(1)}M
+                    {costOfCapital.breakEvenExit === null ? 'n/a' : formatMoney(costOfCapital.breakEvenExit)}
                   </p>
                     <p className="text-xs text-intrepid-dark/60 font-open-sans">Min exit for founder profit</p>
                 </div>
@@ -1514,6 +2056,73 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
                 <div className="mt-4 p-3 bg-white rounded-lg border border-intrepid-gray/20">
                   <p className="text-sm text-intrepid-dark/80 font-open-sans">{costOfCapital.explanation}</p>
               </div>
+
+              {/* Dividend accrual schedule */}
+              {costOfCapital.dividendAccrual.terms.ratePct > 0 && (
+                <div className="mt-4 p-4 bg-white rounded-lg border border-intrepid-gray/20">
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-3">
+                    <h4 className="font-montserrat font-semibold text-intrepid-dark mb-2 md:mb-0">
+                      Dividend Accrual ({costOfCapital.dividendAccrual.terms.ratePct}% per year)
+                    </h4>
+                    <div className="flex flex-wrap gap-2">
+                      {[
+                        { field: 'compounding', options: [['simple', 'Simple'], ['compound', 'Compound']] },
+                        { field: 'frequency', options: [['annual', 'Annual'], ['quarterly', 'Quarterly']] },
+                        { field: 'cumulative', options: [[true, 'Cumulative'], [false, 'Non-cumulative']] },
+                        { field: 'payableIn', options: [['cash', 'Paid in cash'], ['shares', 'Paid in shares']] }
+                      ].map(({ field, options }) => (
+                        <select
+                          key={field}
+                          value={String(costOfCapital.dividendAccrual.terms[field])}
+                          disabled={field === 'frequency' && costOfCapital.dividendAccrual.terms.compounding !== 'compound'}
+                          onChange={(e) => setDividendOverrides({
+                            ...dividendOverrides,
+                            [field]: options.find(([value]) => String(value) === e.target.value)[0]
+                          })}
+                          className="px-2 py-1 border border-intrepid-gray/30 rounded text-sm font-open-sans disabled:opacity-50"
+                        >
+                          {options.map(([value, label]) => (
+                            <option key={label} value={String(value)}>{label}</option>
+                          ))}
+                        </select>
+                      ))}
+                    </div>
+                  </div>
+                  {costOfCapital.dividendAccrual.terms.cumulative ? (
+                    <table className="w-full text-sm font-open-sans">
+                      <thead>
+                        <tr className="text-left text-intrepid-dark/60 border-b border-intrepid-gray/20">
+                          <th className="py-1">Year</th>
+                          <th className="py-1 text-right">Accrued</th>
+                          <th className="py-1 text-right">Cumulative</th>
+                          <th className="py-1 text-right">
+                            {costOfCapital.dividendAccrual.terms.payableIn === 'shares' ? 'Preferred Capital' : 'Investment + Dividends'}
+                          </th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {costOfCapital.dividendAccrual.schedule.map(row => (
+                          <tr key={row.year} className="border-b border-intrepid-gray/10">
+                            <td className="py-1">{row.year}</td>
+                            <td className="py-1 text-right">{formatMoney(row.accrued, 2)}</td>
+                            <td className="py-1 text-right">{formatMoney(row.cumulative, 2)}</td>
+                            <td className="py-1 text-right font-semibold">{formatMoney(row.balance, 2)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  ) : (
+                    <p className="text-sm text-intrepid-dark/70 font-open-sans">
+                      Non-cumulative dividends are only owed when the board declares them, so nothing accrues to the liquidation preference.
+                    </p>
+                  )}
+                  {costOfCapital.dividendAccrual.terms.payableIn === 'shares' && costOfCapital.dividendAccrual.terms.cumulative && (
+                    <p className="mt-2 text-xs text-intrepid-dark/60 font-open-sans">
+                      Dividends paid in shares are issued as additional preferred stock, which adds to both the preference and the investor's as-converted ownership.
+                    </p>
+                  )}
+                </div>
+              )}
               
               {/* CTA Section - You Have Options */}
               <div className="mt-6 p-6 bg-gradient-to-r from-intrepid-green to-intrepid-blue rounded-lg">
@@ -1544,6 +2153,17 @@ IMPORTANT: Extract whatever you can find. It's better to have partial data than
         )}
       </div>
       
+      {showSettings && (
+        <SettingsPanel
+          settings={llmSettings}
+          onSave={(settings) => {
+            setLLMSettings(settings);
+            setShowSettings(false);
+          }}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
       {/* Footer */}
       <footer className="bg-white border-t border-gray-100 mt-12 py-8">
         <div className="max-w-7xl mx-auto px-6">
@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsPDF needs TextEncoder, which jsdom does not provide
+import { TextEncoder, TextDecoder } from 'util';
+
+if (!global.TextEncoder) Object.assign(global, { TextEncoder, TextDecoder });
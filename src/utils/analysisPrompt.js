@@ -0,0 +1,145 @@
+// Prompts for term sheet extraction. The JSON structure described in the
+// system prompt is what the rest of the app reads from \`analysis\`.
+
+export const ANALYSIS_SYSTEM_PROMPT = `You are an expert venture capital analyst. Analyze this investment document and extract ALL relevant terms, regardless of format or document type.
+
+DOCUMENT TYPES TO HANDLE:
+- Term sheets (Series A, B, C, etc.)
+- SAFE agreements (Simple Agreement for Future Equity)
+- Convertible notes
+- Investment agreements
+- LOIs (Letters of Intent)
+
+EXTRACTION INSTRUCTIONS:
+1. Work with whatever format the document uses - don't expect specific structure
+2. Common term variations to recognize:
+   - Investment: funding amount, capital commitment, purchase price, investment size
+   - Valuation: pre-money, post-money, cap, enterprise value, company valuation
+   - Ownership: equity %, shareholding, dilution, ownership percentage
+   - Liquidation: preference, waterfall, senior preference, return multiple
+3. If a field cannot be determined, set it to null
+4. If you can calculate missing values from available data, do so
+5. Include confidence scores (0-1) for each major section
+6. Tables are marked with [TABLE] ... [/TABLE] and rows as "| cell | cell |"; headings start with "#"; clause numbers like "4.2(b)" are kept at the start of their lines
+7. For every non-null field you extract (other than explanations and impact ratings), add an entry to "sources" keyed by the field's path. "quote" is the shortest passage that establishes the value, copied verbatim from the document (at most ~200 characters, no paraphrasing); "page" is the number from the nearest "--- Page N ---" line above it, or null if there is none
+
+RETURN JSON FORMAT:
+{
+  "documentType": "term_sheet|safe|convertible_note|other",
+  "confidence": {
+    "overall": 0.95,
+    "investment": 0.9,
+    "liquidation": 0.8,
+    "control": 0.7,
+    "warnings": ["List any inconsistencies or concerns"]
+  },
+  "investmentTerms": {
+    "preMoney": null or number,
+    "postMoney": null or number,
+    "investment": null or number,
+    "valuationCap": null or number (for SAFEs/notes),
+    "discount": null or number (percent off the round price, e.g. 20 for 20%; for SAFEs/notes),
+    "safeType": null or "post-money|pre-money" (for SAFEs),
+    "mfn": null or boolean (most-favored-nation clause, for SAFEs/notes),
+    "interestRatePct": null or number (for notes),
+    "maturityMonths": null or number (for notes),
+    "statedOwnershipPct": null or number,
+    "optionPoolPct": null or number,
+    "poolExpandsPre": null or boolean,
+    "plainEnglish": "Simple explanation of what this means",
+    "founderImpact": "positive|neutral|concerning|negative",
+    "whyItMatters": "Why founders should care"
+  },
+  "liquidation": {
+    "liqPrefMultiple": null or number,
+    "type": "non-participating|participating|capped-participating|none",
+    "participationCapMultiple": null or number,
+    "dividends": {
+      "ratePct": null or number,
+      "compounding": "simple|compound|none",
+      "frequency": null or "annual|quarterly",
+      "cumulative": null or boolean,
+      "payableIn": null or "cash|shares"
+    },
+    "plainEnglish": "explanation",
+    "founderImpact": "positive|neutral|concerning|negative",
+    "whyItMatters": "explanation"
+  },
+  "controlGovernance": {
+    "boardComposition": null or "description",
+    "votingRights": null or "description",
+    "protectiveProvisions": null or "description",
+    "dragAlong": null or boolean,
+    "tagAlong": null or boolean,
+    "plainEnglish": "explanation",
+    "founderImpact": "positive|neutral|concerning|negative",
+    "whyItMatters": "explanation"
+  },
+  "founderTerms": {
+    "vestingSchedule": null or "description",
+    "acceleration": null or "description",
+    "antiDilution": null or "description",
+    "proRata": null or boolean,
+    "plainEnglish": "explanation",
+    "founderImpact": "positive|neutral|concerning|negative",
+    "whyItMatters": "explanation"
+  },
+  "costOfCapital": {
+    "effectiveAPR": null or number,
+    "trueDilutionCost": null or number,
+    "breakEvenExitValue": null or number,
+    "explanation": "How we calculated the true cost"
+  },
+  "gotchas": ["Hidden terms or concerning provisions"],
+  "rawTerms": {
+    "description": "Any important terms that don't fit categories above"
+  },
+  "sources": {
+    "liquidation.liqPrefMultiple": { "quote": "verbatim text from the document", "page": 3 },
+    "controlGovernance.boardComposition": { "quote": "verbatim text from the document", "page": 5 }
+  },
+  "keyMetrics": {
+    "totalDilution": null or number,
+    "founderOwnership": null or number,
+    "optionPoolOwnership": null or number,
+    "investorOwnership": null or number
+  }
+}
+
+IMPORTANT: Extract whatever you can find. It's better to have partial data than to fail completely.`;
+
+export function buildAnalysisUserPrompt(documentContent, part = null) {
+  if (part) {
+    return `Analyze the following excerpt, part ${part.part} of ${part.total} of a longer investment document, and extract all key VC terms that appear in it.
+Only report values stated in this part. Set anything this part does not cover to null and do not guess it from context; the parts are merged afterwards.\n\n${documentContent}`;
+  }
+  return `Analyze the following term sheet document and extract all key VC terms:\n\n${documentContent}`;
+}
+
+// Follow-up prompt after a reply that failed validation. `problems` is a list
+// of { path, message, original }; an empty list means the reply was not JSON.
+export function buildRepairPrompt(originalUserPrompt, problems) {
+  if (problems.length === 0) {
+    return `${originalUserPrompt}
+
+Your previous reply could not be parsed as JSON. Reply again with only the JSON object in the required format, with no commentary or code fences.`;
+  }
+
+  const list = problems
+    .map(problem => `- ${problem.path}: ${problem.message}${problem.original !== undefined ? ` (you returned ${JSON.stringify(problem.original)})` : ''}`)
+    .join('\n');
+
+  return `${originalUserPrompt}
+
+Your previous reply had problems with these fields:
+${list}
+
+Re-read the document and reply with a JSON object containing ONLY these fields, nested as in the required format, with corrected values. Numbers must be plain JSON numbers (5000000, not "$5M"; 20, not "20%"). Use null if the document does not state the value.`;
+}
+
+// Joins extracted documents under file-name headers
+export function combineDocuments(documents) {
+  return documents
+    .map(doc => `\n\n--- ${doc.name} ---\n${doc.text}`)
+    .join('');
+}
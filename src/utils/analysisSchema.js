@@ -0,0 +1,481 @@
+// Formal schema for the analysis JSON described in ANALYSIS_SYSTEM_PROMPT.
+// validateAnalysis() coerces model output into that shape ("$5M" -> 5000000,
+// "20%" -> 20, "1x" -> 1), fills derivable and default values, and returns a
+// per-field report of what it had to change.
+
+const IMPACT = { type: 'enum', values: ['positive', 'neutral', 'concerning', 'negative'] };
+const TEXT = { type: 'text' };
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  fields: {
+    documentType: {
+      type: 'enum',
+      values: ['term_sheet', 'safe', 'convertible_note', 'other'],
+      aliases: { 'term sheet': 'term_sheet', 'convertible note': 'convertible_note', 'note': 'convertible_note' },
+      default: 'other'
+    },
+    confidence: {
+      type: 'object',
+      fields: {
+        overall: { type: 'ratio' },
+        investment: { type: 'ratio' },
+        liquidation: { type: 'ratio' },
+        control: { type: 'ratio' },
+        warnings: { type: 'stringArray', default: [] }
+      }
+    },
+    investmentTerms: {
+      type: 'object',
+      required: true,
+      fields: {
+        preMoney: { type: 'currency' },
+        postMoney: { type: 'currency' },
+        investment: { type: 'currency' },
+        valuationCap: { type: 'currency' },
+        // Percent off the round price; 0.2 from the model means 20%
+        discount: { type: 'percent', fractions: true },
+        safeType: {
+          type: 'enum',
+          values: ['post-money', 'pre-money'],
+          aliases: { 'post money': 'post-money', 'postmoney': 'post-money', 'pre money': 'pre-money', 'premoney': 'pre-money' }
+        },
+        mfn: { type: 'boolean' },
+        interestRatePct: { type: 'percent' },
+        maturityMonths: { type: 'number', range: [0, 240] },
+        statedOwnershipPct: { type: 'percent' },
+        optionPoolPct: { type: 'percent' },
+        poolExpandsPre: { type: 'boolean' },
+        plainEnglish: TEXT,
+        founderImpact: IMPACT,
+        whyItMatters: TEXT
+      }
+    },
+    liquidation: {
+      type: 'object',
+      required: true,
+      fields: {
+        liqPrefMultiple: { type: 'multiple' },
+        type: {
+          type: 'enum',
+          values: ['non-participating', 'participating', 'capped-participating', 'none'],
+          aliases: {
+            'nonparticipating': 'non-participating',
+            'non participating': 'non-participating',
+            'straight': 'non-participating',
+            'full participation': 'participating',
+            'fully participating': 'participating',
+            'participating with cap': 'capped-participating',
+            'capped participating': 'capped-participating',
+            'capped': 'capped-participating'
+          },
+          negations: {
+            'capped-participating': ['uncapped', 'no cap', 'not capped', 'without a cap', 'without cap']
+          }
+        },
+        participationCapMultiple: { type: 'multiple' },
+        dividends: {
+          type: 'object',
+          fields: {
+            ratePct: { type: 'percent' },
+            compounding: {
+              type: 'enum',
+              values: ['simple', 'compound', 'none'],
+              aliases: { 'compounding': 'compound', 'compounded': 'compound', 'non-compounding': 'simple' }
+            },
+            frequency: {
+              type: 'enum',
+              values: ['annual', 'quarterly'],
+              aliases: { 'yearly': 'annual', 'annually': 'annual', 'per annum': 'annual', 'quarter': 'quarterly' }
+            },
+            cumulative: { type: 'boolean' },
+            payableIn: {
+              type: 'enum',
+              values: ['cash', 'shares'],
+              aliases: { 'in cash': 'cash', 'stock': 'shares', 'pik': 'shares', 'in kind': 'shares', 'common': 'shares', 'preferred': 'shares' }
+            }
+          }
+        },
+        plainEnglish: TEXT,
+        founderImpact: IMPACT,
+        whyItMatters: TEXT
+      }
+    },
+    controlGovernance: {
+      type: 'object',
+      fields: {
+        boardComposition: TEXT,
+        votingRights: TEXT,
+        protectiveProvisions: TEXT,
+        dragAlong: { type: 'boolean' },
+        tagAlong: { type: 'boolean' },
+        plainEnglish: TEXT,
+        founderImpact: IMPACT,
+        whyItMatters: TEXT
+      }
+    },
+    founderTerms: {
+      type: 'object',
+      fields: {
+        vestingSchedule: TEXT,
+        acceleration: TEXT,
+        antiDilution: TEXT,
+        proRata: { type: 'boolean' },
+        plainEnglish: TEXT,
+        founderImpact: IMPACT,
+        whyItMatters: TEXT
+      }
+    },
+    costOfCapital: {
+      type: 'object',
+      fields: {
+        effectiveAPR: { type: 'percent', range: [-100, 1000] },
+        trueDilutionCost: { type: 'number' },
+        breakEvenExitValue: { type: 'currency' },
+        explanation: TEXT
+      }
+    },
+    gotchas: { type: 'stringArray', default: [] },
+    rawTerms: { type: 'any' },
+    // Source quote and page per dotted field path, e.g. "liquidation.type"
+    sources: { type: 'sources', default: {} },
+    keyMetrics: {
+      type: 'object',
+      fields: {
+        totalDilution: { type: 'percent' },
+        founderOwnership: { type: 'percent' },
+        optionPoolOwnership: { type: 'percent' },
+        investorOwnership: { type: 'percent' }
+      }
+    }
+  }
+};
+
+const SCALE_WORDS = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mm: 1e6, mn: 1e6, mil: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9
+};
+
+const TRUE_WORDS = ['true', 'yes', 'y', 'included', 'applies', 'applicable'];
+const FALSE_WORDS = ['false', 'no', 'n', 'none', 'not included', 'not applicable', 'n/a'];
+
+const firstNumber = (text) => {
+  const match = text.replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+// "$5M", "USD 5,000,000", "2.5 million", "500k" -> number of dollars
+const parseCurrency = (text) => {
+  const match = text.replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*(thousand|million|billion|mil|mm|mn|bn|k|m|b)?\b/i);
+  if (!match) return null;
+  const scale = match[2] ? SCALE_WORDS[match[2].toLowerCase()] : 1;
+  return parseFloat(match[1]) * scale;
+};
+
+// Lower-case words padded with spaces, so phrases only match whole words:
+// "Non-Participating" -> " non participating "
+const enumWords = (text) => ` ${text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+const wordCount = (phrase) => enumWords(phrase).trim().split(' ').length;
+
+const SECTION_MISSING = 'Section missing from response';
+// Without these the calculators have nothing to work from
+const CRITICAL_FIELDS = ['investmentTerms.investment'];
+
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+// Each coercer returns { value, status, message }
+const COERCERS = {
+  number: (value) => {
+    if (typeof value === 'number' && Number.isFinite(value)) return { value, status: 'ok' };
+    if (typeof value === 'string') {
+      const parsed = firstNumber(value);
+      if (parsed !== null) return { value: parsed, status: 'coerced', message: `Converted "${value}" to ${parsed}` };
+    }
+    return { value: null, status: 'invalid', message: 'Expected a number' };
+  },
+
+  currency: (value) => {
+    if (typeof value === 'number' && Number.isFinite(value)) return { value, status: 'ok' };
+    if (typeof value === 'string') {
+      const parsed = parseCurrency(value);
+      if (parsed !== null) return { value: parsed, status: 'coerced', message: `Converted "${value}" to ${parsed}` };
+    }
+    return { value: null, status: 'invalid', message: 'Expected a dollar amount' };
+  },
+
+  // With `spec.fractions`, a bare number under 1 is a fraction: 0.2 is 20%
+  percent: (value, spec = {}) => {
+    const fraction = spec.fractions && !(typeof value === 'string' && value.includes('%'))
+      ? (typeof value === 'number' ? value : firstNumber(String(value)))
+      : null;
+    if (Number.isFinite(fraction) && fraction > 0 && fraction < 1) {
+      const scaled = Math.round(fraction * 10000) / 100;
+      return { value: scaled, status: 'coerced', message: `Read ${JSON.stringify(value)} as ${scaled}%` };
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) return { value, status: 'ok' };
+    if (typeof value === 'string') {
+      const parsed = firstNumber(value);
+      if (parsed !== null) return { value: parsed, status: 'coerced', message: `Converted "${value}" to ${parsed}%` };
+    }
+    return { value: null, status: 'invalid', message: 'Expected a percentage' };
+  },
+
+  // Confidence scores are 0-1; the model sometimes answers in percent
+  ratio: (value) => {
+    const base = COERCERS.percent(value);
+    if (base.value === null) return { ...base, message: 'Expected a score between 0 and 1' };
+    const isPercentString = typeof value === 'string' && value.includes('%');
+    if (isPercentString || base.value > 1) {
+      const scaled = base.value / 100;
+      return { value: scaled, status: 'coerced', message: `Converted ${JSON.stringify(value)} to ${scaled}` };
+    }
+    return base;
+  },
+
+  multiple: (value) => {
+    if (typeof value === 'number' && Number.isFinite(value)) return { value, status: 'ok' };
+    if (typeof value === 'string') {
+      const parsed = firstNumber(value);
+      if (parsed !== null) return { value: parsed, status: 'coerced', message: `Converted "${value}" to ${parsed}x` };
+    }
+    return { value: null, status: 'invalid', message: 'Expected a multiple such as 1 or 1.5' };
+  },
+
+  boolean: (value) => {
+    if (typeof value === 'boolean') return { value, status: 'ok' };
+    if (typeof value === 'string') {
+      const text = value.trim().toLowerCase();
+      if (TRUE_WORDS.includes(text) || TRUE_WORDS.some(word => text.startsWith(`${word},`) || text.startsWith(`${word} `))) {
+        return { value: true, status: 'coerced', message: `Converted "${value}" to yes` };
+      }
+      if (FALSE_WORDS.includes(text) || FALSE_WORDS.some(word => text.startsWith(`${word},`) || text.startsWith(`${word} `))) {
+        return { value: false, status: 'coerced', message: `Converted "${value}" to no` };
+      }
+    }
+    return { value: null, status: 'invalid', message: 'Expected yes/no' };
+  },
+
+  // An exact value or alias first; otherwise the longest alias or value that
+  // appears as whole words, skipping values the text rules out (`negations`,
+  // e.g. "uncapped" for capped-participating)
+  enum: (value, spec) => {
+    if (spec.values.includes(value)) return { value, status: 'ok' };
+    if (typeof value === 'string') {
+      const text = enumWords(value);
+      const phrases = [...Object.entries(spec.aliases || {}), ...spec.values.map(option => [option, option])];
+      const negated = (option) => (spec.negations?.[option] || []).some(phrase => text.includes(enumWords(phrase)));
+      const match = phrases.find(([phrase]) => enumWords(phrase) === text)?.[1] ||
+        phrases
+          .sort(([a], [b]) => wordCount(b) - wordCount(a))
+          .find(([phrase, option]) => text.includes(enumWords(phrase)) && !negated(option))?.[1];
+      if (match) return { value: match, status: 'coerced', message: `Normalized "${value}" to "${match}"` };
+    }
+    return { value: null, status: 'invalid', message: `Expected one of: ${spec.values.join(', ')}` };
+  },
+
+  text: (value) => {
+    if (typeof value === 'string') return { value, status: 'ok' };
+    if (typeof value === 'boolean') return { value: value ? 'Yes' : 'No', status: 'coerced', message: 'Converted yes/no to text' };
+    if (typeof value === 'number') return { value: String(value), status: 'coerced', message: 'Converted number to text' };
+    if (Array.isArray(value)) return { value: value.map(String).join('; '), status: 'coerced', message: 'Joined list into text' };
+    if (typeof value === 'object') return { value: JSON.stringify(value), status: 'coerced', message: 'Converted object to text' };
+    return { value: null, status: 'invalid', message: 'Expected text' };
+  },
+
+  stringArray: (value) => {
+    if (typeof value === 'string') return { value: [value], status: 'coerced', message: 'Wrapped single item in a list' };
+    if (!Array.isArray(value)) return { value: null, status: 'invalid', message: 'Expected a list' };
+    let coerced = false;
+    const items = value
+      .filter(item => !isBlank(item))
+      .map(item => {
+        if (typeof item === 'string') return item;
+        coerced = true;
+        if (typeof item === 'object') return item.description || item.text || item.issue || item.title || JSON.stringify(item);
+        return String(item);
+      });
+    return coerced ? { value: items, status: 'coerced', message: 'Converted list items to text' } : { value: items, status: 'ok' };
+  },
+
+  sources: (value) => {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return { value: null, status: 'invalid', message: 'Expected an object of field paths to quotes' };
+    }
+    let coerced = false;
+    const cleaned = {};
+    Object.entries(value).forEach(([path, entry]) => {
+      const quote = typeof entry === 'string' ? entry : entry?.quote;
+      if (typeof quote !== 'string' || !quote.trim()) {
+        coerced = true;
+        return;
+      }
+      let page = entry?.page ?? null;
+      if (typeof entry === 'string' || (page !== null && typeof page !== 'number')) {
+        coerced = true;
+        page = typeof page === 'string' ? firstNumber(page) : null;
+      }
+      cleaned[path] = { quote: quote.trim(), page };
+    });
+    return coerced
+      ? { value: cleaned, status: 'coerced', message: 'Dropped or reshaped malformed source entries' }
+      : { value: cleaned, status: 'ok' };
+  },
+
+  any: (value) => ({ value, status: 'ok' })
+};
+
+const RANGES = {
+  percent: [0, 100],
+  ratio: [0, 1],
+  multiple: [0, 100],
+  currency: [0, Infinity]
+};
+
+const validateNode = (value, spec, path, report, options) => {
+  if (spec.type === 'object') {
+    if (isBlank(value)) {
+      if (spec.required && !options.partial) {
+        report.push({ path: path.join('.'), status: 'defaulted', message: SECTION_MISSING });
+      }
+      value = {};
+    } else if (typeof value !== 'object' || Array.isArray(value)) {
+      report.push({ path: path.join('.'), status: 'invalid', message: 'Expected an object', original: value });
+      value = {};
+    }
+
+    const result = {};
+    Object.entries(spec.fields).forEach(([key, fieldSpec]) => {
+      result[key] = validateNode(value[key], fieldSpec, [...path, key], report, options);
+    });
+    // Keep unexpected keys for forward compatibility
+    Object.keys(value).forEach(key => {
+      if (!(key in spec.fields)) result[key] = value[key];
+    });
+    return result;
+  }
+
+  const fieldPath = path.join('.');
+  if (isBlank(value)) {
+    if (spec.default !== undefined) {
+      report.push({ path: fieldPath, status: 'defaulted', message: 'Not provided; using default' });
+      return Array.isArray(spec.default) ? [...spec.default] : spec.default;
+    }
+    report.push({ path: fieldPath, status: 'missing' });
+    return null;
+  }
+
+  const coerced = COERCERS[spec.type](value, spec);
+  const range = spec.range || RANGES[spec.type];
+  if (coerced.value !== null && range && (coerced.value < range[0] || coerced.value > range[1])) {
+    report.push({ path: fieldPath, status: 'invalid', message: `Value ${coerced.value} is outside ${range[0]}-${range[1]}`, original: value });
+    return null;
+  }
+
+  report.push({
+    path: fieldPath,
+    status: coerced.status,
+    ...(coerced.message ? { message: coerced.message } : {}),
+    ...(coerced.status !== 'ok' ? { original: value } : {})
+  });
+  return coerced.value;
+};
+
+const setReport = (report, path, entry) => {
+  const existing = report.find(item => item.path === path);
+  if (existing) Object.assign(existing, entry);
+  else report.push({ path, ...entry });
+};
+
+// Fills values that follow arithmetically from the ones the model did provide
+const deriveMissing = (analysis, report) => {
+  const inv = analysis.investmentTerms;
+  if (inv.postMoney === null && inv.preMoney !== null && inv.investment !== null) {
+    inv.postMoney = inv.preMoney + inv.investment;
+    setReport(report, 'investmentTerms.postMoney', { status: 'derived', message: 'Pre-money + investment' });
+  }
+  if (inv.preMoney === null && inv.postMoney !== null && inv.investment !== null && inv.postMoney > inv.investment) {
+    inv.preMoney = inv.postMoney - inv.investment;
+    setReport(report, 'investmentTerms.preMoney', { status: 'derived', message: 'Post-money - investment' });
+  }
+  if (inv.statedOwnershipPct === null && inv.postMoney && inv.investment !== null) {
+    inv.statedOwnershipPct = (inv.investment / inv.postMoney) * 100;
+    setReport(report, 'investmentTerms.statedOwnershipPct', { status: 'derived', message: 'Investment / post-money' });
+  }
+
+  const liq = analysis.liquidation;
+  if (liq.type === 'participating' && liq.participationCapMultiple !== null) {
+    liq.type = 'capped-participating';
+    setReport(report, 'liquidation.type', { status: 'coerced', message: 'Participation cap present; treated as capped-participating' });
+  }
+};
+
+const summarize = (report) => report.reduce((counts, item) => {
+  counts[item.status] = (counts[item.status] || 0) + 1;
+  return counts;
+}, {});
+
+// Carries statuses from earlier passes (e.g. individual chunks) into the final
+// report, so a "$5M" coerced before merging still shows up as coerced
+const withEarlierStatus = (item, earlierReports) => {
+  const earlier = earlierReports.flat().filter(other => other.path === item.path);
+  const pick = (statuses) => statuses
+    .map(status => earlier.find(other => other.status === status))
+    .find(Boolean);
+
+  const replacement = item.status === 'ok'
+    ? pick(['repaired', 'coerced'])
+    : item.status === 'missing' ? pick(['invalid']) : null;
+  return replacement ? { ...replacement } : item;
+};
+
+// Validates and normalizes an analysis. With `partial` (one chunk of a longer
+// document) missing sections are expected and not reported.
+export function validateAnalysis(raw, { partial = false, earlierReports = [] } = {}) {
+  let report = [];
+  const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const analysis = validateNode(source, ANALYSIS_SCHEMA, [], report, { partial });
+
+  if (!partial) deriveMissing(analysis, report);
+  if (earlierReports.length > 0) {
+    report = report.map(item => withEarlierStatus(item, earlierReports));
+  }
+
+  return {
+    analysis,
+    report,
+    summary: summarize(report)
+  };
+}
+
+// Problems worth a targeted follow-up prompt to the model
+export function findRepairableProblems(report, { partial = false } = {}) {
+  return report
+    .filter(item => item.status === 'invalid' ||
+      (item.status === 'defaulted' && item.message === SECTION_MISSING) ||
+      (!partial && item.status === 'missing' && CRITICAL_FIELDS.includes(item.path)))
+    .map(item => ({
+      path: item.path,
+      message: item.status === 'missing' ? 'Not found; check the document again' : item.message,
+      ...(item.original !== undefined ? { original: item.original } : {})
+    }));
+}
+
+// Writes `patch` values into `target` only at the given dotted paths
+export function applyPatch(target, patch, paths) {
+  const result = JSON.parse(JSON.stringify(target || {}));
+  paths.forEach(path => {
+    const keys = path.split('.');
+    let source = patch;
+    for (const key of keys) source = source?.[key];
+    if (source === undefined) return;
+
+    let node = result;
+    keys.slice(0, -1).forEach(key => {
+      if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = source;
+  });
+  return result;
+}
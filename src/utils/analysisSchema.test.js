@@ -0,0 +1,66 @@
+import { validateAnalysis, findRepairableProblems } from './analysisSchema';
+import { parseAnalysisResponse } from './parseAnalysis';
+
+test('normalizes amounts, percentages and enums and reports each change', () => {
+  const { analysis, report } = validateAnalysis({
+    documentType: 'Term Sheet',
+    confidence: { overall: '85%' },
+    investmentTerms: { preMoney: '$20M', investment: '$5,000,000', optionPoolPct: '10%', poolExpandsPre: 'Yes' },
+    liquidation: { liqPrefMultiple: '1x', type: 'Non-Participating', dividends: { ratePct: '8% per annum' } }
+  });
+
+  expect(analysis.documentType).toBe('term_sheet');
+  expect(analysis.confidence.overall).toBe(0.85);
+  expect(analysis.investmentTerms).toMatchObject({ preMoney: 20000000, investment: 5000000, optionPoolPct: 10, poolExpandsPre: true });
+  expect(analysis.investmentTerms.postMoney).toBe(25000000);
+  expect(analysis.investmentTerms.statedOwnershipPct).toBe(20);
+  expect(analysis.liquidation).toMatchObject({ liqPrefMultiple: 1, type: 'non-participating', dividends: { ratePct: 8 } });
+  expect(analysis.gotchas).toEqual([]);
+
+  const status = (path) => report.find(item => item.path === path).status;
+  expect(status('investmentTerms.preMoney')).toBe('coerced');
+  expect(status('investmentTerms.postMoney')).toBe('derived');
+  expect(status('controlGovernance.dragAlong')).toBe('missing');
+});
+
+test('flags values that cannot be normalized and missing sections for a follow-up', () => {
+  const { analysis, report } = validateAnalysis({
+    investmentTerms: { investment: 'see Schedule A', discount: 150 }
+  });
+
+  expect(analysis.investmentTerms.investment).toBeNull();
+  expect(analysis.liquidation.liqPrefMultiple).toBeNull();
+  expect(findRepairableProblems(report).map(problem => problem.path)).toEqual([
+    'investmentTerms.investment',
+    'investmentTerms.discount',
+    'liquidation'
+  ]);
+  expect(findRepairableProblems(validateAnalysis({}, { partial: true }).report, { partial: true })).toEqual([]);
+});
+
+test('extracts the analysis object from surrounding prose', () => {
+  const reply = 'Here is the analysis:\n{"gotchas": ["Uses {braces}"], "liquidation": {"type": "none",}}\nLet me know {if} you need more.';
+
+  expect(parseAnalysisResponse(reply)).toEqual({ gotchas: ['Uses {braces}'], liquidation: { type: 'none' } });
+});
+
+test('participation wording maps by whole words, honoring negated caps', () => {
+  const type = (text) => validateAnalysis({ investmentTerms: { investment: 1 }, liquidation: { type: text } }).analysis.liquidation.type;
+
+  expect(type('Uncapped participating')).toBe('participating');
+  expect(type('Participating (no cap)')).toBe('participating');
+  expect(type('Participating, not capped')).toBe('participating');
+  expect(type('Non-participating preferred')).toBe('non-participating');
+  expect(type('Non-participating (no cap)')).toBe('non-participating');
+  expect(type('Participating, capped at 3x')).toBe('capped-participating');
+  expect(type('Capped participating')).toBe('capped-participating');
+});
+
+test('a SAFE discount given as a fraction is read as a percentage', () => {
+  const read = (discount) => validateAnalysis({ investmentTerms: { investment: 500000, discount } }).analysis.investmentTerms.discount;
+
+  expect(read(0.2)).toBe(20);
+  expect(read('0.15')).toBe(15);
+  expect(read(20)).toBe(20);
+  expect(read('0.5%')).toBe(0.5);
+});
@@ -0,0 +1,106 @@
+// Down-round anti-dilution for the series this term sheet creates. The
+// protected series' conversion price is reset when a later round prices
+// below it, so each preferred share converts into more common and the
+// difference comes out of everyone else:
+//   full ratchet        CP2 = new round price
+//   weighted average    CP2 = CP1 * (A + B) / (A + C)
+// where A is the shares outstanding before the down round, B the shares the
+// new money would buy at CP1 and C the shares it actually buys. Broad-based
+// counts A on a fully diluted basis (options and the unallocated pool
+// included); narrow-based counts issued shares only.
+
+export const ANTI_DILUTION_TYPES = {
+  'full-ratchet': 'Full ratchet',
+  'broad-based': 'Broad-based weighted average',
+  'narrow-based': 'Narrow-based weighted average',
+  none: 'None'
+};
+
+const ISSUED_KINDS = ['founder', 'employee', 'preferred', 'new-round'];
+const COMMON_KINDS = ['founder', 'employee', 'options', 'pool'];
+
+// Mechanisms the term rules out, as in "no full ratchet" or "not
+// narrow-based"; dropped before the term is read
+const NEGATED_MECHANISM = /\b(?:no|not|without|excluding|other\s+than)\s+(?:an?\s+|any\s+)?(?:full[\s-]*ratchet|narrow[\s-]*based|broad[\s-]*based|weighted[\s-]*average)/g;
+
+// Reads the mechanism from the extracted free-text term. Weighted average
+// without a qualifier is taken as broad-based, the market default, and wins
+// over a full ratchet mentioned alongside it.
+export function parseAntiDilution(text) {
+  if (!text) return null;
+  const value = String(text).toLowerCase().replace(NEGATED_MECHANISM, ' ');
+  if (/narrow/.test(value)) return 'narrow-based';
+  if (/broad|weighted[\s-]*average/.test(value)) return 'broad-based';
+  if (/full[\s-]*ratchet/.test(value)) return 'full-ratchet';
+  if (/\bnone\b|\bno anti/.test(value)) return 'none';
+  return null;
+}
+
+// Adjusted conversion price for `mechanism`; unchanged unless the new round
+// prices below the original conversion price
+export function adjustedConversionPrice(mechanism, { originalPrice, newPrice, newInvestment, sharesOutstanding }) {
+  if (!(newPrice > 0) || newPrice >= originalPrice) return originalPrice;
+  if (mechanism === 'full-ratchet') return newPrice;
+  if (mechanism === 'broad-based' || mechanism === 'narrow-based') {
+    const b = newInvestment / originalPrice;
+    const c = newInvestment / newPrice;
+    return originalPrice * (sharesOutstanding + b) / (sharesOutstanding + c);
+  }
+  return originalPrice;
+}
+
+// Runs a down round priced at `newPrice` raising `newInvestment` against a
+// pro forma from computeProForma(). The new round in the pro forma is the
+// protected series.
+export function simulateDownRound(proForma, { mechanism, newPrice, newInvestment }) {
+  const sharesOf = (kinds) => proForma.rows
+    .filter(row => kinds.includes(row.kind))
+    .reduce((sum, row) => sum + row.sharesAfter, 0);
+
+  const originalPrice = proForma.pricePerShare;
+  const protectedShares = proForma.newRoundShares;
+  const sharesOutstanding = mechanism === 'narrow-based' ? sharesOf(ISSUED_KINDS) : proForma.postRoundShares;
+  const adjustedPrice = adjustedConversionPrice(mechanism, {
+    originalPrice,
+    newPrice,
+    newInvestment: newInvestment || 0,
+    sharesOutstanding
+  });
+
+  const adjustedShares = protectedShares * originalPrice / adjustedPrice;
+  const extraShares = adjustedShares - protectedShares;
+  const downRoundShares = newPrice > 0 && newInvestment > 0 ? newInvestment / newPrice : 0;
+
+  const ownershipWith = (protectedSeriesShares, newShares) => {
+    const total = proForma.postRoundShares - protectedShares + protectedSeriesShares + newShares;
+    return {
+      founders: (sharesOf(['founder']) / total) * 100,
+      common: (sharesOf(COMMON_KINDS) / total) * 100,
+      existingPreferred: (sharesOf(['preferred']) / total) * 100,
+      protectedSeries: (protectedSeriesShares / total) * 100,
+      downRound: (newShares / total) * 100
+    };
+  };
+  const before = ownershipWith(protectedShares, 0);
+  const withoutAdjustment = ownershipWith(protectedShares, downRoundShares);
+  const withAdjustment = ownershipWith(adjustedShares, downRoundShares);
+
+  return {
+    mechanism,
+    isDownRound: newPrice > 0 && newPrice < originalPrice,
+    originalPrice,
+    newPrice,
+    adjustedPrice,
+    protectedShares,
+    adjustedShares,
+    extraShares,
+    downRoundShares,
+    before,
+    withoutAdjustment,
+    withAdjustment,
+    // Ownership points lost to the anti-dilution shares alone, on top of
+    // the ordinary dilution from the down round
+    founderExtraDilution: withoutAdjustment.founders - withAdjustment.founders,
+    commonExtraDilution: withoutAdjustment.common - withAdjustment.common
+  };
+}
@@ -0,0 +1,49 @@
+import { parseAntiDilution, simulateDownRound } from './antiDilution';
+import { computeProForma, createHolder } from './capTable';
+
+// $1.00 round: founders 7M, pool 1M, new round 2M shares for $2M
+const proForma = computeProForma({
+  holders: [createHolder('founder', { shares: 7000000 }), createHolder('pool', { shares: 1000000 })],
+  round: { preMoney: 8000000, investment: 2000000, targetPoolPct: 0, poolExpandsPre: true, seniority: 'senior' }
+});
+const downRound = { newPrice: 0.5, newInvestment: 1000000 };
+
+test('reads the mechanism from the extracted term', () => {
+  expect(parseAntiDilution('Broad-based weighted average anti-dilution')).toBe('broad-based');
+  expect(parseAntiDilution('Narrow based weighted average')).toBe('narrow-based');
+  expect(parseAntiDilution('Full ratchet')).toBe('full-ratchet');
+  expect(parseAntiDilution('Weighted average')).toBe('broad-based');
+  expect(parseAntiDilution('None')).toBe('none');
+  expect(parseAntiDilution(null)).toBeNull();
+});
+
+test('a ruled-out full ratchet is not read as one', () => {
+  expect(parseAntiDilution('Broad-based weighted average; no full ratchet')).toBe('broad-based');
+  expect(parseAntiDilution('Weighted average, not a full ratchet')).toBe('broad-based');
+  expect(parseAntiDilution('Without full ratchet protection')).toBeNull();
+  expect(parseAntiDilution('Full ratchet, not broad-based')).toBe('full-ratchet');
+});
+
+test('full ratchet resets the conversion price to the down round price', () => {
+  const result = simulateDownRound(proForma, { mechanism: 'full-ratchet', ...downRound });
+
+  expect(result.adjustedPrice).toBeCloseTo(0.5);
+  expect(result.adjustedShares).toBeCloseTo(4000000);
+  // Founders: 7/12 without the adjustment, 7/14 with it
+  expect(result.founderExtraDilution).toBeCloseTo((7 / 12 - 7 / 14) * 100);
+});
+
+test('weighted average counts fully diluted or issued shares', () => {
+  const broad = simulateDownRound(proForma, { mechanism: 'broad-based', ...downRound });
+  const narrow = simulateDownRound(proForma, { mechanism: 'narrow-based', ...downRound });
+
+  // (10M + 1M) / (10M + 2M) and (9M + 1M) / (9M + 2M)
+  expect(broad.adjustedPrice).toBeCloseTo(11 / 12);
+  expect(narrow.adjustedPrice).toBeCloseTo(10 / 11);
+  expect(narrow.extraShares).toBeGreaterThan(broad.extraShares);
+});
+
+test('no adjustment without a down round or protection', () => {
+  expect(simulateDownRound(proForma, { mechanism: 'full-ratchet', newPrice: 1.5, newInvestment: 1000000 }).extraShares).toBeCloseTo(0);
+  expect(simulateDownRound(proForma, { mechanism: 'none', ...downRound }).founderExtraDilution).toBeCloseTo(0);
+});
@@ -0,0 +1,179 @@
+// Scores extracted terms against the bundled benchmarks in
+// src/data/termBenchmarks.json, illustrative figures until sourced data
+// replaces them. Numeric terms get the percentile of deals at that stage
+// that were better for founders; participation uses the share of deals with
+// a friendlier type. That "adverse" percentile is labelled standard /
+// off-market / aggressive with the dataset's thresholds. The worst label in
+// a section can lower its founderImpact badge below the model's rating,
+// never raise it. Only priced rounds are scored, and nothing is scored while
+// an edit has left the dataset invalid.
+
+import BENCHMARK_DATA from '../data/termBenchmarks.json';
+import { isConvertibleAnalysis } from './conversion';
+import { valueAt } from './paths';
+
+export const BENCHMARKS = BENCHMARK_DATA;
+
+export const BENCHMARK_LABELS = {
+  standard: 'Standard',
+  'off-market': 'Off-Market',
+  aggressive: 'Aggressive'
+};
+
+const QUANTILES = [10, 25, 50, 75, 90];
+// Reported for values outside the p10-p90 range
+const BELOW_RANGE = 5;
+const ABOVE_RANGE = 95;
+
+const LABEL_IMPACT = { 'off-market': 'concerning', aggressive: 'negative' };
+const IMPACT_ORDER = ['positive', 'neutral', 'concerning', 'negative'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Problems with an edited dataset, as messages; [] when it is usable
+export function validateBenchmarks(dataset = BENCHMARKS) {
+  const problems = [];
+  if (!dataset.version) problems.push('missing version');
+  const { offMarket, aggressive } = dataset.thresholds || {};
+  if (!(offMarket < aggressive)) problems.push('thresholds.offMarket must be below thresholds.aggressive');
+
+  let previousMax = 0;
+  (dataset.stages || []).forEach((stage, index) => {
+    const isLast = index === dataset.stages.length - 1;
+    if (isLast ? stage.maxInvestment !== null : !(stage.maxInvestment > previousMax)) {
+      problems.push(`${stage.id}: maxInvestment must increase by stage and be null for the last stage`);
+    }
+    previousMax = stage.maxInvestment;
+
+    Object.entries(dataset.terms || {}).forEach(([path, term]) => {
+      const values = stage.terms?.[path];
+      if (!values) {
+        problems.push(`${stage.id}: no benchmark for ${path}`);
+      } else if (term.order) {
+        const shares = Object.entries(values.shares || {});
+        const total = shares.reduce((sum, [, share]) => sum + share, 0);
+        if (Math.abs(total - 1) > 0.001) problems.push(`${stage.id}: ${path} shares must add up to 1`);
+        shares.forEach(([option]) => {
+          if (!term.order.includes(option)) problems.push(`${stage.id}: ${path} has unknown option "${option}"`);
+        });
+      } else {
+        const quantiles = QUANTILES.map(p => values[`p${p}`]);
+        if (!quantiles.every(isNumber) || quantiles.some((q, i) => i > 0 && q < quantiles[i - 1])) {
+          problems.push(`${stage.id}: ${path} needs non-decreasing p10-p90 values`);
+        }
+      }
+    });
+  });
+  if (!dataset.stages?.length) problems.push('no stages');
+  return problems;
+}
+
+// Problems with the bundled dataset; scoring is off while there are any
+export const BENCHMARK_PROBLEMS = validateBenchmarks(BENCHMARK_DATA);
+
+const usable = (dataset) => (dataset === BENCHMARKS ? BENCHMARK_PROBLEMS : validateBenchmarks(dataset)).length === 0;
+
+// Stage named in the document ("Series A Preferred", "Seed Preferred"),
+// else the first stage whose investment range covers the round
+export function inferStage(analysis, documentText = '', dataset = BENCHMARKS) {
+  if (!usable(dataset)) return 'seed';
+  const ids = dataset.stages.map(stage => stage.id);
+  const series = documentText.match(/\bseries\s+([a-z])\s+preferred\b/i);
+  if (series) {
+    const id = `series-${series[1].toLowerCase()}`;
+    return ids.includes(id) ? id : ids[ids.length - 1];
+  }
+  if (/\bpre-?seed\b/i.test(documentText)) return 'pre-seed';
+  if (/\b(series\s+seed|seed\s+preferred)\b/i.test(documentText)) return 'seed';
+
+  const investment = analysis?.investmentTerms?.investment;
+  if (!isNumber(investment)) return 'seed';
+  return dataset.stages.find(stage => stage.maxInvestment === null || investment <= stage.maxInvestment).id;
+}
+
+// Share of deals (0-100) on better terms for founders than `value`. Flat
+// stretches count from their low end, so a value every deal shares scores
+// as standard.
+const adversePercentile = (value, quantiles, worse) => {
+  const points = QUANTILES.map(p => (worse === 'lower'
+    ? { p: 100 - p, q: -quantiles[`p${p}`] }
+    : { p, q: quantiles[`p${p}`] }));
+  if (worse === 'lower') points.reverse();
+  const v = worse === 'lower' ? -value : value;
+
+  if (v < points[0].q) return BELOW_RANGE;
+  if (v > points[points.length - 1].q) return ABOVE_RANGE;
+  const i = points.findIndex(point => point.q >= v);
+  if (points[i].q === v) return points[i].p;
+  const lower = points[i - 1];
+  const upper = points[i];
+  return lower.p + (upper.p - lower.p) * (v - lower.q) / (upper.q - lower.q);
+};
+
+// The value a term is benchmarked on, or null when it does not apply
+const benchmarkedValue = (analysis, path) => {
+  const liquidation = analysis.liquidation || {};
+  if (path === 'liquidation.participationCapMultiple' && liquidation.type !== 'capped-participating') return null;
+  if (path === 'liquidation.dividends.ratePct') {
+    if (!isNumber(liquidation.dividends?.ratePct)) return null;
+    return liquidation.dividends.cumulative === false ? 0 : liquidation.dividends.ratePct;
+  }
+  const value = valueAt(analysis, path);
+  return value === null || value === undefined ? null : value;
+};
+
+// Scores keyed by term path: { value, percentile (of the value across
+// deals), adversePercentile, label }
+export function scoreTerms(analysis, stageId, dataset = BENCHMARKS) {
+  if (!analysis || !usable(dataset)) return {};
+  const stage = dataset.stages.find(s => s.id === stageId);
+  if (!stage || isConvertibleAnalysis(analysis)) return {};
+  const { offMarket, aggressive } = dataset.thresholds;
+
+  const scores = {};
+  Object.entries(dataset.terms).forEach(([path, term]) => {
+    const value = benchmarkedValue(analysis, path);
+    const benchmark = stage.terms[path];
+    if (value === null || !benchmark) return;
+
+    let adverse;
+    let percentile;
+    if (term.order) {
+      const rank = term.order.indexOf(value);
+      if (rank < 0) return;
+      adverse = 100 * term.order.slice(0, rank).reduce((sum, option) => sum + (benchmark.shares[option] || 0), 0);
+      percentile = null;
+    } else {
+      if (!isNumber(value)) return;
+      adverse = adversePercentile(value, benchmark, term.worse);
+      percentile = term.worse === 'lower' ? 100 - adverse : adverse;
+    }
+
+    const label = adverse > aggressive ? 'aggressive' : adverse > offMarket ? 'off-market' : 'standard';
+    scores[path] = { value, percentile, adversePercentile: adverse, label };
+  });
+  return scores;
+}
+
+export const formatPercentile = (percentile) => {
+  if (percentile <= BELOW_RANGE) return 'below 10th pct';
+  if (percentile >= ABOVE_RANGE) return 'above 90th pct';
+  const n = Math.round(percentile);
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  return `${n}${suffix} pct`;
+};
+
+// A section's badge: the worse of the model's rating and its benchmarks,
+// where off-market or aggressive terms rate it concerning or negative.
+// Standard terms say nothing about clauses the benchmarks do not cover, so
+// they leave the model's rating as it is.
+export function sectionImpact(modelImpact, scores, section) {
+  const labels = Object.entries(scores)
+    .filter(([path]) => path.startsWith(`${section}.`))
+    .map(([, score]) => score.label);
+  const benchmarkImpact = labels.includes('aggressive') ? LABEL_IMPACT.aggressive
+    : labels.includes('off-market') ? LABEL_IMPACT['off-market']
+      : null;
+  if (!benchmarkImpact) return modelImpact;
+  return IMPACT_ORDER.indexOf(modelImpact) > IMPACT_ORDER.indexOf(benchmarkImpact) ? modelImpact : benchmarkImpact;
+}
@@ -0,0 +1,61 @@
+import { BENCHMARKS, formatPercentile, inferStage, scoreTerms, sectionImpact, validateBenchmarks } from './benchmarks';
+
+const termSheet = (investmentTerms, liquidation) => ({
+  documentType: 'term_sheet',
+  investmentTerms: { investment: 2000000, ...investmentTerms },
+  liquidation: { liqPrefMultiple: 1, type: 'non-participating', ...liquidation }
+});
+
+test('the bundled dataset is well formed', () => {
+  expect(validateBenchmarks()).toEqual([]);
+
+  const broken = JSON.parse(JSON.stringify(BENCHMARKS));
+  broken.stages[1].terms['investmentTerms.optionPoolPct'].p50 = 1;
+  expect(validateBenchmarks(broken)).toEqual(['seed: investmentTerms.optionPoolPct needs non-decreasing p10-p90 values']);
+  // A broken dataset scores nothing rather than mislabelling terms
+  expect(scoreTerms(termSheet({ preMoney: 13000000 }), 'seed', broken)).toEqual({});
+  expect(inferStage(termSheet(), 'Series B Preferred Stock', { ...broken, stages: [] })).toBe('seed');
+});
+
+test('infers the stage from the document, then from the round size', () => {
+  expect(inferStage(termSheet(), 'Series B Preferred Stock')).toBe('series-b');
+  expect(inferStage(termSheet(), 'Series Seed Preferred Stock')).toBe('seed');
+  expect(inferStage(termSheet({ investment: 12000000 }), '')).toBe('series-a');
+  expect(inferStage(termSheet({ investment: 80000000 }))).toBe('series-c');
+});
+
+test('labels terms by how many deals were better for founders', () => {
+  // Seed pre-money $6M-$25M (p10-p90), pool 8-15%
+  const scores = scoreTerms(termSheet({ preMoney: 13000000, optionPoolPct: 20 }, { type: 'participating' }), 'seed');
+
+  expect(scores['investmentTerms.preMoney']).toMatchObject({ percentile: 50, label: 'standard' });
+  expect(scores['investmentTerms.optionPoolPct'].label).toBe('aggressive');
+  // Every seed deal has a 1x preference
+  expect(scores['liquidation.liqPrefMultiple'].label).toBe('standard');
+  // 96% of seed deals are non-participating or capped
+  expect(scores['liquidation.type'].adversePercentile).toBeCloseTo(96);
+  expect(scores['liquidation.type'].label).toBe('aggressive');
+  expect(scores['liquidation.participationCapMultiple']).toBeUndefined();
+});
+
+test('low valuations and late-stage multiples score off-market', () => {
+  const scores = scoreTerms(termSheet({ preMoney: 6000000 }, { liqPrefMultiple: 1.5 }), 'series-b');
+  expect(scores['investmentTerms.preMoney'].label).toBe('aggressive');
+  expect(scores['liquidation.liqPrefMultiple'].label).toBe('off-market');
+  expect(formatPercentile(scores['investmentTerms.preMoney'].percentile)).toBe('below 10th pct');
+  expect(formatPercentile(22)).toBe('22nd pct');
+});
+
+test('the section badge is the worse of the model rating and the benchmarks', () => {
+  const scores = scoreTerms(termSheet({ preMoney: 13000000, optionPoolPct: 20 }), 'seed');
+  const offMarket = scoreTerms(termSheet({}, { liqPrefMultiple: 1.5 }), 'series-b');
+
+  expect(sectionImpact('positive', scores, 'investmentTerms')).toBe('negative');
+  expect(sectionImpact('positive', offMarket, 'liquidation')).toBe('concerning');
+  expect(sectionImpact('negative', offMarket, 'liquidation')).toBe('negative');
+  // Standard terms do not hide what the model found in the rest of the section
+  expect(sectionImpact('negative', scores, 'liquidation')).toBe('negative');
+  expect(sectionImpact('positive', scores, 'liquidation')).toBe('positive');
+  expect(sectionImpact('concerning', scores, 'controlGovernance')).toBe('concerning');
+  expect(scoreTerms({ documentType: 'safe', investmentTerms: {} }, 'seed')).toEqual({});
+});
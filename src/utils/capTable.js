@@ -0,0 +1,164 @@
+// Pro forma cap table for a priced round. The table is the editable model
+// behind the charts and calculators:
+// { holders: [{ id, name, kind, shares, investment, preferenceMultiple }],
+//   round: { preMoney, investment, targetPoolPct, poolExpandsPre, seniority } }
+// where kind is 'founder' | 'employee' | 'options' (issued) | 'pool'
+// (unallocated) | 'preferred' (existing series). targetPoolPct is the
+// unallocated pool as a percentage of post-money fully diluted shares.
+
+export const HOLDER_KINDS = {
+  founder: 'Founders',
+  employee: 'Employees',
+  options: 'Options (issued)',
+  pool: 'Option Pool (unallocated)',
+  preferred: 'Existing Preferred'
+};
+
+export const NEW_ROUND_ID = 'new-round';
+
+// Placeholder share count when the term sheet gives only dollar amounts
+const DEFAULT_PRE_ROUND_SHARES = 10000000;
+
+let nextId = 1;
+export const createHolder = (kind, fields = {}) => ({
+  id: `holder-${nextId++}`,
+  name: HOLDER_KINDS[kind],
+  kind,
+  shares: 0,
+  investment: kind === 'preferred' ? 0 : null,
+  preferenceMultiple: kind === 'preferred' ? 1 : null,
+  ...fields
+});
+
+// Seeds the table from `investmentTerms`. Returns null when the terms give
+// no way to price the round (e.g. a SAFE without a priced round yet).
+export function capTableFromTerms(investmentTerms) {
+  const inv = investmentTerms || {};
+  const investment = inv.investment || 0;
+  let preMoney = inv.preMoney;
+  if (!preMoney && inv.postMoney) preMoney = inv.postMoney - investment;
+  if (!preMoney && inv.statedOwnershipPct > 0 && investment > 0) {
+    preMoney = investment / (inv.statedOwnershipPct / 100) - investment;
+  }
+  if (!preMoney || preMoney <= 0 || investment <= 0) return null;
+
+  // Without an existing pool size, start with the whole pre-round company
+  // held by founders and let the top-up create the pool
+  return {
+    holders: [
+      createHolder('founder', { shares: DEFAULT_PRE_ROUND_SHARES }),
+      createHolder('pool', { shares: 0 })
+    ],
+    round: {
+      preMoney,
+      investment,
+      targetPoolPct: inv.optionPoolPct || 0,
+      // Investors usually require the top-up in the pre-money
+      poolExpandsPre: inv.poolExpandsPre ?? true,
+      seniority: 'senior'
+    }
+  };
+}
+
+// New pool shares needed so the unallocated pool is `target` of the
+// post-money fully diluted count
+const poolTopUp = (preRoundShares, unallocated, round) => {
+  const target = (round.targetPoolPct || 0) / 100;
+  if (target <= 0 || target >= 1) return 0;
+  const postOverPre = (round.preMoney + round.investment) / round.preMoney;
+
+  const topUp = round.poolExpandsPre
+    // Price is set after the top-up: post FD = (pre FD + top-up) * post / pre
+    ? (target * preRoundShares * postOverPre - unallocated) / (1 - target * postOverPre)
+    // Price is set on today's shares; the top-up dilutes the new investors too
+    : (target * (preRoundShares + round.investment / (round.preMoney / preRoundShares)) - unallocated) / (1 - target);
+  return Math.max(0, topUp);
+};
+
+export function computeProForma(capTable) {
+  const { holders, round } = capTable;
+  const preRoundShares = holders.reduce((sum, holder) => sum + (holder.shares || 0), 0);
+  const unallocated = holders.filter(holder => holder.kind === 'pool').reduce((sum, holder) => sum + (holder.shares || 0), 0);
+  if (preRoundShares <= 0 || !round.preMoney) return null;
+
+  const topUp = poolTopUp(preRoundShares, unallocated, round);
+  const pricedShares = round.poolExpandsPre ? preRoundShares + topUp : preRoundShares;
+  const pricePerShare = round.preMoney / pricedShares;
+  const newRoundShares = (round.investment || 0) / pricePerShare;
+  const postRoundShares = preRoundShares + topUp + newRoundShares;
+
+  // The top-up goes to the first pool row, adding one if there is none
+  const poolRow = holders.find(holder => holder.kind === 'pool');
+  const rows = [
+    ...holders.map(holder => ({ ...holder, sharesBefore: holder.shares || 0, sharesAfter: (holder.shares || 0) + (holder === poolRow ? topUp : 0) })),
+    ...(!poolRow && topUp > 0 ? [{ ...createHolder('pool'), sharesBefore: 0, sharesAfter: topUp }] : []),
+    {
+      id: NEW_ROUND_ID,
+      name: 'New Round',
+      kind: 'new-round',
+      investment: round.investment,
+      sharesBefore: 0,
+      sharesAfter: newRoundShares
+    }
+  ].map(row => ({
+    ...row,
+    pctBefore: (row.sharesBefore / preRoundShares) * 100,
+    pctAfter: (row.sharesAfter / postRoundShares) * 100
+  }));
+
+  const pctOf = (kinds) => rows.filter(row => kinds.includes(row.kind)).reduce((sum, row) => sum + row.pctAfter, 0);
+
+  return {
+    rows,
+    pricePerShare,
+    preRoundShares,
+    poolTopUp: topUp,
+    preMoneyShares: pricedShares,
+    postRoundShares,
+    newRoundShares,
+    postMoney: pricePerShare * postRoundShares,
+    // Valuation of the shares that existed before the round, once the
+    // pre-money pool top-up is accounted for
+    effectivePreMoney: pricePerShare * preRoundShares,
+    ownership: {
+      newRound: pctOf(['new-round']),
+      founders: pctOf(['founder']),
+      employees: pctOf(['employee', 'options']),
+      pool: pctOf(['pool']),
+      existingPreferred: pctOf(['preferred'])
+    }
+  };
+}
+
+// Waterfall cap table (see utils/waterfall) for the pro forma. The whole
+// option pool is treated as granted and exercised by the exit. `terms` are
+// the new round's preference terms.
+export function toWaterfallCapTable(proForma, capTable, terms) {
+  const existingRank = capTable.round.seniority === 'senior' ? 2 : 1;
+  return {
+    common: proForma.rows
+      .filter(row => ['founder', 'employee', 'options', 'pool'].includes(row.kind))
+      .map(row => ({ name: row.id, shares: row.sharesAfter })),
+    series: [
+      {
+        name: NEW_ROUND_ID,
+        shares: proForma.newRoundShares,
+        investment: capTable.round.investment,
+        preferenceMultiple: terms.preferenceMultiple,
+        participation: terms.participation,
+        participationCap: terms.participationCap,
+        seniority: 1
+      },
+      ...proForma.rows
+        .filter(row => row.kind === 'preferred')
+        .map(row => ({
+          name: row.id,
+          shares: row.sharesAfter,
+          investment: row.investment || 0,
+          preferenceMultiple: row.preferenceMultiple ?? 1,
+          participation: 'non-participating',
+          seniority: existingRank
+        }))
+    ]
+  };
+}
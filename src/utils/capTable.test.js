@@ -0,0 +1,61 @@
+import { capTableFromTerms, computeProForma, createHolder, toWaterfallCapTable, NEW_ROUND_ID } from './capTable';
+import { computeWaterfall } from './waterfall';
+
+const table = (round, holders = [createHolder('founder', { shares: 8000000 }), createHolder('pool', { shares: 0 })]) => ({
+  holders,
+  round: { preMoney: 8000000, investment: 2000000, targetPoolPct: 10, poolExpandsPre: true, seniority: 'senior', ...round }
+});
+
+test('a pre-money pool top-up lowers the price and the effective pre-money', () => {
+  const proForma = computeProForma(table({ poolExpandsPre: true }));
+
+  expect(proForma.poolTopUp).toBeCloseTo(8000000 / 7);
+  expect(proForma.pricePerShare).toBeCloseTo(0.875);
+  expect(proForma.postMoney).toBeCloseTo(10000000);
+  expect(proForma.effectivePreMoney).toBeCloseTo(7000000);
+  expect(proForma.ownership.pool).toBeCloseTo(10);
+  expect(proForma.ownership.newRound).toBeCloseTo(20);
+  expect(proForma.ownership.founders).toBeCloseTo(70);
+});
+
+test('a post-money pool top-up keeps the price and dilutes the new round too', () => {
+  const proForma = computeProForma(table({ poolExpandsPre: false }));
+
+  expect(proForma.pricePerShare).toBeCloseTo(1);
+  expect(proForma.newRoundShares).toBeCloseTo(2000000);
+  expect(proForma.ownership.pool).toBeCloseTo(10);
+  expect(proForma.ownership.newRound).toBeCloseTo(18);
+  expect(proForma.ownership.founders).toBeCloseTo(72);
+});
+
+test('an existing pool counts towards the target', () => {
+  const proForma = computeProForma(table({}, [
+    createHolder('founder', { shares: 7000000 }),
+    createHolder('pool', { shares: 1000000 })
+  ]));
+  expect(proForma.poolTopUp).toBeCloseTo(0);
+  expect(proForma.ownership.pool).toBeCloseTo(10);
+});
+
+test('seeds from investment terms and refuses rounds it cannot price', () => {
+  const seeded = capTableFromTerms({ investment: 2000000, postMoney: 10000000, optionPoolPct: 15 });
+  expect(seeded.round.preMoney).toBe(8000000);
+  expect(seeded.round.targetPoolPct).toBe(15);
+  expect(seeded.round.poolExpandsPre).toBe(true);
+
+  expect(capTableFromTerms({ investment: 1000000, valuationCap: 10000000 })).toBeNull();
+});
+
+test('the new round is senior to existing preferred in the waterfall', () => {
+  const seed = createHolder('preferred', { shares: 2000000, investment: 3000000, preferenceMultiple: 1 });
+  const capTable = table({ targetPoolPct: 0 }, [createHolder('founder', { shares: 6000000 }), seed]);
+  const proForma = computeProForma(capTable);
+  const waterfall = computeWaterfall(
+    toWaterfallCapTable(proForma, capTable, { preferenceMultiple: 1, participation: 'non-participating' }),
+    4000000
+  );
+  const payout = (name) => waterfall.classes.find(c => c.name === name).total;
+
+  expect(payout(NEW_ROUND_ID)).toBeCloseTo(2000000);
+  expect(payout(seed.id)).toBeCloseTo(2000000);
+});
@@ -0,0 +1,277 @@
+import { splitIntoChunks } from './documentChunker';
+import { ANALYSIS_SYSTEM_PROMPT, buildAnalysisUserPrompt, buildRepairPrompt } from './analysisPrompt';
+import { parseAnalysisResponse } from './parseAnalysis';
+import { validateAnalysis, findRepairableProblems, applyPatch } from './analysisSchema';
+import { locateSources } from './sourceCitations';
+
+// Map-reduce analysis: each chunk is analyzed on its own, then the partial
+// JSON results are merged field by field. Disagreements between chunks are
+// kept as warnings instead of being silently overwritten.
+
+// Upper bound on model calls for a single analysis. Longer documents are
+// split into larger parts, up to MAX_CHUNK_GROWTH times the configured size,
+// before any part is left out.
+export const MAX_CHUNKS = 20;
+export const MAX_CHUNK_GROWTH = 4;
+
+const IMPACT_ORDER = ['positive', 'neutral', 'concerning', 'negative'];
+const NARRATIVE_FIELDS = ['plainEnglish', 'whyItMatters', 'explanation', 'description'];
+// String fields with a fixed vocabulary, where two parts can genuinely disagree
+const ENUM_FIELDS = ['type', 'compounding', 'frequency', 'payableIn'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPresent = (value) => value !== null && value !== undefined && value !== '';
+
+const sameValue = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+  return a === b;
+};
+
+const distinct = (values) => values.filter((value, index) =>
+  values.findIndex(other => sameValue(other, value)) === index
+);
+
+const formatValue = (value) => (typeof value === 'string' ? `"${value}"` : String(value));
+
+const mergeField = (key, path, entries, conflicts) => {
+  const present = entries.filter(entry => isPresent(entry.value));
+  if (present.length === 0) {
+    return entries.length > 0 ? entries[0].value ?? null : null;
+  }
+
+  if (present.every(entry => isPlainObject(entry.value))) {
+    return mergeObjects(present, path, conflicts);
+  }
+
+  if (present.every(entry => Array.isArray(entry.value))) {
+    const items = present.flatMap(entry => entry.value);
+    const seen = new Set();
+    return items.filter(item => {
+      const id = typeof item === 'string' ? item.trim().toLowerCase() : JSON.stringify(item);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+
+  if (key === 'founderImpact') {
+    // The most severe assessment from any part wins
+    return present
+      .map(entry => entry.value)
+      .sort((a, b) => IMPACT_ORDER.indexOf(b) - IMPACT_ORDER.indexOf(a))[0];
+  }
+
+  if (path[0] === 'confidence' && present.every(entry => typeof entry.value === 'number')) {
+    // A part that does not cover a section reports low confidence for it
+    return Math.max(...present.map(entry => entry.value));
+  }
+
+  if (key === 'documentType') {
+    const specific = present.filter(entry => entry.value !== 'other');
+    const candidates = specific.length > 0 ? specific : present;
+    if (distinct(candidates.map(entry => entry.value)).length > 1) {
+      conflicts.push({ path: path.join('.'), values: candidates.map(entry => ({ value: entry.value, part: entry.label })) });
+    }
+    return candidates[0].value;
+  }
+
+  if (typeof present[0].value === 'string' && !ENUM_FIELDS.includes(key)) {
+    // Narrative and descriptive text from different parts complements each other
+    const joiner = NARRATIVE_FIELDS.includes(key) ? ' ' : '; ';
+    return distinct(present.map(entry => entry.value.trim())).join(joiner);
+  }
+
+  const values = distinct(present.map(entry => entry.value));
+  if (values.length > 1) {
+    conflicts.push({ path: path.join('.'), values: present.map(entry => ({ value: entry.value, part: entry.label })) });
+  }
+  return present[0].value;
+};
+
+function mergeObjects(entries, path, conflicts) {
+  const keys = [...new Set(entries.flatMap(entry => Object.keys(entry.value)))];
+  const merged = {};
+  keys.forEach(key => {
+    merged[key] = mergeField(
+      key,
+      [...path, key],
+      entries.map(entry => ({ value: entry.value[key], label: entry.label })),
+      conflicts
+    );
+  });
+  return merged;
+}
+
+const describeConflict = (conflict) => {
+  const values = conflict.values.map(v => `${formatValue(v.value)} (${v.part})`).join(' vs ');
+  return `Conflicting values for ${conflict.path} across document parts: ${values}. Using ${formatValue(conflict.values[0].value)}.`;
+};
+
+// Merges partial analyses ({ analysis, label }) into one analysis object
+export function mergeAnalyses(partials) {
+  const conflicts = [];
+  const merged = mergeObjects(
+    partials.map(partial => {
+      const { sources, ...analysis } = partial.analysis;
+      return { value: analysis, label: partial.label };
+    }),
+    [],
+    conflicts
+  );
+
+  // Scalar fields keep the first part's value, so they keep its quote too
+  merged.sources = {};
+  partials.forEach(partial => {
+    Object.entries(partial.analysis.sources || {}).forEach(([path, source]) => {
+      if (!merged.sources[path]) merged.sources[path] = source;
+    });
+  });
+
+  const conflictWarnings = conflicts.map(describeConflict);
+  merged.confidence = {
+    ...(merged.confidence || {}),
+    warnings: [...(merged.confidence?.warnings || []), ...conflictWarnings]
+  };
+  merged.chunking = {
+    parts: partials.length,
+    conflicts: conflicts.map(conflict => ({ ...conflict, message: describeConflict(conflict) }))
+  };
+  return merged;
+}
+
+// Final schema pass over the (merged) analysis; attaches the field report and
+// resolves source quotes to their place in the full document
+const finalize = (analysis, earlierReports, documentContent) => {
+  const { analysis: normalized, report, summary } = validateAnalysis(analysis, { earlierReports });
+  normalized.sources = locateSources(normalized.sources, documentContent);
+  const responseNotes = earlierReports.flat().filter(item => item.path === '(response)');
+  normalized.validation = {
+    fields: [...responseNotes, ...report],
+    summary: responseNotes.length > 0 ? { ...summary, repaired: (summary.repaired || 0) + responseNotes.length } : summary
+  };
+  return normalized;
+};
+
+// Errors that will fail every chunk the same way abort the whole run
+const isFatal = (error) => /API key|quota|not configured|Unknown model provider/i.test(error.message);
+
+// Analyzes one chunk and validates the reply against the schema. Replies that
+// are not JSON, or have values that cannot be normalized, get one targeted
+// follow-up prompt.
+export const analyzeChunk = async (chunk, total, complete) => {
+  const partial = total > 1;
+  const user = buildAnalysisUserPrompt(chunk.text, partial ? { part: chunk.index + 1, total } : null);
+  const text = await complete({ system: ANALYSIS_SYSTEM_PROMPT, user });
+
+  let raw;
+  try {
+    raw = parseAnalysisResponse(text);
+  } catch (parseError) {
+    const retryText = await complete({ system: ANALYSIS_SYSTEM_PROMPT, user: buildRepairPrompt(user, []) });
+    const result = validateAnalysis(parseAnalysisResponse(retryText), { partial });
+    result.report.push({ path: '(response)', status: 'repaired', message: 'Reply was not valid JSON; asked the model again' });
+    return result;
+  }
+
+  const result = validateAnalysis(raw, { partial });
+  const problems = findRepairableProblems(result.report, { partial });
+  if (problems.length === 0) return result;
+
+  try {
+    const patchText = await complete({ system: ANALYSIS_SYSTEM_PROMPT, user: buildRepairPrompt(user, problems) });
+    const paths = problems.map(problem => problem.path);
+    const repaired = validateAnalysis(applyPatch(raw, parseAnalysisResponse(patchText), paths), { partial });
+    repaired.report.forEach(item => {
+      const problem = problems.find(p => item.path === p.path || item.path.startsWith(`${p.path}.`));
+      if (problem && !['invalid', 'missing'].includes(item.status)) {
+        Object.assign(item, { status: 'repaired', message: `Re-asked the model: ${problem.message}` });
+      }
+    });
+    return repaired;
+  } catch (error) {
+    if (isFatal(error)) throw error;
+    // The first reply is still usable; unrepaired fields stay null and flagged
+    console.error(`Follow-up for chunk ${chunk.index + 1} failed:`, error);
+    return result;
+  }
+};
+
+// Chunks for the document, doubling the part size while it would take more
+// than MAX_CHUNKS parts. `chunks` are the parts to analyze and `allChunks`
+// every part at the final size.
+export function planChunks(documentContent, maxChars) {
+  let size = maxChars;
+  let allChunks = splitIntoChunks(documentContent, size);
+  while (allChunks.length > MAX_CHUNKS && size * 2 <= maxChars * MAX_CHUNK_GROWTH) {
+    size *= 2;
+    allChunks = splitIntoChunks(documentContent, size);
+  }
+  return { chunks: allChunks.slice(0, MAX_CHUNKS), allChunks, maxChars: size };
+}
+
+// Splits the document, analyzes each chunk with `complete({ system, user })`
+// and merges the results. `onProgress` receives the full chunk status list.
+// `analyzePart(chunk, total)` replaces the per-chunk model calls, e.g. to run
+// each part through the server route.
+export async function runChunkedAnalysis({ documentContent, maxChars, complete, analyzePart, onProgress = () => {}, concurrency = 1 }) {
+  const { chunks, allChunks, maxChars: partSize } = planChunks(documentContent, maxChars);
+  const total = chunks.length;
+  const analyze = analyzePart || ((chunk) => analyzeChunk(chunk, total, complete));
+
+  const progress = chunks.map(chunk => ({ index: chunk.index, label: chunk.label, pages: chunk.pages, status: 'pending' }));
+  const report = (index, update) => {
+    progress[index] = { ...progress[index], ...update };
+    onProgress([...progress]);
+  };
+  onProgress([...progress]);
+
+  const results = new Array(total).fill(null);
+  let fatalError = null;
+  let lastError = null;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < total && !fatalError) {
+      const chunk = chunks[next++];
+      report(chunk.index, { status: 'running' });
+      try {
+        const { analysis, report: validation } = await analyze(chunk, total);
+        results[chunk.index] = { analysis, validation, label: `part ${chunk.index + 1}, ${chunk.label}` };
+        report(chunk.index, { status: 'done' });
+      } catch (error) {
+        console.error(`Chunk ${chunk.index + 1} failed:`, error);
+        lastError = error;
+        if (isFatal(error)) fatalError = error;
+        report(chunk.index, { status: 'failed', error: error.message });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker));
+
+  if (fatalError) throw fatalError;
+  const successful = results.filter(Boolean);
+  if (successful.length === 0) throw lastError || new Error('Failed to parse analysis results');
+
+  const earlierReports = successful.map(result => result.validation);
+  if (total === 1) return finalize(successful[0].analysis, earlierReports, documentContent);
+
+  const merged = mergeAnalyses(successful);
+  const skipped = [
+    ...progress.filter(p => p.status === 'failed').map(p => `Part ${p.index + 1} (${p.label}) could not be analyzed: ${p.error}`),
+    ...(allChunks.length > MAX_CHUNKS
+      ? [`Document exceeds ${MAX_CHUNKS} parts; ${allChunks.length - MAX_CHUNKS} later parts starting at ${allChunks[MAX_CHUNKS].label} were not analyzed.`]
+      : [])
+  ];
+  merged.confidence.warnings.push(...skipped);
+  if (partSize > maxChars) {
+    merged.confidence.warnings.push(`Long document: parts of up to ${partSize} characters were analyzed instead of ${maxChars} to stay within ${MAX_CHUNKS} parts.`);
+  }
+  merged.chunking.failedParts = skipped;
+  return finalize(merged, earlierReports, documentContent);
+}
@@ -0,0 +1,88 @@
+import { runChunkedAnalysis, mergeAnalyses, planChunks, MAX_CHUNKS } from './chunkedAnalysis';
+import { splitIntoChunks } from './documentChunker';
+
+const clause = (number, title) => `${number} ${title}\n${'Lorem ipsum dolor sit amet. '.repeat(30)}`;
+const longDocument = [
+  '--- spa.pdf ---',
+  '--- Page 1 ---',
+  clause('1.', 'Purchase of Shares'),
+  clause('2.', 'Liquidation Preference'),
+  '--- Page 2 ---',
+  clause('3.', 'Redemption'),
+  clause('4.', 'Protective Provisions')
+].join('\n');
+
+test('splits long documents on clause boundaries and repeats page context', () => {
+  const chunks = splitIntoChunks(longDocument, 1900);
+
+  expect(chunks.length).toBeGreaterThan(1);
+  chunks.forEach(chunk => {
+    expect(chunk.text.length).toBeLessThanOrEqual(1900);
+    expect(chunk.text.startsWith('--- spa.pdf ---')).toBe(true);
+  });
+  expect(chunks[chunks.length - 1].text).toContain('--- Page 2 ---');
+  expect(chunks[chunks.length - 1].label).toContain('Page 2');
+});
+
+test('merges partial analyses and reports conflicting values', () => {
+  const merged = mergeAnalyses([
+    { label: 'part 1', analysis: { liquidation: { liqPrefMultiple: 1, type: 'non-participating', founderImpact: 'neutral' }, gotchas: ['Redemption'] } },
+    { label: 'part 2', analysis: { liquidation: { liqPrefMultiple: 2, type: null, founderImpact: 'negative' }, gotchas: ['redemption', 'Pay-to-play'] } }
+  ]);
+
+  expect(merged.liquidation.liqPrefMultiple).toBe(1);
+  expect(merged.liquidation.type).toBe('non-participating');
+  expect(merged.liquidation.founderImpact).toBe('negative');
+  expect(merged.gotchas).toEqual(['Redemption', 'Pay-to-play']);
+  expect(merged.confidence.warnings[0]).toMatch(/liquidation\.liqPrefMultiple.*1 \(part 1\) vs 2 \(part 2\)/);
+});
+
+test('analyzes each chunk, reports progress and skips failed parts', async () => {
+  const updates = [];
+  let call = 0;
+  const complete = jest.fn(async () => {
+    call += 1;
+    if (call === 2) throw new Error('Failed to parse analysis results');
+    return JSON.stringify({ investmentTerms: { investment: 5000000 } });
+  });
+
+  const analysis = await runChunkedAnalysis({ documentContent: longDocument, maxChars: 1900, complete, onProgress: p => updates.push(p) });
+
+  expect(complete).toHaveBeenCalledTimes(updates[0].length);
+  expect(complete.mock.calls[0][0].user).toMatch(/part 1 of \d/);
+  expect(analysis.investmentTerms.investment).toBe(5000000);
+  expect(analysis.chunking.failedParts[0]).toMatch(/^Part 2/);
+  expect(updates[updates.length - 1].map(p => p.status)).toContain('failed');
+});
+
+test('re-asks the model for fields that fail validation and attaches the report', async () => {
+  const replies = [
+    JSON.stringify({ investmentTerms: { investment: '$2.5M', preMoney: 'TBD' }, liquidation: { liqPrefMultiple: 1 } }),
+    JSON.stringify({ investmentTerms: { preMoney: 10000000 } })
+  ];
+  const complete = jest.fn(async () => replies.shift());
+
+  const analysis = await runChunkedAnalysis({ documentContent: 'Short term sheet', maxChars: 30000, complete });
+
+  expect(complete).toHaveBeenCalledTimes(2);
+  expect(complete.mock.calls[1][0].user).toMatch(/investmentTerms\.preMoney: Expected a dollar amount \(you returned "TBD"\)/);
+  expect(analysis.investmentTerms).toMatchObject({ investment: 2500000, preMoney: 10000000, postMoney: 12500000 });
+  const field = (path) => analysis.validation.fields.find(item => item.path === path);
+  expect(field('investmentTerms.investment').status).toBe('coerced');
+  expect(field('investmentTerms.preMoney').status).toBe('repaired');
+});
+
+test('documents longer than MAX_CHUNKS parts get larger parts instead of losing the tail', async () => {
+  const clauses = Array.from({ length: 45 }, (_, i) => clause(`${i + 1}.`, `Section ${i + 1}`)).join('\n');
+  const document = `--- spa.pdf ---\n${clauses}`;
+  expect(planChunks(document, 1200).allChunks.length).toBeLessThanOrEqual(MAX_CHUNKS);
+
+  const analyzePart = jest.fn(async () => ({ analysis: { investmentTerms: { investment: 5000000 } }, report: [] }));
+  const analysis = await runChunkedAnalysis({ documentContent: document, maxChars: 1200, analyzePart });
+
+  const parts = analyzePart.mock.calls.map(([chunk]) => chunk);
+  expect(parts[parts.length - 1].text).toContain('45. Section 45');
+  expect(analyzePart.mock.calls[0][1]).toBe(parts.length);
+  expect(analysis.chunking.failedParts).toEqual([]);
+  expect(analysis.confidence.warnings.some(warning => warning.startsWith('Long document'))).toBe(true);
+});
@@ -0,0 +1,202 @@
+// Converts SAFEs and convertible notes into a priced round.
+//
+// Instruments are { name, type, principal, valuationCap, discountPct, mfn,
+// interestRatePct, interestCompounding, yearsOutstanding, maturityYears }
+// where type is 'post-money-safe' | 'pre-money-safe' | 'note'.
+// The round is { preMoney, investment } and the company is described by its
+// fully diluted shares before the round and the founders' shares.
+//
+// Conversion shares count towards the round's pre-money capitalization, and
+// post-money SAFE caps are measured against a capitalization that includes
+// every converting instrument, so the share counts are solved iteratively.
+
+import { accrueDividends } from './dividends';
+
+export const INSTRUMENT_TYPES = {
+  'post-money-safe': 'Post-money SAFE',
+  'pre-money-safe': 'Pre-money SAFE',
+  note: 'Convertible note'
+};
+
+const MAX_ITERATIONS = 100;
+// Share count precision for the fixed-point solve
+const TOLERANCE = 1e-6;
+
+// Accrued interest on a note at conversion, using the same accrual math as
+// preferred dividends
+const noteInterest = (instrument) => {
+  if (instrument.type !== 'note' || !instrument.interestRatePct) return 0;
+  return accrueDividends(
+    instrument.principal,
+    { ratePct: instrument.interestRatePct, compounding: instrument.interestCompounding || 'simple' },
+    instrument.yearsOutstanding || 0
+  ).total;
+};
+
+// An MFN instrument takes the best cap and discount found on the others
+const applyMfn = (instruments) => instruments.map((instrument, index) => {
+  if (!instrument.mfn) return { ...instrument, mfnSource: null };
+  const others = instruments.filter((_, i) => i !== index);
+
+  const bestCap = others
+    .filter(other => other.valuationCap > 0)
+    .sort((a, b) => a.valuationCap - b.valuationCap)[0];
+  const bestDiscount = others
+    .filter(other => other.discountPct > 0)
+    .sort((a, b) => b.discountPct - a.discountPct)[0];
+
+  const takeCap = bestCap && (!instrument.valuationCap || bestCap.valuationCap < instrument.valuationCap);
+  const takeDiscount = bestDiscount && (!instrument.discountPct || bestDiscount.discountPct > instrument.discountPct);
+  const sources = [takeCap ? bestCap.name : null, takeDiscount ? bestDiscount.name : null].filter(Boolean);
+
+  return {
+    ...instrument,
+    valuationCap: takeCap ? bestCap.valuationCap : instrument.valuationCap,
+    discountPct: takeDiscount ? bestDiscount.discountPct : instrument.discountPct,
+    mfnSource: sources.length > 0 ? [...new Set(sources)].join(', ') : null
+  };
+});
+
+// Price per share for one instrument given the round price and the
+// capitalization with (`withConversions`) and without the converting shares
+const priceFor = (instrument, roundPrice, preRoundShares, withConversions) => {
+  const capBase = instrument.type === 'post-money-safe' ? withConversions : preRoundShares;
+  const capPrice = instrument.valuationCap > 0 ? instrument.valuationCap / capBase : null;
+  const discountPrice = instrument.discountPct > 0 ? roundPrice * (1 - instrument.discountPct / 100) : null;
+
+  const candidates = [
+    { method: 'cap', price: capPrice },
+    { method: 'discount', price: discountPrice },
+    { method: 'round', price: roundPrice }
+  ].filter(candidate => candidate.price !== null && candidate.price > 0);
+  // The holder gets whichever price buys the most shares
+  const best = candidates.sort((a, b) => a.price - b.price)[0];
+
+  return { capPrice, discountPrice, conversionPrice: best.price, method: best.method };
+};
+
+export function computeConversion({ instruments, round, preRoundShares, founderShares }) {
+  const warnings = [];
+  const prepared = applyMfn(instruments.map((instrument, index) => ({
+    name: instrument.name || `Instrument ${index + 1}`,
+    type: INSTRUMENT_TYPES[instrument.type] ? instrument.type : 'post-money-safe',
+    principal: instrument.principal || 0,
+    valuationCap: instrument.valuationCap || null,
+    discountPct: instrument.discountPct || null,
+    mfn: Boolean(instrument.mfn),
+    interestRatePct: instrument.interestRatePct || 0,
+    interestCompounding: instrument.interestCompounding,
+    yearsOutstanding: instrument.yearsOutstanding || 0,
+    maturityYears: instrument.maturityYears || null
+  })));
+
+  const converting = prepared.map(instrument => {
+    const interest = noteInterest(instrument);
+    const matured = instrument.type === 'note' && instrument.maturityYears !== null &&
+      instrument.yearsOutstanding >= instrument.maturityYears;
+    if (matured) {
+      warnings.push(`${instrument.name} reached maturity before the round; holders may be able to demand repayment instead of converting.`);
+    }
+    if (!instrument.valuationCap && !instrument.discountPct && !instrument.mfnSource) {
+      warnings.push(`${instrument.name} has no cap or discount and converts at the round price.`);
+    }
+    return { ...instrument, interest, conversionAmount: instrument.principal + interest, matured };
+  });
+
+  let conversionShares = 0;
+  let roundPrice = round.preMoney / preRoundShares;
+  let priced = [];
+  let converged = false;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const withConversions = preRoundShares + conversionShares;
+    const price = round.preMoney / withConversions;
+    roundPrice = price;
+    priced = converting.map(instrument => {
+      const terms = priceFor(instrument, price, preRoundShares, withConversions);
+      return { ...instrument, ...terms, shares: instrument.conversionAmount / terms.conversionPrice };
+    });
+
+    const next = priced.reduce((sum, instrument) => sum + instrument.shares, 0);
+    if (!Number.isFinite(next)) break;
+    if (Math.abs(next - conversionShares) <= TOLERANCE * Math.max(1, next)) {
+      conversionShares = next;
+      converged = true;
+      break;
+    }
+    conversionShares = next;
+  }
+
+  if (!converged) {
+    warnings.push('Conversion terms claim most of the company; share counts did not settle and are approximate.');
+  }
+
+  const preMoneyShares = preRoundShares + conversionShares;
+  const newInvestorShares = round.investment > 0 ? round.investment / roundPrice : 0;
+  const postMoneyShares = preMoneyShares + newInvestorShares;
+
+  return {
+    roundPrice,
+    preRoundShares,
+    conversionShares,
+    preMoneyShares,
+    newInvestorShares,
+    postMoneyShares,
+    postMoney: postMoneyShares * roundPrice,
+    instruments: priced.map(instrument => ({
+      ...instrument,
+      ownershipPct: (instrument.shares / postMoneyShares) * 100
+    })),
+    newInvestorPct: (newInvestorShares / postMoneyShares) * 100,
+    founder: {
+      shares: founderShares,
+      ownershipBefore: (founderShares / preRoundShares) * 100,
+      ownershipAfter: (founderShares / postMoneyShares) * 100,
+      // Points lost to the SAFEs and notes, separate from the new money
+      dilutionFromConversions: (founderShares / preRoundShares - founderShares / preMoneyShares) * 100,
+      dilutionPct: (founderShares / preRoundShares - founderShares / postMoneyShares) * 100
+    },
+    warnings
+  };
+}
+
+// Calculator inputs for the extracted SAFE or note. The next round and the
+// share counts are placeholders for the user to adjust.
+export function defaultConversionInputs(analysis) {
+  const inv = analysis?.investmentTerms || {};
+  const isNote = analysis?.documentType === 'convertible_note';
+  const nextRoundPreMoney = inv.valuationCap ? inv.valuationCap * 1.5 : 20000000;
+
+  return {
+    type: isNote ? 'note' : inv.safeType === 'pre-money' ? 'pre-money-safe' : 'post-money-safe',
+    principal: inv.investment || 0,
+    valuationCap: inv.valuationCap || null,
+    discountPct: inv.discount || null,
+    mfn: Boolean(inv.mfn),
+    interestRatePct: inv.interestRatePct || 0,
+    yearsOutstanding: 1.5,
+    maturityYears: inv.maturityMonths ? inv.maturityMonths / 12 : null,
+    otherInstruments: [],
+    nextRoundPreMoney,
+    roundInvestment: nextRoundPreMoney / 4,
+    preRoundShares: 10000000,
+    founderShares: 8000000
+  };
+}
+
+// Runs computeConversion() on calculator inputs; the extracted instrument
+// is always first in the result
+export function convertFromInputs(inputs) {
+  if (!inputs.nextRoundPreMoney || !inputs.preRoundShares) return null;
+  const { nextRoundPreMoney, roundInvestment, preRoundShares, founderShares, otherInstruments, ...primary } = inputs;
+
+  return computeConversion({
+    instruments: [{ name: 'This instrument', ...primary }, ...otherInstruments],
+    round: { preMoney: nextRoundPreMoney, investment: roundInvestment || 0 },
+    preRoundShares,
+    founderShares: founderShares || 0
+  });
+}
+
+export const isConvertibleAnalysis = (analysis) =>
+  ['safe', 'convertible_note'].includes(analysis?.documentType);
@@ -0,0 +1,57 @@
+import { computeConversion } from './conversion';
+
+const round = { preMoney: 20000000, investment: 5000000 };
+
+test('converts a post-money SAFE at its cap against the capitalization including the SAFE', () => {
+  const result = computeConversion({
+    instruments: [{ name: 'SAFE', type: 'post-money-safe', principal: 1000000, valuationCap: 10000000, discountPct: 20 }],
+    round,
+    preRoundShares: 9000000,
+    founderShares: 8000000
+  });
+
+  const safe = result.instruments[0];
+  expect(safe.shares).toBeCloseTo(1000000, 0);
+  expect(safe.method).toBe('cap');
+  expect(result.roundPrice).toBeCloseTo(2);
+  expect(result.newInvestorShares).toBeCloseTo(2500000, 0);
+  expect(result.founder.ownershipAfter).toBeCloseTo(64, 1);
+  expect(result.founder.dilutionFromConversions).toBeCloseTo(100 * (8 / 9 - 0.8), 1);
+});
+
+test('uses the discount when it beats the cap and prices pre-money SAFEs off pre-round shares', () => {
+  const result = computeConversion({
+    instruments: [
+      { name: 'Pre-money', type: 'pre-money-safe', principal: 500000, valuationCap: 50000000, discountPct: 20 },
+      { name: 'Capped', type: 'pre-money-safe', principal: 500000, valuationCap: 9000000 }
+    ],
+    round,
+    preRoundShares: 9000000,
+    founderShares: 8000000
+  });
+
+  const [discounted, capped] = result.instruments;
+  expect(discounted.method).toBe('discount');
+  expect(discounted.conversionPrice).toBeCloseTo(result.roundPrice * 0.8);
+  expect(capped.conversionPrice).toBeCloseTo(1);
+});
+
+test('adds accrued note interest, flags maturity and applies MFN terms', () => {
+  const result = computeConversion({
+    instruments: [
+      { name: 'Note', type: 'note', principal: 1000000, valuationCap: 8000000, interestRatePct: 6, yearsOutstanding: 2, maturityYears: 1.5 },
+      { name: 'MFN SAFE', type: 'post-money-safe', principal: 250000, mfn: true }
+    ],
+    round,
+    preRoundShares: 8000000,
+    founderShares: 8000000
+  });
+
+  const [note, mfnSafe] = result.instruments;
+  expect(note.conversionAmount).toBeCloseTo(1120000);
+  expect(note.shares).toBeCloseTo(1120000, 0);
+  expect(note.matured).toBe(true);
+  expect(mfnSafe.valuationCap).toBe(8000000);
+  expect(mfnSafe.mfnSource).toBe('Note');
+  expect(result.warnings[0]).toMatch(/maturity/);
+});
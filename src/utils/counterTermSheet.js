@@ -0,0 +1,339 @@
+// Counter-proposal term sheet. The extracted terms fill an NVCA-style
+// summary of terms; the user's edits (dotted path -> value, the same shape
+// as scenario overrides) produce the counter version, and every provision
+// whose wording changes is marked with a word-level redline. Downloads as
+// Markdown (~~deleted~~ / **inserted**) or as DOCX with Word tracked
+// changes, so the other side can accept or reject each edit.
+
+import { zipSync, strToU8 } from 'fflate';
+import { applyScenarioOverrides } from './scenarios';
+import { parseAntiDilution } from './antiDilution';
+import { diffWords } from './draftDiff';
+import { valueAt } from './paths';
+import { escapeXml } from './xml';
+
+// Editable fields, by analysis section
+export const COUNTER_FIELDS = {
+  investmentTerms: [
+    { path: 'investmentTerms.investment', label: 'Investment ($)', type: 'number' },
+    { path: 'investmentTerms.preMoney', label: 'Pre-money valuation ($)', type: 'number' },
+    { path: 'investmentTerms.optionPoolPct', label: 'Option pool (% post)', type: 'number' },
+    { path: 'investmentTerms.poolExpandsPre', label: 'Pool in the pre-money', type: 'boolean' }
+  ],
+  liquidation: [
+    { path: 'liquidation.liqPrefMultiple', label: 'Preference multiple (x)', type: 'number' },
+    {
+      path: 'liquidation.type',
+      label: 'Participation',
+      type: 'select',
+      options: { 'non-participating': 'Non-participating', participating: 'Participating', 'capped-participating': 'Capped participating' }
+    },
+    { path: 'liquidation.participationCapMultiple', label: 'Participation cap (x)', type: 'number' },
+    { path: 'liquidation.dividends.ratePct', label: 'Dividend rate (%)', type: 'number' },
+    { path: 'liquidation.dividends.cumulative', label: 'Cumulative dividends', type: 'boolean' }
+  ],
+  controlGovernance: [
+    { path: 'controlGovernance.boardComposition', label: 'Board composition', type: 'text' },
+    { path: 'controlGovernance.votingRights', label: 'Voting rights', type: 'text' },
+    { path: 'controlGovernance.protectiveProvisions', label: 'Protective provisions', type: 'text' },
+    { path: 'controlGovernance.dragAlong', label: 'Drag-along', type: 'boolean' },
+    { path: 'controlGovernance.tagAlong', label: 'Co-sale (tag-along)', type: 'boolean' }
+  ],
+  founderTerms: [
+    { path: 'founderTerms.vestingSchedule', label: 'Founder vesting', type: 'text' },
+    { path: 'founderTerms.acceleration', label: 'Acceleration', type: 'text' },
+    { path: 'founderTerms.antiDilution', label: 'Anti-dilution', type: 'text' },
+    { path: 'founderTerms.proRata', label: 'Pro rata rights', type: 'boolean' }
+  ]
+};
+
+// Edits that put the playbook's asks into the counter term sheet: the
+// priced asks carry overrides, the rest map to template wording here
+const PLAYBOOK_TEXT_EDITS = {
+  'anti-dilution': { 'founderTerms.antiDilution': 'Broad-based weighted average' }
+};
+
+export function editsFromPlaybook(playbook) {
+  return playbook.reduce((edits, item) => ({ ...edits, ...item.ask.overrides, ...PLAYBOOK_TEXT_EDITS[item.id] }), {});
+}
+
+const money = (value) => `$${Math.round(value).toLocaleString('en-US')}`;
+const times = (value) => (value === 1 ? 'one times' : `${value} times`);
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+// `edits` with `path` set to `value`. Clearing a stated term keeps a null
+// edit, which deletes the provision; an edit back to the extracted value
+// (or clearing a term that was never stated) drops the edit.
+export function setCounterEdit(analysis, edits, path, value) {
+  const { [path]: previous, ...rest } = edits;
+  const extracted = valueAt(analysis, path);
+  if (!isSet(value)) return isSet(extracted) ? { ...rest, [path]: null } : rest;
+  return value === extracted ? rest : { ...rest, [path]: value };
+}
+
+// NVCA-style provisions as { id, title, text(terms, series) }; a provision
+// whose text() returns null is left out
+const TEMPLATE = [
+  {
+    heading: 'Offering Terms',
+    provisions: [
+      {
+        id: 'securities',
+        title: 'Securities to Issue',
+        text: (terms, series) => `Shares of ${series} Preferred Stock of the Company (the "${series} Preferred").`
+      },
+      {
+        id: 'proceeds',
+        title: 'Aggregate Proceeds',
+        text: ({ investmentTerms }) => (isSet(investmentTerms.investment) ? `${money(investmentTerms.investment)} in the aggregate.` : null)
+      },
+      {
+        id: 'valuation',
+        title: 'Pre-Money Valuation',
+        text: ({ investmentTerms }) => {
+          if (!isSet(investmentTerms.preMoney)) return null;
+          const base = `The Original Purchase Price is based upon a fully-diluted pre-money valuation of ${money(investmentTerms.preMoney)}`;
+          if (!(investmentTerms.optionPoolPct > 0)) return `${base}.`;
+          return investmentTerms.poolExpandsPre === false
+            ? `${base}. An available option pool equal to ${investmentTerms.optionPoolPct}% of the post-Closing fully-diluted capitalization will be created after the Closing.`
+            : `${base}, which includes an available option pool equal to ${investmentTerms.optionPoolPct}% of the post-Closing fully-diluted capitalization.`;
+        }
+      }
+    ]
+  },
+  {
+    heading: 'Charter',
+    provisions: [
+      {
+        id: 'dividends',
+        title: 'Dividends',
+        text: ({ liquidation }, series) => {
+          const dividends = liquidation.dividends || {};
+          if (!(dividends.ratePct > 0)) {
+            return `Dividends will be paid on the ${series} Preferred on an as-converted basis when, as, and if paid on the Common Stock.`;
+          }
+          return dividends.cumulative === false
+            ? `Non-cumulative dividends will be paid on the ${series} Preferred in an amount equal to ${dividends.ratePct}% of the Original Purchase Price per annum, when, as and if declared by the Board.`
+            : `The ${series} Preferred will carry an annual ${dividends.ratePct}% cumulative dividend${dividends.compounding === 'compound' ? ', compounding annually' : ''}, payable upon a liquidation or redemption.`;
+        }
+      },
+      {
+        id: 'liquidation',
+        title: 'Liquidation Preference',
+        text: ({ liquidation }, series) => {
+          const multiple = isSet(liquidation.liqPrefMultiple) ? liquidation.liqPrefMultiple : 1;
+          const preference = `In the event of any liquidation, dissolution or winding up of the Company, the proceeds shall be paid first to the holders of ${series} Preferred in an amount equal to ${times(multiple)} the Original Purchase Price plus any accrued and unpaid dividends.`;
+          if (liquidation.type === 'participating') {
+            return `${preference} Thereafter, the ${series} Preferred participates with the Common Stock pro rata on an as-converted basis.`;
+          }
+          if (liquidation.type === 'capped-participating') {
+            // A missing cap stays a blank to fill in rather than a made-up number
+            return `${preference} Thereafter, the ${series} Preferred participates with the Common Stock pro rata on an as-converted basis until the holders of ${series} Preferred receive an aggregate of ${isSet(liquidation.participationCapMultiple) ? times(liquidation.participationCapMultiple) : '[●] times'} the Original Purchase Price (including amounts paid pursuant to the preceding sentence).`;
+          }
+          return `${preference} The balance of any proceeds shall be distributed pro rata to holders of Common Stock, unless the ${series} Preferred would receive a greater amount on conversion to Common Stock.`;
+        }
+      },
+      {
+        id: 'voting',
+        title: 'Voting Rights',
+        text: ({ controlGovernance }, series) => controlGovernance.votingRights
+          || `The ${series} Preferred shall vote together with the Common Stock on an as-converted basis, and not as a separate class, except as specifically provided herein or as otherwise required by law.`
+      },
+      {
+        id: 'protective',
+        title: 'Protective Provisions',
+        text: ({ controlGovernance }) => controlGovernance.protectiveProvisions || null
+      },
+      {
+        id: 'anti-dilution',
+        title: 'Anti-dilution Provisions',
+        text: ({ founderTerms }, series) => {
+          const standard = {
+            'full-ratchet': 'a full ratchet adjustment',
+            'broad-based': 'a broad-based weighted average adjustment',
+            'narrow-based': 'a narrow-based weighted average adjustment'
+          }[parseAntiDilution(founderTerms.antiDilution)];
+          if (standard) {
+            return `In the event that the Company issues additional securities at a purchase price less than the current ${series} Preferred conversion price, such conversion price shall be adjusted in accordance with ${standard}, subject to customary exceptions.`;
+          }
+          return founderTerms.antiDilution || null;
+        }
+      }
+    ]
+  },
+  {
+    heading: "Investors' Rights Agreement",
+    provisions: [
+      {
+        id: 'pro-rata',
+        title: 'Right to Participate Pro Rata in Future Rounds',
+        text: ({ founderTerms }) => {
+          if (!isSet(founderTerms.proRata)) return null;
+          return founderTerms.proRata
+            ? 'All Major Investors shall have a pro rata right, based on their percentage equity ownership of the Company (assuming the conversion of all outstanding Preferred Stock into Common Stock), to participate in subsequent issuances of equity securities of the Company.'
+            : 'None.';
+        }
+      },
+      {
+        id: 'board',
+        title: 'Board of Directors',
+        text: ({ controlGovernance }) => (controlGovernance.boardComposition
+          ? `At the initial Closing, the Board shall consist of ${controlGovernance.boardComposition.replace(/\.$/, '')}.`
+          : null)
+      }
+    ]
+  },
+  {
+    heading: 'Other Matters',
+    provisions: [
+      {
+        id: 'drag-along',
+        title: 'Drag Along',
+        text: ({ controlGovernance }) => {
+          if (!isSet(controlGovernance.dragAlong)) return null;
+          return controlGovernance.dragAlong
+            ? 'Holders of Preferred Stock and the Founders shall enter into an agreement with the Investors providing that such stockholders will vote their shares in favor of a Deemed Liquidation Event approved by the Board, the holders of a majority of the Preferred Stock and the holders of a majority of the Common Stock.'
+            : 'None.';
+        }
+      },
+      {
+        id: 'co-sale',
+        title: 'Right of First Refusal / Right of Co-Sale (Take-Me-Along)',
+        text: ({ controlGovernance }) => {
+          if (!isSet(controlGovernance.tagAlong)) return null;
+          return controlGovernance.tagAlong
+            ? 'Company first and Investors second will have a right of first refusal with respect to any shares of capital stock of the Company proposed to be transferred by Founders, with a right of co-sale on any such transfer.'
+            : 'None.';
+        }
+      },
+      {
+        id: 'vesting',
+        title: 'Founder Vesting',
+        text: ({ founderTerms }) => {
+          const parts = [founderTerms.vestingSchedule, founderTerms.acceleration && `Acceleration: ${founderTerms.acceleration}`].filter(Boolean);
+          return parts.length > 0 ? parts.map(part => part.replace(/\.?$/, '.')).join(' ') : null;
+        }
+      }
+    ]
+  }
+];
+
+const withSections = (analysis) => ({
+  investmentTerms: analysis?.investmentTerms || {},
+  liquidation: analysis?.liquidation || {},
+  controlGovernance: analysis?.controlGovernance || {},
+  founderTerms: analysis?.founderTerms || {}
+});
+
+// Both versions of every provision: { title, date, changedCount, sections:
+// [{ heading, provisions: [{ id, title, original, proposed, changed,
+// parts }] }] } with `parts` the word diff of a changed provision
+export function buildCounterTermSheet(analysis, edits = {}, { series = 'Series A', date = new Date() } = {}) {
+  const original = withSections(analysis);
+  const proposed = withSections(applyScenarioOverrides(analysis, null, edits).analysis);
+
+  let changedCount = 0;
+  const sections = TEMPLATE.map(section => ({
+    heading: section.heading,
+    provisions: section.provisions
+      .map(provision => {
+        const before = provision.text(original, series);
+        const after = provision.text(proposed, series);
+        if (before === null && after === null) return null;
+        const changed = before !== after;
+        if (changed) changedCount++;
+        return {
+          id: provision.id,
+          title: provision.title,
+          original: before,
+          proposed: after,
+          changed,
+          parts: changed ? diffWords(before || '', after || '') : [{ type: 'same', text: after }]
+        };
+      })
+      .filter(Boolean)
+  })).filter(section => section.provisions.length > 0);
+
+  return {
+    title: `Summary of Terms for Proposed Private Placement of ${series} Preferred Stock`,
+    date,
+    changedCount,
+    sections
+  };
+}
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_~[\]])/g, '\\$1');
+
+// Markdown redline; whitespace stays outside the markers so they render
+const markdownPart = (part) => {
+  if (part.type === 'same') return escapeMarkdown(part.text);
+  const [, lead, body, trail] = part.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!body) return part.text;
+  const marker = part.type === 'added' ? '**' : '~~';
+  return `${lead}${marker}${escapeMarkdown(body)}${marker}${trail}`;
+};
+
+export function counterTermSheetMarkdown(sheet) {
+  const lines = [
+    `# ${sheet.title}`,
+    '',
+    `_Counter-proposal, ${sheet.date.toLocaleDateString('en-US')}. ${sheet.changedCount} provision${sheet.changedCount === 1 ? '' : 's'} changed: deleted text is ~~struck through~~, new text is **bold**._`,
+    ''
+  ];
+  sheet.sections.forEach(section => {
+    lines.push(`## ${section.heading}`, '');
+    section.provisions.forEach(provision => {
+      lines.push(`**${provision.title}**${provision.changed ? ' _(changed)_' : ''}`, '');
+      lines.push(provision.parts.map(markdownPart).join(''), '');
+    });
+  });
+  return lines.join('\n');
+}
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const REVISION_AUTHOR = 'Counter-proposal';
+
+const run = (text, { bold = false, deleted = false } = {}) => {
+  const props = bold ? '<w:rPr><w:b/></w:rPr>' : '';
+  const tag = deleted ? 'w:delText' : 'w:t';
+  return `<w:r>${props}<${tag} xml:space="preserve">${escapeXml(text)}</${tag}></w:r>`;
+};
+
+const paragraph = (runs, { center = false, spacing = 120 } = {}) =>
+  `<w:p><w:pPr>${center ? '<w:jc w:val="center"/>' : ''}<w:spacing w:after="${spacing}"/></w:pPr>${runs}</w:p>`;
+
+// WordprocessingML package with changed wording as tracked changes
+export function counterTermSheetDocx(sheet) {
+  const timestamp = sheet.date.toISOString().replace(/\.\d+Z$/, 'Z');
+  let revision = 0;
+  const revisionAttrs = () => `w:id="${++revision}" w:author="${REVISION_AUTHOR}" w:date="${timestamp}"`;
+  const partXml = (part) => {
+    if (part.type === 'added') return `<w:ins ${revisionAttrs()}>${run(part.text)}</w:ins>`;
+    if (part.type === 'removed') return `<w:del ${revisionAttrs()}>${run(part.text, { deleted: true })}</w:del>`;
+    return run(part.text);
+  };
+  const cell = (width, content) =>
+    `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${content}</w:tc>`;
+
+  const body = [
+    paragraph(run(sheet.title, { bold: true }), { center: true }),
+    paragraph(run(`Counter-proposal, ${sheet.date.toLocaleDateString('en-US')}`), { center: true, spacing: 240 })
+  ];
+  sheet.sections.forEach(section => {
+    body.push(paragraph(run(section.heading.toUpperCase(), { bold: true }), { spacing: 120 }));
+    const rows = section.provisions.map(provision => `<w:tr>${cell(2600, paragraph(run(provision.title, { bold: true })))}${cell(6760, paragraph(provision.parts.map(partXml).join('')))}</w:tr>`);
+    body.push(`<w:tbl><w:tblPr><w:tblW w:w="9360" w:type="dxa"/></w:tblPr><w:tblGrid><w:gridCol w:w="2600"/><w:gridCol w:w="6760"/></w:tblGrid>${rows.join('')}</w:tbl>`);
+    body.push(paragraph(''));
+  });
+
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${W_NS}"><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  return zipSync({
+    '[Content_Types].xml': strToU8(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>`),
+    '_rels/.rels': strToU8(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`),
+    'word/document.xml': strToU8(documentXml)
+  });
+}
@@ -0,0 +1,80 @@
+import { buildCounterTermSheet, counterTermSheetDocx, counterTermSheetMarkdown, editsFromPlaybook, setCounterEdit } from './counterTermSheet';
+import { strFromU8, unzipSync } from 'fflate';
+import { extractDocxText } from './docxExtractor';
+
+const analysis = {
+  investmentTerms: { preMoney: 8000000, investment: 2000000, optionPoolPct: 10 },
+  liquidation: { liqPrefMultiple: 2, type: 'participating', dividends: null },
+  controlGovernance: { boardComposition: 'two investor directors and one founder director', dragAlong: true },
+  founderTerms: { antiDilution: 'Full ratchet', proRata: true }
+};
+const date = new Date('2026-10-19T12:00:00Z');
+
+const provision = (sheet, id) => sheet.sections.flatMap(section => section.provisions).find(p => p.id === id);
+
+test('unedited terms fill the template with nothing marked', () => {
+  const sheet = buildCounterTermSheet(analysis, {}, { series: 'Series Seed', date });
+
+  expect(sheet.changedCount).toBe(0);
+  expect(sheet.sections.map(section => section.heading)).toEqual(['Offering Terms', 'Charter', "Investors' Rights Agreement", 'Other Matters']);
+  expect(provision(sheet, 'valuation').proposed).toBe(
+    'The Original Purchase Price is based upon a fully-diluted pre-money valuation of $8,000,000, which includes an available option pool equal to 10% of the post-Closing fully-diluted capitalization.'
+  );
+  expect(provision(sheet, 'protective')).toBeUndefined();
+});
+
+test('edits redline only the provisions whose wording changes', () => {
+  const sheet = buildCounterTermSheet(analysis, { 'liquidation.liqPrefMultiple': 1, 'liquidation.type': 'non-participating' }, { date });
+  const liquidation = provision(sheet, 'liquidation');
+
+  expect(sheet.changedCount).toBe(1);
+  expect(liquidation.parts.filter(part => part.type === 'removed').map(part => part.text)).toContain('2');
+  expect(liquidation.parts.filter(part => part.type === 'added').map(part => part.text)).toContain('one');
+
+  const markdown = counterTermSheetMarkdown(sheet);
+  expect(markdown).toContain('**Liquidation Preference** _(changed)_');
+  expect(markdown).toContain('equal to ~~2~~**one** times');
+});
+
+test('clearing a stated term deletes its provision', () => {
+  const withProvisions = { ...analysis, controlGovernance: { ...analysis.controlGovernance, protectiveProvisions: 'Consent of the Series A for any new senior security.' } };
+  const edits = setCounterEdit(withProvisions, {}, 'controlGovernance.protectiveProvisions', '');
+
+  expect(edits).toEqual({ 'controlGovernance.protectiveProvisions': null });
+  expect(provision(buildCounterTermSheet(withProvisions, edits, { date }), 'protective')).toMatchObject({ changed: true, proposed: null });
+  // Typing the extracted value back, or clearing a term never stated, is no edit
+  expect(setCounterEdit(withProvisions, edits, 'controlGovernance.protectiveProvisions', 'Consent of the Series A for any new senior security.')).toEqual({});
+  expect(setCounterEdit(analysis, {}, 'founderTerms.acceleration', '')).toEqual({});
+});
+
+test('a capped preference without a cap multiple leaves the cap blank', () => {
+  const capped = (cap) => provision(buildCounterTermSheet(analysis, { 'liquidation.type': 'capped-participating', 'liquidation.participationCapMultiple': cap }, { date }), 'liquidation').proposed;
+
+  expect(capped(null)).toContain('receive an aggregate of [●] times the Original Purchase Price');
+  expect(capped(2.5)).toContain('receive an aggregate of 2.5 times the Original Purchase Price');
+});
+
+test('playbook asks become edits', () => {
+  const edits = editsFromPlaybook([
+    { id: 'participation', ask: { overrides: { 'liquidation.type': 'non-participating' } } },
+    { id: 'anti-dilution', ask: { text: 'Broad-based weighted average anti-dilution' } }
+  ]);
+  expect(edits).toEqual({ 'liquidation.type': 'non-participating', 'founderTerms.antiDilution': 'Broad-based weighted average' });
+});
+
+test('the DOCX carries the changes as tracked revisions', () => {
+  const sheet = buildCounterTermSheet(analysis, { 'founderTerms.antiDilution': 'Broad-based weighted average' }, { date });
+  const text = extractDocxText(counterTermSheetDocx(sheet));
+
+  expect(text).toContain('Anti-dilution Provisions');
+  expect(text).toContain('in accordance with a [DELETED by Counter-proposal: full ratchet][INSERTED by Counter-proposal: broad-based weighted average] adjustment');
+});
+
+test('control characters from extracted text are dropped from the DOCX', () => {
+  const withFormFeed = { ...analysis, controlGovernance: { ...analysis.controlGovernance, protectiveProvisions: 'Consent of the\fSeries A\u0001 & common.' } };
+  const xml = strFromU8(unzipSync(counterTermSheetDocx(buildCounterTermSheet(withFormFeed, {}, { date })))['word/document.xml']);
+
+  expect(xml).toContain('Consent of theSeries A &amp; common.');
+  expect(xml).not.toContain('\f');
+  expect(xml).not.toContain('\u0001');
+});
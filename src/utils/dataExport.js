@@ -0,0 +1,334 @@
+// Structured exports of an analysis. All three take the same export data,
+// assembled by the analyzer from what is on screen:
+// { analysis, documents, stage, benchmarkScores, exitScenario, capTable
+//   (pro forma, see utils/capTable), scenarios (each with its waterfall
+//   `result`), sensitivity (see utils/exitSensitivity), ruleGotchas,
+//   costOfCapital }
+// - analysisJson: everything, as numbers, with export metadata
+// - analysisWorkbook: XLSX with Terms, Cap Table, Waterfall and Sensitivity
+//   sheets; totals, shares, multiples and derived terms are live formulas
+//   over the exported figures (the waterfall payouts themselves are values)
+// - analysisCsv: RFC 4180, one row per figure, raw numbers with a unit column
+
+import { ANALYSIS_SCHEMA } from './analysisSchema';
+import { BENCHMARKS } from './benchmarks';
+import { HOLDER_KINDS } from './capTable';
+import { describeOverrides } from './scenarios';
+import { buildXlsx, cellRef, sheetRef } from './xlsxWriter';
+
+export const EXPORT_FORMAT = 'intrepid-term-sheet-analysis';
+export const EXPORT_VERSION = 1;
+
+const TERM_SECTIONS = ['investmentTerms', 'liquidation', 'controlGovernance', 'founderTerms'];
+// Narrative fields are in the JSON export only
+const NARRATIVE_FIELDS = ['plainEnglish', 'founderImpact', 'whyItMatters'];
+
+const TERM_LABELS = {
+  preMoney: 'Pre-money valuation',
+  postMoney: 'Post-money valuation',
+  mfn: 'MFN',
+  safeType: 'SAFE type',
+  interestRatePct: 'Interest rate',
+  statedOwnershipPct: 'Stated ownership',
+  optionPoolPct: 'Option pool',
+  poolExpandsPre: 'Pool expands pre-money',
+  liqPrefMultiple: 'Liquidation preference',
+  type: 'Participation',
+  participationCapMultiple: 'Participation cap',
+  ratePct: 'Dividend rate',
+  payableIn: 'Dividends payable in',
+  proRata: 'Pro rata rights'
+};
+
+const UNITS = { currency: 'USD', percent: '%', multiple: 'x' };
+const STYLES = { currency: 'money', percent: 'percent', multiple: 'multiple' };
+
+// "liqPrefMultiple" -> "Liq pref multiple"
+const humanize = (key) => key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().replace(/^./, c => c.toUpperCase());
+
+// Extracted scalar terms in schema order: { path, label, type, value }
+export function termRows(analysis) {
+  const rows = [];
+  const walk = (schema, node, path) => {
+    Object.entries(schema.fields).forEach(([key, field]) => {
+      if (NARRATIVE_FIELDS.includes(key)) return;
+      const value = node?.[key];
+      const fieldPath = `${path}.${key}`;
+      if (field.type === 'object') {
+        walk(field, value, fieldPath);
+      } else if (value !== null && value !== undefined && value !== '') {
+        rows.push({ path: fieldPath, label: TERM_LABELS[key] || humanize(key), type: field.type, value });
+      }
+    });
+  };
+  TERM_SECTIONS.forEach(section => walk(ANALYSIS_SCHEMA.fields[section], analysis?.[section], section));
+  return rows;
+}
+
+// Cost of capital comes back with its rates as fixed-point strings
+const costOfCapitalNumbers = (cost) => cost && {
+  ...cost,
+  effectiveAPR: Number(cost.effectiveAPR),
+  trueDilutionCost: Number(cost.trueDilutionCost)
+};
+
+export function analysisJson(data, { date = new Date() } = {}) {
+  return {
+    metadata: {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: date.toISOString(),
+      generator: 'Intrepid VC Term Sheet Analyzer',
+      documents: data.documents || [],
+      benchmarks: { version: BENCHMARKS.version, stage: data.stage || null }
+    },
+    analysis: data.analysis,
+    benchmarkScores: data.benchmarkScores || {},
+    ruleGotchas: data.ruleGotchas || [],
+    exitScenario: data.exitScenario,
+    capTable: data.capTable || null,
+    scenarios: data.scenarios || [],
+    sensitivity: data.sensitivity || null,
+    costOfCapital: costOfCapitalNumbers(data.costOfCapital) || null
+  };
+}
+
+// RFC 4180: fields with commas, quotes or line breaks are quoted, quotes are
+// doubled, and records end in CRLF. Text that a spreadsheet would run as a
+// formula (scenario names can come from someone else's share link) gets a
+// leading apostrophe; numbers stay raw.
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+export function analysisCsv(data) {
+  const rows = [['Section', 'Item', 'Metric', 'Value', 'Unit']];
+  const add = (section, item, metric, value, unit = '') => {
+    if (value !== null && value !== undefined) rows.push([section, item, metric, value, unit]);
+  };
+
+  termRows(data.analysis).forEach(term => add('Terms', term.label, term.path, term.value, UNITS[term.type]));
+
+  if (data.exitScenario) {
+    add('Exit', 'Current', 'exitValue', data.exitScenario.exitValuation, 'USD');
+    add('Exit', 'Current', 'yearsToExit', data.exitScenario.yearsToExit, 'years');
+  }
+
+  (data.capTable?.rows || []).forEach(row => {
+    add('Cap Table', row.name, 'sharesBefore', row.sharesBefore, 'shares');
+    add('Cap Table', row.name, 'sharesAfter', row.sharesAfter, 'shares');
+    add('Cap Table', row.name, 'ownershipAfterPct', row.pctAfter, '%');
+  });
+
+  (data.scenarios || []).forEach(scenario => {
+    add('Scenario', scenario.name, 'exitValue', scenario.exitValuation, 'USD');
+    add('Scenario', scenario.name, 'yearsToExit', scenario.yearsToExit, 'years');
+    add('Scenario', scenario.name, 'termOverrides', describeOverrides(scenario.overrides) || null);
+    if (!scenario.result) return;
+    add('Scenario', scenario.name, 'investorProceeds', scenario.result.investorReturn, 'USD');
+    add('Scenario', scenario.name, 'founderProceeds', scenario.result.founderReturn, 'USD');
+    add('Scenario', scenario.name, 'optionPoolProceeds', scenario.result.optionPoolReturn, 'USD');
+    add('Scenario', scenario.name, 'existingPreferredProceeds', scenario.result.existingPreferredReturn, 'USD');
+    add('Scenario', scenario.name, 'founderSharePct', scenario.result.founderPct, '%');
+    add('Scenario', scenario.name, 'investorMultiple', scenario.result.investorMultiple, 'x');
+  });
+
+  const cost = costOfCapitalNumbers(data.costOfCapital);
+  if (cost) {
+    add('Cost of Capital', '', 'effectiveAPR', cost.effectiveAPR, '%');
+    add('Cost of Capital', '', 'breakEvenExit', cost.breakEvenExit, 'USD');
+    add('Cost of Capital', '', 'trueDilutionCost', cost.trueDilutionCost, '%');
+  }
+  return toCsv(rows);
+}
+
+// Terms sheet: the extracted terms, then terms derived from them by formula.
+// Returns the sheet and the cell of each term path for other sheets to use.
+const termsSheet = (analysis) => {
+  const refs = {};
+  const values = {};
+  const rows = termRows(analysis).map((term, index) => {
+    // Row 0 is the header
+    refs[term.path] = cellRef(index + 1, 2, true);
+    const value = term.type === 'percent' ? term.value / 100 : term.value;
+    values[term.path] = value;
+    return [term.label, term.path, { value, style: STYLES[term.type] }];
+  });
+
+  const derived = [];
+  const derive = (label, path, formula, value, style) => {
+    refs[path] = cellRef(rows.length + 2 + derived.length, 2, true);
+    values[path] = value;
+    derived.push([label, path, { formula, value, style }]);
+  };
+  const pre = 'investmentTerms.preMoney';
+  const investment = 'investmentTerms.investment';
+  if (refs[pre] && refs[investment]) {
+    derive('Post-money valuation (pre-money + investment)', 'derived.postMoney', `${refs[pre]}+${refs[investment]}`, values[pre] + values[investment], 'money');
+  }
+  const post = refs['derived.postMoney'] ? 'derived.postMoney' : 'investmentTerms.postMoney';
+  if (refs[investment] && refs[post] && values[post] > 0) {
+    derive('Investor ownership (investment / post-money)', 'derived.investorOwnership', `${refs[investment]}/${refs[post]}`, values[investment] / values[post], 'percent');
+  }
+  const multiple = 'liquidation.liqPrefMultiple';
+  if (refs[investment] && refs[multiple]) {
+    derive('Preference amount', 'derived.preferenceAmount', `${refs[investment]}*${refs[multiple]}`, values[investment] * values[multiple], 'money');
+  }
+  const cap = 'liquidation.participationCapMultiple';
+  if (refs[investment] && refs[cap] && analysis.liquidation?.type === 'capped-participating') {
+    derive('Participation cap amount', 'derived.participationCapAmount', `${refs[investment]}*${refs[cap]}`, values[investment] * values[cap], 'money');
+  }
+
+  return {
+    sheet: {
+      name: 'Terms',
+      columns: [{ header: 'Term', width: 44 }, { header: 'Path', width: 40 }, { header: 'Value', width: 40 }],
+      rows: derived.length > 0 ? [...rows, [{ value: 'Derived', style: 'bold' }], ...derived] : rows
+    },
+    refs,
+    values
+  };
+};
+
+const capTableSheet = (proForma) => {
+  const { rows } = proForma;
+  // Header in row 0, holders in 1..n, totals after
+  const totalRow = rows.length + 1;
+  const sum = (column) => `SUM(${cellRef(1, column)}:${cellRef(rows.length, column)})`;
+  const share = (row, column, value) => ({ formula: `${cellRef(row, column)}/${cellRef(totalRow, column, true)}`, value });
+
+  const totals = (key) => rows.reduce((total, row) => total + (row[key] || 0), 0);
+  const pricePerShareRow = totalRow + 2;
+  return {
+    name: 'Cap Table',
+    columns: [
+      { header: 'Holder', width: 28 },
+      { header: 'Kind', width: 24 },
+      { header: 'Shares Before', width: 16, style: 'count' },
+      { header: 'Shares After', width: 16, style: 'count' },
+      { header: 'Ownership Before', width: 18, style: 'percent' },
+      { header: 'Ownership After', width: 18, style: 'percent' },
+      { header: 'Investment', width: 16, style: 'money' }
+    ],
+    rows: [
+      ...rows.map((row, index) => [
+        row.name,
+        HOLDER_KINDS[row.kind] || 'New Round',
+        row.sharesBefore,
+        row.sharesAfter,
+        share(index + 1, 2, row.pctBefore / 100),
+        share(index + 1, 3, row.pctAfter / 100),
+        row.investment
+      ]),
+      [
+        { value: 'Total', style: 'bold' },
+        null,
+        { formula: sum(2), value: totals('sharesBefore') },
+        { formula: sum(3), value: totals('sharesAfter') },
+        { formula: sum(4), value: 1 },
+        { formula: sum(5), value: 1 },
+        { formula: sum(6), value: totals('investment') }
+      ],
+      [],
+      ['Price per share', null, { value: proForma.pricePerShare, style: 'price' }],
+      ['Post-money valuation', null, { formula: `${cellRef(totalRow, 3)}*${cellRef(pricePerShareRow, 2)}`, value: proForma.postMoney, style: 'money' }]
+    ]
+  };
+};
+
+const waterfallSheet = (scenarios, terms) => {
+  const investmentRef = terms.refs['investmentTerms.investment'];
+  return {
+    name: 'Waterfall',
+    columns: [
+      { header: 'Scenario', width: 24 },
+      { header: 'Exit Value', width: 16, style: 'money' },
+      { header: 'Years', width: 8 },
+      { header: 'Term Overrides', width: 36 },
+      { header: 'Investment', width: 16, style: 'money' },
+      { header: 'Investor Proceeds', width: 18, style: 'money' },
+      { header: 'Founder Proceeds', width: 18, style: 'money' },
+      { header: 'Option Pool Proceeds', width: 20, style: 'money' },
+      { header: 'Existing Preferred Proceeds', width: 26, style: 'money' },
+      { header: 'Other Proceeds', width: 16, style: 'money' },
+      { header: 'Founder Share', width: 14, style: 'percent' },
+      { header: 'Investor Multiple', width: 16, style: 'multiple' },
+      { header: 'Current', width: 10 }
+    ],
+    rows: scenarios.map((scenario, index) => {
+      const row = index + 1;
+      const ref = (column) => cellRef(row, column);
+      const overridden = scenario.overrides?.['investmentTerms.investment'];
+      const investment = overridden ?? terms.values['investmentTerms.investment'];
+      const investmentCell = overridden === undefined && investmentRef
+        ? { formula: sheetRef('Terms', investmentRef), value: investment }
+        : investment;
+      const result = scenario.result;
+      const paid = result
+        ? [result.investorReturn, result.founderReturn, result.optionPoolReturn, result.existingPreferredReturn]
+        : [];
+      const exit = scenario.exitValuation;
+
+      return [
+        scenario.name,
+        exit,
+        scenario.yearsToExit,
+        describeOverrides(scenario.overrides),
+        investmentCell,
+        ...(result
+          ? [
+              ...paid,
+              { formula: `${ref(1)}-SUM(${ref(5)}:${ref(8)})`, value: exit - paid.reduce((sum, value) => sum + (value || 0), 0) },
+              { formula: `IF(${ref(1)}=0,0,${ref(6)}/${ref(1)})`, value: exit ? result.founderReturn / exit : 0 },
+              investment ? { formula: `${ref(5)}/${ref(4)}`, value: result.investorReturn / investment } : null
+            ]
+          : [null, null, null, null, null, null, null]),
+        Boolean(scenario.active)
+      ];
+    })
+  };
+};
+
+const sensitivitySheet = (sensitivity) => {
+  const { points, breakpoints } = sensitivity;
+  return {
+    name: 'Sensitivity',
+    columns: [
+      { header: 'Exit Value', width: 30, style: 'money' },
+      { header: 'Investor Proceeds', width: 18, style: 'money' },
+      { header: 'Founder Proceeds', width: 18, style: 'money' },
+      { header: 'Other Proceeds', width: 16, style: 'money' },
+      { header: 'Founder Share', width: 14, style: 'percent' }
+    ],
+    rows: [
+      ...points.map((point, index) => {
+        const ref = (column) => cellRef(index + 1, column);
+        return [
+          point.exitValue,
+          point.investorProceeds,
+          point.founderProceeds,
+          { formula: `${ref(0)}-${ref(1)}-${ref(2)}`, value: point.exitValue - point.investorProceeds - point.founderProceeds },
+          { formula: `IF(${ref(0)}=0,0,${ref(2)}/${ref(0)})`, value: point.founderPct / 100 }
+        ];
+      }),
+      ...(breakpoints.length > 0
+        ? [[], [{ value: 'Breakpoint', style: 'bold' }, { value: 'Exit Value', style: 'bold' }], ...breakpoints.map(point => [point.label, point.exitValue])]
+        : [])
+    ]
+  };
+};
+
+// Returns the .xlsx file as a Uint8Array. Sheets without data (no priced
+// cap table, no sweep) are left out.
+export function analysisWorkbook(data) {
+  const terms = termsSheet(data.analysis);
+  const sheets = [terms.sheet];
+  if (data.capTable) sheets.push(capTableSheet(data.capTable));
+  if (data.scenarios?.length) sheets.push(waterfallSheet(data.scenarios, terms));
+  if (data.sensitivity?.points.length) sheets.push(sensitivitySheet(data.sensitivity));
+  return buildXlsx(sheets);
+}
@@ -0,0 +1,110 @@
+import { strFromU8, unzipSync } from 'fflate';
+import { capTableFromTerms, computeProForma } from './capTable';
+import { analysisCsv, analysisJson, analysisWorkbook, toCsv } from './dataExport';
+
+const analysis = {
+  investmentTerms: { preMoney: 8000000, investment: 2000000, optionPoolPct: 10, plainEnglish: 'Fair.' },
+  liquidation: { liqPrefMultiple: 1, type: 'non-participating' },
+  controlGovernance: { boardComposition: 'Two founders, one investor, "independent" TBD' }
+};
+
+const data = {
+  analysis,
+  documents: [{ name: 'Acme Seed.pdf', size: 1000, type: 'application/pdf' }],
+  stage: { id: 'seed', label: 'Seed' },
+  exitScenario: { exitValuation: 100000000, yearsToExit: 5 },
+  scenarios: [
+    { id: 2, name: 'Base Case', exitValuation: 100000000, yearsToExit: 5, overrides: {}, active: true,
+      result: { investorReturn: 20000000, founderReturn: 80000000, optionPoolReturn: null, existingPreferredReturn: null, investorMultiple: 10, founderPct: 80 } },
+    { id: 4, name: 'Bigger check', exitValuation: 50000000, yearsToExit: 3, overrides: { 'investmentTerms.investment': 4000000 }, active: false,
+      result: { investorReturn: 16666667, founderReturn: 33333333, optionPoolReturn: null, existingPreferredReturn: null, investorMultiple: 4.17, founderPct: 66.7 } }
+  ],
+  sensitivity: {
+    points: [
+      { exitValue: 0, investorProceeds: 0, founderProceeds: 0, founderPct: 0 },
+      { exitValue: 10000000, investorProceeds: 2000000, founderProceeds: 8000000, founderPct: 80 }
+    ],
+    breakpoints: [{ id: 'founders-paid', label: 'Founders start getting paid', exitValue: 2000000 }]
+  },
+  costOfCapital: { effectiveAPR: '12.50', breakEvenExit: 2000000, trueDilutionCost: '30.00' }
+};
+
+const workbookFiles = (bytes) => Object.fromEntries(Object.entries(unzipSync(bytes)).map(([path, content]) => [path, strFromU8(content)]));
+
+test('CSV fields are quoted and escaped per RFC 4180', () => {
+  expect(toCsv([['a,b', 'say "hi"', 'two\nlines', 12.5, null], ['plain', 0]]))
+    .toBe('"a,b","say ""hi""","two\nlines",12.5,\r\nplain,0\r\n');
+});
+
+test('CSV text that would run as a formula is neutralized, numbers are not', () => {
+  expect(toCsv([['=HYPERLINK("http://x")', '+1', '-cmd', '@SUM(A1)', -5, 'Base Case']]))
+    .toBe('"\'=HYPERLINK(""http://x"")",\'+1,\'-cmd,\'@SUM(A1),-5,Base Case\r\n');
+
+  const csv = analysisCsv({ ...data, scenarios: [{ ...data.scenarios[0], name: '=1+1' }] });
+  expect(csv).toContain("Scenario,'=1+1,exitValue,100000000,USD");
+});
+
+test('the CSV holds raw numbers with units', () => {
+  const lines = analysisCsv(data).split('\r\n');
+
+  expect(lines[0]).toBe('Section,Item,Metric,Value,Unit');
+  expect(lines).toContain('Terms,Pre-money valuation,investmentTerms.preMoney,8000000,USD');
+  expect(lines).toContain('Terms,Option pool,investmentTerms.optionPoolPct,10,%');
+  expect(lines).toContain('Terms,Board composition,controlGovernance.boardComposition,"Two founders, one investor, ""independent"" TBD",');
+  expect(lines).toContain('Scenario,Base Case,founderProceeds,80000000,USD');
+  expect(lines).toContain('Scenario,Bigger check,termOverrides,Investment ($): 4000000,');
+  expect(lines).toContain('Cost of Capital,,effectiveAPR,12.5,%');
+  expect(lines.some(line => line.includes('plainEnglish'))).toBe(false);
+});
+
+test('the JSON export carries metadata and numeric rates', () => {
+  const json = analysisJson(data, { date: new Date('2026-10-19T12:00:00Z') });
+
+  expect(json.metadata).toMatchObject({ format: 'intrepid-term-sheet-analysis', version: 1, exportedAt: '2026-10-19T12:00:00.000Z' });
+  expect(json.metadata.documents[0].name).toBe('Acme Seed.pdf');
+  expect(json.metadata.benchmarks.stage.label).toBe('Seed');
+  expect(json.analysis.investmentTerms.plainEnglish).toBe('Fair.');
+  expect(json.costOfCapital.effectiveAPR).toBe(12.5);
+  expect(JSON.parse(JSON.stringify(json))).toEqual(json);
+});
+
+test('the workbook links its sheets with live formulas', () => {
+  const files = workbookFiles(analysisWorkbook(data));
+
+  expect(files['xl/workbook.xml']).toContain('<sheet name="Terms" sheetId="1" r:id="rId1"/><sheet name="Waterfall" sheetId="2" r:id="rId2"/><sheet name="Sensitivity" sheetId="3" r:id="rId3"/>');
+
+  // Terms: pre-money C2, investment C3, option pool C4 (as a fraction)
+  const terms = files['xl/worksheets/sheet1.xml'];
+  expect(terms).toContain('<c r="C4" s="4"><v>0.1</v></c>');
+  expect(terms).toContain('<f>$C$2+$C$3</f><v>10000000</v>');
+  expect(terms).toContain('<f>$C$3/$C$9</f><v>0.2</v>');
+
+  // Waterfall: investment comes from Terms unless the scenario overrides it
+  const waterfall = files['xl/worksheets/sheet2.xml'];
+  expect(waterfall).toContain('<c r="E2" s="2"><f>Terms!$C$3</f><v>2000000</v></c>');
+  expect(waterfall).toContain('<c r="E3" s="2"><v>4000000</v></c>');
+  expect(waterfall).toContain('<c r="K2" s="4"><f>IF(B2=0,0,G2/B2)</f><v>0.8</v></c>');
+  expect(waterfall).toContain('<c r="L2" s="5"><f>F2/E2</f><v>10</v></c>');
+
+  const sensitivity = files['xl/worksheets/sheet3.xml'];
+  expect(sensitivity).toContain('<f>A3-B3-C3</f><v>0</v>');
+  expect(sensitivity).toContain('Founders start getting paid');
+});
+
+test('the cap table sheet totals and prices the pro forma', () => {
+  const proForma = computeProForma(capTableFromTerms(analysis.investmentTerms));
+  const files = workbookFiles(analysisWorkbook({ ...data, capTable: proForma }));
+  const capTable = files['xl/worksheets/sheet2.xml'];
+
+  expect(files['xl/workbook.xml']).toContain('<sheet name="Cap Table" sheetId="2" r:id="rId2"/>');
+  // Founders, pool, new round in rows 2-4, totals in row 5
+  expect(capTable).toContain('<c r="F4" s="4"><f>D4/$D$5</f>');
+  expect(capTable).toContain('<f>SUM(D2:D4)</f>');
+  expect(capTable).toContain(`<c r="C8" s="2"><f>D5*C7</f><v>${proForma.postMoney}</v></c>`);
+});
+
+test('workbook text drops control characters XML cannot hold', () => {
+  const files = workbookFiles(analysisWorkbook({ ...data, analysis: { ...analysis, controlGovernance: { boardComposition: 'Two\u0001 founders\tand\u001F one' } } }));
+
+  expect(files['xl/worksheets/sheet1.xml']).toContain('Two founders\tand one');
+});
@@ -0,0 +1,94 @@
+// Dividend accrual shared by the waterfall and the cost-of-capital
+// calculation. Terms come from `analysis.liquidation.dividends`:
+// { ratePct, compounding: 'simple' | 'compound' | 'none', frequency:
+// 'annual' | 'quarterly', cumulative, payableIn: 'cash' | 'shares' }.
+// Missing fields fall back to DIVIDEND_DEFAULTS; a missing rate means no
+// dividends rather than NaN.
+
+export const DIVIDEND_DEFAULTS = {
+  compounding: 'simple',
+  frequency: 'annual',
+  // Worst case for founders when the term sheet is silent
+  cumulative: true,
+  payableIn: 'cash'
+};
+
+const PERIODS_PER_YEAR = { annual: 1, quarterly: 4 };
+
+const pick = (...values) => values.find(value => value !== null && value !== undefined);
+
+// Extracted terms with user overrides applied on top
+export function resolveDividendTerms(dividends, overrides = {}) {
+  const ratePct = pick(overrides.ratePct, dividends?.ratePct);
+  const compounding = pick(overrides.compounding, dividends?.compounding);
+
+  return {
+    ratePct: Number.isFinite(ratePct) && ratePct > 0 ? ratePct : 0,
+    // 'none' in the extracted terms means not compounded
+    compounding: compounding === 'compound' ? 'compound' : 'simple',
+    frequency: pick(overrides.frequency, dividends?.frequency) === 'quarterly' ? 'quarterly' : DIVIDEND_DEFAULTS.frequency,
+    cumulative: pick(overrides.cumulative, dividends?.cumulative, DIVIDEND_DEFAULTS.cumulative),
+    payableIn: pick(overrides.payableIn, dividends?.payableIn) === 'shares' ? 'shares' : DIVIDEND_DEFAULTS.payableIn
+  };
+}
+
+// Dividends accrued on `principal` after `years` (fractional years allowed)
+const accruedAt = (principal, terms, years) => {
+  const rate = terms.ratePct / 100;
+  if (terms.compounding === 'compound') {
+    const periods = PERIODS_PER_YEAR[terms.frequency];
+    return principal * (Math.pow(1 + rate / periods, periods * years) - 1);
+  }
+  return principal * rate * years;
+};
+
+// Year-by-year accrual on `principal`. Non-cumulative dividends are owed only
+// when declared, so nothing builds up in the preference.
+export function accrueDividends(principal, dividends, years, overrides = {}) {
+  const terms = resolveDividendTerms(dividends, overrides);
+  const horizon = Math.max(0, years || 0);
+  const accrues = terms.cumulative && terms.ratePct > 0 && principal > 0;
+
+  const schedule = [];
+  for (let year = 1; year <= Math.ceil(horizon); year++) {
+    const elapsed = Math.min(year, horizon);
+    const cumulative = accrues ? accruedAt(principal, terms, elapsed) : 0;
+    const previous = schedule.length > 0 ? schedule[schedule.length - 1].cumulative : 0;
+    schedule.push({
+      year: elapsed,
+      accrued: cumulative - previous,
+      cumulative,
+      balance: principal + cumulative
+    });
+  }
+
+  const total = schedule.length > 0 ? schedule[schedule.length - 1].cumulative : 0;
+  return {
+    terms,
+    schedule,
+    total,
+    // Cash dividends are paid on top of the preference; dividends paid in
+    // shares become more preferred stock at the original issue price
+    cashDividends: terms.payableIn === 'cash' ? total : 0,
+    shareDividends: terms.payableIn === 'shares' ? total : 0
+  };
+}
+
+// Preference owed on a series once dividends have accrued
+export function preferenceWithDividends(investment, preferenceMultiple, accrual) {
+  return (investment + accrual.shareDividends) * preferenceMultiple + accrual.cashDividends;
+}
+
+// Applies an accrual to a waterfall series (see utils/waterfall): cash adds
+// to the preference, shares add preferred shares and the capital behind them
+export function applyDividendsToSeries(series, accrual) {
+  if (accrual.shareDividends > 0 && series.investment > 0) {
+    const issuedShares = series.shares * (accrual.shareDividends / series.investment);
+    return {
+      ...series,
+      shares: series.shares + issuedShares,
+      investment: series.investment + accrual.shareDividends
+    };
+  }
+  return { ...series, accruedDividends: (series.accruedDividends || 0) + accrual.cashDividends };
+}
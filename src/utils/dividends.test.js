@@ -0,0 +1,36 @@
+import { accrueDividends, preferenceWithDividends, applyDividendsToSeries } from './dividends';
+
+test('accrues simple and compound dividends year by year', () => {
+  const simple = accrueDividends(10000000, { ratePct: 8, compounding: 'simple' }, 3);
+  expect(simple.schedule.map(row => row.cumulative)).toEqual([800000, 1600000, 2400000]);
+
+  const annual = accrueDividends(10000000, { ratePct: 8, compounding: 'compound' }, 2);
+  expect(annual.total).toBeCloseTo(1664000);
+
+  const quarterly = accrueDividends(10000000, { ratePct: 8, compounding: 'compound', frequency: 'quarterly' }, 1);
+  expect(quarterly.total).toBeCloseTo(10000000 * (Math.pow(1.02, 4) - 1));
+
+  const partialYear = accrueDividends(1000000, { ratePct: 10 }, 1.5);
+  expect(partialYear.schedule.map(row => row.year)).toEqual([1, 1.5]);
+  expect(partialYear.schedule[1].accrued).toBeCloseTo(50000);
+});
+
+test('treats a missing rate or non-cumulative dividends as nothing owed', () => {
+  expect(accrueDividends(5000000, { ratePct: null, compounding: 'compound' }, 5).total).toBe(0);
+  expect(accrueDividends(5000000, null, 5).schedule).toHaveLength(5);
+
+  const declaredOnly = accrueDividends(5000000, { ratePct: 8, cumulative: false }, 5);
+  expect(declaredOnly.total).toBe(0);
+  expect(accrueDividends(5000000, { ratePct: 8, cumulative: false }, 5, { cumulative: true }).total).toBeCloseTo(2000000);
+});
+
+test('dividends paid in shares raise the preference and the share count', () => {
+  const accrual = accrueDividends(10000000, { ratePct: 10, payableIn: 'shares' }, 2);
+
+  expect(preferenceWithDividends(10000000, 2, accrual)).toBeCloseTo(24000000);
+  expect(applyDividendsToSeries({ shares: 1000, investment: 10000000 }, accrual)).toMatchObject({ shares: 1200, investment: 12000000 });
+
+  const cash = accrueDividends(10000000, { ratePct: 10 }, 2);
+  expect(preferenceWithDividends(10000000, 2, cash)).toBeCloseTo(22000000);
+  expect(applyDividendsToSeries({ shares: 1000, investment: 10000000 }, cash)).toMatchObject({ shares: 1000, accruedDividends: 2000000 });
+});
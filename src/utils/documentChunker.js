@@ -0,0 +1,144 @@
+import { parseClauseNumber } from './pdfLayout';
+
+// Splits long documents into model-sized chunks along section boundaries
+// (files, pages, headings and numbered clauses) so that no clause is cut in
+// half. Tables are never split unless a single table exceeds the budget.
+
+const FILE_OR_PAGE_MARKER = /^--- (.+) ---$/;
+const PAGE_MARKER = /^--- Page (\d+) ---$/;
+const HEADING = /^#{1,6} /;
+// Room for the file/page context lines repeated at the top of each chunk
+const CONTEXT_RESERVE = 200;
+
+const splitIntoSections = (text) => {
+  const sections = [];
+  let current = null;
+  let file = null;
+  let page = null;
+  let inTable = false;
+
+  const startSection = () => {
+    current = { lines: [], file, page };
+    sections.push(current);
+  };
+
+  text.split('\n').forEach(line => {
+    const trimmed = line.trim();
+    const marker = trimmed.match(FILE_OR_PAGE_MARKER);
+
+    if (!inTable && marker) {
+      const pageMatch = trimmed.match(PAGE_MARKER);
+      if (pageMatch) page = parseInt(pageMatch[1], 10);
+      else {
+        file = marker[1];
+        page = null;
+      }
+      startSection();
+    } else if (!inTable && (trimmed === '[TABLE]' || HEADING.test(trimmed) || parseClauseNumber(trimmed))) {
+      startSection();
+    } else if (!current) {
+      startSection();
+    }
+
+    if (trimmed === '[TABLE]') inTable = true;
+    if (trimmed === '[/TABLE]') inTable = false;
+
+    current.lines.push(line);
+    current.page = current.page ?? page;
+  });
+
+  return sections
+    .map(section => ({ ...section, text: section.lines.join('\n') }))
+    .filter(section => section.text.trim());
+};
+
+// Breaks a section that is larger than the budget on line boundaries
+const splitOversizedSection = (section, budget) => {
+  const pieces = [];
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer.trim()) pieces.push({ file: section.file, page: section.page, text: buffer });
+    buffer = '';
+  };
+
+  section.lines.forEach(line => {
+    if (line.length > budget) {
+      flush();
+      for (let i = 0; i < line.length; i += budget) {
+        pieces.push({ file: section.file, page: section.page, text: line.slice(i, i + budget) });
+      }
+      return;
+    }
+    if (buffer.length + line.length + 1 > budget) flush();
+    buffer += (buffer ? '\n' : '') + line;
+  });
+  flush();
+
+  return pieces;
+};
+
+const describeChunk = (sections) => {
+  const pages = sections.map(section => section.page).filter(page => page !== null && page !== undefined);
+  const firstHeading = sections
+    .flatMap(section => section.text.split('\n'))
+    .map(line => line.trim())
+    .find(line => HEADING.test(line) || parseClauseNumber(line));
+
+  const pageRange = pages.length > 0
+    ? (Math.min(...pages) === Math.max(...pages) ? `Page ${Math.min(...pages)}` : `Pages ${Math.min(...pages)}–${Math.max(...pages)}`)
+    : null;
+  const heading = firstHeading ? firstHeading.replace(HEADING, '').slice(0, 60) : null;
+
+  return {
+    label: [pageRange, heading].filter(Boolean).join(' · ') || 'Document section',
+    pages: pages.length > 0 ? [Math.min(...pages), Math.max(...pages)] : null
+  };
+};
+
+// Repeats the file and page the chunk starts in so page references survive
+const contextHeader = (section) => {
+  const firstLine = section.text.split('\n').find(line => line.trim())?.trim() || '';
+  if (FILE_OR_PAGE_MARKER.test(firstLine)) {
+    return PAGE_MARKER.test(firstLine) && section.file ? `--- ${section.file} ---\n` : '';
+  }
+  return [
+    section.file ? `--- ${section.file} ---` : null,
+    section.page ? `--- Page ${section.page} ---` : null
+  ].filter(Boolean).map(line => `${line}\n`).join('');
+};
+
+export function splitIntoChunks(text, maxChars) {
+  if (text.length <= maxChars) {
+    return [{ index: 0, text, ...describeChunk(splitIntoSections(text)) }];
+  }
+
+  const budget = Math.max(1000, maxChars - CONTEXT_RESERVE);
+  const sections = splitIntoSections(text)
+    .flatMap(section => (section.text.length > budget ? splitOversizedSection(section, budget) : [section]));
+
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const body = current.map(section => section.text).join('\n');
+    chunks.push({
+      index: chunks.length,
+      text: `${contextHeader(current[0])}${body}`,
+      ...describeChunk(current)
+    });
+    current = [];
+    size = 0;
+  };
+
+  sections.forEach(section => {
+    if (size > 0 && size + section.text.length + 1 > budget) flush();
+    current.push(section);
+    size += section.text.length + 1;
+  });
+  flush();
+
+  return chunks;
+}
@@ -0,0 +1,77 @@
+import { splitIntoChunks } from './documentChunker';
+import { planChunks, MAX_CHUNKS, MAX_CHUNK_GROWTH } from './chunkedAnalysis';
+
+// About 850 characters per clause
+const clause = (number, title) => `${number}. ${title}\n${'The Company shall comply with this section. '.repeat(19)}`;
+const clauses = (count, first = 1) => Array.from({ length: count }, (_, i) => clause(first + i, `Clause ${first + i}`));
+
+const chunkWith = (chunks, text) => chunks.filter(chunk => chunk.text.includes(text));
+
+test('a document within the budget is one chunk labelled by its first page and heading', () => {
+  const text = ['--- Page 1 ---', '# Series A Term Sheet', 'Investment: $5,000,000.'].join('\n');
+  const [chunk, ...rest] = splitIntoChunks(text, 30000);
+
+  expect(rest).toEqual([]);
+  expect(chunk).toMatchObject({ index: 0, text, label: 'Page 1 · Series A Term Sheet', pages: [1, 1] });
+});
+
+test('chunks break between clauses, never inside one', () => {
+  const body = clauses(6);
+  const chunks = splitIntoChunks(['--- Page 1 ---', ...body].join('\n'), 1900);
+
+  expect(chunks.length).toBeGreaterThan(2);
+  chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(1900));
+  body.forEach(text => {
+    expect(chunkWith(chunks, text.split('\n')[0])).toHaveLength(1);
+    expect(chunkWith(chunks, text)).toHaveLength(1);
+  });
+});
+
+test('a table stays in one chunk even when its rows look like clauses', () => {
+  const table = ['[TABLE]', ...Array.from({ length: 12 }, (_, i) => `${i + 1}. Holder ${i + 1} | 100,000 shares | Common`), '[/TABLE]'].join('\n');
+  const chunks = splitIntoChunks([...clauses(2), table, ...clauses(1, 3)].join('\n'), 1900);
+
+  expect(chunkWith(chunks, table)).toHaveLength(1);
+});
+
+test('an oversized section is broken on line boundaries, and an oversized line at the budget', () => {
+  const lines = Array.from({ length: 60 }, (_, i) => `Line ${i + 1} of the schedule of purchasers and their allocations.`);
+  const longLine = 'x'.repeat(2500);
+  const chunks = splitIntoChunks(['--- Page 4 ---', '1. Schedule A', ...lines, longLine].join('\n'), 1200);
+
+  expect(chunks.length).toBeGreaterThan(3);
+  chunks.forEach(chunk => {
+    expect(chunk.text.length).toBeLessThanOrEqual(1200);
+    expect(chunk.pages).toEqual([4, 4]);
+  });
+  lines.forEach(line => expect(chunkWith(chunks, line)).toHaveLength(1));
+  // Budget is maxChars less the room kept for the context header, with a floor of 1000
+  expect(chunks.filter(chunk => /^x+$/.test(chunk.text.split('\n').pop())).map(chunk => chunk.text.split('\n').pop().length)).toEqual([1000, 1000, 500]);
+});
+
+test('each chunk repeats the file and page it starts in', () => {
+  const text = ['--- spa.pdf ---', '--- Page 1 ---', ...clauses(2), '--- Page 2 ---', ...clauses(3, 3), '--- side-letter.pdf ---', ...clauses(1, 6)].join('\n');
+  const chunks = splitIntoChunks(text, 1900);
+
+  const spanning = chunkWith(chunks, '2. Clause 2')[0];
+  expect(spanning).toMatchObject({ label: 'Pages 1–2 · 2. Clause 2', pages: [1, 2] });
+  const midPage = chunkWith(chunks, '5. Clause 5')[0];
+  expect(midPage.text.startsWith('--- spa.pdf ---\n--- Page 2 ---\n5. Clause 5')).toBe(true);
+  expect(midPage).toMatchObject({ label: 'Page 2 · 5. Clause 5', pages: [2, 2] });
+  const sideLetter = chunkWith(chunks, '6. Clause 6')[0];
+  expect(sideLetter.text.startsWith('--- side-letter.pdf ---\n')).toBe(true);
+  expect(sideLetter.text).not.toContain('--- Page');
+  expect(chunks.every(chunk => chunk.text.startsWith('--- '))).toBe(true);
+});
+
+test('the part size doubles, up to MAX_CHUNK_GROWTH, to stay within MAX_CHUNKS parts', () => {
+  const grown = planChunks(clauses(60).join('\n'), 2000);
+  expect(grown.maxChars).toBe(4000);
+  expect(grown.chunks.length).toBeLessThanOrEqual(MAX_CHUNKS);
+  expect(grown.chunks).toHaveLength(grown.allChunks.length);
+
+  const capped = planChunks(clauses(200).join('\n'), 2000);
+  expect(capped.maxChars).toBe(2000 * MAX_CHUNK_GROWTH);
+  expect(capped.chunks).toHaveLength(MAX_CHUNKS);
+  expect(capped.allChunks.length).toBeGreaterThan(MAX_CHUNKS);
+});
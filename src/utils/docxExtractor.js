@@ -0,0 +1,277 @@
+import { unzipSync, strFromU8 } from 'fflate';
+
+// DOCX files are zipped OOXML packages. We only need the main document plus
+// the parts that give it structure (list numbering) and reviewer annotations.
+const DOCUMENT_PART = 'word/document.xml';
+const NUMBERING_PART = 'word/numbering.xml';
+const COMMENTS_PART = 'word/comments.xml';
+const STYLES_PART = 'word/styles.xml';
+
+const childrenNamed = (element, name) =>
+  Array.from(element?.childNodes || []).filter(node => node.localName === name);
+
+const firstChild = (element, name) => childrenNamed(element, name)[0] || null;
+
+const attr = (element, name) => element?.getAttribute(`w:${name}`) ?? null;
+
+const parseXml = (xml, XMLParser) => {
+  const doc = new XMLParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Malformed XML in Word document');
+  }
+  return doc;
+};
+
+const toRoman = (num) => {
+  const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+  let result = '';
+  for (const [value, numeral] of numerals) {
+    while (num >= value) {
+      result += numeral;
+      num -= value;
+    }
+  }
+  return result;
+};
+
+const toLetters = (num) => {
+  let result = '';
+  while (num > 0) {
+    num -= 1;
+    result = String.fromCharCode(97 + (num % 26)) + result;
+    num = Math.floor(num / 26);
+  }
+  return result;
+};
+
+const formatNumber = (value, format) => {
+  switch (format) {
+    case 'lowerLetter': return toLetters(value);
+    case 'upperLetter': return toLetters(value).toUpperCase();
+    case 'lowerRoman': return toRoman(value);
+    case 'upperRoman': return toRoman(value).toUpperCase();
+    case 'bullet': return '•';
+    case 'none': return '';
+    default: return String(value);
+  }
+};
+
+// Builds numId -> level definitions from numbering.xml
+const parseNumbering = (doc) => {
+  if (!doc) return {};
+  const root = doc.documentElement;
+
+  const abstractLevels = {};
+  childrenNamed(root, 'abstractNum').forEach(abstractNum => {
+    const levels = {};
+    childrenNamed(abstractNum, 'lvl').forEach(lvl => {
+      levels[attr(lvl, 'ilvl')] = {
+        start: parseInt(attr(firstChild(lvl, 'start'), 'val') || '1', 10),
+        format: attr(firstChild(lvl, 'numFmt'), 'val') || 'decimal',
+        text: attr(firstChild(lvl, 'lvlText'), 'val') ?? '%1.'
+      };
+    });
+    abstractLevels[attr(abstractNum, 'abstractNumId')] = levels;
+  });
+
+  const numbering = {};
+  childrenNamed(root, 'num').forEach(num => {
+    const abstractId = attr(firstChild(num, 'abstractNumId'), 'val');
+    numbering[attr(num, 'numId')] = abstractLevels[abstractId] || {};
+  });
+  return numbering;
+};
+
+// Maps style IDs to heading levels so custom heading styles still count
+const parseHeadingStyles = (doc) => {
+  const headings = {};
+  if (!doc) return headings;
+  childrenNamed(doc.documentElement, 'style').forEach(style => {
+    const name = attr(firstChild(style, 'name'), 'val') || '';
+    const match = name.match(/^heading\s*(\d)$/i);
+    if (match) headings[attr(style, 'styleId')] = parseInt(match[1], 10);
+    else if (/^title$/i.test(name)) headings[attr(style, 'styleId')] = 1;
+  });
+  return headings;
+};
+
+const parseComments = (doc) => {
+  const comments = {};
+  if (!doc) return comments;
+  childrenNamed(doc.documentElement, 'comment').forEach(comment => {
+    const text = childrenNamed(comment, 'p')
+      .map(p => p.textContent.trim())
+      .filter(Boolean)
+      .join(' ');
+    comments[attr(comment, 'id')] = { author: attr(comment, 'author') || 'Unknown', text };
+  });
+  return comments;
+};
+
+const createListCounter = (numbering) => {
+  const counters = {};
+
+  return (numId, ilvl) => {
+    const levels = numbering[numId];
+    if (!levels || !levels[ilvl]) return '';
+
+    const current = counters[numId] || {};
+    const level = parseInt(ilvl, 10);
+    current[level] = current[level] === undefined ? levels[ilvl].start : current[level] + 1;
+    // Restart deeper levels whenever a parent level advances
+    Object.keys(current).forEach(key => {
+      if (parseInt(key, 10) > level) delete current[key];
+    });
+    counters[numId] = current;
+
+    return levels[ilvl].text.replace(/%(\d)/g, (_, n) => {
+      const refLevel = parseInt(n, 10) - 1;
+      const refDef = levels[String(refLevel)];
+      const value = current[refLevel] ?? refDef?.start ?? 1;
+      return formatNumber(value, refDef?.format);
+    });
+  };
+};
+
+const createDocumentReader = ({ numbering, headingStyles, comments }) => {
+  const nextListLabel = createListCounter(numbering);
+
+  const readInline = (element) => {
+    let text = '';
+    Array.from(element.childNodes).forEach(node => {
+      switch (node.localName) {
+        case 't':
+        case 'delText':
+          text += node.textContent;
+          break;
+        case 'tab':
+          text += '\t';
+          break;
+        case 'br':
+        case 'cr':
+          text += '\n';
+          break;
+        case 'noBreakHyphen':
+          text += '-';
+          break;
+        case 'ins':
+        case 'moveTo': {
+          const inserted = readInline(node);
+          if (inserted) text += `[INSERTED by ${attr(node, 'author') || 'Unknown'}: ${inserted}]`;
+          break;
+        }
+        case 'del':
+        case 'moveFrom': {
+          const deleted = readInline(node);
+          if (deleted) text += `[DELETED by ${attr(node, 'author') || 'Unknown'}: ${deleted}]`;
+          break;
+        }
+        case 'commentReference': {
+          const comment = comments[attr(node, 'id')];
+          if (comment) text += ` [COMMENT by ${comment.author}: ${comment.text}]`;
+          break;
+        }
+        case 'r':
+        case 'hyperlink':
+        case 'smartTag':
+        case 'fldSimple':
+        case 'sdt':
+        case 'sdtContent':
+          text += readInline(node);
+          break;
+        default:
+          break;
+      }
+    });
+    return text;
+  };
+
+  const readParagraph = (p) => {
+    const pPr = firstChild(p, 'pPr');
+    const text = readInline(p).trimEnd();
+
+    const styleId = attr(firstChild(pPr, 'pStyle'), 'val');
+    const headingLevel = headingStyles[styleId] || (styleId && styleId.match(/^Heading(\d)$/i)?.[1]);
+
+    const numPr = firstChild(pPr, 'numPr');
+    let prefix = '';
+    if (numPr) {
+      const ilvl = attr(firstChild(numPr, 'ilvl'), 'val') || '0';
+      const numId = attr(firstChild(numPr, 'numId'), 'val');
+      const label = numId && numId !== '0' ? nextListLabel(numId, ilvl) : '';
+      if (label) prefix = `${'  '.repeat(parseInt(ilvl, 10))}${label} `;
+    }
+
+    if (!text.trim()) return '';
+    if (headingLevel) return `${'#'.repeat(parseInt(headingLevel, 10))} ${prefix}${text.trim()}`;
+    return `${prefix}${text}`;
+  };
+
+  const readTable = (tbl) => {
+    const rows = childrenNamed(tbl, 'tr').map(tr => {
+      const cells = childrenNamed(tr, 'tc').map(tc =>
+        readBlocks(tc).replace(/\s*\n+\s*/g, ' ').replace(/\|/g, '/').trim()
+      );
+      return `| ${cells.join(' | ')} |`;
+    });
+    return rows.length > 0 ? `[TABLE]\n${rows.join('\n')}\n[/TABLE]` : '';
+  };
+
+  const readBlocks = (container) => {
+    const blocks = [];
+    Array.from(container.childNodes).forEach(node => {
+      if (node.localName === 'p') blocks.push(readParagraph(node));
+      else if (node.localName === 'tbl') blocks.push(readTable(node));
+      else if (node.localName === 'sdt') blocks.push(readBlocks(firstChild(node, 'sdtContent') || node));
+      else if (node.localName === 'ins' || node.localName === 'del') {
+        const nested = readBlocks(node);
+        if (nested) blocks.push(`[${node.localName === 'ins' ? 'INSERTED' : 'DELETED'} by ${attr(node, 'author') || 'Unknown'}: ${nested}]`);
+      }
+    });
+    return blocks.filter(Boolean).join('\n');
+  };
+
+  return readBlocks;
+};
+
+export function isWordFile(file) {
+  const name = file.name.toLowerCase();
+  return file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
+    name.endsWith('.docx') || name.endsWith('.doc');
+}
+
+// Works on raw bytes so the same extraction runs in the browser and on the
+// server (which passes in its own DOMParser implementation)
+export function extractDocxText(bytes, XMLParser = DOMParser) {
+  // Legacy binary .doc files are OLE containers, not zip packages
+  if (bytes[0] !== 0x50 || bytes[1] !== 0x4b) {
+    throw new Error('This Word file uses the legacy .doc format. Please save it as .docx or PDF and upload it again.');
+  }
+
+  try {
+    const wanted = [DOCUMENT_PART, NUMBERING_PART, COMMENTS_PART, STYLES_PART];
+    const parts = unzipSync(bytes, { filter: entry => wanted.includes(entry.name) });
+
+    if (!parts[DOCUMENT_PART]) {
+      throw new Error('Missing word/document.xml');
+    }
+
+    const read = (name) => (parts[name] ? parseXml(strFromU8(parts[name]), XMLParser) : null);
+    const readBlocks = createDocumentReader({
+      numbering: parseNumbering(read(NUMBERING_PART)),
+      headingStyles: parseHeadingStyles(read(STYLES_PART)),
+      comments: parseComments(read(COMMENTS_PART))
+    });
+
+    const body = firstChild(read(DOCUMENT_PART).documentElement, 'body');
+    return body ? readBlocks(body) : '';
+  } catch (error) {
+    console.error('Error extracting DOCX text:', error);
+    throw new Error('Failed to extract text from Word document. The file might be corrupted or password-protected.');
+  }
+}
+
+export async function extractTextFromDOCX(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  return extractDocxText(bytes);
+}
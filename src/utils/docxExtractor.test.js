@@ -0,0 +1,47 @@
+import { zipSync, strToU8 } from 'fflate';
+import { extractTextFromDOCX } from './docxExtractor';
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+const makeDocx = (parts) => {
+  const zipped = zipSync(Object.fromEntries(Object.entries(parts).map(([name, xml]) => [name, strToU8(xml)])));
+  return { name: 'terms.docx', type: '', arrayBuffer: async () => zipped.buffer };
+};
+
+const numbered = (text, ilvl) =>
+  `<w:p><w:pPr><w:numPr><w:ilvl w:val="${ilvl}"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+
+test('keeps headings, numbered clauses, tables, tracked changes and comments', async () => {
+  const file = makeDocx({
+    'word/document.xml': `<w:document ${W}><w:body>
+      <w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Liquidation Preference</w:t></w:r></w:p>
+      ${numbered('Dividends', 0)}
+      ${numbered('Rate', 1)}
+      ${numbered('Compounding', 1)}
+      <w:p><w:r><w:t xml:space="preserve">Preference of </w:t></w:r><w:del w:author="VC"><w:r><w:delText>2x</w:delText></w:r></w:del><w:ins w:author="Founder"><w:r><w:t>1x</w:t></w:r></w:ins><w:r><w:commentReference w:id="0"/></w:r></w:p>
+      <w:tbl><w:tr><w:tc><w:p><w:r><w:t>Series</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>Shares</w:t></w:r></w:p></w:tc></w:tr></w:tbl>
+    </w:body></w:document>`,
+    'word/numbering.xml': `<w:numbering ${W}>
+      <w:abstractNum w:abstractNumId="0">
+        <w:lvl w:ilvl="0"><w:start w:val="4"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1."/></w:lvl>
+        <w:lvl w:ilvl="1"><w:start w:val="1"/><w:numFmt w:val="lowerLetter"/><w:lvlText w:val="%1.(%2)"/></w:lvl>
+      </w:abstractNum>
+      <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+    </w:numbering>`,
+    'word/comments.xml': `<w:comments ${W}><w:comment w:id="0" w:author="Counsel"><w:p><w:r><w:t>Market is 1x</w:t></w:r></w:p></w:comment></w:comments>`
+  });
+
+  const text = await extractTextFromDOCX(file);
+
+  expect(text).toContain('# Liquidation Preference');
+  expect(text).toContain('4. Dividends');
+  expect(text).toContain('  4.(a) Rate');
+  expect(text).toContain('  4.(b) Compounding');
+  expect(text).toContain('Preference of [DELETED by VC: 2x][INSERTED by Founder: 1x] [COMMENT by Counsel: Market is 1x]');
+  expect(text).toContain('[TABLE]\n| Series | Shares |\n[/TABLE]');
+});
+
+test('rejects legacy binary .doc files with a clear message', async () => {
+  const file = { name: 'old.doc', type: 'application/msword', arrayBuffer: async () => new Uint8Array([0xd0, 0xcf, 0x11, 0xe0]).buffer };
+  await expect(extractTextFromDOCX(file)).rejects.toThrow(/legacy \.doc/);
+});
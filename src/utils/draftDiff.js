@@ -0,0 +1,259 @@
+// Redline between two drafts of the same deal: a clause-level text diff of
+// the documents and a diff of the extracted fields. Every change is rated
+// on the founderImpact scale the cards use (positive / neutral / concerning
+// / negative). Field changes are rated by the direction of the term; clause
+// changes take the rating of the field changes whose cited source passage
+// falls inside the clause, else of the gotcha rules the edit trips or
+// clears. Clauses neither can rate are marked unrated for a manual review.
+
+import { COMPARISON_TERMS, formatTermValue, mostFounderFriendly } from './offerComparison';
+import { detectGotchas } from './gotchaRules';
+import { valueAt } from './paths';
+
+export const IMPACT_RANK = { positive: 0, neutral: 1, concerning: 2, negative: 3 };
+
+// Terms whose worsening costs founders money rather than control
+const ECONOMIC_SECTIONS = ['investmentTerms', 'liquidation'];
+
+// Word-level diffs above this many token pairs fall back to replace-all
+const MAX_WORD_DIFF_CELLS = 250000;
+// Word overlap above which a removed and an added clause are one edit
+const SIMILAR_CLAUSE = 0.4;
+
+const MARKER_LINE = /^--- .+ ---$/;
+// "1.", "2.3", "(a)", "Section 4" or "Liquidation Preference:" at a line start
+const HEADING_START = /^\s*(\d+(\.\d+)*[.)]\s|\([a-z0-9]+\)\s|section\s+\d+|[A-Z][A-Za-z/&,' -]{2,50}:)/i;
+
+const normalize = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+export function splitClauses(documentContent) {
+  if (!documentContent) return [];
+  const lines = documentContent.split('\n').filter(line => !MARKER_LINE.test(line.trim()));
+  const clauses = [];
+  let current = [];
+  const flush = () => {
+    const text = current.join('\n').trim();
+    if (text) clauses.push(text);
+    current = [];
+  };
+  lines.forEach(line => {
+    if (!line.trim()) flush();
+    else {
+      if (HEADING_START.test(line) && current.length > 0) flush();
+      current.push(line);
+    }
+  });
+  flush();
+  return clauses;
+}
+
+// Longest common subsequence alignment of two lists under `same`
+const align = (a, b, same) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = same(a[i], b[j])
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+  const steps = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (same(a[i], b[j])) {
+      steps.push({ type: 'same', a: a[i], b: b[j] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      steps.push({ type: 'removed', a: a[i++] });
+    } else {
+      steps.push({ type: 'added', b: b[j++] });
+    }
+  }
+  while (i < a.length) steps.push({ type: 'removed', a: a[i++] });
+  while (j < b.length) steps.push({ type: 'added', b: b[j++] });
+  return steps;
+};
+
+// Word-level diff as [{ type: 'same' | 'removed' | 'added', text }]
+export function diffWords(oldText, newText) {
+  const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  if (a.length * b.length > MAX_WORD_DIFF_CELLS) {
+    return [{ type: 'removed', text: oldText }, { type: 'added', text: newText }];
+  }
+
+  const parts = [];
+  align(a, b, (x, y) => x === y).forEach(step => {
+    const type = step.type;
+    const text = type === 'added' ? step.b : step.a;
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  });
+  return mergeChanges(parts);
+}
+
+// Joins changes separated only by whitespace into one removal and one
+// addition, so "full ratchet" -> "weighted average" reads as a single edit
+const mergeChanges = (parts) => {
+  const merged = [];
+  let i = 0;
+  while (i < parts.length) {
+    if (parts[i].type === 'same') {
+      merged.push(parts[i++]);
+      continue;
+    }
+    let removed = '';
+    let added = '';
+    while (i < parts.length) {
+      const part = parts[i];
+      const joinsChanges = part.type === 'same' && /^\s+$/.test(part.text) && parts[i + 1] && parts[i + 1].type !== 'same';
+      if (part.type === 'removed') removed += part.text;
+      else if (part.type === 'added') added += part.text;
+      else if (joinsChanges) {
+        removed += part.text;
+        added += part.text;
+      } else break;
+      i++;
+    }
+    // Whitespace both sides end with is unchanged text
+    const tail = removed && added ? removed.match(/\s*$/)[0] : '';
+    const shared = tail && added.endsWith(tail) ? tail : '';
+    if (removed) merged.push({ type: 'removed', text: removed.slice(0, removed.length - shared.length) });
+    if (added) merged.push({ type: 'added', text: added.slice(0, added.length - shared.length) });
+    if (shared) {
+      if (parts[i]) parts[i] = { ...parts[i], text: shared + parts[i].text };
+      else merged.push({ type: 'same', text: shared });
+    }
+  }
+  return merged;
+};
+
+const wordSet = (text) => new Set(normalize(text).split(' ').filter(word => word.length > 2));
+const similarity = (x, y) => {
+  const a = wordSet(x);
+  const b = wordSet(y);
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+// Clause changes in document order: unchanged, added, removed, or modified
+// (with a word diff)
+export function diffClauses(oldContent, newContent) {
+  const steps = align(splitClauses(oldContent), splitClauses(newContent), (x, y) => normalize(x) === normalize(y));
+  const changes = [];
+
+  // Pair each run of removals with the additions next to it
+  for (let k = 0; k < steps.length; k++) {
+    if (steps[k].type === 'same') {
+      changes.push({ type: 'unchanged', oldText: steps[k].a, newText: steps[k].b });
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < steps.length && steps[k].type !== 'same') {
+      if (steps[k].type === 'removed') removed.push(steps[k].a);
+      else added.push(steps[k].b);
+      k++;
+    }
+    k--;
+
+    const unmatched = [...added];
+    removed.forEach(oldText => {
+      const scored = unmatched.map(newText => ({ newText, score: similarity(oldText, newText) }))
+        .sort((x, y) => y.score - x.score)[0];
+      if (scored && scored.score >= SIMILAR_CLAUSE) {
+        unmatched.splice(unmatched.indexOf(scored.newText), 1);
+        changes.push({ type: 'modified', oldText, newText: scored.newText, words: diffWords(oldText, scored.newText) });
+      } else {
+        changes.push({ type: 'removed', oldText });
+      }
+    });
+    unmatched.forEach(newText => changes.push({ type: 'added', newText }));
+  }
+  return changes;
+}
+
+// Rating for one changed term
+const rateChange = (term, from, to, oldAnalysis, newAnalysis) => {
+  const section = term.path.split('.')[0];
+  if (term.better) {
+    const [winner] = mostFounderFriendly([from, to], term.better);
+    if (winner === 1) return 'positive';
+    if (winner === 0) return ECONOMIC_SECTIONS.includes(section) ? 'negative' : 'concerning';
+  }
+  // Without a direction, follow the model's rating of the section
+  const before = oldAnalysis[section]?.founderImpact;
+  const after = newAnalysis[section]?.founderImpact;
+  if (IMPACT_RANK[after] === undefined || IMPACT_RANK[before] === undefined) return 'neutral';
+  if (IMPACT_RANK[after] < IMPACT_RANK[before]) return 'positive';
+  if (IMPACT_RANK[after] > IMPACT_RANK[before]) return after;
+  return 'neutral';
+};
+
+export function diffFields(oldAnalysis, newAnalysis) {
+  return COMPARISON_TERMS
+    .map(term => {
+      const from = valueAt(oldAnalysis, term.path);
+      const to = valueAt(newAnalysis, term.path);
+      const fromText = formatTermValue(from, term.format);
+      const toText = formatTermValue(to, term.format);
+      if (fromText === toText) return null;
+      return {
+        path: term.path,
+        label: term.label,
+        from: fromText,
+        to: toText,
+        impact: rateChange(term, from, to, oldAnalysis, newAnalysis)
+      };
+    })
+    .filter(Boolean);
+}
+
+const SEVERITY_IMPACT = { high: 'negative', medium: 'concerning', low: 'concerning' };
+
+// Gotcha rules (text checks only) the edit trips, rated by the most severe,
+// or clears, rated positive; null when the rules see no difference
+const rateByRules = (oldText, newText) => {
+  const before = detectGotchas({}, oldText || '');
+  const after = detectGotchas({}, newText || '');
+  const introduced = after.filter(hit => !before.some(other => other.id === hit.id));
+  const cleared = before.filter(hit => !after.some(other => other.id === hit.id));
+  const describe = (hits) => hits.map(({ id, title }) => ({ id, title }));
+  if (introduced.length > 0) return { impact: SEVERITY_IMPACT[introduced[0].severity], rules: describe(introduced) };
+  if (cleared.length > 0) return { impact: 'positive', rules: describe(cleared) };
+  return null;
+};
+
+// Full redline: field changes, and clause changes rated by the field
+// changes cited inside them (worst rating wins), then by the gotcha rules.
+// `rating` says which: 'fields', 'rules' or 'unrated' (impact null).
+export function diffDrafts(oldDraft, newDraft) {
+  const fields = diffFields(oldDraft.analysis, newDraft.analysis);
+  const quotesFor = (change) => [
+    newDraft.analysis.sources?.[change.path]?.quote,
+    oldDraft.analysis.sources?.[change.path]?.quote
+  ].filter(Boolean).map(normalize);
+
+  const clauses = diffClauses(oldDraft.documentContent, newDraft.documentContent).map(clause => {
+    if (clause.type === 'unchanged') return clause;
+    const text = normalize(`${clause.oldText || ''} ${clause.newText || ''}`);
+    const related = fields.filter(change => quotesFor(change).some(quote => text.includes(quote)));
+    const rated = { ...clause, fields: related.map(change => change.path), rules: [] };
+    if (related.length > 0) {
+      const impact = related.map(change => change.impact).sort((a, b) => IMPACT_RANK[b] - IMPACT_RANK[a])[0];
+      return { ...rated, impact, rating: 'fields' };
+    }
+    const byRules = rateByRules(clause.oldText, clause.newText);
+    return byRules ? { ...rated, ...byRules, rating: 'rules' } : { ...rated, impact: null, rating: 'unrated' };
+  });
+
+  return { fields, clauses };
+}
@@ -0,0 +1,91 @@
+import { diffClauses, diffDrafts, diffFields, diffWords, splitClauses } from './draftDiff';
+
+const oldText = `--- draft-1.pdf ---
+--- Page 1 ---
+1. Valuation. The pre-money valuation is $8,000,000.
+
+2. Liquidation Preference. One times the original purchase price, participating with common.
+
+3. Board. Two founders and one investor.`;
+
+const newText = `--- draft-2.pdf ---
+--- Page 1 ---
+1. Valuation. The pre-money valuation is $8,000,000.
+
+2. Liquidation Preference. One times the original purchase price, non-participating.
+
+3. Board. Two founders and one investor.
+
+4. No-Shop. The company will not solicit other offers for 30 days.`;
+
+const draft = (documentContent, type, founderImpact, quote) => ({
+  documentContent,
+  analysis: {
+    investmentTerms: { preMoney: 8000000, investment: 2000000 },
+    liquidation: { liqPrefMultiple: 1, type, founderImpact },
+    sources: { 'liquidation.type': { quote } }
+  }
+});
+
+test('splits clauses at blank lines and numbered headings, skipping markers', () => {
+  const clauses = splitClauses('--- Page 1 ---\n1. First clause\n2. Second clause\n\nThird');
+  expect(clauses).toEqual(['1. First clause', '2. Second clause', 'Third']);
+});
+
+test('word diff marks removed and added words', () => {
+  const parts = diffWords('one times, participating', 'one times, non-participating');
+  expect(parts.filter(p => p.type === 'removed').map(p => p.text)).toEqual(['participating']);
+  expect(parts.filter(p => p.type === 'added').map(p => p.text)).toEqual(['non-participating']);
+});
+
+test('pairs edited clauses and reports new ones', () => {
+  const changes = diffClauses(oldText, newText).filter(c => c.type !== 'unchanged');
+
+  expect(changes.map(c => c.type)).toEqual(['modified', 'added']);
+  expect(changes[0].newText).toMatch(/non-participating/);
+  expect(changes[1].newText).toMatch(/No-Shop/);
+});
+
+test('rates field changes on the founder impact scale', () => {
+  const worse = diffFields(
+    { liquidation: { liqPrefMultiple: 1, type: 'non-participating' } },
+    { liquidation: { liqPrefMultiple: 2, type: 'participating' } }
+  );
+  expect(worse.map(c => [c.path, c.impact])).toEqual([
+    ['liquidation.liqPrefMultiple', 'negative'],
+    ['liquidation.type', 'negative']
+  ]);
+
+  const board = diffFields(
+    { controlGovernance: { boardComposition: '2 founders, 1 investor', founderImpact: 'neutral' } },
+    { controlGovernance: { boardComposition: '1 founder, 2 investors', founderImpact: 'concerning' } }
+  );
+  expect(board[0].impact).toBe('concerning');
+});
+
+test('clause changes take the rating of the fields cited in them', () => {
+  const result = diffDrafts(
+    draft(oldText, 'participating', 'concerning', 'participating with common'),
+    draft(newText, 'non-participating', 'positive', 'One times the original purchase price, non-participating')
+  );
+
+  expect(result.fields).toEqual([expect.objectContaining({ path: 'liquidation.type', impact: 'positive' })]);
+  const [liquidation, noShop] = result.clauses.filter(c => c.type !== 'unchanged');
+  expect(liquidation).toMatchObject({ impact: 'positive', rating: 'fields' });
+  // Neither a field nor a rule covers a standard no-shop, so it is left for review
+  expect(noShop).toMatchObject({ impact: null, rating: 'unrated' });
+});
+
+test('clauses without cited fields are rated by the gotcha rules they trip or clear', () => {
+  const redemption = '5. Redemption. The Series A shall be redeemable at the option of the holders after five years.';
+  const payToPlay = '6. Pay-to-Play. Holders who do not invest pro rata convert to common.';
+  const result = diffDrafts(
+    draft(`${oldText}\n\n${payToPlay}`, 'participating', 'concerning', 'participating with common'),
+    draft(`${newText}\n\n${redemption}`, 'participating', 'concerning', 'participating with common')
+  );
+
+  const added = result.clauses.find(c => c.type === 'added' && /Redemption/.test(c.newText));
+  expect(added).toMatchObject({ impact: 'negative', rating: 'rules', rules: [{ id: 'redemption-rights', title: 'Investor redemption rights' }] });
+  const removed = result.clauses.find(c => c.type === 'removed');
+  expect(removed).toMatchObject({ impact: 'positive', rating: 'rules', rules: [expect.objectContaining({ id: 'pay-to-play' })] });
+});
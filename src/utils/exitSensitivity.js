@@ -0,0 +1,74 @@
+// Sweeps the waterfall across exit values to expose the shape a single exit
+// hides: the kink where a non-participating investor converts, the flat
+// zone once a participation cap binds, and the point below which founders
+// receive nothing. Breakpoints are found on the sampled grid and then
+// narrowed by bisection.
+
+import { computeWaterfall } from './waterfall';
+
+const BISECTION_STEPS = 40;
+// Dollar tolerance for "paid" and "at the cap"
+const EPSILON = 0.01;
+
+export const BREAKPOINT_LABELS = {
+  'founders-paid': 'Founders start getting paid',
+  'cap-binds': 'Participation cap binds',
+  conversion: 'Investor converts to common'
+};
+
+// Smallest exit in (lo, hi] where `test` holds, given it fails at lo and
+// holds at hi
+const bisect = (test, lo, hi) => {
+  let low = lo;
+  let high = hi;
+  for (let i = 0; i < BISECTION_STEPS; i++) {
+    const mid = (low + high) / 2;
+    if (test(mid)) high = mid;
+    else low = mid;
+  }
+  return high;
+};
+
+// `investorClass` names the series whose terms are being studied and
+// `isFounder(waterfallClass)` picks out the founders' classes
+export function sweepExits(waterfallTable, { investorClass, isFounder, maxExit, steps = 100 }) {
+  if (!(maxExit > 0)) return { points: [], breakpoints: [] };
+
+  const at = (exitValue) => {
+    const result = computeWaterfall(waterfallTable, exitValue);
+    const investor = result.classes.find(c => c.name === investorClass);
+    const founderProceeds = result.classes.filter(isFounder).reduce((sum, c) => sum + c.total, 0);
+    return { exitValue, investor, founderProceeds };
+  };
+
+  const series = waterfallTable.series.find(s => s.name === investorClass);
+  const capAmount = series?.participation === 'capped-participating' && series.participationCap
+    ? series.investment * series.participationCap
+    : null;
+
+  const conditions = {
+    'founders-paid': (sample) => sample.founderProceeds > EPSILON,
+    'cap-binds': (sample) => capAmount !== null && sample.investor.decision === 'participate' &&
+      sample.investor.total >= capAmount - EPSILON,
+    conversion: (sample) => sample.investor.decision === 'convert'
+  };
+
+  const samples = Array.from({ length: steps + 1 }, (_, i) => at((maxExit * i) / steps));
+  const breakpoints = [];
+  Object.entries(conditions).forEach(([id, holds]) => {
+    const index = samples.findIndex(holds);
+    if (index <= 0) return;
+    const exitValue = bisect(value => holds(at(value)), samples[index - 1].exitValue, samples[index].exitValue);
+    breakpoints.push({ id, label: BREAKPOINT_LABELS[id], exitValue });
+  });
+
+  return {
+    points: samples.map(sample => ({
+      exitValue: sample.exitValue,
+      investorProceeds: sample.investor.total,
+      founderProceeds: sample.founderProceeds,
+      founderPct: sample.exitValue > 0 ? (sample.founderProceeds / sample.exitValue) * 100 : 0
+    })),
+    breakpoints: breakpoints.sort((a, b) => a.exitValue - b.exitValue)
+  };
+}
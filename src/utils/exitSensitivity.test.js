@@ -0,0 +1,27 @@
+import { sweepExits } from './exitSensitivity';
+import { singleSeriesCapTable } from './waterfall';
+
+const sweep = (terms, maxExit) => sweepExits(
+  singleSeriesCapTable({ investment: 2000000, ownershipPct: 20, preferenceMultiple: 1, ...terms }),
+  { investorClass: 'Investor', isFounder: c => c.kind === 'common', maxExit }
+);
+const breakpointAt = (result, id) => result.breakpoints.find(b => b.id === id)?.exitValue;
+
+test('marks where founders get paid and where a non-participating investor converts', () => {
+  const result = sweep({ participation: 'non-participating' }, 50000000);
+
+  expect(breakpointAt(result, 'founders-paid')).toBeCloseTo(2000000, -1);
+  expect(breakpointAt(result, 'conversion')).toBeCloseTo(10000000, -1);
+  expect(breakpointAt(result, 'cap-binds')).toBeUndefined();
+  expect(result.points).toHaveLength(101);
+  expect(result.points[100].founderPct).toBeCloseTo(80);
+});
+
+test('marks the flat zone of a capped participation', () => {
+  const result = sweep({ participation: 'capped-participating', participationCap: 3 }, 50000000);
+
+  // Capped at $6M once 20% of (exit - $2M) reaches $4M; converts above $30M
+  expect(breakpointAt(result, 'cap-binds')).toBeCloseTo(22000000, -1);
+  expect(breakpointAt(result, 'conversion')).toBeCloseTo(30000000, -1);
+  expect(result.breakpoints.map(b => b.id)).toEqual(['founders-paid', 'cap-binds', 'conversion']);
+});
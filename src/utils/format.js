@@ -0,0 +1,6 @@
+// Display formatting shared by the analyzer views and the PDF report
+
+// Dollar amount in millions ($2.5M), or thousands below $1M ($250K)
+export const formatMoney = (value, decimals = 1) => (Math.abs(value) >= 1000000
+  ? `$${(value / 1000000).toFixed(decimals)}M`
+  : `$${Math.round(value / 1000)}K`);
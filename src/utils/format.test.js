@@ -0,0 +1,7 @@
+import { formatMoney } from './format';
+
+test('money is shown in millions, or thousands below $1M', () => {
+  expect(formatMoney(2500000)).toBe('$2.5M');
+  expect(formatMoney(2500000, 2)).toBe('$2.50M');
+  expect(formatMoney(250000)).toBe('$250K');
+});
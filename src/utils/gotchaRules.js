@@ -0,0 +1,178 @@
+// Rule-based gotcha detector that runs next to the model. Each rule checks
+// the extracted fields and/or scans the document text for a known risk and
+// reports the passage that triggered it, so the same document always gives
+// the same hits. Field checks quote the field's cited source when there is
+// one; text checks quote the sentence around the match.
+
+import { parseAntiDilution } from './antiDilution';
+
+export const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+
+// Longest quote reported for a text match
+const MAX_MATCH_LENGTH = 240;
+// Drag-along approvals below this share of holders count as a low threshold
+const LOW_DRAG_THRESHOLD_PCT = 60;
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+// "No full ratchet", "not a full ratchet", "without full ratchet"
+const FULL_RATCHET_NEGATION = /\b(?:no|without)\s+(?:an?\s+)?full[\s-]*ratchet|\bnot\b[^.]*full[\s-]*ratchet/i;
+
+// The sentence around `index`, trimmed to MAX_MATCH_LENGTH around the match
+const sentenceAround = (text, index, length) => {
+  const before = text.slice(0, index);
+  const start = Math.max(before.search(/[^.;\n]*$/), index - MAX_MATCH_LENGTH / 2);
+  const endMatch = text.slice(index + length).search(/[.;\n]/);
+  const end = Math.min(endMatch < 0 ? text.length : index + length + endMatch + 1, start + MAX_MATCH_LENGTH);
+  return text.slice(start, end).replace(/\s+/g, ' ').trim();
+};
+
+// Sentences matching `pattern` (global copy made here), minus any that
+// `exclude` rejects, e.g. negations
+const findSentences = (text, pattern, exclude) => {
+  if (!text) return [];
+  const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+  const sentences = [];
+  for (const match of text.matchAll(global)) {
+    const sentence = sentenceAround(text, match.index, match[0].length);
+    if (!sentences.includes(sentence) && !(exclude && exclude.test(sentence))) sentences.push(sentence);
+  }
+  return sentences;
+};
+
+const fieldQuote = (analysis, path, fallback) => analysis.sources?.[path]?.quote || fallback;
+
+// Seats by holder group from a board description like "two seats designated
+// by the Series A investors, one founder seat and one independent"
+export function countBoardSeats(description) {
+  const seats = { investor: 0, common: 0, independent: 0 };
+  if (!description) return seats;
+  const pattern = /\b(\d+|one|two|three|four|five|six|seven)\s+(?:[\w-]+\s+){0,4}?(investors?|preferred|series|vc|founders?|common|ceo|management|independents?)\b/gi;
+  for (const match of description.matchAll(pattern)) {
+    const count = NUMBER_WORDS[match[1].toLowerCase()] || parseInt(match[1], 10);
+    const group = match[2].toLowerCase();
+    if (/^(investor|preferred|series|vc)/.test(group)) seats.investor += count;
+    else if (/^independent/.test(group)) seats.independent += count;
+    else seats.common += count;
+  }
+  return seats;
+}
+
+// { id, severity, title, check(analysis, text) -> matched passages }
+export const GOTCHA_RULES = [
+  {
+    id: 'uncapped-participation',
+    severity: 'high',
+    title: 'Participating preferred with no cap',
+    check: (analysis, text) => {
+      if (analysis.liquidation?.type === 'participating') {
+        return [fieldQuote(analysis, 'liquidation.type', 'Preference type: participating, no cap')];
+      }
+      if (analysis.liquidation?.type) return [];
+      return findSentences(text, /\bparticipat\w*\s+(?:[\w-]+\s+){0,6}?with\s+(?:the\s+)?(?:holders\s+of\s+)?common/i, /\bcap(ped)?\b|non-?participat/i);
+    }
+  },
+  {
+    id: 'preference-above-1x',
+    severity: 'high',
+    title: 'Liquidation preference above 1x',
+    check: (analysis, text) => {
+      const multiple = analysis.liquidation?.liqPrefMultiple;
+      if (typeof multiple === 'number') {
+        return multiple > 1 ? [fieldQuote(analysis, 'liquidation.liqPrefMultiple', `Liquidation preference: ${multiple}x`)] : [];
+      }
+      return findSentences(text, /\b(?:[2-9](?:\.\d+)?|1\.\d*[1-9]|two|three)\s*(?:x|times)\s+(?:the\s+)?(?:original\s+)?(?:purchase\s+price|issue\s+price|investment)/i);
+    }
+  },
+  {
+    id: 'full-ratchet',
+    severity: 'high',
+    title: 'Full-ratchet anti-dilution',
+    check: (analysis, text) => {
+      const term = analysis.founderTerms?.antiDilution;
+      const mechanism = parseAntiDilution(term);
+      if (mechanism === 'full-ratchet' && !FULL_RATCHET_NEGATION.test(term)) {
+        return [fieldQuote(analysis, 'founderTerms.antiDilution', term)];
+      }
+      // An extracted term that names another mechanism or rules the ratchet out wins
+      if (mechanism || (term && FULL_RATCHET_NEGATION.test(term))) return [];
+      return findSentences(text, /full[\s-]*ratchet/i, FULL_RATCHET_NEGATION);
+    }
+  },
+  {
+    id: 'redemption-rights',
+    severity: 'high',
+    title: 'Investor redemption rights',
+    check: (analysis, text) => findSentences(
+      text,
+      /\bredemption\s+rights?\b|\bredeemable\b|\bright\s+to\s+(?:require\s+the\s+company\s+to\s+)?redeem\b/i,
+      /\bnot\s+(?:be\s+)?redeemable\b|\bno\s+redemption\b|\bnone\b/i
+    )
+  },
+  {
+    id: 'pay-to-play',
+    severity: 'medium',
+    title: 'Pay-to-play provision',
+    check: (analysis, text) => findSentences(text, /\bpay[\s-]*to[\s-]*play\b/i, /\bno\s+pay[\s-]*to[\s-]*play\b|\bnone\b/i)
+  },
+  {
+    id: 'cumulative-dividends',
+    severity: 'medium',
+    title: 'Cumulative dividends',
+    check: (analysis, text) => {
+      const dividends = analysis.liquidation?.dividends;
+      if (dividends?.cumulative === true && dividends.ratePct > 0) {
+        return [fieldQuote(analysis, 'liquidation.dividends.ratePct', `${dividends.ratePct}% cumulative dividends`)];
+      }
+      if (dividends?.cumulative === false) return [];
+      return findSentences(text, /\bcumulative\b[^.;]{0,60}\bdividends?\b|\bdividends?\b[^.;]{0,80}\bcumulative\b/i, /non-?cumulative|not\s+(?:be\s+)?cumulative/i);
+    }
+  },
+  {
+    id: 'super-pro-rata',
+    severity: 'medium',
+    title: 'Super pro-rata rights',
+    check: (analysis, text) => findSentences(
+      text,
+      /\bsuper[\s-]*pro[\s-]*rata\b|\bpro[\s-]*rata\b[^.;]{0,80}\b(?:[2-9]|1\.\d*[1-9]|two|three)\s*(?:x|times)\b/i
+    )
+  },
+  {
+    id: 'investor-board-control',
+    severity: 'high',
+    title: 'Investors control the board',
+    check: (analysis, text) => {
+      const composition = analysis.controlGovernance?.boardComposition;
+      if (composition) {
+        const seats = countBoardSeats(composition);
+        const controlled = seats.investor > seats.common + seats.independent;
+        return controlled ? [fieldQuote(analysis, 'controlGovernance.boardComposition', composition)] : [];
+      }
+      return findSentences(text, /\bmajority\s+of\s+the\s+board\b[^.;]{0,60}\b(?:investors?|preferred)\b|\b(?:investors?|preferred)\b[^.;]{0,60}\bmajority\s+of\s+the\s+board\b/i);
+    }
+  },
+  {
+    id: 'low-drag-threshold',
+    severity: 'medium',
+    title: 'Drag-along with a low approval threshold',
+    check: (analysis, text) => findSentences(text, /\bdrag[\s-]*along\b/i).filter(sentence => {
+      const percents = [...sentence.matchAll(/(\d+(?:\.\d+)?)\s*%/g)].map(match => parseFloat(match[1]));
+      if (percents.length > 0) return Math.min(...percents) < LOW_DRAG_THRESHOLD_PCT;
+      // Preferred holders alone can force a sale when common has no vote
+      return /\bpreferred\b/i.test(sentence) && !/\bcommon\b|\bfounders?\b|\bboard\b/i.test(sentence);
+    })
+  }
+];
+
+// One hit per triggered rule, quoting its first match, as
+// [{ id, severity, title, match }] with the most severe first
+export function detectGotchas(analysis, documentText = '', rules = GOTCHA_RULES) {
+  if (!analysis) return [];
+  return rules
+    .map(rule => {
+      const [match] = rule.check(analysis, documentText || '');
+      return match ? { id: rule.id, severity: rule.severity, title: rule.title, match } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+}
@@ -0,0 +1,56 @@
+import { countBoardSeats, detectGotchas } from './gotchaRules';
+
+const documentText = `--- Page 1 ---
+Liquidation Preference: 2x the Original Purchase Price, participating with common.
+Dividends: 8% per annum, cumulative, payable on a liquidation.
+Redemption: Redeemable at the option of the holders after five years.
+Anti-dilution: Full ratchet.
+Pay-to-Play: Investors who do not take up their pro rata in a down round convert to common.
+Pro Rata: Each Major Investor may purchase up to 2x its pro rata share of future rounds.
+Drag-Along: Holders of a majority of the Preferred may require all stockholders to approve a sale.`;
+
+const ids = (hits) => hits.map(hit => hit.id).sort();
+
+test('flags every risk in the document text when no fields were extracted', () => {
+  const hits = detectGotchas({}, documentText);
+
+  expect(ids(hits)).toEqual([
+    'cumulative-dividends', 'full-ratchet', 'low-drag-threshold', 'pay-to-play', 'preference-above-1x',
+    'redemption-rights', 'super-pro-rata', 'uncapped-participation'
+  ]);
+  expect(hits[0].severity).toBe('high');
+  expect(hits.find(hit => hit.id === 'redemption-rights').match).toBe('Redemption: Redeemable at the option of the holders after five years.');
+});
+
+test('extracted fields take precedence over the text', () => {
+  const analysis = {
+    liquidation: { liqPrefMultiple: 1, type: 'capped-participating', participationCapMultiple: 3, dividends: { ratePct: 8, cumulative: false } },
+    controlGovernance: { boardComposition: 'One founder seat and two seats designated by the Series A investors' },
+    sources: { 'controlGovernance.boardComposition': { quote: 'The Board shall have three members' } }
+  };
+  const hits = detectGotchas(analysis, documentText);
+
+  expect(ids(hits)).not.toContain('preference-above-1x');
+  expect(ids(hits)).not.toContain('uncapped-participation');
+  expect(ids(hits)).not.toContain('cumulative-dividends');
+  expect(hits.find(hit => hit.id === 'investor-board-control').match).toBe('The Board shall have three members');
+});
+
+test('negated clauses and high drag thresholds are not flagged', () => {
+  const text = 'The Series A Preferred shall not be redeemable. No pay-to-play. Drag-along requires 75% of the Preferred and a majority of the common.';
+  expect(detectGotchas({}, text)).toEqual([]);
+});
+
+test('an extracted anti-dilution term that rules out a full ratchet is not flagged', () => {
+  const broad = { founderTerms: { antiDilution: 'Broad-based weighted average; no full ratchet' } };
+  const ruledOut = { founderTerms: { antiDilution: 'No full ratchet' } };
+
+  expect(ids(detectGotchas(broad, documentText))).not.toContain('full-ratchet');
+  expect(ids(detectGotchas(ruledOut, ''))).not.toContain('full-ratchet');
+  expect(ids(detectGotchas({ founderTerms: { antiDilution: 'Full ratchet' } }, ''))).toContain('full-ratchet');
+});
+
+test('counts board seats by holder group', () => {
+  expect(countBoardSeats('2 founders, 2 investors and 1 independent')).toEqual({ investor: 2, common: 2, independent: 1 });
+  expect(countBoardSeats('three seats for the preferred, one for the CEO')).toEqual({ investor: 3, common: 1, independent: 0 });
+});
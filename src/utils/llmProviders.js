@@ -0,0 +1,171 @@
+// Provider layer for the analysis model. Every provider takes the same
+// { system, user } prompt pair and returns the model's raw text reply, so the
+// analyzer never needs to know which API it is talking to.
+
+const SETTINGS_STORAGE_KEY = 'intrepid.llmSettings';
+
+export const PROVIDERS = {
+  // Hosted /api/analyze route; the API key and model live on the server
+  server: {
+    label: 'Intrepid Server',
+    defaultBaseUrl: '/api',
+    defaultModel: '',
+    requiresApiKey: false,
+    serverSide: true
+  },
+  openai: {
+    label: 'OpenAI',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4-turbo',
+    requiresApiKey: true
+  },
+  anthropic: {
+    label: 'Anthropic',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-3-5-sonnet-latest',
+    requiresApiKey: true
+  },
+  local: {
+    label: 'Local (OpenAI-compatible)',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    defaultModel: 'llama3.1',
+    requiresApiKey: false
+  }
+};
+
+export const DEFAULT_LLM_SETTINGS = {
+  provider: 'server',
+  baseUrl: PROVIDERS.server.defaultBaseUrl,
+  model: PROVIDERS.server.defaultModel,
+  apiKey: '',
+  // Room for the JSON analysis plus a source quote per field
+  maxTokens: 3000,
+  maxInputChars: 30000,
+  temperature: 0.1
+};
+
+export function loadLLMSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.error('Ignoring unreadable LLM settings:', error);
+  }
+
+  const settings = { ...DEFAULT_LLM_SETTINGS, ...stored };
+  return PROVIDERS[settings.provider] ? settings : { ...DEFAULT_LLM_SETTINGS };
+}
+
+export function saveLLMSettings(settings) {
+  window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function clearLLMSettings() {
+  window.localStorage.removeItem(SETTINGS_STORAGE_KEY);
+}
+
+const joinUrl = (baseUrl, path) => `${baseUrl.replace(/\/+$/, '')}${path}`;
+
+const openAIRequest = (settings, { system, user }) => ({
+  url: joinUrl(settings.baseUrl, '/chat/completions'),
+  headers: {
+    'Content-Type': 'application/json',
+    ...(settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {})
+  },
+  body: {
+    model: settings.model,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: user }
+    ],
+    max_tokens: settings.maxTokens,
+    temperature: settings.temperature
+  }
+});
+
+const openAIResponse = (data) => data?.choices?.[0]?.message?.content;
+
+const anthropicRequest = (settings, { system, user }) => ({
+  url: joinUrl(settings.baseUrl, '/messages'),
+  headers: {
+    'Content-Type': 'application/json',
+    'x-api-key': settings.apiKey,
+    'anthropic-version': '2023-06-01',
+    // Required for calls made straight from the browser
+    'anthropic-dangerous-direct-browser-access': 'true'
+  },
+  body: {
+    model: settings.model,
+    system,
+    messages: [{ role: 'user', content: user }],
+    max_tokens: settings.maxTokens,
+    temperature: settings.temperature
+  }
+});
+
+const anthropicResponse = (data) =>
+  Array.isArray(data?.content)
+    ? data.content.filter(block => block.type === 'text').map(block => block.text).join('')
+    : undefined;
+
+const ADAPTERS = {
+  openai: { buildRequest: openAIRequest, readResponse: openAIResponse },
+  anthropic: { buildRequest: anthropicRequest, readResponse: anthropicResponse },
+  local: { buildRequest: openAIRequest, readResponse: openAIResponse }
+};
+
+const describeFailure = (label, status, statusText, errorBody) => {
+  if (status === 429) {
+    // Check if it's a quota issue or rate limit
+    if (errorBody.includes('insufficient_quota') || errorBody.includes('credit')) {
+      return `${label} API quota exceeded. Please check your billing details or add credits to your account.`;
+    }
+    return `${label} API rate limit exceeded. Please wait a moment and try again.`;
+  }
+  if (status === 401 || status === 403) {
+    return `Invalid ${label} API key. Please check your API key and try again.`;
+  }
+  if (status === 400) {
+    return 'Invalid request. Please check your document and try again.';
+  }
+  if (status === 404) {
+    return `${label} endpoint or model not found. Please check the base URL and model in settings.`;
+  }
+  if (status === 503 || status === 529) {
+    return `${label} service is temporarily unavailable. Please try again later.`;
+  }
+  return `Analysis failed: ${statusText || status}`;
+};
+
+// Sends one system + user prompt to the configured provider and returns the
+// reply text. Throws with a user-facing message on HTTP or shape errors.
+export async function requestCompletion(settings, prompt) {
+  const provider = PROVIDERS[settings.provider];
+  const adapter = ADAPTERS[settings.provider];
+  if (!provider || !adapter) {
+    throw new Error(`Unknown model provider "${settings.provider}". Please check your settings.`);
+  }
+  if (provider.requiresApiKey && !settings.apiKey) {
+    throw new Error(`${provider.label} API key not configured. Add one in Model Settings.`);
+  }
+
+  const { url, headers, body } = adapter.buildRequest(settings, prompt);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorBody = await response.text();
+    console.error('API Error:', errorBody);
+    throw new Error(describeFailure(provider.label, response.status, response.statusText, errorBody));
+  }
+
+  const data = await response.json();
+  const content = adapter.readResponse(data);
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error(`${provider.label} returned an empty response. Please try again.`);
+  }
+  return content;
+}
@@ -0,0 +1,105 @@
+import { DEFAULT_LLM_SETTINGS, PROVIDERS, requestCompletion } from './llmProviders';
+
+const prompt = { system: 'You analyze term sheets.', user: 'Analyze this.' };
+
+const settingsFor = (provider, fields = {}) => ({
+  ...DEFAULT_LLM_SETTINGS,
+  provider,
+  baseUrl: PROVIDERS[provider].defaultBaseUrl,
+  model: PROVIDERS[provider].defaultModel,
+  apiKey: 'sk-test',
+  ...fields
+});
+
+// Mocked fetch answering with `body` (JSON) on a 2xx status, text otherwise
+const mockFetch = (status, body, statusText = '') => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    json: async () => body,
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+  });
+};
+
+const sentRequest = () => {
+  const [url, options] = global.fetch.mock.calls[0];
+  return { url, headers: options.headers, body: JSON.parse(options.body) };
+};
+
+const originalFetch = global.fetch;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+  console.error.mockRestore();
+});
+
+test('OpenAI gets a chat completion with a bearer key', async () => {
+  mockFetch(200, { choices: [{ message: { content: '{"ok":true}' } }] });
+
+  const reply = await requestCompletion(settingsFor('openai', { baseUrl: 'https://api.openai.com/v1/' }), prompt);
+  const { url, headers, body } = sentRequest();
+
+  expect(reply).toBe('{"ok":true}');
+  expect(url).toBe('https://api.openai.com/v1/chat/completions');
+  expect(headers.Authorization).toBe('Bearer sk-test');
+  expect(body).toEqual({
+    model: 'gpt-4-turbo',
+    messages: [{ role: 'system', content: prompt.system }, { role: 'user', content: prompt.user }],
+    max_tokens: DEFAULT_LLM_SETTINGS.maxTokens,
+    temperature: DEFAULT_LLM_SETTINGS.temperature
+  });
+});
+
+test('Anthropic gets a top-level system prompt and its text blocks are joined', async () => {
+  mockFetch(200, { content: [{ type: 'text', text: '{"a":' }, { type: 'tool_use', id: 'x' }, { type: 'text', text: '1}' }] });
+
+  const reply = await requestCompletion(settingsFor('anthropic'), prompt);
+  const { url, headers, body } = sentRequest();
+
+  expect(reply).toBe('{"a":1}');
+  expect(url).toBe('https://api.anthropic.com/v1/messages');
+  expect(headers['x-api-key']).toBe('sk-test');
+  expect(headers['anthropic-version']).toBe('2023-06-01');
+  expect(body.system).toBe(prompt.system);
+  expect(body.messages).toEqual([{ role: 'user', content: prompt.user }]);
+});
+
+test('a local server is called OpenAI-style without a key', async () => {
+  mockFetch(200, { choices: [{ message: { content: 'reply' } }] });
+
+  await requestCompletion(settingsFor('local', { apiKey: '' }), prompt);
+  const { url, headers, body } = sentRequest();
+
+  expect(url).toBe('http://localhost:11434/v1/chat/completions');
+  expect(headers.Authorization).toBeUndefined();
+  expect(body.model).toBe('llama3.1');
+});
+
+test('HTTP failures map to user-facing messages', async () => {
+  const failure = async (status, body = '', provider = 'openai') => {
+    mockFetch(status, body, 'Server Error');
+    return requestCompletion(settingsFor(provider), prompt).catch(error => error.message);
+  };
+
+  expect(await failure(429, '{"error":{"code":"insufficient_quota"}}')).toMatch(/OpenAI API quota exceeded/);
+  expect(await failure(429)).toMatch(/OpenAI API rate limit exceeded/);
+  expect(await failure(401, '', 'anthropic')).toMatch(/Invalid Anthropic API key/);
+  expect(await failure(404)).toMatch(/endpoint or model not found/);
+  expect(await failure(529, '', 'anthropic')).toMatch(/temporarily unavailable/);
+  expect(await failure(500)).toBe('Analysis failed: Server Error');
+});
+
+test('empty replies, missing keys and unknown providers are rejected before use', async () => {
+  mockFetch(200, { choices: [] });
+  await expect(requestCompletion(settingsFor('openai'), prompt)).rejects.toThrow(/returned an empty response/);
+
+  mockFetch(200, {});
+  await expect(requestCompletion(settingsFor('anthropic', { apiKey: '' }), prompt)).rejects.toThrow(/API key not configured/);
+  await expect(requestCompletion({ ...DEFAULT_LLM_SETTINGS, provider: 'mystery' }, prompt)).rejects.toThrow(/Unknown model provider/);
+  expect(global.fetch).not.toHaveBeenCalled();
+});
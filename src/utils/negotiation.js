@@ -0,0 +1,386 @@
+// Negotiation playbook: turns each flagged term (an off-market or aggressive
+// benchmark score, or a rule-based gotcha) into an ask, fallback positions
+// and talking points. Economic counters are expressed as scenario overrides
+// so their effect on founder proceeds at the chosen exit comes from the same
+// waterfall as the calculator; `founderProceeds(overrides)` supplies it.
+
+import { formatPercentile } from './benchmarks';
+import { formatMoney } from './format';
+
+// Terms and rule hits above these ratings make it into the playbook
+const BENCHMARK_SEVERITY = { aggressive: 'negative', 'off-market': 'concerning' };
+const RULE_SEVERITY = { high: 'negative', medium: 'concerning', low: 'concerning' };
+const SEVERITY_ORDER = { negative: 0, concerning: 1 };
+
+// Gains smaller than this are not worth quoting
+const MIN_SAVINGS = 1000;
+// What fits on one printed page
+const MAX_BRIEF_ITEMS = 6;
+
+const pct = (share) => `${Math.round(share * 100)}%`;
+
+// Counter-proposals by playbook item. `section` is the analysis section the
+// item belongs to, `paths` the benchmarked terms and `rules` the gotcha
+// rules it answers; build() returns the ask, the
+// fallbacks (strongest first) and talking points. Options with `overrides`
+// are priced in the waterfall.
+const COUNTERS = [
+  {
+    id: 'preference-multiple',
+    section: 'liquidation',
+    title: 'Liquidation preference multiple',
+    paths: ['liquidation.liqPrefMultiple'],
+    rules: ['preference-above-1x'],
+    applies: (analysis) => analysis.liquidation?.liqPrefMultiple > 1,
+    current: (analysis) => `${analysis.liquidation.liqPrefMultiple}x`,
+    build: ({ analysis, stage, score }) => {
+      const multiple = analysis.liquidation.liqPrefMultiple;
+      const top = stage?.terms['liquidation.liqPrefMultiple'].p90;
+      const fallbacks = [];
+      if (top > 1 && top < multiple) {
+        fallbacks.push({ text: `${top}x, the top of the ${stage.label} range`, overrides: { 'liquidation.liqPrefMultiple': top } });
+      }
+      if (['participating', 'capped-participating'].includes(analysis.liquidation.type)) {
+        fallbacks.push({ text: `Keep ${multiple}x but make it non-participating`, overrides: { 'liquidation.type': 'non-participating' } });
+      }
+      fallbacks.push({ text: `Accept ${multiple}x only in exchange for a higher pre-money valuation` });
+      return {
+        ask: { text: '1x liquidation preference', overrides: { 'liquidation.liqPrefMultiple': 1 } },
+        fallbacks,
+        talkingPoints: [
+          stage && score && `The median ${stage.label} preference is ${stage.terms['liquidation.liqPrefMultiple'].p50}x; ${multiple}x sits ${formatPercentile(score.percentile)}.`,
+          `At ${multiple}x investors take ${multiple} times their money before common sees anything in a modest exit.`
+        ]
+      };
+    }
+  },
+  {
+    id: 'participation',
+    section: 'liquidation',
+    title: 'Participation',
+    paths: ['liquidation.type', 'liquidation.participationCapMultiple'],
+    rules: ['uncapped-participation'],
+    applies: (analysis) => ['participating', 'capped-participating'].includes(analysis.liquidation?.type),
+    current: (analysis) => (analysis.liquidation.type === 'capped-participating'
+      ? `Participating, capped at ${analysis.liquidation.participationCapMultiple || '?'}x`
+      : 'Participating, no cap'),
+    build: ({ analysis, stage }) => {
+      const { type, participationCapMultiple: cap } = analysis.liquidation;
+      const capped = (multiple, text) => ({
+        text,
+        overrides: { 'liquidation.type': 'capped-participating', 'liquidation.participationCapMultiple': multiple }
+      });
+      const fallbacks = type === 'participating'
+        ? [capped(2, 'Cap participation at 2x'), capped(3, 'Cap participation at 3x')]
+        : [];
+      const lowCap = stage?.terms['liquidation.participationCapMultiple'].p25;
+      if (type === 'capped-participating' && lowCap < cap) {
+        fallbacks.push(capped(lowCap, `Lower the cap to ${lowCap}x`));
+      }
+      const shares = stage?.terms['liquidation.type'].shares;
+      return {
+        ask: { text: 'Non-participating preferred', overrides: { 'liquidation.type': 'non-participating' } },
+        fallbacks,
+        talkingPoints: [
+          shares && `${pct(shares['non-participating'])} of ${stage.label} deals are non-participating.`,
+          'Participation pays investors twice: their preference first, then their share of everything left.'
+        ]
+      };
+    }
+  },
+  {
+    id: 'dividends',
+    section: 'liquidation',
+    title: 'Cumulative dividends',
+    paths: ['liquidation.dividends.ratePct'],
+    rules: ['cumulative-dividends'],
+    applies: (analysis) => analysis.liquidation?.dividends?.ratePct > 0 && analysis.liquidation.dividends.cumulative !== false,
+    current: (analysis) => `${analysis.liquidation.dividends.ratePct}% cumulative`,
+    build: ({ analysis, stage }) => {
+      const rate = analysis.liquidation.dividends.ratePct;
+      const top = stage?.terms['liquidation.dividends.ratePct'].p90;
+      const fallbacks = [];
+      if (top > 0 && top < rate) {
+        fallbacks.push({ text: `Simple cumulative dividends at no more than ${top}%`, overrides: { 'liquidation.dividends.ratePct': top } });
+      }
+      fallbacks.push({ text: 'Accrued dividends are waived if the preferred converts to common' });
+      return {
+        ask: { text: 'Non-cumulative dividends, paid only when declared by the board', overrides: { 'liquidation.dividends.ratePct': 0 } },
+        fallbacks,
+        talkingPoints: [
+          stage && `Most ${stage.label} deals carry no cumulative dividend.`,
+          `At ${rate}% a year the preference keeps growing the longer the company takes to exit.`
+        ]
+      };
+    }
+  },
+  {
+    id: 'valuation',
+    section: 'investmentTerms',
+    title: 'Pre-money valuation',
+    paths: ['investmentTerms.preMoney'],
+    rules: [],
+    applies: (analysis) => analysis.investmentTerms?.preMoney > 0,
+    current: (analysis) => formatMoney(analysis.investmentTerms.preMoney),
+    build: ({ analysis, stage }) => {
+      const { p25, p50, p75 } = stage.terms['investmentTerms.preMoney'];
+      const fallbacks = p25 > analysis.investmentTerms.preMoney
+        ? [{ text: `${formatMoney(p25)} pre-money, the ${stage.label} 25th percentile`, overrides: { 'investmentTerms.preMoney': p25 } }]
+        : [];
+      fallbacks.push({ text: 'Keep the price but take less money now to limit dilution' });
+      return {
+        ask: { text: `${formatMoney(p50)} pre-money, the ${stage.label} median`, overrides: { 'investmentTerms.preMoney': p50 } },
+        fallbacks,
+        talkingPoints: [
+          `${stage.label} pre-money valuations run ${formatMoney(p25)}-${formatMoney(p75)} with a median of ${formatMoney(p50)}.`
+        ]
+      };
+    }
+  },
+  {
+    id: 'option-pool',
+    section: 'investmentTerms',
+    title: 'Option pool',
+    paths: ['investmentTerms.optionPoolPct'],
+    rules: [],
+    applies: (analysis) => analysis.investmentTerms?.optionPoolPct > 0,
+    current: (analysis) => `${analysis.investmentTerms.optionPoolPct}%`,
+    build: ({ stage }) => {
+      const { p25, p50, p75 } = stage.terms['investmentTerms.optionPoolPct'];
+      return {
+        ask: { text: `A ${p50}% pool, the ${stage.label} median`, overrides: { 'investmentTerms.optionPoolPct': p50 } },
+        fallbacks: [
+          { text: 'Size the pool to a hiring plan for the next 18 months' },
+          { text: 'Put the pool top-up in the post-money so the new investors share its dilution' }
+        ],
+        talkingPoints: [
+          `${stage.label} pools run ${p25}-${p75}% post-money.`,
+          'A pool created before the round comes entirely out of the existing holders.'
+        ]
+      };
+    }
+  },
+  {
+    id: 'anti-dilution',
+    section: 'founderTerms',
+    title: 'Full-ratchet anti-dilution',
+    paths: [],
+    rules: ['full-ratchet'],
+    current: () => 'Full ratchet',
+    build: () => ({
+      ask: { text: 'Broad-based weighted average anti-dilution' },
+      fallbacks: [{ text: 'Full ratchet only for a round in the next 12 months, weighted average after' }],
+      talkingPoints: ['Broad-based weighted average is the market default; a full ratchet reprices every preferred share to any lower round, however small.']
+    })
+  },
+  {
+    id: 'redemption',
+    section: 'liquidation',
+    title: 'Redemption rights',
+    rules: ['redemption-rights'],
+    paths: [],
+    current: () => 'Investor redemption',
+    build: () => ({
+      ask: { text: 'No redemption rights' },
+      fallbacks: [
+        { text: 'Redemption only after seven years, at the original price, in three annual installments' },
+        { text: 'Redemption only out of legally available funds, with the board deciding timing' }
+      ],
+      talkingPoints: ['Redemption lets investors demand their money back on a date that may come before an exit, which can force a sale or a recap.']
+    })
+  },
+  {
+    id: 'pay-to-play',
+    section: 'founderTerms',
+    title: 'Pay-to-play',
+    rules: ['pay-to-play'],
+    paths: [],
+    current: () => 'Pay-to-play',
+    build: () => ({
+      ask: { text: 'Drop pay-to-play from the term sheet' },
+      fallbacks: [{ text: 'Apply it only to a down round and with the same consequence for every preferred holder' }],
+      talkingPoints: ['Pay-to-play can leave the company with a recap fight among investors exactly when it needs money.']
+    })
+  },
+  {
+    id: 'super-pro-rata',
+    section: 'founderTerms',
+    title: 'Super pro-rata',
+    rules: ['super-pro-rata'],
+    paths: [],
+    current: () => 'Super pro-rata rights',
+    build: () => ({
+      ask: { text: 'Standard pro rata rights, limited to Major Investors' },
+      fallbacks: [{ text: 'Super pro-rata for the next round only, capped at a set dollar amount' }],
+      talkingPoints: ['Super pro-rata reserves room in the next round for this investor, which makes it harder to bring in a new lead.']
+    })
+  },
+  {
+    id: 'board',
+    section: 'controlGovernance',
+    title: 'Board control',
+    rules: ['investor-board-control'],
+    paths: [],
+    current: () => 'Investor majority',
+    build: () => ({
+      ask: { text: 'Equal common and investor seats, with an independent both sides approve' },
+      fallbacks: [{ text: 'Investor majority only after a missed milestone, reverting once it is met' }],
+      talkingPoints: ['Board control decides hiring and firing of the CEO, future financings and any sale.']
+    })
+  },
+  {
+    id: 'drag-along',
+    section: 'controlGovernance',
+    title: 'Drag-along threshold',
+    rules: ['low-drag-threshold'],
+    paths: [],
+    current: () => 'Preferred alone can force a sale',
+    build: () => ({
+      ask: { text: 'Drag-along needs the board, the preferred and a majority of the common' },
+      fallbacks: [
+        { text: 'No drag below a price that returns the liquidation preference' },
+        { text: 'Dragged holders get the same per-share consideration and limited, several liability' }
+      ],
+      talkingPoints: ['A low threshold lets investors force a sale that returns their preference and little to common.']
+    })
+  }
+];
+
+// Asks for a section the model rates concerning or negative when no rule or
+// benchmark pins down which term is the problem
+const SECTION_COUNTERS = {
+  investmentTerms: {
+    title: 'Investment terms',
+    ask: 'Price, round size and pool in line with comparable recent rounds',
+    fallbacks: ['Accept the price in exchange for cleaner preference and control terms'],
+    talkingPoint: 'Ask the investor which of the economic terms are firm and which have room.'
+  },
+  liquidation: {
+    title: 'Liquidation terms',
+    ask: '1x non-participating preference with no cumulative dividends or redemption',
+    fallbacks: ['Keep the structure but have the extra preference fall away above a set exit value'],
+    talkingPoint: 'Preference terms decide who is paid first in a modest exit; model them before agreeing.'
+  },
+  controlGovernance: {
+    title: 'Control and governance',
+    ask: 'Protective provisions and board rights limited to the standard NVCA list',
+    fallbacks: ['Investor consent rights fall away once their holding drops below a set share'],
+    talkingPoint: 'Control terms outlast the round; agree what investors can block before the money comes in.'
+  },
+  founderTerms: {
+    title: 'Founder terms',
+    ask: 'Vesting credit for time already served and double-trigger acceleration',
+    fallbacks: ['Four-year vesting with a one-year cliff measured from the original start date'],
+    talkingPoint: 'Founder vesting and acceleration decide what founders keep if they leave or the company is sold.'
+  }
+};
+
+// Gain in founder proceeds from `overrides`, or null when not priced
+const savingsFor = (overrides, founderProceeds, baseline) => {
+  if (!overrides || baseline === null) return null;
+  const proceeds = founderProceeds(overrides);
+  return proceeds === null ? null : proceeds - baseline;
+};
+
+// Playbook items, most severe and most valuable first:
+// [{ id, section, title, severity, current, benchmark, match, ask, fallbacks, talkingPoints }]
+// with ask and fallbacks as { text, overrides, savings }. `scores` come
+// from scoreTerms() for `stage`, `gotchas` from detectGotchas().
+export function buildPlaybook(analysis, { scores = {}, stage = null, gotchas = [], exitValue, founderProceeds = () => null }) {
+  if (!analysis) return [];
+  const baseline = founderProceeds({});
+
+  const items = COUNTERS.map(counter => {
+    const flaggedScore = counter.paths
+      .map(path => scores[path])
+      .find(score => score && BENCHMARK_SEVERITY[score.label]);
+    const hit = gotchas.find(gotcha => counter.rules.includes(gotcha.id));
+    if (!flaggedScore && !hit) return null;
+    if (counter.applies && !counter.applies(analysis)) return null;
+    if (counter.paths.length > 0 && !stage && !hit) return null;
+
+    const severities = [flaggedScore && BENCHMARK_SEVERITY[flaggedScore.label], hit && RULE_SEVERITY[hit.severity]].filter(Boolean);
+    const severity = severities.sort((a, b) => SEVERITY_ORDER[a] - SEVERITY_ORDER[b])[0];
+    const plan = counter.build({ analysis, stage, score: scores[counter.paths[0]] });
+    const price = (option) => {
+      const savings = savingsFor(option.overrides, founderProceeds, baseline);
+      return { ...option, savings: savings !== null && savings >= MIN_SAVINGS ? savings : null };
+    };
+    const ask = price(plan.ask);
+
+    return {
+      id: counter.id,
+      section: counter.section,
+      title: counter.title,
+      severity,
+      current: counter.current(analysis),
+      benchmark: flaggedScore ? { label: flaggedScore.label, percentile: flaggedScore.percentile } : null,
+      match: hit?.match || null,
+      ask,
+      fallbacks: plan.fallbacks.map(price),
+      talkingPoints: [
+        ask.savings !== null && `${ask.text} is worth ${formatMoney(ask.savings)} more to founders at a ${formatMoney(exitValue)} exit.`,
+        ...plan.talkingPoints
+      ].filter(Boolean)
+    };
+  }).filter(Boolean);
+
+  // Sections the model flags that no counter above answers get a general ask
+  // built on the model's reasoning, so nothing it flagged goes unanswered
+  Object.entries(SECTION_COUNTERS).forEach(([section, counter]) => {
+    const severity = analysis[section]?.founderImpact;
+    if (SEVERITY_ORDER[severity] === undefined || items.some(item => item.section === section)) return;
+    items.push({
+      id: `review-${section}`,
+      section,
+      title: counter.title,
+      severity,
+      current: `Rated ${severity} by the analysis`,
+      benchmark: null,
+      match: null,
+      ask: { text: counter.ask, savings: null },
+      fallbacks: counter.fallbacks.map(text => ({ text, savings: null })),
+      talkingPoints: [analysis[section].whyItMatters, analysis[section].plainEnglish, counter.talkingPoint].filter(Boolean)
+    });
+  });
+
+  return items.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]
+    || (b.ask.savings || 0) - (a.ask.savings || 0));
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Standalone one-page HTML brief for printing or sending ahead of a call
+export function playbookBriefHtml(playbook, { title = 'Negotiation Brief', stageLabel, exitValue, date = new Date() }) {
+  const option = (entry) => `${escapeHtml(entry.text)}${entry.savings !== null ? ` <span class="save">+${formatMoney(entry.savings)}</span>` : ''}`;
+  const items = playbook.slice(0, MAX_BRIEF_ITEMS).map(item => `
+    <section class="${item.severity}">
+      <h2>${escapeHtml(item.title)} <small>Now: ${escapeHtml(item.current)}</small></h2>
+      <p><b>Ask:</b> ${option(item.ask)}</p>
+      ${item.fallbacks.length > 0 ? `<p><b>Fallback:</b> ${item.fallbacks.slice(0, 2).map(option).join(' &middot; ')}</p>` : ''}
+      <ul>${item.talkingPoints.slice(0, 2).map(point => `<li>${escapeHtml(point)}</li>`).join('')}</ul>
+    </section>`).join('');
+  const omitted = playbook.length - MAX_BRIEF_ITEMS;
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+  @page { size: letter; margin: 0.5in; }
+  body { font: 10.5px/1.35 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1a2b3c; max-width: 7.5in; margin: 0 auto; }
+  h1 { font-size: 18px; margin: 0 0 2px; }
+  .meta { color: #667; margin: 0 0 10px; }
+  section { border-left: 3px solid #f0a040; padding: 2px 0 2px 8px; margin-bottom: 8px; page-break-inside: avoid; }
+  section.negative { border-color: #d03030; }
+  h2 { font-size: 12px; margin: 0 0 2px; }
+  h2 small { font-weight: normal; color: #667; margin-left: 6px; }
+  p, ul { margin: 1px 0; }
+  ul { padding-left: 14px; color: #445; }
+  .save { color: #1a7f4b; font-weight: bold; }
+</style></head><body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(date.toLocaleDateString())}${stageLabel ? ` &middot; Benchmarked against ${escapeHtml(stageLabel)} deals` : ''}${exitValue ? ` &middot; Founder gains at a ${formatMoney(exitValue)} exit` : ''}</p>
+${items || '<p>No terms flagged for negotiation.</p>'}
+${omitted > 0 ? `<p class="meta">${omitted} lower-priority item${omitted === 1 ? '' : 's'} not shown.</p>` : ''}
+</body></html>`;
+}
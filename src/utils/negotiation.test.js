@@ -0,0 +1,75 @@
+import { BENCHMARKS, scoreTerms } from './benchmarks';
+import { buildPlaybook, playbookBriefHtml } from './negotiation';
+
+const seed = BENCHMARKS.stages.find(stage => stage.id === 'seed');
+const analysis = {
+  documentType: 'term_sheet',
+  investmentTerms: { preMoney: 13000000, investment: 2000000, optionPoolPct: 20 },
+  liquidation: { liqPrefMultiple: 1, type: 'participating' }
+};
+
+// Stand-in for the waterfall: founders get $40M, more with a smaller pool or
+// without participation
+const founderProceeds = (overrides) => 40000000
+  + (overrides['investmentTerms.optionPoolPct'] === 10 ? 3000000 : 0)
+  + ({ 'non-participating': 8000000, 'capped-participating': 5000000 }[overrides['liquidation.type']] || 0);
+
+const playbook = (gotchas = []) => buildPlaybook(analysis, {
+  scores: scoreTerms(analysis, 'seed'),
+  stage: seed,
+  gotchas,
+  exitValue: 100000000,
+  founderProceeds
+});
+
+test('counters each flagged term, priced in the waterfall', () => {
+  const items = playbook();
+
+  expect(items.map(item => item.id)).toEqual(['participation', 'option-pool']);
+  const [participation] = items;
+  expect(participation.severity).toBe('negative');
+  expect(participation.ask.savings).toBe(8000000);
+  expect(participation.fallbacks.map(f => [f.text, f.savings])).toEqual([
+    ['Cap participation at 2x', 5000000],
+    ['Cap participation at 3x', 5000000]
+  ]);
+  expect(participation.talkingPoints[0]).toBe('Non-participating preferred is worth $8.0M more to founders at a $100.0M exit.');
+  expect(participation.talkingPoints[1]).toBe('93% of Seed deals are non-participating.');
+});
+
+test('rule hits add non-economic counters with the matched text', () => {
+  const items = playbook([{ id: 'redemption-rights', severity: 'high', match: 'Redeemable after five years.' }]);
+  const redemption = items.find(item => item.id === 'redemption');
+
+  expect(redemption.match).toBe('Redeemable after five years.');
+  expect(redemption.ask.savings).toBeNull();
+  expect(items.map(item => item.severity)).toEqual(['negative', 'negative', 'negative']);
+});
+
+test('sections the model flags without a rule or benchmark hit get a general ask', () => {
+  const flagged = {
+    ...analysis,
+    liquidation: { ...analysis.liquidation, founderImpact: 'negative' },
+    controlGovernance: { founderImpact: 'concerning', whyItMatters: 'Investors can veto any new financing.' },
+    founderTerms: { founderImpact: 'neutral' }
+  };
+  const items = buildPlaybook(flagged, { scores: scoreTerms(flagged, 'seed'), stage: seed, exitValue: 100000000, founderProceeds });
+
+  // Liquidation is already answered by the participation counter
+  expect(items.map(item => item.id)).toEqual(['participation', 'option-pool', 'review-controlGovernance']);
+  const control = items[2];
+  expect(control).toMatchObject({ severity: 'concerning', current: 'Rated concerning by the analysis', ask: { savings: null } });
+  expect(control.talkingPoints[0]).toBe('Investors can veto any new financing.');
+});
+
+test('standard terms produce an empty playbook and the brief says so', () => {
+  const standard = { ...analysis, investmentTerms: { preMoney: 13000000, optionPoolPct: 10 }, liquidation: { liqPrefMultiple: 1, type: 'non-participating' } };
+  expect(buildPlaybook(standard, { scores: scoreTerms(standard, 'seed'), stage: seed, exitValue: 1, founderProceeds })).toEqual([]);
+  expect(playbookBriefHtml([], { stageLabel: 'Seed' })).toContain('No terms flagged for negotiation.');
+});
+
+test('the brief escapes document text', () => {
+  const html = playbookBriefHtml(playbook(), { title: 'Acme <Seed>', stageLabel: 'Seed', exitValue: 100000000 });
+  expect(html).toContain('Acme &lt;Seed&gt;');
+  expect(html).toContain('<b>Ask:</b> Non-participating preferred <span class="save">+$8.0M</span>');
+});
@@ -0,0 +1,129 @@
+// Compares competing offers, each analysed on its own: a term-by-term table,
+// founder proceeds at the same exit values, and which offer pays founders
+// more over which range of exits. Each offer is modelled from its seeded
+// cap table (or its SAFE / note conversion) with dividends accrued to the
+// exit, the same defaults the single-deal view starts from.
+
+import { capTableFromTerms } from './capTable';
+import { computeWaterfall } from './waterfall';
+import { dealWaterfallModel } from './waterfallModel';
+import { convertFromInputs, defaultConversionInputs, isConvertibleAnalysis } from './conversion';
+import { valueAt } from './paths';
+import { formatMoney } from './format';
+
+const PARTICIPATION_RANK = { 'non-participating': 0, none: 0, 'capped-participating': 1, participating: 2 };
+
+// `better` says which direction favours founders; text terms are only
+// checked for differences
+export const COMPARISON_TERMS = [
+  { path: 'investmentTerms.preMoney', label: 'Pre-Money Valuation', format: 'money', better: 'higher' },
+  { path: 'investmentTerms.postMoney', label: 'Post-Money Valuation', format: 'money', better: 'higher' },
+  { path: 'investmentTerms.investment', label: 'Investment', format: 'money' },
+  { path: 'investmentTerms.valuationCap', label: 'Valuation Cap', format: 'money', better: 'higher' },
+  { path: 'investmentTerms.discount', label: 'Discount', format: 'percent', better: 'lower' },
+  { path: 'investmentTerms.statedOwnershipPct', label: 'Investor Ownership', format: 'percent', better: 'lower' },
+  { path: 'investmentTerms.optionPoolPct', label: 'Option Pool', format: 'percent', better: 'lower' },
+  { path: 'investmentTerms.poolExpandsPre', label: 'Pool in Pre-Money', format: 'boolean', better: 'false' },
+  { path: 'liquidation.liqPrefMultiple', label: 'Liquidation Preference', format: 'multiple', better: 'lower' },
+  { path: 'liquidation.type', label: 'Participation', format: 'text', better: 'participation' },
+  { path: 'liquidation.participationCapMultiple', label: 'Participation Cap', format: 'multiple' },
+  { path: 'liquidation.dividends.ratePct', label: 'Dividend Rate', format: 'percent', better: 'lower' },
+  { path: 'controlGovernance.boardComposition', label: 'Board Composition', format: 'text' },
+  { path: 'controlGovernance.protectiveProvisions', label: 'Protective Provisions', format: 'text' },
+  { path: 'founderTerms.vestingSchedule', label: 'Vesting', format: 'text' },
+  { path: 'founderTerms.acceleration', label: 'Acceleration', format: 'text' },
+  { path: 'founderTerms.antiDilution', label: 'Anti-Dilution', format: 'text' },
+  { path: 'founderTerms.proRata', label: 'Pro-Rata Rights', format: 'text' }
+];
+
+export const IMPACT_SECTIONS = {
+  investmentTerms: 'Investment',
+  liquidation: 'Liquidation',
+  controlGovernance: 'Control',
+  founderTerms: 'Founder Terms'
+};
+
+export function formatTermValue(value, format) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (format === 'money') return formatMoney(value, 2);
+  if (format === 'percent') return `${value}%`;
+  if (format === 'multiple') return `${value}x`;
+  if (format === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+}
+
+// Indexes of the offers with the most founder-friendly value, or [] when
+// the term has no direction or the offers agree
+export const mostFounderFriendly = (values, better) => {
+  if (!better) return [];
+  const scored = values.map((value, index) => {
+    if (value === null || value === undefined) return null;
+    if (better === 'participation') return { index, score: -(PARTICIPATION_RANK[value] ?? 0) };
+    if (better === 'false') return { index, score: value ? 0 : 1 };
+    return { index, score: better === 'higher' ? value : -value };
+  }).filter(Boolean);
+  if (scored.length < 2) return [];
+  const top = Math.max(...scored.map(s => s.score));
+  const winners = scored.filter(s => s.score === top).map(s => s.index);
+  return winners.length === scored.length ? [] : winners;
+};
+
+export function compareTerms(analyses) {
+  return COMPARISON_TERMS.map(term => {
+    const values = analyses.map(analysis => valueAt(analysis, term.path));
+    const shown = values.map(value => formatTermValue(value, term.format));
+    return {
+      ...term,
+      values,
+      formatted: shown,
+      differs: new Set(shown).size > 1,
+      best: mostFounderFriendly(values, term.better)
+    };
+  });
+}
+
+// Waterfall model for an offer with its default cap table
+export function offerWaterfallModel(analysis, years = 5) {
+  if (!analysis?.investmentTerms?.investment || !analysis.liquidation) return null;
+  const convertible = isConvertibleAnalysis(analysis);
+  return dealWaterfallModel(analysis, {
+    capTable: convertible ? null : capTableFromTerms(analysis.investmentTerms),
+    ownershipPct: convertible
+      ? convertFromInputs(defaultConversionInputs(analysis)).instruments[0].ownershipPct
+      : analysis.investmentTerms.statedOwnershipPct,
+    years
+  });
+}
+
+export const founderProceeds = (model, exitValue) => computeWaterfall(model.table, exitValue).classes
+  .filter(payout => model.kindOf(payout) === 'founder')
+  .reduce((sum, payout) => sum + payout.total, 0);
+
+// Founder proceeds for every offer at each exit value
+export function outcomesAtExits(models, exitValues) {
+  return exitValues.map(exitValue => {
+    const proceeds = models.map(model => (model ? founderProceeds(model, exitValue) : null));
+    const valid = proceeds.filter(value => value !== null);
+    const top = valid.length > 0 ? Math.max(...valid) : null;
+    return { exitValue, proceeds, best: proceeds.map((value, index) => (value !== null && value === top ? index : null)).filter(i => i !== null) };
+  });
+}
+
+// Exit ranges over which each offer pays founders the most, from sampling
+// `steps` exits up to `maxExit`. Ties (e.g. when nothing reaches founders)
+// are reported with offer null.
+export function bestOfferByExit(models, maxExit, steps = 200) {
+  const ranges = [];
+  for (let i = 1; i <= steps; i++) {
+    const exitValue = (maxExit * i) / steps;
+    const proceeds = models.map(model => (model ? founderProceeds(model, exitValue) : -Infinity));
+    const top = Math.max(...proceeds);
+    const leaders = proceeds.map((value, index) => (Math.abs(value - top) < 1 ? index : null)).filter(index => index !== null);
+    const offer = leaders.length === 1 ? leaders[0] : null;
+
+    const last = ranges[ranges.length - 1];
+    if (last && last.offer === offer) last.to = exitValue;
+    else ranges.push({ offer, from: last ? last.to : 0, to: exitValue });
+  }
+  return ranges;
+}
@@ -0,0 +1,43 @@
+import { bestOfferByExit, compareTerms, offerWaterfallModel, outcomesAtExits } from './offerComparison';
+
+const offer = (preMoney, type) => ({
+  documentType: 'term_sheet',
+  investmentTerms: { preMoney, investment: 2000000 },
+  liquidation: { liqPrefMultiple: 1, type, dividends: null }
+});
+// A: $8M pre, non-participating (founders 80%). B: $10M pre, participating (founders 83.3%).
+const offers = [offer(8000000, 'non-participating'), offer(10000000, 'participating')];
+
+test('flags differing terms and the founder-friendly side', () => {
+  const rows = compareTerms(offers);
+  const row = (path) => rows.find(r => r.path === path);
+
+  expect(row('investmentTerms.preMoney').best).toEqual([1]);
+  expect(row('liquidation.type').best).toEqual([0]);
+  expect(row('liquidation.liqPrefMultiple').differs).toBe(false);
+  expect(row('liquidation.liqPrefMultiple').best).toEqual([]);
+});
+
+test('compares founder proceeds at the same exits', () => {
+  const models = offers.map(analysis => offerWaterfallModel(analysis));
+  const [at20] = outcomesAtExits(models, [20000000]);
+
+  // A: investor converts, founders keep 80%. B: $2M back plus 1/6 of the rest to the investor.
+  expect(at20.proceeds[0]).toBeCloseTo(16000000);
+  expect(at20.proceeds[1]).toBeCloseTo(15000000);
+  expect(at20.best).toEqual([0]);
+});
+
+test('finds the exit where the better offer flips', () => {
+  const models = offers.map(analysis => offerWaterfallModel(analysis));
+  const ranges = bestOfferByExit(models, 100000000);
+
+  // Nothing reaches founders until the $2M preference is paid
+  expect(ranges[0].offer).toBeNull();
+  const a = ranges.find(r => r.offer === 0);
+  const b = ranges.find(r => r.offer === 1);
+  // 0.8x = 5/6 (x - 2M) at x = $50M
+  expect(a.to).toBeLessThan(50000000);
+  expect(b.from).toBeCloseTo(50000000, -6);
+  expect(b.to).toBe(100000000);
+});
@@ -0,0 +1,62 @@
+// Turns the model's raw reply into the analysis object. Shared by the browser
+// flow and the server API route.
+
+// Finds each balanced {...} block, skipping braces inside JSON strings, so
+// prose before or after the JSON (or a second example object) is ignored
+const findJsonObjects = (text) => {
+  const candidates = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"' && depth > 0) inString = true;
+    else if (char === '{') {
+      if (depth === 0) start = i;
+      depth += 1;
+    } else if (char === '}' && depth > 0) {
+      depth -= 1;
+      if (depth === 0) candidates.push(text.slice(start, i + 1));
+    }
+  }
+  return candidates;
+};
+
+// Trailing commas are the most common syntax slip in model output
+const removeTrailingCommas = (text) => text.replace(/,\s*([}\]])/g, '$1');
+
+export function parseAnalysisResponse(analysisText) {
+  try {
+    // Remove markdown code blocks if present
+    let cleanedText = analysisText;
+    if (analysisText.includes('```json')) {
+      cleanedText = analysisText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+    } else if (analysisText.includes('```')) {
+      cleanedText = analysisText.replace(/```\n?/g, '');
+    }
+
+    return JSON.parse(cleanedText);
+  } catch (parseError) {
+    console.log('JSON parse error, trying to extract...', parseError);
+    // If parsing fails, try each JSON object in the response, largest first
+    const candidates = findJsonObjects(analysisText).sort((a, b) => b.length - a.length);
+    for (const candidate of candidates) {
+      for (const text of [candidate, removeTrailingCommas(candidate)]) {
+        try {
+          return JSON.parse(text);
+        } catch (candidateError) {
+          // try the next candidate
+        }
+      }
+    }
+    throw new Error('Failed to parse analysis results');
+  }
+}
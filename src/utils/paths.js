@@ -0,0 +1,11 @@
+// Dotted term paths ('liquidation.dividends.ratePct') into analysis objects
+
+// Value at `path`, or undefined when any part of it is missing
+export const valueAt = (analysis, path) => path.split('.').reduce((node, key) => node?.[key], analysis);
+
+// Copy of `target` with `value` at `path`, creating missing objects on the way
+export const setPath = (target, path, value) => {
+  const [head, ...rest] = path.split('.');
+  const node = target[head] && typeof target[head] === 'object' ? target[head] : {};
+  return { ...target, [head]: rest.length > 0 ? setPath(node, rest.join('.'), value) : value };
+};
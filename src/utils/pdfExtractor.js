@@ -1,34 +1,40 @@
 import * as pdfjsLib from 'pdfjs-dist';
+import { analyzePageLayout, layoutToText } from './pdfLayout';
 
 // Configure PDF.js worker - use CDN version
 pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
 
-export async function extractTextFromPDF(file) {
+// Returns the positioned lines of every page, with table regions, headings
+// and clause numbers (e.g. "4.2(b)") resolved
+export async function extractPDFLayout(file) {
   try {
     // Convert file to ArrayBuffer
     const arrayBuffer = await file.arrayBuffer();
-    
+
     // Load the PDF document
     const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-    
-    let fullText = '';
-    
-    // Extract text from each page
+
+    const pages = [];
+    // Clause numbering carries over page breaks
+    let context = { clause: null, parentClause: null };
+
     for (let i = 1; i <= pdf.numPages; i++) {
       const page = await pdf.getPage(i);
       const textContent = await page.getTextContent();
-      
-      // Combine text items with proper spacing
-      const pageText = textContent.items
-        .map(item => item.str)
-        .join(' ');
-      
-      fullText += `\n--- Page ${i} ---\n${pageText}\n`;
+
+      const layout = analyzePageLayout(textContent.items, context);
+      context = layout.context;
+      pages.push({ pageNumber: i, lines: layout.lines });
     }
-    
-    return fullText;
+
+    return { pages };
   } catch (error) {
     console.error('Error extracting PDF text:', error);
     throw new Error('Failed to extract text from PDF. The file might be corrupted or password-protected.');
   }
-}
\ No newline at end of file
+}
+
+export async function extractTextFromPDF(file) {
+  const layout = await extractPDFLayout(file);
+  return layoutToText(layout);
+}
@@ -0,0 +1,195 @@
+// Rebuilds reading order from PDF.js text items. Each item carries a transform
+// matrix [a, b, c, d, x, y]; we group items that share a baseline into lines,
+// split lines into cells on wide horizontal gaps, and treat runs of aligned
+// multi-cell lines as tables.
+
+// Gap (in multiples of font size) that separates table columns rather than words
+const COLUMN_GAP = 1.5;
+// Gap (in multiples of font size) that is wide enough to need a space
+const WORD_GAP = 0.15;
+// Horizontal tolerance (in multiples of font size) when matching column starts
+const COLUMN_ALIGN_TOLERANCE = 1.0;
+const MIN_TABLE_ROWS = 2;
+
+// Matches leading clause numbers such as "4.", "4.2", "4.2(b)", "(iii)" and
+// "Section 4.2". Bare numbers ("2025 was...") only count after Section/Article.
+const CLAUSE_PATTERN = /^(\d+(?:\.\d+)+\.?(?:\s?\([a-z0-9]{1,4}\))*|\d+\.(?!\d)|\d+(?:\([a-z0-9]{1,4}\))+|\([a-z0-9]{1,4}\))(?=\s|$)/i;
+const SECTION_PATTERN = /^(?:section|article|§)\s*(\d+(?:\.\d+)*(?:\s?\([a-z0-9]{1,4}\))*)/i;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const toGlyphRun = (item) => {
+  const [, , , d, x, y] = item.transform;
+  return {
+    text: item.str,
+    x,
+    y,
+    width: item.width || 0,
+    fontSize: Math.abs(item.height || d) || 10
+  };
+};
+
+const buildCells = (runs, fontSize) => {
+  const cells = [];
+  let current = null;
+  let lastEnd = null;
+
+  runs.forEach(run => {
+    const gap = lastEnd === null ? 0 : run.x - lastEnd;
+
+    if (!current || gap > COLUMN_GAP * fontSize) {
+      current = { x: run.x, text: run.text };
+      cells.push(current);
+    } else {
+      const needsSpace = gap > WORD_GAP * fontSize && !current.text.endsWith(' ') && !run.text.startsWith(' ');
+      current.text += (needsSpace ? ' ' : '') + run.text;
+    }
+    lastEnd = Math.max(lastEnd ?? run.x, run.x + run.width);
+  });
+
+  return cells
+    .map(cell => ({ ...cell, text: cell.text.replace(/\s+/g, ' ').trim() }))
+    .filter(cell => cell.text);
+};
+
+export function parseClauseNumber(text) {
+  const match = text.match(SECTION_PATTERN) || text.match(CLAUSE_PATTERN);
+  if (!match) return null;
+  return match[1].replace(/\s+/g, '').replace(/\.$/, '');
+}
+
+// Groups PDF.js text items into lines of cells, top to bottom
+export function groupItemsIntoLines(items) {
+  const runs = items
+    .filter(item => typeof item.str === 'string' && item.str.trim() && Array.isArray(item.transform))
+    .map(toGlyphRun)
+    .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+  const lines = [];
+  runs.forEach(run => {
+    const line = lines[lines.length - 1];
+    // Items on the same baseline (allowing for super/subscripts) share a line
+    if (line && Math.abs(line.y - run.y) <= Math.max(2, 0.5 * Math.min(line.fontSize, run.fontSize))) {
+      line.runs.push(run);
+      line.fontSize = Math.max(line.fontSize, run.fontSize);
+    } else {
+      lines.push({ y: run.y, fontSize: run.fontSize, runs: [run] });
+    }
+  });
+
+  return lines.map(line => {
+    const sortedRuns = line.runs.sort((a, b) => a.x - b.x);
+    let cells = buildCells(sortedRuns, line.fontSize);
+
+    // A clause number set apart by a tab stop is part of its clause, not a column
+    if (cells.length === 2 && parseClauseNumber(cells[0].text) === cells[0].text.replace(/\s+/g, '').replace(/\.$/, '')) {
+      cells = [{ x: cells[0].x, text: `${cells[0].text} ${cells[1].text}` }];
+    }
+
+    return {
+      y: line.y,
+      x: cells[0]?.x ?? 0,
+      fontSize: line.fontSize,
+      cells,
+      text: cells.map(cell => cell.text).join('  ')
+    };
+  }).filter(line => line.cells.length > 0);
+}
+
+const columnsAlign = (a, b) => {
+  const tolerance = COLUMN_ALIGN_TOLERANCE * Math.max(a.fontSize, b.fontSize);
+  const matches = a.cells.filter(cell => b.cells.some(other => Math.abs(other.x - cell.x) <= tolerance));
+  return matches.length >= 2;
+};
+
+// Marks runs of aligned multi-cell lines as table regions
+export function detectTables(lines) {
+  const regions = [];
+  let start = null;
+
+  for (let i = 0; i <= lines.length; i++) {
+    const line = lines[i];
+    const continues = line && line.cells.length >= 2 &&
+      (start === null || columnsAlign(lines[i - 1], line));
+
+    if (continues) {
+      if (start === null) start = i;
+      continue;
+    }
+
+    if (start !== null && i - start >= MIN_TABLE_ROWS) {
+      regions.push({ start, end: i - 1 });
+    }
+    start = line && line.cells.length >= 2 ? i : null;
+  }
+
+  return regions;
+}
+
+const isHeading = (line, bodyFontSize) => {
+  if (line.cells.length > 1 || line.text.length > 100) return false;
+  if (line.fontSize >= bodyFontSize * 1.2) return true;
+  const letters = line.text.replace(/[^a-z]/gi, '');
+  return letters.length >= 4 && letters === letters.toUpperCase() && line.text.split(/\s+/).length <= 10;
+};
+
+// Annotates lines with heading flags, table membership and the clause they belong to
+export function analyzePageLayout(items, context = { clause: null, parentClause: null }) {
+  const lines = groupItemsIntoLines(items);
+  const bodyFontSize = median(lines.map(line => line.fontSize));
+  const tables = detectTables(lines);
+
+  lines.forEach((line, index) => {
+    const table = tables.find(region => index >= region.start && index <= region.end);
+    line.table = table ? tables.indexOf(table) : null;
+    line.heading = !table && isHeading(line, bodyFontSize);
+
+    const clause = table ? null : parseClauseNumber(line.text);
+    if (clause) {
+      if (/^\(/.test(clause) && context.parentClause) {
+        context.clause = `${context.parentClause}${clause}`;
+      } else {
+        context.parentClause = clause.replace(/\(.*$/, '');
+        context.clause = clause;
+      }
+    }
+    line.clause = context.clause;
+  });
+
+  return { lines, tables, context };
+}
+
+export function formatPageLayout(lines) {
+  const output = [];
+  let openTable = null;
+
+  lines.forEach(line => {
+    if (line.table !== openTable) {
+      if (openTable !== null) output.push('[/TABLE]');
+      if (line.table !== null) output.push('[TABLE]');
+      openTable = line.table;
+    }
+
+    if (line.table !== null) {
+      output.push(`| ${line.cells.map(cell => cell.text.replace(/\|/g, '/')).join(' | ')} |`);
+    } else if (line.heading) {
+      output.push(`# ${line.text}`);
+    } else {
+      output.push(line.text);
+    }
+  });
+
+  if (openTable !== null) output.push('[/TABLE]');
+  return output.join('\n');
+}
+
+// Joins pages with the "--- Page N ---" markers the analysis prompt relies on
+export function layoutToText(layout) {
+  return layout.pages
+    .map(page => `\n--- Page ${page.pageNumber} ---\n${formatPageLayout(page.lines)}\n`)
+    .join('');
+}
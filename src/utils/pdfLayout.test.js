@@ -0,0 +1,44 @@
+import { analyzePageLayout, formatPageLayout, parseClauseNumber } from './pdfLayout';
+
+const item = (str, x, y, fontSize = 10) => ({ str, transform: [fontSize, 0, 0, fontSize, x, y], width: str.length * fontSize * 0.5, height: fontSize });
+
+test('parses clause numbers at the start of a line', () => {
+  expect(parseClauseNumber('4.2(b) Dividends')).toBe('4.2(b)');
+  expect(parseClauseNumber('Section 7.1 Board')).toBe('7.1');
+  expect(parseClauseNumber('(iii) consent')).toBe('(iii)');
+  expect(parseClauseNumber('2025 was a good year')).toBeNull();
+  expect(parseClauseNumber('4. Dividends')).toBe('4');
+  expect(parseClauseNumber('Dividends accrue')).toBeNull();
+});
+
+test('rebuilds lines, headings, tables and clause context from positioned items', () => {
+  const items = [
+    item('TERM SHEET', 200, 750, 16),
+    item('4.2', 50, 700),
+    item('Liquidation', 90, 700),
+    item('Preference.', 150, 700),
+    item('(b)', 60, 685),
+    item('participation capped at 3x', 80, 685),
+    item('Series', 50, 650),
+    item('Shares', 200, 650),
+    item('Price', 320, 650),
+    item('Seed', 50, 635),
+    item('1,000,000', 200, 635),
+    item('$1.00', 320, 635)
+  ];
+
+  const { lines } = analyzePageLayout(items);
+  const text = formatPageLayout(lines);
+
+  expect(text).toBe([
+    '# TERM SHEET',
+    '4.2 Liquidation Preference.',
+    '(b) participation capped at 3x',
+    '[TABLE]',
+    '| Series | Shares | Price |',
+    '| Seed | 1,000,000 | $1.00 |',
+    '[/TABLE]'
+  ].join('\n'));
+  expect(lines[2].clause).toBe('4.2(b)');
+  expect(lines[3].table).toBe(0);
+});
@@ -0,0 +1,449 @@
+// Branded PDF report, generated in the browser with jsPDF. The analyzer
+// hands over a plain report model (numbers already computed, text already
+// chosen for the view) plus the sections the user picked; charts come in as
+// the rendered Recharts <svg> elements and are drawn with svg2pdf.js so they
+// stay vector. jsPDF's built-in Helvetica stands in for the brand fonts.
+// Both libraries are loaded on first use to keep them out of the main bundle.
+
+import { formatMoney } from './format';
+
+export const REPORT_SECTIONS = [
+  { id: 'cover', label: 'Cover page' },
+  { id: 'summary', label: 'Executive summary' },
+  { id: 'terms', label: 'Analysis cards' },
+  { id: 'charts', label: 'Charts' },
+  { id: 'scenarios', label: 'Scenario table' },
+  { id: 'gotchas', label: 'Gotchas' },
+  { id: 'costOfCapital', label: 'Cost of capital' }
+];
+
+export const REPORT_LOGO_URL = '/assets/logos/intrepid-horizontal.svg';
+
+// US Letter in points
+const PAGE = { width: 612, height: 792, margin: 54 };
+const CONTENT_WIDTH = PAGE.width - 2 * PAGE.margin;
+// Room the running header takes on content pages
+const HEADER_HEIGHT = 24;
+const MAX_CHART_HEIGHT = 280;
+
+const COLORS = {
+  green: [90, 194, 120],
+  blue: [80, 147, 166],
+  gray: [204, 204, 204],
+  dark: [28, 31, 33],
+  muted: [110, 114, 117],
+  stripe: [246, 247, 248]
+};
+
+const IMPACT_COLORS = {
+  positive: COLORS.green,
+  neutral: COLORS.blue,
+  concerning: [194, 65, 12],
+  negative: [185, 28, 28]
+};
+
+const SEVERITY_COLORS = {
+  high: IMPACT_COLORS.negative,
+  medium: IMPACT_COLORS.concerning,
+  low: COLORS.muted
+};
+
+const percent = (value) => `${value.toFixed(1)}%`;
+
+// Sentences for the executive summary; parts of the model that are missing
+// are left out rather than reported as zero
+export function executiveSummary(report) {
+  const { metrics, exit, cards = [], gotchas = [], costOfCapital } = report;
+  const lines = [];
+
+  if (metrics?.investment) {
+    const stake = metrics.investorPct ? ` for ${percent(metrics.investorPct)}` : '';
+    const valuation = metrics.postMoney ? ` at a ${formatMoney(metrics.postMoney)} post-money valuation` : '';
+    lines.push(`${formatMoney(metrics.investment)} investment${stake}${valuation}.`);
+  }
+  if (metrics?.liqPrefMultiple) {
+    lines.push(`${metrics.liqPrefMultiple}x ${metrics.preferenceType || 'non-participating'} liquidation preference.`);
+  }
+  if (exit) {
+    lines.push(`At a ${formatMoney(exit.value)} exit in ${exit.years} years, founders receive ${formatMoney(exit.founderReturn)} (${percent(exit.founderPct)}) and investors return ${exit.investorMultiple.toFixed(1)}x.`);
+  }
+
+  const flagged = cards.filter(card => card.impact === 'negative' || card.impact === 'concerning');
+  if (flagged.length > 0) {
+    lines.push(`Terms to negotiate: ${flagged.map(card => card.title).join(', ')}.`);
+  }
+
+  if (gotchas.length > 0) {
+    const high = gotchas.filter(gotcha => gotcha.severity === 'high').length;
+    lines.push(`${gotchas.length} potential gotcha${gotchas.length === 1 ? '' : 's'} flagged${high > 0 ? `, ${high} high severity` : ''}.`);
+  } else {
+    lines.push('No gotchas flagged.');
+  }
+
+  if (costOfCapital) {
+    lines.push(costOfCapital.breakEvenExit === null
+      ? `Effective cost of capital is ${costOfCapital.effectiveAPR}% APR.`
+      : `Effective cost of capital is ${costOfCapital.effectiveAPR}% APR; founders profit above a ${formatMoney(costOfCapital.breakEvenExit)} exit.`);
+  }
+  return lines;
+}
+
+// Fetches the logo as an <svg> element for the cover. The report falls back
+// to a text wordmark, so a failed fetch resolves to null.
+export async function loadReportLogo(url = REPORT_LOGO_URL) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const svg = new DOMParser().parseFromString(await response.text(), 'image/svg+xml').documentElement;
+    return svg.nodeName === 'svg' ? svg : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Cursor-based layout over a jsPDF document, starting at the top of its
+// current page: everything below flows top to bottom and starts a new page
+// when the next block would not fit
+const createLayout = (doc) => {
+  let y = PAGE.margin + HEADER_HEIGHT;
+
+  const layout = {
+    get y() { return y; },
+    set y(value) { y = value; },
+
+    newPage() {
+      doc.addPage();
+      y = PAGE.margin + HEADER_HEIGHT;
+    },
+
+    ensure(height) {
+      if (y + height > PAGE.height - PAGE.margin) layout.newPage();
+    },
+
+    font(size, style = 'normal', color = COLORS.dark) {
+      doc.setFont('helvetica', style);
+      doc.setFontSize(size);
+      doc.setTextColor(...color);
+    },
+
+    heading(text) {
+      layout.ensure(60);
+      doc.setFillColor(...COLORS.green);
+      doc.rect(PAGE.margin, y, 4, 18, 'F');
+      layout.font(16, 'bold');
+      doc.text(text, PAGE.margin + 12, y + 14);
+      y += 32;
+    },
+
+    subheading(text, chip = null) {
+      layout.ensure(40);
+      layout.font(12, 'bold');
+      doc.text(text, PAGE.margin, y + 10);
+      if (chip) layout.chip(chip.text, chip.color, PAGE.width - PAGE.margin, y);
+      y += 20;
+    },
+
+    // Rounded label, right-aligned at `right`
+    chip(text, color, right, top) {
+      layout.font(7, 'bold', [255, 255, 255]);
+      const label = text.toUpperCase();
+      const width = doc.getTextWidth(label) + 12;
+      doc.setFillColor(...color);
+      doc.roundedRect(right - width, top, width, 13, 6, 6, 'F');
+      doc.text(label, right - width / 2, top + 9, { align: 'center' });
+    },
+
+    // `reserve` keeps room free on the right, e.g. for a chip
+    paragraph(text, { size = 10, style = 'normal', color = COLORS.dark, indent = 0, reserve = 0, gap = 6 } = {}) {
+      layout.font(size, style, color);
+      const lineHeight = size * 1.4;
+      doc.splitTextToSize(String(text), CONTENT_WIDTH - indent - reserve).forEach(line => {
+        layout.ensure(lineHeight);
+        doc.text(line, PAGE.margin + indent, y + size);
+        y += lineHeight;
+      });
+      y += gap;
+    },
+
+    bullets(items, options = {}) {
+      items.forEach(item => {
+        layout.ensure(14);
+        doc.setFillColor(...(options.bulletColor || COLORS.green));
+        doc.circle(PAGE.margin + 3, y + 6.5, 2, 'F');
+        layout.paragraph(item, { ...options, indent: 12, gap: 2 });
+      });
+      y += 4;
+    },
+
+    // Rows of label and value, with an optional note under the value
+    keyValues(rows) {
+      rows.forEach(({ label, value, note }) => {
+        layout.ensure(note ? 30 : 18);
+        layout.font(10, 'normal', COLORS.muted);
+        doc.text(label, PAGE.margin, y + 10);
+        layout.font(10, 'bold');
+        const valueLines = doc.splitTextToSize(String(value), CONTENT_WIDTH * 0.6);
+        doc.text(valueLines, PAGE.width - PAGE.margin, y + 10, { align: 'right' });
+        y += 14 * valueLines.length;
+        if (note) {
+          layout.font(8, 'normal', COLORS.muted);
+          doc.text(note, PAGE.width - PAGE.margin, y + 6, { align: 'right' });
+          y += 12;
+        }
+        y += 4;
+      });
+    },
+
+    // Boxes across the page with a small label over a large value
+    tiles(items) {
+      const gap = 10;
+      const width = (CONTENT_WIDTH - gap * (items.length - 1)) / items.length;
+      layout.ensure(64);
+      items.forEach(({ label, value }, index) => {
+        const x = PAGE.margin + index * (width + gap);
+        doc.setDrawColor(...COLORS.gray);
+        doc.roundedRect(x, y, width, 54, 4, 4, 'S');
+        layout.font(7, 'bold', COLORS.muted);
+        doc.text(label.toUpperCase(), x + 10, y + 16);
+        layout.font(16, 'bold');
+        doc.text(value, x + 10, y + 40);
+      });
+      y += 68;
+    },
+
+    // `columns` are { header, width (share of the content width), align };
+    // cells wrap and the header repeats on every page the table spans
+    table(columns, rows) {
+      const padding = 5;
+      const lineHeight = 11;
+      const widths = columns.map(column => column.width * CONTENT_WIDTH);
+      const xs = widths.map((width, index) => PAGE.margin + widths.slice(0, index).reduce((sum, w) => sum + w, 0));
+      const cellX = (index) => (columns[index].align === 'right' ? xs[index] + widths[index] - padding : xs[index] + padding);
+
+      const header = () => {
+        doc.setFillColor(...COLORS.dark);
+        doc.rect(PAGE.margin, y, CONTENT_WIDTH, 18, 'F');
+        layout.font(8, 'bold', [255, 255, 255]);
+        columns.forEach((column, index) => doc.text(column.header, cellX(index), y + 12, { align: column.align || 'left' }));
+        y += 18;
+      };
+
+      layout.ensure(40);
+      header();
+      rows.forEach((row, rowIndex) => {
+        layout.font(9, row.bold ? 'bold' : 'normal');
+        const cells = row.cells.map((cell, index) => doc.splitTextToSize(String(cell), widths[index] - 2 * padding));
+        const height = Math.max(...cells.map(lines => lines.length)) * lineHeight + 2 * padding;
+        if (y + height > PAGE.height - PAGE.margin) {
+          layout.newPage();
+          header();
+          layout.font(9, row.bold ? 'bold' : 'normal');
+        }
+        if (rowIndex % 2 === 1) {
+          doc.setFillColor(...COLORS.stripe);
+          doc.rect(PAGE.margin, y, CONTENT_WIDTH, height, 'F');
+        }
+        cells.forEach((lines, index) => doc.text(lines, cellX(index), y + padding + 8, { align: columns[index].align || 'left' }));
+        y += height;
+      });
+      y += 12;
+    },
+
+    async chart(title, svg) {
+      const sourceWidth = parseFloat(svg.getAttribute('width')) || svg.clientWidth || 1;
+      const sourceHeight = parseFloat(svg.getAttribute('height')) || svg.clientHeight || 1;
+      let width = CONTENT_WIDTH;
+      let height = width * sourceHeight / sourceWidth;
+      if (height > MAX_CHART_HEIGHT) {
+        height = MAX_CHART_HEIGHT;
+        width = height * sourceWidth / sourceHeight;
+      }
+      layout.ensure(height + 30);
+      layout.subheading(title);
+      await doc.svg(svg, { x: PAGE.margin + (CONTENT_WIDTH - width) / 2, y, width, height });
+      y += height + 16;
+    }
+  };
+  return layout;
+};
+
+const drawCover = async (doc, report, logo) => {
+  doc.setFillColor(...COLORS.green);
+  doc.rect(0, 0, PAGE.width, 10, 'F');
+
+  if (logo) {
+    await doc.svg(logo, { x: PAGE.margin - 12, y: 60, width: 150, height: 150 });
+  } else {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(24);
+    doc.setTextColor(...COLORS.green);
+    doc.text('INTREPID', PAGE.margin, 120);
+  }
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(32);
+  doc.setTextColor(...COLORS.dark);
+  doc.text(report.title, PAGE.margin, 330);
+
+  doc.setFillColor(...COLORS.blue);
+  doc.rect(PAGE.margin, 348, 60, 4, 'F');
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(14);
+  doc.setTextColor(...COLORS.blue);
+  doc.text(doc.splitTextToSize(report.documentName || 'Term sheet', CONTENT_WIDTH), PAGE.margin, 380);
+
+  doc.setFontSize(11);
+  doc.setTextColor(...COLORS.muted);
+  const details = [report.date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })];
+  if (report.stageLabel) details.push(`Benchmarked against ${report.stageLabel} deals`);
+  doc.text(details, PAGE.margin, 420, { lineHeightFactor: 1.6 });
+
+  doc.setFontSize(8);
+  doc.text(
+    doc.splitTextToSize('Generated in the browser from the analysis on screen. Extracted terms and model ratings can be wrong; check them against the document before relying on this report.', CONTENT_WIDTH),
+    PAGE.margin,
+    PAGE.height - PAGE.margin - 12
+  );
+  doc.setFillColor(...COLORS.blue);
+  doc.rect(0, PAGE.height - 10, PAGE.width, 10, 'F');
+};
+
+// Running header and page numbers on every page after the cover
+const decoratePages = (doc, report, firstPage) => {
+  const total = doc.getNumberOfPages();
+  for (let page = firstPage; page <= total; page += 1) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8);
+    doc.setTextColor(...COLORS.green);
+    doc.text('INTREPID VC · TERM SHEET ANALYSIS', PAGE.margin, PAGE.margin);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...COLORS.muted);
+    if (report.documentName) {
+      doc.text(doc.splitTextToSize(report.documentName, CONTENT_WIDTH / 2)[0], PAGE.width - PAGE.margin, PAGE.margin, { align: 'right' });
+    }
+    doc.setDrawColor(...COLORS.gray);
+    doc.line(PAGE.margin, PAGE.margin + 6, PAGE.width - PAGE.margin, PAGE.margin + 6);
+    doc.text(`Page ${page - firstPage + 1} of ${total - firstPage + 1}`, PAGE.width - PAGE.margin, PAGE.height - PAGE.margin / 2, { align: 'right' });
+  }
+};
+
+const SECTION_WRITERS = {
+  summary: (layout, report) => {
+    layout.heading('Executive Summary');
+    const { metrics } = report;
+    if (metrics) {
+      layout.tiles([
+        { label: 'Investment', value: formatMoney(metrics.investment || 0) },
+        { label: 'Investor Share', value: percent(metrics.investorPct || 0) },
+        { label: 'Post-Money', value: formatMoney(metrics.postMoney || 0) },
+        { label: 'Preference', value: `${metrics.liqPrefMultiple || 1}x` }
+      ]);
+    }
+    layout.bullets(executiveSummary(report));
+  },
+
+  terms: (layout, report) => {
+    if (!report.cards?.length) return;
+    layout.heading('Analysis');
+    report.cards.forEach(card => {
+      layout.subheading(card.title, card.impact ? { text: card.impact, color: IMPACT_COLORS[card.impact] || COLORS.muted } : null);
+      layout.keyValues(card.rows);
+      if (card.modelImpact && card.modelImpact !== card.impact) {
+        layout.paragraph(`Model rating: ${card.modelImpact}`, { size: 8, color: COLORS.muted, gap: 2 });
+      }
+      if (card.plainEnglish) layout.paragraph(card.plainEnglish, { size: 9, color: COLORS.muted, gap: 14 });
+    });
+  },
+
+  charts: async (layout, report, charts) => {
+    if (charts.length === 0) return;
+    layout.heading('Charts');
+    for (const { title, svg } of charts) {
+      await layout.chart(title, svg);
+    }
+  },
+
+  scenarios: (layout, report) => {
+    if (!report.scenarios?.length) return;
+    layout.heading('Scenario Comparison');
+    layout.table(
+      [
+        { header: 'Scenario', width: 0.2 },
+        { header: 'Exit Value', width: 0.11, align: 'right' },
+        { header: 'Years', width: 0.08, align: 'right' },
+        { header: 'Term Overrides', width: 0.25 },
+        { header: 'Founder Return', width: 0.13, align: 'right' },
+        { header: 'Founder %', width: 0.11, align: 'right' },
+        { header: 'Investor Multiple', width: 0.12, align: 'right' }
+      ],
+      report.scenarios.map(scenario => ({
+        bold: scenario.active,
+        cells: [
+          scenario.active ? `${scenario.name} (current)` : scenario.name,
+          formatMoney(scenario.exitValue),
+          scenario.years,
+          scenario.overrides || '—',
+          scenario.founderReturn === null ? 'N/A' : formatMoney(scenario.founderReturn),
+          scenario.founderPct === null ? 'N/A' : percent(scenario.founderPct),
+          scenario.investorMultiple === null ? 'N/A' : `${scenario.investorMultiple.toFixed(1)}x`
+        ]
+      }))
+    );
+  },
+
+  gotchas: (layout, report) => {
+    layout.heading('Potential Gotchas');
+    if (!report.gotchas?.length) {
+      layout.paragraph('No gotchas flagged.');
+      return;
+    }
+    report.gotchas.forEach(gotcha => {
+      layout.ensure(30);
+      const top = layout.y;
+      if (gotcha.severity) layout.chip(gotcha.severity, SEVERITY_COLORS[gotcha.severity], PAGE.width - PAGE.margin, top);
+      layout.paragraph(gotcha.title, { style: 'bold', reserve: 60, gap: 0 });
+      layout.paragraph(gotcha.source === 'rule' ? `Rule ${gotcha.id}` : 'AI model', { size: 8, color: COLORS.muted, gap: 2 });
+      if (gotcha.match) layout.paragraph(`"${gotcha.match}"`, { size: 9, style: 'italic', color: COLORS.muted, gap: 2 });
+      layout.y += 8;
+    });
+  },
+
+  costOfCapital: (layout, report) => {
+    const cost = report.costOfCapital;
+    if (!cost) return;
+    layout.heading('True Cost of Capital');
+    layout.tiles([
+      { label: 'Effective APR', value: `${cost.effectiveAPR}%` },
+      { label: 'Break-Even Exit', value: cost.breakEvenExit === null ? 'n/a' : formatMoney(cost.breakEvenExit) },
+      { label: 'True Dilution Cost', value: `${cost.trueDilutionCost}%` }
+    ]);
+    layout.paragraph(cost.explanation);
+  }
+};
+
+// Builds the report with the chosen sections, in REPORT_SECTIONS order.
+// `charts` are { title, svg } for the charts on screen; `logo` is an <svg>
+// element for the cover (see loadReportLogo). Returns the jsPDF document.
+export async function buildPdfReport(report, { sections = REPORT_SECTIONS.map(section => section.id), charts = [], logo = null } = {}) {
+  const [{ jsPDF }] = await Promise.all([import('jspdf'), import('svg2pdf.js')]);
+  const doc = new jsPDF({ unit: 'pt', format: 'letter' });
+  doc.setProperties({ title: `${report.title}${report.documentName ? ` - ${report.documentName}` : ''}`, creator: 'Intrepid VC Term Sheet Analyzer' });
+
+  const content = REPORT_SECTIONS.filter(({ id }) => id !== 'cover' && sections.includes(id));
+  if (sections.includes('cover')) {
+    await drawCover(doc, report, logo);
+    if (content.length === 0) return doc;
+    doc.addPage();
+  }
+
+  const firstContentPage = doc.getNumberOfPages();
+  const layout = createLayout(doc);
+  for (const { id } of content) {
+    await SECTION_WRITERS[id](layout, report, charts);
+  }
+
+  decoratePages(doc, report, firstContentPage);
+  return doc;
+}
@@ -0,0 +1,53 @@
+import { buildPdfReport, executiveSummary } from './pdfReport';
+
+const report = {
+  title: 'Term Sheet Analysis',
+  documentName: 'Acme Series A.pdf',
+  date: new Date('2026-10-19T12:00:00Z'),
+  stageLabel: 'Series A',
+  metrics: { investment: 10000000, investorPct: 20, postMoney: 50000000, liqPrefMultiple: 1, preferenceType: 'participating' },
+  exit: { value: 200000000, years: 5, founderReturn: 120000000, founderPct: 60, investorMultiple: 4.2 },
+  cards: [
+    { title: 'Investment Terms', impact: 'positive', rows: [{ label: 'Pre-Money Valuation', value: '$40.0M' }], plainEnglish: 'A fair price.' },
+    { title: 'Liquidation Terms', impact: 'negative', modelImpact: 'neutral', rows: [{ label: 'Preference Type', value: 'participating', note: 'Aggressive · 95th percentile' }] }
+  ],
+  scenarios: [{ name: 'Base Case', exitValue: 200000000, years: 5, overrides: '', founderReturn: 120000000, founderPct: 60, investorMultiple: 4.2, active: true }],
+  gotchas: [{ source: 'rule', id: 'uncapped-participation', severity: 'high', title: 'Uncapped participation', match: 'participate with the Common' }],
+  costOfCapital: { effectiveAPR: '12.50', breakEvenExit: 10000000, trueDilutionCost: '85.00', explanation: 'With 1x liquidation preference...' }
+};
+
+// jsPDF writes text uncompressed by default, so shown strings appear as-is
+const pdfText = (doc) => doc.output();
+
+test('the executive summary reads off the report model', () => {
+  expect(executiveSummary(report)).toEqual([
+    '$10.0M investment for 20.0% at a $50.0M post-money valuation.',
+    '1x participating liquidation preference.',
+    'At a $200.0M exit in 5 years, founders receive $120.0M (60.0%) and investors return 4.2x.',
+    'Terms to negotiate: Liquidation Terms.',
+    '1 potential gotcha flagged, 1 high severity.',
+    'Effective cost of capital is 12.50% APR; founders profit above a $10.0M exit.'
+  ]);
+  expect(executiveSummary({ gotchas: [] })).toEqual(['No gotchas flagged.']);
+});
+
+test('all sections by default, with the cover first', async () => {
+  const text = pdfText(await buildPdfReport(report));
+
+  ['(Executive Summary)', '(Analysis)', '(Scenario Comparison)', '(Potential Gotchas)', '(True Cost of Capital)', '(Acme Series A.pdf)']
+    .forEach(fragment => expect(text).toContain(fragment));
+  expect(text.indexOf('(Term Sheet Analysis)')).toBeLessThan(text.indexOf('(Executive Summary)'));
+  expect(text).toContain('(Rule uncapped-participation)');
+});
+
+test('only the chosen sections are included', async () => {
+  const doc = await buildPdfReport(report, { sections: ['scenarios', 'gotchas'] });
+  const text = pdfText(doc);
+
+  expect(doc.getNumberOfPages()).toBe(1);
+  expect(text).toContain('(Scenario Comparison)');
+  expect(text).toContain('(Base Case \\(current\\))');
+  expect(text).not.toContain('(Executive Summary)');
+  expect(text).not.toContain('(True Cost of Capital)');
+  expect(text).toContain('(Page 1 of 1)');
+});
@@ -0,0 +1,32 @@
+// Option pool shuffle: the same round priced with the pool top-up in the
+// pre-money (new shares issued before the price is set, so only existing
+// holders are diluted) and in the post-money (new investors share the
+// dilution). The headline pre-money is the same in both; the pre-money
+// structure quietly lowers what the existing shares are actually worth.
+
+import { computeProForma } from './capTable';
+
+const withStructure = (capTable, poolExpandsPre) =>
+  computeProForma({ ...capTable, round: { ...capTable.round, poolExpandsPre } });
+
+export function comparePoolStructures(capTable) {
+  const preMoneyPool = withStructure(capTable, true);
+  const postMoneyPool = withStructure(capTable, false);
+  if (!preMoneyPool || !postMoneyPool) return null;
+
+  const existingHolders = (proForma) =>
+    proForma.ownership.founders + proForma.ownership.employees + proForma.ownership.existingPreferred;
+
+  return {
+    headlinePreMoney: capTable.round.preMoney,
+    preMoneyPool,
+    postMoneyPool,
+    // Value of the pre-money top-up at the round price, which comes out of
+    // the existing holders' valuation
+    valuationShortfall: capTable.round.preMoney - preMoneyPool.effectivePreMoney,
+    // Ownership points founders give up with a pre-money pool compared with
+    // a post-money pool of the same target size
+    extraFounderDilution: postMoneyPool.ownership.founders - preMoneyPool.ownership.founders,
+    extraExistingHolderDilution: existingHolders(postMoneyPool) - existingHolders(preMoneyPool)
+  };
+}
@@ -0,0 +1,25 @@
+import { comparePoolStructures } from './poolShuffle';
+import { createHolder } from './capTable';
+
+const capTable = (targetPoolPct, pool = 0) => ({
+  holders: [createHolder('founder', { shares: 8000000 - pool }), createHolder('pool', { shares: pool })],
+  round: { preMoney: 8000000, investment: 2000000, targetPoolPct, poolExpandsPre: true, seniority: 'senior' }
+});
+
+test('a pre-money pool lowers the effective pre-money by the value of the top-up', () => {
+  const result = comparePoolStructures(capTable(10));
+
+  expect(result.headlinePreMoney).toBe(8000000);
+  expect(result.preMoneyPool.effectivePreMoney).toBeCloseTo(7000000);
+  expect(result.postMoneyPool.effectivePreMoney).toBeCloseTo(8000000);
+  expect(result.valuationShortfall).toBeCloseTo(1000000);
+  // Founders hold 70% with a pre-money pool and 72% with a post-money pool
+  expect(result.extraFounderDilution).toBeCloseTo(2);
+});
+
+test('both structures match when no top-up is needed', () => {
+  const result = comparePoolStructures(capTable(10, 1000000));
+
+  expect(result.valuationShortfall).toBeCloseTo(0);
+  expect(result.extraFounderDilution).toBeCloseTo(0);
+});
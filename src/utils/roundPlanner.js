@@ -0,0 +1,130 @@
+// Projects the pro forma cap table through hypothetical later rounds. Each
+// future round is { id, name, investment, preMoney, targetPoolPct,
+// preferenceMultiple, participation, seniority } where targetPoolPct is the
+// refreshed unallocated pool as a percentage of that round's post-money
+// (topped up in the pre-money) and seniority is 'senior' (stacked on top of
+// the earlier series) or 'pari-passu' (shares the top rank).
+//
+// The rounds are carried through computeProForma() one at a time, with the
+// earlier series held as existing preferred, and every stage is run through
+// the waterfall at the same exit. This round's series carries the dividends
+// it has accrued by the exit, as in the main calculator.
+
+import { computeProForma, toWaterfallCapTable, NEW_ROUND_ID } from './capTable';
+import { computeWaterfall } from './waterfall';
+import { applyDividendsToSeries } from './dividends';
+
+const COMMON_KINDS = ['founder', 'employee', 'options', 'pool'];
+
+let nextId = 1;
+// Next round sized off the previous post-money: a 2.5x step-up selling
+// 20% of the company
+export const createFutureRound = (previousPostMoney, index) => {
+  const preMoney = Math.round(previousPostMoney * 2.5);
+  return {
+    id: `round-${nextId++}`,
+    name: `Series ${String.fromCharCode(66 + index)}`,
+    investment: Math.round(preMoney / 4),
+    preMoney,
+    targetPoolPct: 10,
+    preferenceMultiple: 1,
+    participation: 'non-participating',
+    seniority: 'senior'
+  };
+};
+
+// Preference plus accrued cash dividends, as the waterfall pays it
+const preferenceOwed = (series) => series.investment * (series.preferenceMultiple ?? 1) + (series.accruedDividends || 0);
+
+// Summary of one stage: ownership by holder kind and the exit payout
+const summarizeStage = (stage, { name, investment, proForma, waterfallTable, kinds }, exitValue) => {
+  const totalShares = waterfallTable.common.reduce((sum, c) => sum + c.shares, 0) +
+    waterfallTable.series.reduce((sum, s) => sum + s.shares, 0);
+  const sharesOf = (kindList) => waterfallTable.common
+    .filter(c => kindList.includes(kinds[c.name]))
+    .reduce((sum, c) => sum + c.shares, 0);
+
+  const waterfall = exitValue > 0 ? computeWaterfall(waterfallTable, exitValue) : null;
+  const payoutTo = (kindList) => (waterfall
+    ? waterfall.classes.filter(c => kindList.includes(kinds[c.name] || 'investor')).reduce((sum, c) => sum + c.total, 0)
+    : 0);
+
+  return {
+    stage,
+    name,
+    investment,
+    pricePerShare: proForma.pricePerShare,
+    postMoney: proForma.postMoney,
+    poolTopUp: proForma.poolTopUp,
+    founderPct: (sharesOf(['founder']) / totalShares) * 100,
+    commonPct: (sharesOf(COMMON_KINDS) / totalShares) * 100,
+    investorPct: (waterfallTable.series.reduce((sum, s) => sum + s.shares, 0) / totalShares) * 100,
+    // Preferences owed ahead of common, most senior first
+    preferenceStack: [...waterfallTable.series]
+      .sort((a, b) => a.seniority - b.seniority)
+      .map(s => ({ name: s.label, seniority: s.seniority, amount: preferenceOwed(s) })),
+    totalPreference: waterfallTable.series.reduce((sum, s) => sum + preferenceOwed(s), 0),
+    founderProceeds: payoutTo(['founder']),
+    commonProceeds: payoutTo(COMMON_KINDS),
+    investorProceeds: payoutTo(['investor'])
+  };
+};
+
+// `terms` are this round's preference terms; `currentRoundName` labels it
+// and `dividendAccrual` (from accrueDividends) is what it accrues by the exit
+export function projectRounds(capTable, terms, futureRounds, exitValue, { currentRoundName = 'This Round', dividendAccrual = null } = {}) {
+  const proForma = computeProForma(capTable);
+  if (!proForma) return [];
+
+  const kinds = Object.fromEntries(proForma.rows.filter(row => COMMON_KINDS.includes(row.kind)).map(row => [row.id, row.kind]));
+  const table = toWaterfallCapTable(proForma, capTable, terms);
+  const labels = Object.fromEntries(proForma.rows.map(row => [row.id, row.name]));
+  let waterfallTable = {
+    common: table.common,
+    series: table.series.map(s => (s.name === NEW_ROUND_ID
+      ? { ...(dividendAccrual ? applyDividendsToSeries(s, dividendAccrual) : s), label: currentRoundName }
+      : { ...s, label: labels[s.name] }))
+  };
+
+  const stages = [summarizeStage(0, { name: currentRoundName, investment: capTable.round.investment, proForma, waterfallTable, kinds }, exitValue)];
+
+  for (const round of futureRounds) {
+    if (!(round.preMoney > 0) || !(round.investment > 0)) continue;
+
+    // Everything issued so far becomes the pre-round capitalization
+    const next = computeProForma({
+      holders: [
+        ...waterfallTable.common.map(c => ({ id: c.name, name: c.name, kind: kinds[c.name], shares: c.shares })),
+        ...waterfallTable.series.map(s => ({ id: s.name, name: s.label, kind: 'preferred', shares: s.shares, investment: s.investment }))
+      ],
+      round: { preMoney: round.preMoney, investment: round.investment, targetPoolPct: round.targetPoolPct, poolExpandsPre: true }
+    });
+    if (!next) continue;
+
+    next.rows.filter(row => row.kind === 'pool' && !kinds[row.id]).forEach(row => { kinds[row.id] = 'pool'; });
+    const topRank = Math.min(...waterfallTable.series.map(s => s.seniority));
+    const series = round.seniority === 'pari-passu'
+      ? waterfallTable.series
+      : waterfallTable.series.map(s => ({ ...s, seniority: s.seniority + 1 }));
+
+    waterfallTable = {
+      common: next.rows.filter(row => COMMON_KINDS.includes(row.kind)).map(row => ({ name: row.id, shares: row.sharesAfter })),
+      series: [
+        {
+          name: round.id,
+          label: round.name,
+          shares: next.newRoundShares,
+          investment: round.investment,
+          preferenceMultiple: round.preferenceMultiple ?? 1,
+          participation: round.participation || 'non-participating',
+          participationCap: round.participationCap,
+          seniority: round.seniority === 'pari-passu' ? topRank : 1
+        },
+        ...series
+      ]
+    };
+    stages.push(summarizeStage(stages.length, { name: round.name, investment: round.investment, proForma: next, waterfallTable, kinds }, exitValue));
+  }
+
+  return stages;
+}
@@ -0,0 +1,49 @@
+import { projectRounds } from './roundPlanner';
+import { createHolder } from './capTable';
+import { accrueDividends } from './dividends';
+
+// $1.00 round: founders 8M shares, new round 2M shares for $2M
+const capTable = {
+  holders: [createHolder('founder', { shares: 8000000 })],
+  round: { preMoney: 8000000, investment: 2000000, targetPoolPct: 0, poolExpandsPre: true, seniority: 'senior' }
+};
+const terms = { preferenceMultiple: 1, participation: 'non-participating' };
+const seriesB = { id: 'b', name: 'Series B', preMoney: 20000000, investment: 5000000, targetPoolPct: 0, preferenceMultiple: 1, seniority: 'senior' };
+
+test('carries ownership and stacked preferences through each round', () => {
+  const [seed, b] = projectRounds(capTable, terms, [seriesB], 20000000, { currentRoundName: 'Series A' });
+
+  expect(seed.founderPct).toBeCloseTo(80);
+  expect(b.pricePerShare).toBeCloseTo(2);
+  expect(b.founderPct).toBeCloseTo(64);
+  expect(b.totalPreference).toBeCloseTo(7000000);
+  expect(b.preferenceStack.map(p => p.name)).toEqual(['Series B', 'Series A']);
+
+  // B takes its $5M preference over 20% of $20M; A converts alongside common
+  expect(b.investorProceeds).toBeCloseTo(8000000);
+  expect(b.founderProceeds).toBeCloseTo(12000000);
+});
+
+test('a pool refresh is topped up in each round pre-money', () => {
+  const [, b] = projectRounds(capTable, terms, [{ ...seriesB, targetPoolPct: 10 }], 0);
+
+  expect(b.poolTopUp).toBeGreaterThan(0);
+  expect(b.commonPct - b.founderPct).toBeCloseTo(10);
+  expect(b.founderProceeds).toBe(0);
+});
+
+test('pari passu rounds share the senior rank', () => {
+  const [, b] = projectRounds(capTable, terms, [{ ...seriesB, seniority: 'pari-passu' }], 20000000);
+
+  expect(b.preferenceStack.every(p => p.seniority === 1)).toBe(true);
+});
+
+test('this round carries its accrued dividends into every stage', () => {
+  const accrual = accrueDividends(2000000, { ratePct: 8, cumulative: true, compounding: 'simple', payableIn: 'cash' }, 5);
+  const [seed, b] = projectRounds(capTable, terms, [seriesB], 2500000, { dividendAccrual: accrual });
+
+  expect(accrual.cashDividends).toBeCloseTo(800000);
+  expect(seed.totalPreference).toBeCloseTo(2800000);
+  expect(seed.investorProceeds).toBeCloseTo(2500000);
+  expect(b.preferenceStack.find(p => p.name === 'This Round').amount).toBeCloseTo(2800000);
+});
@@ -0,0 +1,149 @@
+// Exit scenarios: { id, name, exitValuation, yearsToExit, overrides, active }
+// where overrides maps a term path (see SCENARIO_TERMS) to the value used in
+// place of the extracted term. Scenarios are saved in localStorage under a
+// key derived from the analysed terms, so re-opening the same deal brings
+// back its scenarios.
+
+import { setPath, valueAt } from './paths';
+
+const STORAGE_PREFIX = 'intrepid.scenarios.';
+
+export const DEFAULT_SCENARIOS = [
+  { id: 1, name: 'Conservative', exitValuation: 50000000, yearsToExit: 3, overrides: {}, active: false },
+  { id: 2, name: 'Base Case', exitValuation: 100000000, yearsToExit: 5, overrides: {}, active: true },
+  { id: 3, name: 'Optimistic', exitValuation: 250000000, yearsToExit: 5, overrides: {}, active: false }
+];
+
+// Terms a scenario can override
+export const SCENARIO_TERMS = {
+  'liquidation.liqPrefMultiple': { label: 'Preference multiple (x)', type: 'number', min: 0 },
+  'liquidation.type': {
+    label: 'Participation',
+    type: 'select',
+    options: {
+      'non-participating': 'Non-participating',
+      participating: 'Participating',
+      'capped-participating': 'Capped participating'
+    }
+  },
+  'liquidation.participationCapMultiple': { label: 'Participation cap (x)', type: 'number', min: 0 },
+  'liquidation.dividends.ratePct': { label: 'Dividend rate (%)', type: 'number', min: 0 },
+  'investmentTerms.preMoney': { label: 'Pre-money ($)', type: 'number', min: 0 },
+  'investmentTerms.investment': { label: 'Investment ($)', type: 'number', min: 0 },
+  'investmentTerms.optionPoolPct': { label: 'Option pool (% post)', type: 'number', min: 0 }
+};
+
+// "Label: value; ..." summary of a scenario's overrides, empty when none
+export const describeOverrides = (overrides) => Object.entries(overrides || {})
+  .map(([path, value]) => `${SCENARIO_TERMS[path].label}: ${SCENARIO_TERMS[path].options?.[value] ?? value}`)
+  .join('; ');
+
+// Known paths with values of the right type; anything else is dropped
+export function cleanScenarioOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object') return {};
+  const clean = {};
+  Object.entries(overrides).forEach(([path, value]) => {
+    const term = SCENARIO_TERMS[path];
+    if (!term) return;
+    if (term.type === 'select' ? term.options[value] : typeof value === 'number' && Number.isFinite(value) && value >= term.min) {
+      clean[path] = value;
+    }
+  });
+  return clean;
+}
+
+// Copies of the analysis and the cap table with `overrides` applied. Round
+// terms are carried into the cap table so the pro forma reprices.
+export function applyScenarioOverrides(analysis, capTable, overrides = {}) {
+  const entries = Object.entries(overrides);
+  if (entries.length === 0) return { analysis, capTable };
+
+  const scenarioAnalysis = entries.reduce((result, [path, value]) => setPath(result, path, value), analysis);
+  if (!capTable) return { analysis: scenarioAnalysis, capTable };
+
+  return {
+    analysis: scenarioAnalysis,
+    capTable: {
+      ...capTable,
+      round: {
+        ...capTable.round,
+        preMoney: overrides['investmentTerms.preMoney'] ?? capTable.round.preMoney,
+        investment: overrides['investmentTerms.investment'] ?? capTable.round.investment,
+        targetPoolPct: overrides['investmentTerms.optionPoolPct'] ?? capTable.round.targetPoolPct
+      }
+    }
+  };
+}
+
+// Lowest exit value ($) and years a scenario can hold; the waterfall divides
+// by the exit and the cost of capital by the years
+export const MIN_EXIT_VALUATION = 1000000;
+export const MIN_YEARS_TO_EXIT = 1;
+
+// `fields` ({ exitValuation, yearsToExit }, either optional) with blank,
+// zero or negative entries raised to the minimum
+export const cleanExitFields = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => {
+  const min = key === 'exitValuation' ? MIN_EXIT_VALUATION : MIN_YEARS_TO_EXIT;
+  return [key, Number.isFinite(value) && value >= min ? value : min];
+}));
+
+let nextId = Date.now();
+export const createScenario = (fields = {}) => ({
+  id: nextId++,
+  name: 'New Scenario',
+  exitValuation: 100000000,
+  yearsToExit: 5,
+  overrides: {},
+  active: false,
+  ...fields
+});
+
+export const duplicateScenario = ({ id, ...scenario }) =>
+  createScenario({ ...scenario, name: `${scenario.name} (copy)`, overrides: { ...scenario.overrides }, active: false });
+
+// Short stable hash of the terms that identify a deal
+export function analysisStorageKey(analysis) {
+  const inv = analysis?.investmentTerms || {};
+  const liq = analysis?.liquidation || {};
+  const identity = JSON.stringify([
+    analysis?.documentType, inv.preMoney, inv.postMoney, inv.investment, inv.valuationCap, inv.discount,
+    liq.liqPrefMultiple, liq.type, liq.participationCapMultiple
+  ]);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < identity.length; i++) {
+    hash ^= identity.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+export function loadScenarios(key) {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + key) || 'null');
+    const scenarios = (Array.isArray(stored) ? stored : [])
+      .filter(s => s && Number.isFinite(s.exitValuation) && Number.isFinite(s.yearsToExit))
+      .map(s => ({ ...createScenario(s), overrides: cleanScenarioOverrides(s.overrides) }));
+    return scenarios.length > 0 ? scenarios : DEFAULT_SCENARIOS;
+  } catch (error) {
+    console.error('Ignoring unreadable saved scenarios:', error);
+    return DEFAULT_SCENARIOS;
+  }
+}
+
+export function saveScenarios(key, scenarios) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(scenarios));
+  } catch (error) {
+    // Storage full or disabled; scenarios still work for this session
+    console.error('Could not save scenarios:', error);
+  }
+}
+
+// The analysis value of an overridable term, as the starting point for a
+// new override
+export function extractedTermValue(analysis, path) {
+  const term = SCENARIO_TERMS[path];
+  const value = valueAt(analysis, path);
+  if (term.type === 'select') return term.options[value] ? value : Object.keys(term.options)[0];
+  return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+}
@@ -0,0 +1,58 @@
+import {
+  DEFAULT_SCENARIOS, MIN_EXIT_VALUATION, analysisStorageKey, applyScenarioOverrides, cleanExitFields,
+  cleanScenarioOverrides, createScenario, duplicateScenario, loadScenarios, saveScenarios
+} from './scenarios';
+
+const analysis = {
+  documentType: 'term_sheet',
+  investmentTerms: { preMoney: 8000000, investment: 2000000 },
+  liquidation: { liqPrefMultiple: 1, type: 'non-participating', dividends: null }
+};
+const capTable = { holders: [], round: { preMoney: 8000000, investment: 2000000, targetPoolPct: 10 } };
+
+beforeEach(() => window.localStorage.clear());
+
+test('applies overrides to copies of the analysis and the cap table round', () => {
+  const result = applyScenarioOverrides(analysis, capTable, {
+    'liquidation.liqPrefMultiple': 2,
+    'liquidation.dividends.ratePct': 8,
+    'investmentTerms.preMoney': 12000000
+  });
+
+  expect(result.analysis.liquidation.liqPrefMultiple).toBe(2);
+  expect(result.analysis.liquidation.dividends.ratePct).toBe(8);
+  expect(result.capTable.round.preMoney).toBe(12000000);
+  expect(result.capTable.round.targetPoolPct).toBe(10);
+  expect(analysis.liquidation.liqPrefMultiple).toBe(1);
+  expect(applyScenarioOverrides(analysis, capTable, {}).analysis).toBe(analysis);
+});
+
+test('drops unknown paths and invalid values', () => {
+  expect(cleanScenarioOverrides({
+    'liquidation.type': 'participating',
+    'liquidation.liqPrefMultiple': -1,
+    'investmentTerms.investment': '5M',
+    'gotchas': ['x']
+  })).toEqual({ 'liquidation.type': 'participating' });
+});
+
+test('saves scenarios per analysis and falls back to the defaults', () => {
+  const key = analysisStorageKey(analysis);
+  const fireSale = createScenario({ name: 'Fire sale', exitValuation: 5000000, overrides: { 'liquidation.liqPrefMultiple': 1.5 } });
+  saveScenarios(key, [fireSale, duplicateScenario(fireSale)]);
+
+  const loaded = loadScenarios(key);
+  expect(loaded.map(s => s.name)).toEqual(['Fire sale', 'Fire sale (copy)']);
+  expect(loaded[1].id).not.toBe(fireSale.id);
+  expect(loaded[1].overrides).toEqual({ 'liquidation.liqPrefMultiple': 1.5 });
+
+  const otherDeal = analysisStorageKey({ ...analysis, investmentTerms: { preMoney: 9000000, investment: 2000000 } });
+  expect(otherDeal).not.toBe(key);
+  expect(loadScenarios(otherDeal)).toBe(DEFAULT_SCENARIOS);
+});
+
+test('exit values and years are kept positive', () => {
+  expect(cleanExitFields({ exitValuation: 0, yearsToExit: NaN })).toEqual({ exitValuation: MIN_EXIT_VALUATION, yearsToExit: 1 });
+  expect(cleanExitFields({ yearsToExit: -2 })).toEqual({ yearsToExit: 1 });
+  expect(cleanExitFields({ exitValuation: 25000000, yearsToExit: 2.5 })).toEqual({ exitValuation: 25000000, yearsToExit: 2.5 });
+});
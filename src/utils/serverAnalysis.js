@@ -0,0 +1,92 @@
+// Client for the /api/analyze route. The server holds the model API key and
+// does extraction, prompting and parsing, so only the files leave the browser.
+// Long documents go back as one request per part, so progress shows per part
+// and no single request runs into the function's time limit.
+
+import { runChunkedAnalysis } from './chunkedAnalysis';
+
+// Vercel caps request bodies at 4.5MB; base64 adds a third on top of the raw bytes
+export const ANALYZE_LIMITS = {
+  maxFiles: 5,
+  maxTotalBytes: 3 * 1024 * 1024,
+  // Parts in flight at once
+  concurrency: 3
+};
+
+const toBase64 = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+
+const postAnalyze = async (baseUrl, payload) => {
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (error) {
+    // Non-JSON bodies come from the platform (e.g. gateway timeouts)
+  }
+
+  if (!response.ok) {
+    if (response.status === 413) {
+      throw new Error(data?.error || 'Documents are too large for the analysis server.');
+    }
+    if (response.status === 504) {
+      throw new Error('Analysis timeout on the server. Try uploading a smaller document.');
+    }
+    throw new Error(data?.error || `Analysis failed: ${response.statusText || response.status}`);
+  }
+  return data;
+};
+
+// Resolves to { analysis, documentContent } where documentContent is the
+// text the server extracted, used to show cited passages. `onProgress`
+// receives the per-part status list; `retry(fn)` wraps each request.
+export async function analyzeOnServer(files, baseUrl = '/api', { onProgress, retry = (fn) => fn() } = {}) {
+  if (files.length > ANALYZE_LIMITS.maxFiles) {
+    throw new Error(`Please upload at most ${ANALYZE_LIMITS.maxFiles} files at a time.`);
+  }
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  if (totalBytes > ANALYZE_LIMITS.maxTotalBytes) {
+    throw new Error(`Documents are too large. The combined upload limit is ${ANALYZE_LIMITS.maxTotalBytes / 1024 / 1024}MB.`);
+  }
+
+  const payload = {
+    files: await Promise.all(files.map(async file => ({
+      name: file.name,
+      type: file.type,
+      data: await toBase64(file)
+    })))
+  };
+  const extracted = await retry(() => postAnalyze(baseUrl, payload));
+  if (typeof extracted?.documentContent !== 'string' || !(extracted.maxInputChars > 0) || !Array.isArray(extracted.partTokens)) {
+    throw new Error('Failed to read the documents on the server');
+  }
+  // Parts are split here exactly as the server split them to sign them
+  const { documentContent, maxInputChars, partTokens } = extracted;
+
+  const analysis = await runChunkedAnalysis({
+    documentContent,
+    maxChars: maxInputChars,
+    onProgress,
+    concurrency: ANALYZE_LIMITS.concurrency,
+    analyzePart: async (chunk, total) => {
+      const data = await retry(() => postAnalyze(baseUrl, { part: { index: chunk.index, text: chunk.text }, total, token: partTokens[chunk.index] }));
+      if (!data?.analysis) {
+        throw new Error('Failed to parse analysis results');
+      }
+      return { analysis: data.analysis, report: data.report || [] };
+    }
+  });
+  return { analysis, documentContent };
+}
@@ -0,0 +1,234 @@
+// Share links carry a trimmed-down copy of an analysis in the ?data= query
+// parameter. Only the numbers needed to rebuild the calculator are included;
+// narrative sections (gotchas, governance, founder terms) never leave the browser.
+
+import { cleanScenarioOverrides } from './scenarios';
+
+export const SHARE_VERSION = 1;
+
+// Keep links well under the practical URL limits of browsers and chat apps
+const MAX_ENCODED_LENGTH = 8000;
+const MAX_SCENARIOS = 50;
+
+// Sections of a full analysis that are deliberately left out of share links
+export const OMITTED_SECTIONS = [
+  { key: 'controlGovernance', label: 'Control & governance terms' },
+  { key: 'founderTerms', label: 'Founder terms (vesting, anti-dilution, pro rata)' },
+  { key: 'gotchas', label: 'Potential gotchas' },
+  { key: 'confidence', label: 'Analysis confidence and warnings' },
+  { key: 'costOfCapital', label: "Model's cost of capital notes" },
+  { key: 'rawTerms', label: 'Other raw terms' }
+];
+
+const INVESTMENT_NUMBER_FIELDS = [
+  'preMoney', 'postMoney', 'investment', 'valuationCap', 'discount', 'statedOwnershipPct', 'optionPoolPct'
+];
+
+const LIQUIDATION_TYPES = ['non-participating', 'participating', 'capped-participating', 'none'];
+
+// UTF-8 safe, URL-safe base64
+const toBase64Url = (text) => {
+  const binary = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  // URLSearchParams turns '+' from legacy links into spaces
+  let base64 = encoded.trim().replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/');
+  while (base64.length % 4) base64 += '=';
+  const binary = atob(base64);
+  const escaped = Array.from(binary, char => '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+  return decodeURIComponent(escaped);
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const cleanNumber = (value, field) => {
+  if (value === null || value === undefined) return null;
+  if (!isFiniteNumber(value)) throw new Error(`Invalid value for ${field}`);
+  return value;
+};
+
+const cleanText = (value, maxLength = 2000) =>
+  typeof value === 'string' ? value.slice(0, maxLength) : null;
+
+const validateInvestmentTerms = (terms) => {
+  if (!terms || typeof terms !== 'object' || Array.isArray(terms)) {
+    throw new Error('Shared link is missing investment terms');
+  }
+
+  const clean = {};
+  INVESTMENT_NUMBER_FIELDS.forEach(field => {
+    clean[field] = cleanNumber(terms[field], field);
+  });
+  clean.poolExpandsPre = typeof terms.poolExpandsPre === 'boolean' ? terms.poolExpandsPre : null;
+  clean.plainEnglish = cleanText(terms.plainEnglish);
+  clean.founderImpact = cleanText(terms.founderImpact, 20);
+  clean.whyItMatters = cleanText(terms.whyItMatters);
+
+  if (!clean.investment || clean.investment <= 0) {
+    throw new Error('Shared link has no investment amount');
+  }
+  return clean;
+};
+
+const validateLiquidation = (liquidation) => {
+  if (!liquidation || typeof liquidation !== 'object') return null;
+
+  const type = LIQUIDATION_TYPES.includes(liquidation.type) ? liquidation.type : 'non-participating';
+  const dividends = liquidation.dividends && typeof liquidation.dividends === 'object'
+    ? {
+        ratePct: cleanNumber(liquidation.dividends.ratePct, 'dividends.ratePct'),
+        compounding: ['simple', 'compound', 'none'].includes(liquidation.dividends.compounding)
+          ? liquidation.dividends.compounding
+          : 'none',
+        frequency: liquidation.dividends.frequency === 'quarterly' ? 'quarterly' : 'annual',
+        cumulative: typeof liquidation.dividends.cumulative === 'boolean' ? liquidation.dividends.cumulative : null,
+        payableIn: liquidation.dividends.payableIn === 'shares' ? 'shares' : 'cash'
+      }
+    : null;
+
+  return {
+    liqPrefMultiple: cleanNumber(liquidation.liqPrefMultiple, 'liqPrefMultiple'),
+    type,
+    participationCapMultiple: cleanNumber(liquidation.participationCapMultiple, 'participationCapMultiple'),
+    dividends,
+    plainEnglish: cleanText(liquidation.plainEnglish),
+    founderImpact: cleanText(liquidation.founderImpact, 20),
+    whyItMatters: cleanText(liquidation.whyItMatters)
+  };
+};
+
+const validateScenarios = (scenarios) => {
+  if (!Array.isArray(scenarios)) return [];
+
+  return scenarios.slice(0, MAX_SCENARIOS)
+    .filter(s => s && isFiniteNumber(s.exitValuation) && s.exitValuation > 0 && isFiniteNumber(s.yearsToExit) && s.yearsToExit > 0)
+    .map((s, index) => ({
+      id: isFiniteNumber(s.id) ? s.id : index + 1,
+      name: cleanText(s.name, 80) || `Scenario ${index + 1}`,
+      exitValuation: s.exitValuation,
+      yearsToExit: s.yearsToExit,
+      overrides: cleanScenarioOverrides(s.overrides),
+      active: s.active === true
+    }));
+};
+
+const validateExitScenario = (exitScenario) => {
+  if (!exitScenario || !isFiniteNumber(exitScenario.exitValuation) || !isFiniteNumber(exitScenario.yearsToExit)) {
+    return null;
+  }
+  if (exitScenario.exitValuation <= 0 || exitScenario.yearsToExit <= 0) return null;
+  return { exitValuation: exitScenario.exitValuation, yearsToExit: exitScenario.yearsToExit };
+};
+
+const NARRATIVE_FIELDS = ['plainEnglish', 'founderImpact', 'whyItMatters'];
+
+const pick = (source, fields) => Object.fromEntries(fields.filter(field => source?.[field] !== undefined).map(field => [field, source[field]]));
+
+// What is dropped, in order, when a link comes out longer than
+// MAX_ENCODED_LENGTH
+const TRIM_STEPS = [
+  {
+    label: 'Plain-English explanations',
+    apply: (data) => ({
+      ...data,
+      analysis: pick(data.analysis, [...INVESTMENT_NUMBER_FIELDS, 'poolExpandsPre']),
+      liquidation: data.liquidation && pick(data.liquidation, ['liqPrefMultiple', 'type', 'participationCapMultiple', 'dividends'])
+    })
+  },
+  {
+    label: 'Scenarios other than the active one',
+    apply: (data) => ({ ...data, scenarios: data.scenarios.filter(s => s.active).slice(0, 1) })
+  }
+];
+
+// Returns { url, trimmed } where `trimmed` labels what was left out to keep
+// the link short enough to open. Throws with a user-facing message when even
+// the trimmed link is too long.
+export function buildShareUrl(analysis, scenarios, exitScenario, baseUrl) {
+  let shareData = {
+    v: SHARE_VERSION,
+    documentType: analysis.documentType || null,
+    analysis: pick(analysis.investmentTerms, [...INVESTMENT_NUMBER_FIELDS, 'poolExpandsPre', ...NARRATIVE_FIELDS]),
+    liquidation: analysis.liquidation
+      ? pick(analysis.liquidation, ['liqPrefMultiple', 'type', 'participationCapMultiple', 'dividends', ...NARRATIVE_FIELDS])
+      : null,
+    scenarios: (scenarios || []).slice(0, MAX_SCENARIOS),
+    exitScenario
+  };
+
+  const trimmed = [];
+  let encoded = toBase64Url(JSON.stringify(shareData));
+  for (const step of TRIM_STEPS) {
+    if (encoded.length <= MAX_ENCODED_LENGTH) break;
+    shareData = step.apply(shareData);
+    encoded = toBase64Url(JSON.stringify(shareData));
+    trimmed.push(step.label);
+  }
+  if (encoded.length > MAX_ENCODED_LENGTH) {
+    throw new Error('This analysis is too large to share as a link. Export a PDF report instead.');
+  }
+
+  return { url: `${baseUrl}?data=${encoded}`, trimmed };
+}
+
+// Decodes and validates a ?data= payload. Throws with a user-facing message
+// when the link is malformed.
+export function decodeShareData(encoded) {
+  if (!encoded) throw new Error('Shared link is empty');
+  if (encoded.length > MAX_ENCODED_LENGTH) throw new Error('Shared link is too long');
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encoded));
+  } catch (error) {
+    throw new Error('Shared link is corrupted and could not be decoded');
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Shared link is corrupted and could not be decoded');
+  }
+  if (payload.v && payload.v > SHARE_VERSION) {
+    throw new Error('Shared link was created by a newer version of Intrepid');
+  }
+
+  const investmentTerms = validateInvestmentTerms(payload.analysis);
+  const sharedLiquidation = validateLiquidation(payload.liquidation);
+
+  // Links created before liquidation terms were shared only carry investment terms
+  const liquidation = sharedLiquidation || {
+    liqPrefMultiple: 1,
+    type: 'non-participating',
+    participationCapMultiple: null,
+    dividends: null,
+    plainEnglish: 'Liquidation terms were not included in this link; a standard 1x non-participating preference is assumed.',
+    founderImpact: null,
+    whyItMatters: null
+  };
+
+  const scenarios = validateScenarios(payload.scenarios);
+  const exitScenario = validateExitScenario(payload.exitScenario);
+
+  return {
+    analysis: {
+      documentType: cleanText(payload.documentType, 40),
+      investmentTerms,
+      liquidation
+    },
+    scenarios,
+    exitScenario,
+    omitted: [
+      ...(sharedLiquidation ? [] : [{ key: 'liquidation', label: 'Liquidation terms (1x non-participating assumed)' }]),
+      ...OMITTED_SECTIONS
+    ]
+  };
+}
+
+// Reads the ?data= parameter from a location search string. Returns null when
+// the page was not opened from a share link.
+export function readSharedAnalysis(search) {
+  const params = new URLSearchParams(search);
+  if (!params.has('data')) return null;
+  return decodeShareData(params.get('data'));
+}
@@ -0,0 +1,53 @@
+import { buildShareUrl, decodeShareData, readSharedAnalysis } from './shareLink';
+
+const analysis = {
+  documentType: 'term_sheet',
+  investmentTerms: { preMoney: 20000000, postMoney: 25000000, investment: 5000000, statedOwnershipPct: 20, plainEnglish: 'Série A — €' },
+  liquidation: { liqPrefMultiple: 1, type: 'participating', participationCapMultiple: 3, dividends: null },
+  gotchas: ['Redemption after 5 years']
+};
+const scenarios = [{ id: 1, name: 'Base Case', exitValuation: 100000000, yearsToExit: 5, active: true }];
+
+test('round-trips an analysis through a share link', () => {
+  const { url, trimmed } = buildShareUrl(analysis, scenarios, { exitValuation: 100000000, yearsToExit: 5 }, 'https://example.com/');
+  expect(trimmed).toEqual([]);
+  const shared = readSharedAnalysis(url.slice(url.indexOf('?')));
+
+  expect(shared.analysis.investmentTerms.investment).toBe(5000000);
+  expect(shared.analysis.investmentTerms.plainEnglish).toBe('Série A — €');
+  expect(shared.analysis.liquidation.type).toBe('participating');
+  expect(shared.analysis.gotchas).toBeUndefined();
+  expect(shared.scenarios).toHaveLength(1);
+  expect(shared.omitted.map(s => s.key)).toContain('gotchas');
+});
+
+test('decodes legacy links that only carried investment terms', () => {
+  const legacy = btoa(JSON.stringify({ analysis: { investment: 5000000, statedOwnershipPct: 20 }, scenarios, exitScenario: { exitValuation: 5e7, yearsToExit: 3 } }));
+  const shared = decodeShareData(legacy);
+
+  expect(shared.analysis.liquidation.liqPrefMultiple).toBe(1);
+  expect(shared.omitted[0].key).toBe('liquidation');
+  expect(shared.exitScenario.exitValuation).toBe(5e7);
+});
+
+test('rejects corrupted or invalid payloads', () => {
+  expect(() => decodeShareData('not-base64!!')).toThrow(/corrupted/);
+  expect(() => decodeShareData(btoa(JSON.stringify({ analysis: { investment: 'lots' } })))).toThrow(/investment/);
+  expect(readSharedAnalysis('?foo=bar')).toBeNull();
+});
+
+test('long links drop explanations, then extra scenarios, before giving up', () => {
+  const exit = { exitValuation: 100000000, yearsToExit: 5 };
+  const wordy = { ...analysis, investmentTerms: { ...analysis.investmentTerms, plainEnglish: 'x'.repeat(2000) }, liquidation: { ...analysis.liquidation, whyItMatters: 'y'.repeat(2000), plainEnglish: 'z'.repeat(2000) } };
+  const explained = buildShareUrl(wordy, scenarios, exit, 'https://example.com/');
+  expect(explained.trimmed).toEqual(['Plain-English explanations']);
+  expect(readSharedAnalysis(explained.url.slice(explained.url.indexOf('?'))).analysis.investmentTerms.investment).toBe(5000000);
+
+  const many = Array.from({ length: 50 }, (_, index) => ({ ...scenarios[0], id: index + 1, name: `Scenario number ${index + 1} with a long name`, active: index === 7, overrides: { 'investmentTerms.investment': 6000000 } }));
+  const crowded = buildShareUrl(analysis, many, exit, 'https://example.com/');
+  expect(crowded.trimmed).toEqual(['Plain-English explanations', 'Scenarios other than the active one']);
+  expect(readSharedAnalysis(crowded.url.slice(crowded.url.indexOf('?'))).scenarios.map(s => s.id)).toEqual([8]);
+
+  const huge = { ...analysis, documentType: 'd'.repeat(9000) };
+  expect(() => buildShareUrl(huge, scenarios, exit, 'https://example.com/')).toThrow(/too large to share/);
+});
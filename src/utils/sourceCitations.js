@@ -0,0 +1,145 @@
+// Ties extracted fields back to the passage they were read from. The model
+// quotes its source for each field in `analysis.sources`; locateSources()
+// finds that quote in the extracted document so the page number comes from
+// the `--- Page N ---` markers rather than the model's own count.
+
+// Fields shown on the Detailed Analysis cards, by card
+export const SOURCE_FIELD_LABELS = {
+  investmentTerms: {
+    preMoney: 'Pre-Money Valuation',
+    postMoney: 'Post-Money Valuation',
+    investment: 'Investment',
+    valuationCap: 'Valuation Cap',
+    discount: 'Discount',
+    safeType: 'SAFE Type',
+    mfn: 'MFN',
+    interestRatePct: 'Interest Rate',
+    maturityMonths: 'Maturity',
+    statedOwnershipPct: 'Investor Ownership',
+    optionPoolPct: 'Option Pool',
+    poolExpandsPre: 'Pool in Pre-Money'
+  },
+  liquidation: {
+    liqPrefMultiple: 'Preference Multiple',
+    type: 'Preference Type',
+    participationCapMultiple: 'Participation Cap',
+    'dividends.ratePct': 'Dividend Rate',
+    'dividends.compounding': 'Dividend Compounding'
+  },
+  controlGovernance: {
+    boardComposition: 'Board Composition',
+    votingRights: 'Voting Rights',
+    protectiveProvisions: 'Protective Provisions',
+    dragAlong: 'Drag-Along',
+    tagAlong: 'Tag-Along'
+  },
+  founderTerms: {
+    vestingSchedule: 'Vesting Schedule',
+    acceleration: 'Acceleration',
+    antiDilution: 'Anti-Dilution',
+    proRata: 'Pro-Rata Rights'
+  }
+};
+
+const MARKER = /^--- (.+) ---$/gm;
+const PAGE_MARKER = /^Page (\d+)$/;
+// Shortest piece of an elided quote ("... ") worth searching for on its own
+const MIN_SEGMENT = 15;
+
+// Typographic quotes and dashes differ between the PDF text and model output
+const foldChar = (char) => {
+  if ('‘’‚′'.includes(char)) return "'";
+  if ('“”„″'.includes(char)) return '"';
+  if ('‐‑‒–—−'.includes(char)) return '-';
+  return char.toLowerCase();
+};
+
+// Lowercased, whitespace-collapsed copy of the text with a map back to the
+// original character offsets
+const buildSearchIndex = (text) => {
+  let normalized = '';
+  const offsets = [];
+  let lastWasSpace = true;
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      if (!lastWasSpace) {
+        normalized += ' ';
+        offsets.push(i);
+        lastWasSpace = true;
+      }
+    } else {
+      normalized += foldChar(text[i]);
+      offsets.push(i);
+      lastWasSpace = false;
+    }
+  }
+  return { normalized, offsets };
+};
+
+const normalizeQuote = (quote) => Array.from(quote.replace(/\s+/g, ' ').trim()).map(foldChar).join('');
+
+const findQuote = (index, quote) => {
+  const segments = [
+    quote,
+    ...quote.split(/\.{3}|…/).map(part => part.trim()).filter(part => part.length >= MIN_SEGMENT).sort((a, b) => b.length - a.length)
+  ];
+  for (const segment of segments) {
+    const needle = normalizeQuote(segment);
+    if (!needle) continue;
+    const at = index.normalized.indexOf(needle);
+    if (at !== -1) {
+      return { start: index.offsets[at], end: index.offsets[at + needle.length - 1] + 1 };
+    }
+  }
+  return null;
+};
+
+// File and page markers with their positions, in document order
+const findMarkers = (text) => Array.from(text.matchAll(MARKER)).map(match => {
+  const page = match[1].match(PAGE_MARKER);
+  return page
+    ? { offset: match.index, page: parseInt(page[1], 10) }
+    : { offset: match.index, file: match[1] };
+});
+
+const positionOf = (markers, offset) => {
+  let file = null;
+  let page = null;
+  markers.forEach(marker => {
+    if (marker.offset > offset) return;
+    if (marker.file) {
+      file = marker.file;
+      page = null;
+    } else {
+      page = marker.page;
+    }
+  });
+  return { file, page };
+};
+
+// Resolves each { quote, page } to its location in `documentContent`.
+// Quotes that cannot be found verbatim keep the model's page and are
+// marked unverified.
+export function locateSources(sources, documentContent) {
+  if (!sources || !documentContent) return sources || {};
+
+  const index = buildSearchIndex(documentContent);
+  const markers = findMarkers(documentContent);
+  const located = {};
+
+  Object.entries(sources).forEach(([path, source]) => {
+    const match = findQuote(index, source.quote);
+    located[path] = match
+      ? { ...source, ...positionOf(markers, match.start), ...match, verified: true }
+      : { ...source, file: null, start: null, end: null, verified: false };
+  });
+  return located;
+}
+
+// Citations for one Detailed Analysis card, in display order
+export function citationsForSection(sources, section) {
+  if (!sources) return [];
+  return Object.entries(SOURCE_FIELD_LABELS[section] || {})
+    .filter(([field]) => sources[`${section}.${field}`])
+    .map(([field, label]) => ({ path: `${section}.${field}`, label, ...sources[`${section}.${field}`] }));
+}
@@ -0,0 +1,33 @@
+import { locateSources, citationsForSection } from './sourceCitations';
+
+const documentContent = [
+  '',
+  '--- term-sheet.pdf ---',
+  '--- Page 1 ---',
+  '1. Investment. The Investors will invest $5,000,000.',
+  '--- Page 2 ---',
+  '2. Liquidation Preference. In the event of any liquidation, the holders of Series A',
+  'Preferred will receive 1x the Original Purchase Price, plus declared dividends.',
+  '3. Board. The Board will consist of “three” members.'
+].join('\n');
+
+test('finds quotes across line breaks and takes the page from the markers', () => {
+  const sources = locateSources({
+    'liquidation.liqPrefMultiple': { quote: 'holders of Series A Preferred will receive 1x', page: 7 },
+    'controlGovernance.boardComposition': { quote: 'consist of "three" members ... ', page: 2 }
+  }, documentContent);
+
+  const pref = sources['liquidation.liqPrefMultiple'];
+  expect(pref).toMatchObject({ page: 2, file: 'term-sheet.pdf', verified: true });
+  expect(documentContent.slice(pref.start, pref.end)).toBe('holders of Series A\nPreferred will receive 1x');
+  expect(sources['controlGovernance.boardComposition'].verified).toBe(true);
+});
+
+test('keeps the model page for quotes that are not in the document', () => {
+  const sources = locateSources({ 'founderTerms.antiDilution': { quote: 'broad-based weighted average', page: 4 } }, documentContent);
+
+  expect(sources['founderTerms.antiDilution']).toMatchObject({ page: 4, verified: false, start: null });
+  expect(citationsForSection(sources, 'founderTerms')).toEqual([
+    expect.objectContaining({ path: 'founderTerms.antiDilution', label: 'Anti-Dilution' })
+  ]);
+});
@@ -0,0 +1,219 @@
+// Liquidation waterfall for a cap table with several preferred series.
+//
+// A cap table is { common: [{ name, shares }], series: [...] } where each
+// series is { name, shares, investment, preferenceMultiple, participation,
+// participationCap, seniority, conversionRatio, accruedDividends }:
+// - participation: 'non-participating' | 'participating' | 'capped-participating'
+// - participationCap: total return cap as a multiple of investment
+// - seniority: 1 is paid first; series with the same rank are pari passu
+// - conversionRatio: common shares per preferred share
+//
+// Non-participating and capped series take whichever of their preference or
+// converting to common pays more, given what the other series decide.
+
+export const PARTICIPATION_TYPES = ['non-participating', 'participating', 'capped-participating'];
+
+// Tolerance for comparing dollar amounts
+const EPSILON = 1e-6;
+
+const normalizeSeries = (series, index) => {
+  const investment = series.investment || 0;
+  const preferenceMultiple = series.preferenceMultiple ?? 1;
+  const accruedDividends = series.accruedDividends || 0;
+  let participation = PARTICIPATION_TYPES.includes(series.participation) ? series.participation : 'non-participating';
+  if (participation === 'capped-participating' && !series.participationCap) participation = 'participating';
+
+  return {
+    name: series.name || `Series ${index + 1}`,
+    shares: series.shares || 0,
+    investment,
+    preferenceMultiple,
+    participation,
+    participationCap: participation === 'capped-participating' ? series.participationCap : null,
+    seniority: series.seniority ?? 1,
+    conversionRatio: series.conversionRatio ?? 1,
+    accruedDividends,
+    preferenceAmount: investment * preferenceMultiple + accruedDividends
+  };
+};
+
+// Pays preferences by seniority, then shares the rest across as-converted
+// shares, holding capped participants to their cap. `converted` is the set of
+// series names that converted to common.
+const distribute = (common, series, exitValue, converted) => {
+  const payouts = new Map();
+  [...common, ...series].forEach(holder => payouts.set(holder.name, { preference: 0, participation: 0 }));
+  let remaining = Math.max(0, exitValue);
+
+  const preferred = series.filter(s => !converted.has(s.name) && s.preferenceAmount > 0);
+  const ranks = [...new Set(preferred.map(s => s.seniority))].sort((a, b) => a - b);
+  ranks.forEach(rank => {
+    const tier = preferred.filter(s => s.seniority === rank);
+    const owed = tier.reduce((sum, s) => sum + s.preferenceAmount, 0);
+    const paid = Math.min(remaining, owed);
+    tier.forEach(s => {
+      payouts.get(s.name).preference = paid * (s.preferenceAmount / owed);
+    });
+    remaining -= paid;
+  });
+
+  let participants = [
+    ...common.map(holder => ({ name: holder.name, shares: holder.shares, room: Infinity })),
+    ...series
+      .filter(s => converted.has(s.name) || s.participation !== 'non-participating')
+      .map(s => ({
+        name: s.name,
+        shares: s.shares * s.conversionRatio,
+        room: !converted.has(s.name) && s.participationCap
+          ? Math.max(0, s.investment * s.participationCap - payouts.get(s.name).preference)
+          : Infinity
+      }))
+  ].filter(participant => participant.shares > 0);
+
+  // Water-fill: holders that hit their cap drop out and the rest share the excess
+  while (remaining > EPSILON && participants.length > 0) {
+    const totalShares = participants.reduce((sum, p) => sum + p.shares, 0);
+    const perShare = remaining / totalShares;
+    const capped = participants.filter(p => p.shares * perShare > p.room + EPSILON);
+
+    if (capped.length === 0) {
+      participants.forEach(p => {
+        payouts.get(p.name).participation += p.shares * perShare;
+      });
+      remaining = 0;
+      break;
+    }
+    for (const p of capped) {
+      payouts.get(p.name).participation += p.room;
+      remaining -= p.room;
+    }
+    participants = participants.filter(p => !capped.includes(p));
+  }
+
+  return { payouts, unallocated: remaining };
+};
+
+const totalFor = (result, name) => {
+  const payout = result.payouts.get(name);
+  return payout.preference + payout.participation;
+};
+
+const toggle = (set, name) => {
+  const next = new Set(set);
+  if (next.has(name)) next.delete(name);
+  else next.add(name);
+  return next;
+};
+
+// Payout to every class at `exitValue`
+export function computeWaterfall(capTable, exitValue) {
+  const common = (capTable.common || []).map(holder => ({ name: holder.name, shares: holder.shares || 0 }));
+  const series = (capTable.series || []).map(normalizeSeries);
+
+  // Series without a preference can only hold as common
+  let converted = new Set(series
+    .filter(s => s.preferenceAmount <= 0 && s.participation === 'non-participating')
+    .map(s => s.name));
+  const deciding = series.filter(s => s.participation !== 'participating' && s.preferenceAmount > 0);
+
+  // Each series switches while switching pays it more; the number of rounds
+  // is bounded in case two series keep flipping each other
+  for (let round = 0; round < deciding.length * 2 + 1; round++) {
+    let changed = false;
+    for (const s of deciding) {
+      const current = totalFor(distribute(common, series, exitValue, converted), s.name);
+      const switched = toggle(converted, s.name);
+      if (totalFor(distribute(common, series, exitValue, switched), s.name) > current + EPSILON) {
+        converted = switched;
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+
+  const result = distribute(common, series, exitValue, converted);
+  const share = (amount) => (exitValue > 0 ? (amount / exitValue) * 100 : 0);
+
+  const classes = [
+    ...series.map(s => {
+      const payout = result.payouts.get(s.name);
+      const total = payout.preference + payout.participation;
+      const isConverted = converted.has(s.name);
+      const decision = isConverted ? 'convert' : s.participation === 'non-participating' ? 'preference' : 'participate';
+      const alternative = deciding.includes(s)
+        ? {
+            decision: isConverted ? (s.participation === 'non-participating' ? 'preference' : 'participate') : 'convert',
+            total: totalFor(distribute(common, series, exitValue, toggle(converted, s.name)), s.name)
+          }
+        : null;
+      return {
+        name: s.name,
+        kind: 'series',
+        shares: s.shares,
+        asConvertedShares: s.shares * s.conversionRatio,
+        seniority: s.seniority,
+        decision,
+        preference: payout.preference,
+        participation: payout.participation,
+        total,
+        pctOfExit: share(total),
+        multiple: s.investment > 0 ? total / s.investment : null,
+        alternative
+      };
+    }),
+    ...common.map(holder => {
+      const payout = result.payouts.get(holder.name);
+      return {
+        name: holder.name,
+        kind: 'common',
+        shares: holder.shares,
+        asConvertedShares: holder.shares,
+        seniority: null,
+        decision: 'common',
+        preference: 0,
+        participation: payout.participation,
+        total: payout.participation,
+        pctOfExit: share(payout.participation),
+        multiple: null,
+        alternative: null
+      };
+    })
+  ];
+
+  return {
+    exitValue,
+    classes,
+    preferencesPaid: classes.reduce((sum, c) => sum + c.preference, 0),
+    unallocated: result.unallocated
+  };
+}
+
+// Seniority ranks for a list of series in issue order: 'pari-passu' puts all
+// of them on one rank, 'stacked' makes each later series senior to the last
+export function applySeniority(series, structure) {
+  return series.map((s, index) => ({
+    ...s,
+    seniority: structure === 'stacked' ? series.length - index : 1
+  }));
+}
+
+// Cap table for a single financing described only by percentages, as
+// extracted from a term sheet. Shares are in units of 0.0001% ownership.
+export function singleSeriesCapTable({ investment, ownershipPct, preferenceMultiple, participation, participationCap, accruedDividends = 0 }) {
+  const units = 1000000;
+  const investorShares = units * (ownershipPct / 100);
+  return {
+    common: [{ name: 'Founders & Common', shares: units - investorShares }],
+    series: [{
+      name: 'Investor',
+      shares: investorShares,
+      investment,
+      preferenceMultiple: participation === 'none' ? 0 : preferenceMultiple,
+      participation,
+      participationCap,
+      seniority: 1,
+      conversionRatio: 1,
+      accruedDividends
+    }]
+  };
+}
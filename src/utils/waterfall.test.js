@@ -0,0 +1,54 @@
+import { computeWaterfall, applySeniority, singleSeriesCapTable } from './waterfall';
+
+const payout = (result, name) => result.classes.find(c => c.name === name);
+
+const capTable = (structure) => ({
+  common: [{ name: 'Founders', shares: 6000000 }],
+  series: applySeniority([
+    { name: 'Series A', shares: 2000000, investment: 5000000, preferenceMultiple: 1 },
+    { name: 'Series B', shares: 2000000, investment: 10000000, preferenceMultiple: 1 }
+  ], structure)
+});
+
+test('pays stacked series by seniority and pari passu series pro rata', () => {
+  const stacked = computeWaterfall(capTable('stacked'), 12000000);
+  expect(payout(stacked, 'Series B').total).toBeCloseTo(10000000);
+  expect(payout(stacked, 'Series A').total).toBeCloseTo(2000000);
+  expect(payout(stacked, 'Founders').total).toBeCloseTo(0);
+
+  const pariPassu = computeWaterfall(capTable('pari-passu'), 12000000);
+  expect(payout(pariPassu, 'Series A').total).toBeCloseTo(4000000);
+  expect(payout(pariPassu, 'Series B').total).toBeCloseTo(8000000);
+});
+
+test('each series converts once its common share beats its preference', () => {
+  // At $40M: A's 20% ($8M as converted) beats its $5M preference, B's 20% does not beat $10M
+  const result = computeWaterfall(capTable('stacked'), 40000000);
+  const seriesA = payout(result, 'Series A');
+  const seriesB = payout(result, 'Series B');
+
+  expect(seriesA.decision).toBe('convert');
+  expect(seriesA.alternative).toEqual({ decision: 'preference', total: 5000000 });
+  expect(seriesB.decision).toBe('preference');
+  expect(seriesA.total).toBeCloseTo(30000000 * 2 / 8);
+  expect(payout(result, 'Founders').total).toBeCloseTo(30000000 * 6 / 8);
+  expect(result.classes.reduce((sum, c) => sum + c.total, 0)).toBeCloseTo(40000000);
+});
+
+test('holds capped participation to its cap and converts above it', () => {
+  const table = singleSeriesCapTable({
+    investment: 10000000,
+    ownershipPct: 20,
+    preferenceMultiple: 1,
+    participation: 'capped-participating',
+    participationCap: 2
+  });
+
+  const capped = payout(computeWaterfall(table, 80000000), 'Investor');
+  expect(capped.decision).toBe('participate');
+  expect(capped.total).toBeCloseTo(20000000);
+
+  const converted = payout(computeWaterfall(table, 150000000), 'Investor');
+  expect(converted.decision).toBe('convert');
+  expect(converted.total).toBeCloseTo(30000000);
+});
@@ -0,0 +1,43 @@
+// Waterfall model for one analyzed deal, shared by the single-deal view and
+// the offer comparison so both price a deal the same way: every holder in
+// the pro forma cap table (or a single series for SAFEs and notes, which
+// have no cap table), this round's preference terms, and cumulative
+// dividends accrued by the exit.
+
+import { computeProForma, toWaterfallCapTable } from './capTable';
+import { singleSeriesCapTable } from './waterfall';
+import { accrueDividends, applyDividendsToSeries } from './dividends';
+
+// This round's liquidation preference as the waterfall engine takes it
+export const preferenceTermsFor = (liquidation) => ({
+  preferenceMultiple: liquidation?.liqPrefMultiple || 1,
+  participation: liquidation?.type || 'non-participating',
+  participationCap: liquidation?.participationCapMultiple
+});
+
+// { table, kindOf, investorClass, investment, hasCapTable }, or null when
+// the deal cannot be modelled. `proForma` defaults to the one computed from
+// `capTable`; without a cap table, `ownershipPct` is the new investors'
+// share. `kindOf(payout)` gives the holder kind of a waterfall class
+// ('founder', 'new-round', ...).
+export function dealWaterfallModel(analysis, { capTable = null, proForma, ownershipPct = null, years = 5, dividendOverrides } = {}) {
+  const inv = analysis?.investmentTerms;
+  const liq = analysis?.liquidation;
+  if (!inv || !liq) return null;
+  const dealProForma = proForma !== undefined ? proForma : capTable && computeProForma(capTable);
+  const investorPct = dealProForma ? dealProForma.ownership.newRound : ownershipPct;
+  if (!inv.investment || !investorPct) return null;
+
+  const terms = preferenceTermsFor(liq);
+  const table = dealProForma
+    ? toWaterfallCapTable(dealProForma, capTable, terms)
+    : singleSeriesCapTable({ investment: inv.investment, ownershipPct: investorPct, ...terms });
+  const accrual = accrueDividends(inv.investment, liq.dividends, years, dividendOverrides);
+  table.series = table.series.map((series, index) => (index === 0 ? applyDividendsToSeries(series, accrual) : series));
+
+  // Waterfall classes are named by cap table row id
+  const kindOf = (payout) => (dealProForma
+    ? dealProForma.rows.find(row => row.id === payout.name)?.kind
+    : payout.kind === 'series' ? 'new-round' : 'founder');
+  return { table, kindOf, investorClass: table.series[0].name, investment: inv.investment, hasCapTable: Boolean(dealProForma) };
+}
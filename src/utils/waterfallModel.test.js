@@ -0,0 +1,29 @@
+import { capTableFromTerms } from './capTable';
+import { computeWaterfall } from './waterfall';
+import { dealWaterfallModel } from './waterfallModel';
+
+const analysis = {
+  investmentTerms: { preMoney: 8000000, investment: 2000000 },
+  liquidation: { liqPrefMultiple: 1, type: 'participating', dividends: { ratePct: 8, cumulative: true } }
+};
+
+const proceedsBy = (model, exitValue) => computeWaterfall(model.table, exitValue).classes
+  .reduce((totals, payout) => ({ ...totals, [model.kindOf(payout)]: (totals[model.kindOf(payout)] || 0) + payout.total }), {});
+
+test('a priced round is modelled from its cap table with dividends accrued to the exit', () => {
+  const model = dealWaterfallModel(analysis, { capTable: capTableFromTerms(analysis.investmentTerms), years: 5 });
+
+  expect(model.hasCapTable).toBe(true);
+  // $2M plus five years of 8% simple dividends comes first, then 20% of the rest
+  const paid = proceedsBy(model, 20000000);
+  expect(paid['new-round']).toBeCloseTo(2800000 + 0.2 * 17200000);
+  expect(paid.founder).toBeCloseTo(0.8 * 17200000);
+});
+
+test('without a cap table the stated ownership makes a single series', () => {
+  const model = dealWaterfallModel(analysis, { ownershipPct: 20, years: 0 });
+
+  expect(model.hasCapTable).toBe(false);
+  expect(proceedsBy(model, 12000000)).toEqual({ 'new-round': 4000000, founder: 8000000 });
+  expect(dealWaterfallModel(analysis, {})).toBeNull();
+});
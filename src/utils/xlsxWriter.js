@@ -0,0 +1,108 @@
+// Minimal XLSX writer: one worksheet per sheet, inline strings, numbers,
+// booleans and formulas, a handful of number formats, zipped with fflate.
+// Formulas carry their computed value too, since spreadsheet apps that do
+// not recalculate on open (LibreOffice by default) show the cached value.
+//
+// A sheet is { name, columns: [{ header, width, style }], rows } where each
+// row is an array of cells: null, a number, string or boolean, or
+// { value, formula, style }. The header row is written from `columns`, and
+// a column's style applies to its cells unless the cell names its own.
+
+import { zipSync, strToU8 } from 'fflate';
+import { escapeXml } from './xml';
+
+const NUMBER_FORMATS = {
+  money: '"$"#,##0',
+  price: '"$"#,##0.0000',
+  percent: '0.0%',
+  multiple: '0.00"x"',
+  count: '#,##0'
+};
+
+// cellXfs order: default, bold, then one per number format
+const STYLE_NAMES = ['default', 'bold', ...Object.keys(NUMBER_FORMATS)];
+const FIRST_CUSTOM_FORMAT = 164;
+
+// Zero-based column index to its letters: 0 -> A, 26 -> AA
+export const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// A1 reference for zero-based row and column; `absolute` adds the $ signs
+export const cellRef = (row, column, absolute = false) => (absolute
+  ? `$${columnName(column)}$${row + 1}`
+  : `${columnName(column)}${row + 1}`);
+
+// Reference into another sheet, quoted when the name needs it
+export const sheetRef = (sheetName, ref) => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(sheetName)
+  ? `${sheetName}!${ref}`
+  : `'${sheetName.replace(/'/g, "''")}'!${ref}`);
+
+const cellXml = (cell, ref, columnStyle) => {
+  if (cell === null || cell === undefined) return '';
+  const spec = typeof cell === 'object' ? cell : { value: cell };
+  const styleIndex = STYLE_NAMES.indexOf(spec.style || columnStyle || 'default');
+  const style = styleIndex > 0 ? ` s="${styleIndex}"` : '';
+  const { value } = spec;
+
+  if (spec.formula) {
+    const cached = typeof value === 'number' && Number.isFinite(value) ? `<v>${value}</v>` : '';
+    return `<c r="${ref}"${style}><f>${escapeXml(spec.formula)}</f>${cached}</c>`;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? `<c r="${ref}"${style}><v>${value}</v></c>` : '';
+  }
+  if (typeof value === 'boolean') return `<c r="${ref}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+  if (value === null || value === undefined || value === '') return '';
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const worksheetXml = ({ columns, rows }) => {
+  const allRows = [columns.map(column => ({ value: column.header, style: 'bold' })), ...rows];
+  const cols = columns
+    .map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width || 14}" customWidth="1"/>`)
+    .join('');
+  const data = allRows.map((row, rowIndex) => {
+    const cells = row.map((cell, columnIndex) => cellXml(cell, cellRef(rowIndex, columnIndex), rowIndex > 0 ? columns[columnIndex]?.style : null)).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><cols>${cols}</cols><sheetData>${data}</sheetData></worksheet>`;
+};
+
+const stylesXml = () => {
+  const formats = Object.values(NUMBER_FORMATS);
+  const numFmts = formats.map((code, index) => `<numFmt numFmtId="${FIRST_CUSTOM_FORMAT + index}" formatCode="${escapeXml(code)}"/>`).join('');
+  const xfs = [
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>',
+    ...formats.map((code, index) => `<xf numFmtId="${FIRST_CUSTOM_FORMAT + index}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`)
+  ];
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><numFmts count="${formats.length}">${numFmts}</numFmts><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="${xfs.length}">${xfs.join('')}</cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`;
+};
+
+// Returns the .xlsx file as a Uint8Array
+export function buildXlsx(sheets) {
+  const sheetEntries = sheets.map((sheet, index) => ({ ...sheet, path: `worksheets/sheet${index + 1}.xml`, rid: `rId${index + 1}` }));
+  const files = {
+    '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheetEntries.map(sheet => `<Override PartName="/xl/${sheet.path}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>`,
+    '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheetEntries.map((sheet, index) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="${sheet.rid}"/>`).join('')}</sheets><calcPr calcId="191029" fullCalcOnLoad="1"/></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheetEntries.map(sheet => `<Relationship Id="${sheet.rid}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="${sheet.path}"/>`).join('')}<Relationship Id="rId${sheetEntries.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    'xl/styles.xml': stylesXml()
+  };
+  sheetEntries.forEach(sheet => {
+    files[`xl/${sheet.path}`] = worksheetXml(sheet);
+  });
+
+  return zipSync(Object.fromEntries(Object.entries(files).map(([path, xml]) => [path, strToU8(xml)])));
+}
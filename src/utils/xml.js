@@ -0,0 +1,12 @@
+// Text escaping for the XML documents the app writes (XLSX, DOCX)
+
+// Control characters other than tab, newline and carriage return are not
+// allowed in XML 1.0; PDFs in particular yield form feeds
+const isXmlChar = (char) => {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+};
+
+// Text safe for element content and double-quoted attributes
+export const escapeXml = (text) => Array.from(String(text)).filter(isXmlChar).join('')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');